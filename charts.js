@@ -0,0 +1,89 @@
+// Graphiques SVG dessinés localement, sans bibliothèque ni ressource distante : ils restent
+// disponibles hors ligne. Couleurs et polices viennent de style.css (classes chart-*, tone-*).
+import { formatNumber, t } from './i18n.js'
+import { html } from './render.js'
+
+const ROW_HEIGHT = 26
+const LABEL_WIDTH = 150
+const BAR_WIDTH = 220
+const VALUE_WIDTH = 70
+
+function shorten(label, length = 22) {
+  const text = String(label)
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text
+}
+
+// Barres horizontales, une ligne par entrée : rows = [{ label, values: [n, …] }],
+// series = [{ label, tone }] une barre par série. format : affichage des valeurs.
+export function barChart(rows, { title, series = [{ label: title, tone: 'tone-1' }], format = String } = {}) {
+  if (rows.length === 0) return ''
+
+  const barHeight = (ROW_HEIGHT - 8) / series.length
+  const width = LABEL_WIDTH + BAR_WIDTH + VALUE_WIDTH
+  const height = rows.length * ROW_HEIGHT
+  const max = Math.max(0, ...rows.flatMap(row => row.values))
+  const scale = value => (max > 0 ? (value / max) * BAR_WIDTH : 0)
+
+  return html`
+    <figure class="chart">
+      <svg class="chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">
+        ${rows.map((row, i) => {
+          const top = i * ROW_HEIGHT + 4
+          return html`
+            <g>
+              <text class="chart-label" x="${LABEL_WIDTH - 8}" y="${top + (ROW_HEIGHT - 8) / 2}" text-anchor="end" dominant-baseline="middle">${shorten(row.label)}</text>
+              ${series.map((serie, s) => {
+                const value = row.values[s] || 0
+                const y = top + s * barHeight
+                return html`
+                  <rect class="chart-bar ${serie.tone}" x="${LABEL_WIDTH}" y="${y.toFixed(1)}" width="${scale(value).toFixed(1)}" height="${(barHeight - 1).toFixed(1)}" rx="2">
+                    <title>${t('chart.value', { label: row.label, value: format(value) })}${series.length > 1 ? ` (${serie.label})` : ''}</title>
+                  </rect>
+                  <text class="chart-value" x="${(LABEL_WIDTH + scale(value) + 4).toFixed(1)}" y="${(y + barHeight / 2).toFixed(1)}" dominant-baseline="middle">${format(value)}</text>
+                `
+              })}
+            </g>
+          `
+        })}
+      </svg>
+      ${series.length > 1 ? legend(series) : ''}
+    </figure>
+  `
+}
+
+// Anneau de répartition : parts = [{ label, value, tone }] ; center : texte au milieu
+export function ringChart(parts, { title, center = '' } = {}) {
+  const total = parts.reduce((sum, part) => sum + part.value, 0)
+  if (total === 0) return ''
+
+  // Cercle de circonférence 100 : chaque part occupe son pourcentage du trait
+  let offset = 25
+  return html`
+    <figure class="chart ring-chart">
+      <svg class="chart-svg" viewBox="0 0 42 42" role="img" aria-label="${title}">
+        <circle class="chart-track" cx="21" cy="21" r="15.915" fill="none" stroke-width="6"></circle>
+        ${parts.filter(part => part.value > 0).map((part) => {
+          const share = (part.value / total) * 100
+          const segment = html`
+            <circle class="chart-ring ${part.tone}" cx="21" cy="21" r="15.915" fill="none" stroke-width="6"
+              stroke-dasharray="${share.toFixed(2)} ${(100 - share).toFixed(2)}" stroke-dashoffset="${offset.toFixed(2)}">
+              <title>${t('chart.share', { label: part.label, value: part.value, share: formatNumber(share / 100, { style: 'percent' }) })}</title>
+            </circle>
+          `
+          offset -= share
+          return segment
+        })}
+        <text class="chart-center" x="21" y="21" text-anchor="middle" dominant-baseline="middle">${center}</text>
+      </svg>
+      ${legend(parts.map(part => ({ ...part, label: `${part.label} (${part.value})` })))}
+    </figure>
+  `
+}
+
+function legend(entries) {
+  return html`
+    <figcaption class="chart-legend">
+      ${entries.map(entry => html`<span><svg class="chart-swatch" viewBox="0 0 10 10" aria-hidden="true"><rect class="chart-bar ${entry.tone}" width="10" height="10" rx="2"></rect></svg>${entry.label}</span>`)}
+    </figcaption>
+  `
+}
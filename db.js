@@ -0,0 +1,353 @@
+// Accès aux données : une base IndexedDB, un store par collection, un enregistrement par clé.
+// Les écritures passent par des transactions ; les autres onglets (et le service worker)
+// sont prévenus par BroadcastChannel de chaque transaction validée.
+import localforage from 'localforage'
+import { createRecord, ulid, upgradeRecord } from './records.js'
+
+export const DB_NAME = 'marche-local'
+export const CHANNEL_NAME = 'marche-local-db'
+
+// Stores et index, lus aussi par sw.js (produits, photos, réglages)
+export const STORES = {
+  products: { keyPath: 'id', indexes: ['sellerId', 'status', 'category', 'createdAt'] },
+  users: { keyPath: 'id' },
+  savedSearches: { keyPath: 'id', indexes: ['userId'] },
+  conversations: { keyPath: 'id', indexes: ['productId', 'buyerId', 'sellerId'] },
+  messages: { keyPath: 'id', indexes: ['conversationId'] },
+  orders: { keyPath: 'id', indexes: ['productId', 'buyerId', 'sellerId'] },
+  reviews: { keyPath: 'id', indexes: ['orderId', 'sellerId'] },
+  recurrences: { keyPath: 'id', indexes: ['sellerId'] },
+  subscriptions: { keyPath: 'id', indexes: ['recurrenceId', 'buyerId'] },
+  searchMatches: { keyPath: ['searchId', 'productId'], indexes: ['searchId'] },
+  profiles: { keyPath: 'userId' }, // PIN local, jamais synchronisé
+  settings: { keyPath: 'key' }, // { key, value } : currentUser, syncConfig, mapConfig…
+  photos: {}, // Blobs, clés photo:ID et photo:ID:thumb
+  productViews: { keyPath: 'id', indexes: ['productId', 'sellerId'] } // un par lot et par visiteur
+}
+
+// Clés de l'ancien stockage localforage : un tableau par collection, un objet par réglage
+const LEGACY_COLLECTIONS = ['products', 'users', 'savedSearches', 'conversations', 'messages', 'orders', 'reviews', 'recurrences', 'subscriptions', 'searchMatches', 'profiles']
+const LEGACY_SETTINGS = ['currentUser', 'locationSettings', 'mapConfig', 'syncConfig', 'syncState']
+
+function createStore(database, name) {
+  const { keyPath, indexes = [] } = STORES[name]
+  const store = database.createObjectStore(name, keyPath ? { keyPath } : undefined)
+  for (const index of indexes) store.createIndex(index, index)
+}
+
+// Migrations du schéma : l'entrée n fait passer la base de la version n à n + 1.
+// Ne jamais modifier une migration publiée, en ajouter une nouvelle ; chacune nomme ses stores,
+// STORES décrit le schéma le plus récent.
+const MIGRATIONS = [
+  // 1 : stores et index initiaux
+  (database) => {
+    for (const name of [...LEGACY_COLLECTIONS, 'settings', 'photos']) createStore(database, name)
+  },
+  // 2 : identifiants Date.now() convertis en ULID, auteur, origine et date de suppression
+  (database, transaction) => {
+    for (const name of LEGACY_COLLECTIONS) {
+      const store = transaction.objectStore(name)
+      store.getAll().onsuccess = (event) => {
+        store.clear()
+        for (const record of event.target.result) store.put(upgradeRecord(name, record))
+      }
+    }
+    const settings = transaction.objectStore('settings')
+    settings.get('currentUser').onsuccess = (event) => {
+      const entry = event.target.result
+      if (entry?.value) settings.put({ ...entry, value: upgradeRecord('users', entry.value) })
+    }
+  },
+  // 3 : consultations des lots (tableau de bord vendeur)
+  (database) => {
+    createStore(database, 'productViews')
+  },
+  // 4 : catégories enregistrées en clés (fruits, vegetables…) plutôt qu'en libellés français
+  (database, transaction) => {
+    for (const name of ['products', 'savedSearches', 'recurrences']) {
+      const store = transaction.objectStore(name)
+      store.getAll().onsuccess = (event) => {
+        for (const record of event.target.result) store.put(upgradeRecord(name, record))
+      }
+    }
+  }
+]
+
+export const DB_VERSION = MIGRATIONS.length
+
+// Clé utilisable par IndexedDB (null, undefined ou NaN ne le sont pas)
+function isValidKey(key) {
+  try {
+    indexedDB.cmp(key, key)
+    return true
+  } catch {
+    return false
+  }
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Accès à un store dans une transaction en cours ; n'attendre que des requêtes IndexedDB
+// entre deux appels, sans quoi la transaction se termine.
+class StoreAccess {
+  constructor(store, markChanged) {
+    this.store = store
+    this.markChanged = markChanged
+  }
+
+  // Clé invalide : aucun enregistrement plutôt qu'une DataError
+  get(key) {
+    if (!isValidKey(key)) return Promise.resolve(undefined)
+    return request(this.store.get(key))
+  }
+
+  // index / query : filtrer sur un index ; direction 'prev' : ordre décroissant
+  getAll({ index = null, query = null, direction = 'next' } = {}) {
+    const source = index ? this.store.index(index) : this.store
+    if (direction === 'next') return request(source.getAll(query))
+
+    return new Promise((resolve, reject) => {
+      const records = []
+      const cursor = source.openCursor(query, direction)
+      cursor.onsuccess = () => {
+        if (!cursor.result) return resolve(records)
+        records.push(cursor.result.value)
+        cursor.result.continue()
+      }
+      cursor.onerror = () => reject(cursor.error)
+    })
+  }
+
+  put(value, key) {
+    this.markChanged()
+    return request(key === undefined ? this.store.put(value) : this.store.put(value, key))
+  }
+
+  delete(key) {
+    this.markChanged()
+    return request(this.store.delete(key))
+  }
+}
+
+export class Database {
+  constructor(name = DB_NAME) {
+    this.name = name
+    this.opening = null
+    this.device = null
+    this.listeners = new Set()
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null
+    this.channel?.addEventListener('message', (event) => {
+      if (event.data?.type !== 'change') return
+      for (const listener of this.listeners) listener(event.data)
+    })
+  }
+
+  open() {
+    if (!this.opening) {
+      this.opening = this.openDatabase()
+        .then(async (database) => {
+          await this.importLegacy(database)
+          return database
+        })
+        .catch((error) => {
+          this.opening = null
+          throw error
+        })
+    }
+    return this.opening
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(this.name, DB_VERSION)
+      req.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < DB_VERSION; version++) {
+          MIGRATIONS[version](req.result, req.transaction)
+        }
+      }
+      req.onsuccess = () => {
+        const database = req.result
+        // Un autre onglet passe à une version plus récente : libérer la base
+        database.onversionchange = () => {
+          database.close()
+          this.opening = null
+        }
+        resolve(database)
+      }
+      req.onerror = () => reject(req.error)
+      req.onblocked = () => console.warn('Base de données bloquée par un autre onglet')
+    })
+  }
+
+  // Reprise unique des tableaux localforage, dans une seule transaction ; les anciennes clés
+  // ne sont supprimées qu'une fois la transaction validée.
+  async importLegacy(database) {
+    const done = await request(database.transaction('settings').objectStore('settings').get('legacyImportedAt'))
+    if (done) return
+
+    const legacy = {}
+    for (const key of [...LEGACY_COLLECTIONS, ...LEGACY_SETTINGS]) {
+      legacy[key] = await localforage.getItem(key)
+    }
+    const photoKeys = (await localforage.keys()).filter(key => key.startsWith('photo:'))
+    const photos = []
+    for (const key of photoKeys) photos.push([key, await localforage.getItem(key)])
+
+    await new Promise((resolve, reject) => {
+      const tx = database.transaction(Object.keys(STORES), 'readwrite')
+      tx.oncomplete = resolve
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+
+      const settings = tx.objectStore('settings')
+      // Deux onglets ouverts pendant la mise à jour : une seule reprise
+      settings.get('legacyImportedAt').onsuccess = (event) => {
+        if (event.target.result) return
+
+        for (const collection of LEGACY_COLLECTIONS) {
+          const keyPath = STORES[collection].keyPath
+          for (const record of Array.isArray(legacy[collection]) ? legacy[collection] : []) {
+            const keys = [].concat(keyPath).map(path => record?.[path])
+            if (keys.some(key => key === undefined || key === null)) continue
+            tx.objectStore(collection).put(upgradeRecord(collection, record))
+          }
+        }
+        for (const key of LEGACY_SETTINGS) {
+          if (legacy[key] === null || legacy[key] === undefined) continue
+          const value = key === 'currentUser' ? upgradeRecord('users', legacy[key]) : legacy[key]
+          settings.put({ key, value })
+        }
+        for (const [key, blob] of photos) {
+          if (blob) tx.objectStore('photos').put(blob, key)
+        }
+        settings.put({ key: 'legacyImportedAt', value: Date.now() })
+      }
+    })
+
+    for (const key of [...LEGACY_COLLECTIONS, ...LEGACY_SETTINGS, ...photoKeys]) {
+      await localforage.removeItem(key)
+    }
+  }
+
+  // Transaction sur un ou plusieurs stores : work(stores) reçoit un StoreAccess par store.
+  // Une exception dans work annule toutes les écritures de la transaction.
+  async transaction(storeNames, mode, work) {
+    const database = await this.open()
+    const names = [].concat(storeNames)
+    const tx = database.transaction(names, mode)
+    const changed = new Set()
+    const stores = Object.fromEntries(names.map(name => [
+      name,
+      new StoreAccess(tx.objectStore(name), () => changed.add(name))
+    ]))
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error || new DOMException('Transaction annulée', 'AbortError'))
+    })
+
+    let result
+    try {
+      result = await work(stores)
+    } catch (error) {
+      done.catch(() => {})
+      try {
+        tx.abort()
+      } catch {
+        // Déjà terminée
+      }
+      throw error
+    }
+
+    await done
+    if (changed.size > 0) this.notify([...changed])
+    return result
+  }
+
+  async get(storeName, key) {
+    return await this.transaction(storeName, 'readonly', stores => stores[storeName].get(key))
+  }
+
+  async getAll(storeName, options = {}) {
+    return await this.transaction(storeName, 'readonly', stores => stores[storeName].getAll(options))
+  }
+
+  // Enregistrements dont l'index vaut value (ex. produits d'un vendeur)
+  async getAllBy(storeName, index, value) {
+    return await this.getAll(storeName, { index, query: IDBKeyRange.only(value) })
+  }
+
+  async put(storeName, value, key) {
+    await this.transaction(storeName, 'readwrite', stores => stores[storeName].put(value, key))
+    return value
+  }
+
+  async putAll(storeName, values) {
+    if (values.length === 0) return values
+    await this.transaction(storeName, 'readwrite', async (stores) => {
+      for (const value of values) await stores[storeName].put(value)
+    })
+    return values
+  }
+
+  async delete(storeName, key) {
+    await this.transaction(storeName, 'readwrite', stores => stores[storeName].delete(key))
+  }
+
+  // Lecture-modification-écriture atomique d'un enregistrement.
+  // mutate(record) renvoie l'enregistrement à écrire (ou rien pour ne rien écrire) et peut lever une erreur.
+  async update(storeName, key, mutate) {
+    return await this.transaction(storeName, 'readwrite', async (stores) => {
+      const record = await stores[storeName].get(key)
+      const updated = mutate(record)
+      if (updated) await stores[storeName].put(updated)
+      return updated || null
+    })
+  }
+
+  // Identifiant de cet appareil, créé au premier besoin ; jamais synchronisé ni exporté
+  async deviceId() {
+    if (!this.device) {
+      const created = await this.update('settings', 'deviceId', entry => entry ? null : { key: 'deviceId', value: ulid() })
+      this.device = (created || await this.get('settings', 'deviceId')).value
+    }
+    return this.device
+  }
+
+  // Nouvel enregistrement partagé, créé sur cet appareil par le profil authorId
+  async createRecord(fields, { authorId = null, id } = {}) {
+    return createRecord(fields, { id, authorId, origin: await this.deviceId() })
+  }
+
+  async getSetting(key, fallback = null) {
+    const entry = await this.get('settings', key)
+    return entry ? entry.value : fallback
+  }
+
+  async setSetting(key, value) {
+    await this.put('settings', { key, value })
+    return value
+  }
+
+  async removeSetting(key) {
+    await this.delete('settings', key)
+  }
+
+  // Changements validés dans un autre onglet ou par le service worker : { type, stores }
+  onChange(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify(stores) {
+    this.channel?.postMessage({ type: 'change', stores })
+  }
+}
+
+export const db = new Database()
@@ -0,0 +1,119 @@
+// Traductions et formats régionaux. Catalogues par langue dans locales/ : une clé par texte,
+// { one, other… } pour les pluriels (choisis par Intl.PluralRules). Montants, nombres,
+// distances et dates passent par Intl dans la langue choisie.
+import fr from './locales/fr.js'
+import de from './locales/de.js'
+import en from './locales/en.js'
+
+const CATALOGUES = { fr, de, en }
+const FALLBACK = 'fr'
+
+// Langues proposées, chacune dans sa propre langue
+export const LOCALES = { fr: 'Français', de: 'Deutsch', en: 'English' }
+
+let locale = FALLBACK
+const formatters = new Map()
+
+function formatter(key, create) {
+  if (!formatters.has(key)) formatters.set(key, create())
+  return formatters.get(key)
+}
+
+// Première langue du navigateur disponible, sinon le français
+export function detectLocale(languages = navigator.languages || [navigator.language]) {
+  for (const language of languages) {
+    const code = String(language || '').slice(0, 2).toLowerCase()
+    if (CATALOGUES[code]) return code
+  }
+  return FALLBACK
+}
+
+export function setLocale(code) {
+  locale = CATALOGUES[code] ? code : FALLBACK
+  formatters.clear()
+  if (typeof document !== 'undefined') document.documentElement.lang = locale
+  return locale
+}
+
+export function getLocale() {
+  return locale
+}
+
+// Texte traduit ; {nom} remplacé par params.nom (nombres mis en forme), count choisit le pluriel.
+// Clé absente de la langue choisie : texte français, puis la clé elle-même.
+export function t(key, params = {}) {
+  let message = CATALOGUES[locale][key] ?? CATALOGUES[FALLBACK][key] ?? key
+  if (typeof message === 'object') {
+    const rule = formatter('plural', () => new Intl.PluralRules(locale)).select(Number(params.count) || 0)
+    message = message[rule] ?? message.other
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name]
+    if (value === undefined || value === null) return match
+    return typeof value === 'number' ? formatNumber(value) : String(value)
+  })
+}
+
+// Texte de la clé dans chaque langue, formes du pluriel comprises (reconnaître une saisie)
+export function translations(key) {
+  return Object.values(CATALOGUES).flatMap((catalogue) => {
+    const message = catalogue[key]
+    if (message === undefined) return []
+    return typeof message === 'object' ? Object.values(message) : [message]
+  })
+}
+
+// Vrai si la clé existe (ex. libellé d'une catégorie inconnue : afficher la valeur brute)
+export function has(key) {
+  return key in CATALOGUES[locale] || key in CATALOGUES[FALLBACK]
+}
+
+export function formatNumber(value, options = {}) {
+  return formatter(`number:${JSON.stringify(options)}`, () => new Intl.NumberFormat(locale, options)).format(value)
+}
+
+export function formatMoney(value, currency = 'EUR') {
+  return formatNumber(value, { style: 'currency', currency })
+}
+
+// Distance en km ; en dessous d'un kilomètre, en mètres
+export function formatDistance(km, { maximumFractionDigits = 1 } = {}) {
+  if (km < 1 && maximumFractionDigits > 0) {
+    return formatNumber(Math.round(km * 1000), { style: 'unit', unit: 'meter', maximumFractionDigits: 0 })
+  }
+  return formatNumber(km, { style: 'unit', unit: 'kilometer', maximumFractionDigits })
+}
+
+// Les dates « AAAA-MM-JJ » (récolte, échéances) sont des jours locaux, pas minuit UTC
+function toDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00`)
+  return new Date(value)
+}
+
+export function formatDate(value, options = { dateStyle: 'medium' }) {
+  const date = toDate(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return formatter(`date:${JSON.stringify(options)}`, () => new Intl.DateTimeFormat(locale, options)).format(date)
+}
+
+export function formatDateTime(value) {
+  return formatDate(value, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// Liste « a, b et c »
+export function formatList(items) {
+  return formatter('list', () => new Intl.ListFormat(locale, { type: 'conjunction' })).format(items.map(String))
+}
+
+// Textes fixes d'index.html : data-i18n (contenu texte), data-i18n-placeholder,
+// data-i18n-title et data-i18n-aria-label (attributs)
+export function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((element) => {
+    element.textContent = t(element.dataset.i18n)
+  })
+  for (const attribute of ['placeholder', 'title', 'aria-label']) {
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+      element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)))
+    })
+  }
+}
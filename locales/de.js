@@ -0,0 +1,654 @@
+// Textes allemands ; clé absente : texte français (voir i18n.js).
+
+export default {
+  'location.precision.exact': 'Genauer Standort',
+  'location.precision.grid': 'Quadrat von etwa 1 km',
+  'location.precision.commune': 'Nur Gemeinde',
+  'location.error.unavailable': 'Standort nicht verfügbar: Geben Sie Ihre Gemeinde oder Postleitzahl an',
+  'location.error.unsupported': 'Standortbestimmung wird nicht unterstützt',
+  'location.error.ip': 'IP-Standortbestimmung: HTTP {status}',
+  'location.none': 'Kein Standort gespeichert',
+  'location.withAccuracy': '{place}, ±{accuracy}',
+  'location.approximateDistance': '≈ {distance} (±{uncertainty})',
+
+  'status.invalidTransition': '{name}: Wechsel von „{from}“ zu „{to}“ nicht möglich',
+  'status.product': 'Produkt',
+  'status.product.à venir': 'Demnächst',
+  'status.product.disponible': 'Verfügbar',
+  'status.product.indisponible': 'Zurückgezogen',
+  'status.product.vendu': 'Verkauft',
+  'status.product.expiré': 'Abgelaufen',
+  'status.order': 'Bestellung',
+  'status.order.en attente': 'Ausstehend',
+  'status.order.confirmée': 'Bestätigt',
+  'status.order.retirée': 'Abgeholt',
+  'status.order.refusée': 'Abgelehnt',
+  'status.order.annulée': 'Storniert',
+  'status.subscription.active': 'Aktiv',
+  'status.subscription.en pause': 'Pausiert',
+  'status.subscription.résilié': 'Gekündigt',
+  'status.online': 'Online',
+  'status.offline': 'Offline',
+
+  'unit.kg': { one: 'kg', other: 'kg' },
+  'unit.g': { one: 'g', other: 'g' },
+  'unit.pièce': { one: 'Stück', other: 'Stück' },
+  'unit.douzaine': { one: 'Dutzend', other: 'Dutzend' },
+  'unit.botte': { one: 'Bund', other: 'Bund' },
+  'unit.litre': { one: 'Liter', other: 'Liter' },
+  'unit.pot': { one: 'Glas', other: 'Gläser' },
+  'unit.name.botte': 'Bund',
+  'unit.name.pot': 'Glas',
+  'unit.name.kg': 'Kilogramm',
+  'unit.name.g': 'Gramm',
+  'unit.name.pièce': 'Stück',
+  'unit.name.douzaine': 'Dutzend',
+  'unit.name.litre': 'Liter',
+
+  'priceMode.unit': 'pro Einheit',
+  'priceMode.lot': 'für das ganze Los',
+
+  'category.fruits': 'Obst',
+  'category.vegetables': 'Gemüse',
+  'category.cereals': 'Getreide',
+  'category.pulses': 'Hülsenfrüchte',
+  'category.herbs': 'Kräuter',
+  'category.flowers': 'Blumen',
+  'category.eggs': 'Eier',
+  'category.dairy': 'Milchprodukte',
+  'category.honey': 'Honig',
+  'category.preserves': 'Konserven',
+  'category.other': 'Sonstiges',
+  'category.all': 'Alle Kategorien',
+
+  'error.invalidQuantity': 'Ungültige Menge',
+  'error.wholeQuantity': 'Ganze Menge erforderlich für die Einheit „{unit}“',
+  'error.unknownUnit': 'Unbekannte Einheit: {unit}',
+  'error.invalidPriceMode': 'Ungültige Preisart',
+  'error.invalidPrice': 'Ungültiger Preis',
+  'error.lotPriceNeedsQuantity': 'Ein Preis für das ganze Los erfordert eine Menge',
+  'error.productNotFound': 'Produkt nicht gefunden',
+  'error.productUnavailable': 'Produkt nicht verfügbar',
+  'error.insufficientStock': 'Nicht genug auf Lager',
+  'error.outOfStock': 'Ausverkauft',
+  'error.harvestExpired': 'Ernte abgelaufen',
+  'error.notAnImage': 'Keine Bilddatei',
+  'error.compressionFailed': 'Komprimierung nicht möglich',
+  'error.withdrawFailed': 'Dieses Los konnte nicht aus dem Verkauf genommen werden',
+  'error.orderNotFound': 'Bestellung nicht gefunden',
+  'error.recurrenceNotFound': 'Wiederkehrendes Los nicht gefunden',
+  'error.backupTooRecent': 'Sicherung stammt aus einer neueren Version der App',
+  'error.backupUnrecognized': 'Sicherungsdatei nicht erkannt',
+  'error.reportOwnReview': 'Die eigene Bewertung kann nicht gemeldet werden',
+  'error.reportOwnShopReview': 'Bewertungen des eigenen Hofladens können nicht gemeldet werden, auch nicht über ein anderes Profil dieses Geräts',
+  'error.reviewNotFound': 'Bewertung nicht gefunden',
+  'error.emptyReply': 'Leere Antwort',
+  'error.replyAlreadyPublished': 'Antwort bereits veröffentlicht',
+  'error.onlySellerReplies': 'Nur der Verkäufer kann antworten',
+  'error.orderAlreadyReviewed': 'Bestellung bereits bewertet',
+  'error.invalidRating': 'Ungültige Bewertung',
+  'error.reviewAfterPickup': 'Bewertung erst nach Abholung der Bestellung möglich',
+  'error.onlyBuyerReviews': 'Nur der Käufer kann bewerten',
+  'error.subscriptionNotFound': 'Abo nicht gefunden',
+  'error.subscribeOwnBasket': 'Den eigenen Korb kann man nicht abonnieren',
+  'error.notAllowed': 'Aktion nicht erlaubt',
+  'error.reserveOwnProduct': 'Das eigene Produkt kann nicht reserviert werden',
+  'error.profileNotFound': 'Profil nicht gefunden',
+  'error.wrongPin': 'Falsche PIN',
+  'error.pinLength': 'Die PIN muss 4 bis 8 Ziffern haben',
+
+  'price.lot': '{price} für das Los von {quantity}',
+  'price.perUnit': '{price} / {unit}',
+  'price.normalized': '{price}/{unit}',
+
+  'sync.error.http': 'Synchronisierung: HTTP {status}',
+  'sync.badge.failed': '⚠️ Senden fehlgeschlagen',
+  'sync.badge.retry': 'erneut versuchen',
+  'sync.badge.pending': '⏳ wartet auf Senden',
+  'sync.status.disabled': 'Synchronisierung deaktiviert: Die Daten bleiben auf diesem Gerät.',
+  'sync.status.error': 'Letzter Fehler: {error}',
+  'sync.status.last': 'Letzte Synchronisierung: {date}',
+  'sync.status.never': 'Noch nie synchronisiert',
+  'sync.outbox.empty': 'Keine Änderungen warten auf das Senden.',
+  'sync.outbox.count': { one: '{count} Änderung wartet', other: '{count} Änderungen warten' },
+  'sync.outbox.pending': '{pending}, {count} fehlgeschlagen.',
+
+  'notification.action.seller': 'Meine Lose verwalten',
+  'notification.action.viewOrder': 'Bestellung ansehen',
+  'notification.action.view': 'Produkt ansehen',
+  'notification.action.reserve': 'Reservieren',
+  'notification.action.muteSearch': 'Diesen Suchalarm ignorieren',
+  'notification.priceDrop': 'Preissenkung: {from} → {to}',
+  'notification.upcoming': 'Ernte am {date}: jetzt vorbestellen!',
+  'notification.newProduct': 'Neues Produkt verfügbar!',
+  'notification.match': '{name} - {price}, {distance} von Ihnen entfernt',
+
+  'farm.label.bio': 'Biologische Landwirtschaft',
+  'farm.label.hve': 'Hoher Umweltwert (HVE)',
+  'farm.label.raisonnee': 'Integrierte Landwirtschaft',
+  'farm.slot.from': '{day}: Beginn',
+  'farm.slot.to': '{day}: Ende',
+  'farm.pickup.empty': 'Keine Abholorte: Die Lose werden auf dem Hof abgeholt',
+  'farm.pickup.atFarm': 'Auf dem Hof',
+  'farm.slot.byAppointment': 'Nach Vereinbarung',
+  'farm.title': 'Mein Hof',
+  'farm.intro': 'Diese Angaben erscheinen auf Ihrer Schaufensterseite, die von jedem Ihrer Produkte aus erreichbar ist.',
+  'farm.name': 'Name des Hofs',
+  'farm.namePlaceholder': 'z. B. Hof zu den drei Eichen',
+  'farm.description': 'Vorstellung',
+  'farm.descriptionPlaceholder': 'Ihre Geschichte, Ihre Erzeugnisse...',
+  'farm.practices': 'Anbaumethoden',
+  'farm.practicesPlaceholder': 'z. B. Fruchtwechsel, keine Behandlung nach der Blüte',
+  'farm.labels': 'Siegel',
+  'farm.save': 'Schaufenster speichern',
+  'farm.pickupPoints': 'Abholorte',
+  'farm.pickup.name': 'Name',
+  'farm.pickup.namePlaceholder': 'z. B. Wochenmarkt, Solawi im Viertel',
+  'farm.pickup.address': 'Adresse',
+  'farm.pickup.addressPlaceholder': 'Adresse oder Orientierungspunkt',
+  'farm.pickup.useLocation': 'Ich bin vor Ort: meinen Standort verwenden',
+  'farm.pickup.slots': 'Wöchentliche Zeitfenster',
+  'farm.pickup.save': 'Abholort speichern',
+
+  'recurrence.weekly': 'Jede Woche',
+  'recurrence.everyDays': { one: 'Jeden Tag', other: 'Alle {count} Tage' },
+  'recurrence.season': '{every}, von {from} bis {to}',
+  'recurrence.empty': 'Keine wiederkehrenden Lose: Aktivieren Sie „Automatisch neu veröffentlichen“ beim Veröffentlichen eines Loses',
+  'recurrence.rule': 'Rhythmus',
+  'recurrence.nextPublication': 'Nächste Veröffentlichung',
+  'recurrence.subscribers': 'Abonnenten',
+  'recurrence.reserved': '{count} ({reserved} / {quantity} reserviert)',
+  'recurrence.pause': '⏸ Pausieren',
+  'recurrence.resume': '▶ Fortsetzen',
+
+  'import.column.name': 'Name',
+  'import.column.category': 'Kategorie',
+  'import.column.description': 'Beschreibung',
+  'import.column.quantity': 'Menge',
+  'import.column.unit': 'Einheit',
+  'import.column.price': 'Preis (€)',
+  'import.column.priceMode': 'Preis für',
+  'import.column.harvestDate': 'Erntedatum',
+  'import.column.freshnessDays': 'Frische (Tage)',
+  'import.error.empty': 'Feld „{column}“ leer',
+  'import.error.category': 'unbekannte Kategorie „{value}“',
+  'import.error.unit': 'unbekannte Einheit „{value}“',
+  'import.error.quantity': 'ungültige Menge',
+  'import.error.price': 'ungültiger Preis',
+  'import.error.harvestDate': 'ungültiges Erntedatum (JJJJ-MM-TT oder TT/MM/JJJJ)',
+  'import.error.freshness': 'ungültige Frische',
+  'import.ignore': '— Ignorieren —',
+  'import.columnNumber': 'Spalte {index}',
+  'import.lineErrors': 'Zeile {line}: {errors}',
+  'import.summary': { one: '{count} gültiges Los von {total}', other: '{count} gültige Lose von {total}' },
+  'import.skipped': { one: '{count} Zeile übersprungen:', other: '{count} Zeilen übersprungen:' },
+  'import.title': 'Lose importieren (CSV)',
+  'import.intro': 'Eine Zeile pro Los. Trennzeichen „;“, „,“ oder Tabulator; Datumsangaben im Format JJJJ-MM-TT oder TT/MM/JJJJ.',
+  'import.file': 'CSV-Datei',
+  'import.mapping': 'Spaltenzuordnung',
+  'import.notify': 'Suchaufträge der Käufer benachrichtigen',
+  'import.submit': '📥 Gültige Lose importieren',
+
+  'map.offline': 'Kartenhintergrund offline nicht verfügbar',
+  'map.local': 'Offline-Hintergrund: Online-Kacheln in den Einstellungen deaktiviert',
+  'map.attribution': '© OpenStreetMap-Mitwirkende',
+  'map.noLocation': 'Standort unbekannt: Karte kann nicht angezeigt werden',
+  'map.zoomIn': 'Vergrößern',
+  'map.zoomOut': 'Verkleinern',
+  'map.pin': { one: '{name} — {count} Los', other: '{name} — {count} Lose' },
+
+  'notify.setupError': 'Fehler bei der Einrichtung',
+  'notify.switchProfileError': 'Fehler beim Profilwechsel',
+  'notify.locationError': 'Standortfehler',
+  'notify.pageNotFound': 'Seite nicht gefunden',
+  'notify.chooseProfile': 'Wählen oder erstellen Sie ein Profil',
+  'notify.sectionUnavailable': 'Dieser Bereich ist für Ihr Profil nicht verfügbar',
+  'notify.unknownCommune': 'Gemeinde im Offline-Verzeichnis nicht gefunden',
+  'notify.locating': 'Standort wird ermittelt …',
+  'notify.profileUpdated': 'Profil aktualisiert',
+  'notify.unlockToEdit': 'Entsperren Sie dieses Profil, um es zu bearbeiten',
+  'notify.unlockToDelete': 'Entsperren Sie dieses Profil, um es zu löschen',
+  'notify.profileDeleted': 'Profil gelöscht',
+  'notify.deleteError': 'Fehler beim Löschen',
+  'notify.userRequired': 'Benutzerprofil erforderlich',
+  'notify.productAdded': 'Produkt hinzugefügt, Benachrichtigungen gesendet!',
+  'notify.productAddError': 'Fehler beim Hinzufügen des Produkts',
+  'notify.farmSaved': 'Schaufenster gespeichert',
+  'notify.farmSaveError': 'Fehler beim Speichern des Schaufensters',
+  'notify.pickupSaved': 'Abholort gespeichert',
+  'notify.pickupSaveError': 'Fehler beim Speichern des Abholorts',
+  'notify.pickupDeleted': 'Abholort gelöscht',
+  'notify.locationSaved': 'Standorteinstellungen gespeichert',
+  'notify.recurrenceResumed': 'Wiederkehrendes Los fortgesetzt',
+  'notify.recurrencePaused': 'Wiederkehrendes Los pausiert',
+  'notify.updateError': 'Fehler beim Aktualisieren',
+  'notify.recurrenceDeleted': 'Wiederkehrendes Los gelöscht',
+  'notify.subscriptionError': 'Abo-Fehler',
+  'notify.deliverySkipped': 'Lieferung ausgelassen',
+  'notify.deliveryRestored': 'Lieferung wiederhergestellt',
+  'notify.reviewThanks': 'Danke für Ihre Bewertung!',
+  'notify.reviewError': 'Fehler beim Speichern der Bewertung',
+  'notify.replyPublished': 'Antwort veröffentlicht',
+  'notify.replyError': 'Fehler bei der Antwort',
+  'notify.reviewReportedHidden': 'Bewertung gemeldet und ausgeblendet',
+  'notify.reviewReported': 'Bewertung gemeldet, danke',
+  'notify.reportError': 'Fehler beim Melden',
+  'notify.searchSaved': 'Suche gespeichert! Sie erhalten Benachrichtigungen.',
+  'notify.saveError': 'Fehler beim Speichern',
+  'notify.invalidTileTemplate': 'Ungültige Vorlage: {z}, {x} und {y} sind erforderlich',
+  'notify.mapSaved': 'Kartenhintergrund gespeichert',
+  'notify.noChanges': 'Keine Änderungen',
+  'notify.productEdited': 'Produkt geändert',
+  'notify.editError': 'Fehler beim Ändern',
+  'notify.productDuplicated': 'Los dupliziert: prüfen und veröffentlichen',
+  'notify.productUpdated': 'Produkt aktualisiert',
+  'notify.searchMuted': 'Suchalarm ignoriert',
+  'notify.searchUnmuted': 'Suchalarm reaktiviert',
+  'notify.searchUpdateError': 'Fehler beim Aktualisieren des Suchalarms',
+  'notify.searchDeleted': 'Suche gelöscht',
+  'notify.ownProduct': 'Das ist Ihr eigenes Produkt',
+  'notify.conversationError': 'Fehler beim Öffnen der Unterhaltung',
+  'notify.sendError': 'Fehler beim Senden',
+  'notify.reservationSent': 'Reservierungsanfrage gesendet',
+  'notify.reservationError': 'Fehler bei der Reservierung',
+  'notify.orderUpdateError': 'Fehler beim Aktualisieren der Bestellung',
+  'notify.retrying': 'Neuer Sendeversuch',
+  'notify.syncUnavailable': 'Synchronisierung nicht eingerichtet oder offline',
+  'notify.syncError': 'Synchronisierungsfehler',
+  'notify.invalidUrl': 'Ungültige Adresse (http:// oder https://)',
+  'notify.syncSaved': 'Synchronisierungsserver gespeichert',
+  'notify.syncDisabled': 'Synchronisierung deaktiviert',
+  'notify.backupDownloaded': 'Sicherung heruntergeladen',
+  'notify.exportError': 'Fehler beim Export',
+  'notify.restoreError': 'Fehler bei der Wiederherstellung',
+  'notify.emptyFile': 'Datei leer oder ohne Datenzeilen',
+  'notify.unreadableCsv': 'CSV-Datei nicht lesbar',
+  'notify.importError': 'Fehler beim Import der Lose',
+  'notify.installed': 'App installiert!',
+  'notify.online': 'Verbindung wiederhergestellt',
+  'notify.offline': 'Offline-Modus',
+  'notify.syncFailed': { one: '{count} Änderung konnte nicht gesendet werden', other: '{count} Änderungen konnten nicht gesendet werden' },
+  'notify.welcome': 'Willkommen, {name}!',
+  'notify.hello': 'Hallo {name}!',
+  'notify.subscriptionsUnreserved': { one: '{count} Abo-Korb nicht reserviert: zu wenig auf Lager', other: '{count} Abo-Körbe nicht reserviert: zu wenig auf Lager' },
+  'notify.recurrencesPublished': { one: '{count} wiederkehrendes Los veröffentlicht', other: '{count} wiederkehrende Lose veröffentlicht' },
+  'notify.subscribed': 'Abonniert: {quantity} bei jeder Lieferung reserviert',
+  'notify.subscription.active': 'Abo fortgesetzt',
+  'notify.subscription.en pause': 'Abo pausiert',
+  'notify.subscription.résilié': 'Abo gekündigt',
+  'notify.bulkDone': { one: '{count} Los geändert', other: '{count} Lose geändert' },
+  'notify.bulkDoneWithErrors': '{done}, {count} fehlgeschlagen',
+  'notify.maxPhotos': 'Höchstens {count} Fotos pro Los',
+  'notify.photoIgnored': 'Foto übersprungen: {name}',
+  'notify.orderStatus': 'Bestellung {status}',
+  'notify.synced': { one: 'Synchronisiert: {count} Änderung empfangen', other: 'Synchronisiert: {count} Änderungen empfangen' },
+  'notify.restoredAdded': { one: '{count} Element hinzugefügt', other: '{count} Elemente hinzugefügt' },
+  'notify.restored': 'Sicherung wiederhergestellt: {added}, {count} aktualisiert',
+  'notify.imported': { one: '{count} Los importiert', other: '{count} Lose importiert' },
+
+  'setup.title.new': '👤 Neues Profil',
+  'setup.title.first': '🚀 Ersteinrichtung',
+  'setup.submit.new': 'Profil erstellen',
+  'setup.submit.first': 'Loslegen',
+  'setup.title.edit': '✏️ Profil bearbeiten',
+  'setup.intro': 'Richten wir Ihr Profil ein, damit Sie den lokalen Markt nutzen können',
+  'setup.name': 'Name/Spitzname',
+  'setup.namePlaceholder': 'Ihr Name',
+  'setup.type': 'Ich bin:',
+  'setup.choose': 'Bitte wählen...',
+  'setup.both': 'Beides',
+  'setup.commune': 'Gemeinde oder Postleitzahl (optional)',
+  'setup.communePlaceholder': 'z. B. 10115 Berlin',
+  'setup.communeHint': 'Ohne Eingabe wird der Gerätestandort mit der gewählten Genauigkeit verwendet.',
+  'setup.precision': 'Genauigkeit meines Standorts',
+  'setup.pin': 'PIN (optional)',
+  'setup.pinPlaceholder': '4 bis 8 Ziffern',
+  'setup.pinHint': 'Schützt dieses Profil auf einem gemeinsam genutzten Gerät.',
+  'setup.removePin': 'PIN entfernen',
+  'setup.refreshLocation': 'Meinen Standort aktualisieren',
+  'setup.locationTitle': '📍 Standort:',
+  'setup.locationInfo': 'Wir verwenden Ihren Standort, um Sie mit Erzeugern und Käufern in Ihrer Nähe zu verbinden. Er wird vor dem Teilen gerundet, und ohne Ihre Zustimmung wird kein Drittanbieter kontaktiert.',
+
+  'action.save': 'Speichern',
+  'action.edit': 'Bearbeiten',
+  'action.delete': 'Löschen',
+  'action.cancel': 'Abbrechen',
+
+  'profiles.empty': 'Keine Profile auf diesem Gerät',
+  'profiles.active': 'aktives Profil',
+  'profiles.use': 'Verwenden',
+  'profiles.title': '👥 Profile auf diesem Gerät',
+  'profiles.intro': 'Wechseln Sie die Identität, um die App auf dem Markt oder mit Partnern zu teilen.',
+  'profiles.pinOf': 'PIN von',
+  'profiles.unlock': 'Entsperren',
+  'profiles.new': '➕ Neues Profil',
+
+  'role.vendeur': 'Erzeuger/Verkäufer',
+  'role.acheteur': 'Käufer',
+  'role.both': 'Verkäufer und Käufer',
+
+  'seller.priceHint': 'Angezeigt: {price}',
+  'seller.noProducts': 'Sie haben noch keine Produkte hinzugefügt',
+  'seller.noProductsWithStatus': 'Keine Lose „{status}“',
+  'seller.select': 'Auswählen',
+  'seller.atFarm': 'auf dem Hof',
+  'seller.duplicate': 'Duplizieren',
+  'seller.markSold': 'Als verkauft markieren',
+  'seller.withdraw': 'Zurückziehen',
+  'seller.relist': 'Wieder anbieten',
+  'seller.history': 'Verlauf ({count})',
+  'seller.form.name': 'Produktname',
+  'seller.form.price': 'Preis (€)',
+  'seller.form.harvestDate': 'Erntedatum',
+  'seller.form.freshness': 'Angeboten für (Tage)',
+  'seller.form.pickup': 'Abholort',
+  'seller.form.notifyPriceDrop': 'Passende Suchalarme bei Preissenkung benachrichtigen',
+  'seller.selected': { one: '{count} Los ausgewählt', other: '{count} Lose ausgewählt' },
+  'seller.photoAlt': 'Foto {index}',
+  'seller.removePhoto': 'Entfernen',
+  'seller.title': '🌱 Erzeugerbereich',
+  'seller.addTitle': 'Neues Produkt hinzufügen',
+  'seller.form.productName': 'Produktname',
+  'seller.form.namePlaceholder': 'z. B. Kirschtomaten',
+  'seller.form.choose': 'Auswählen...',
+  'seller.form.descriptionPlaceholder': 'Beschreiben Sie Ihr Produkt, die Anbaumethode usw.',
+  'seller.form.priceEuro': 'Preis (€)',
+  'seller.form.priceMode': 'Dieser Preis gilt',
+  'seller.form.priceLot': 'für das ganze Los',
+  'seller.form.plannedHarvest': 'Geplantes Erntedatum',
+  'seller.form.freshnessDays': 'Angeboten für (Tage nach der Ernte)',
+  'seller.form.photos': 'Fotos (höchstens 6)',
+  'seller.form.takePhoto': '📷 Foto aufnehmen',
+  'seller.recurrence.title': '🔁 Automatisch neu veröffentlichen',
+  'seller.recurrence.enable': 'Wiederkehrendes Los: Zu jedem Termin wird ein neues Los veröffentlicht',
+  'seller.recurrence.frequency': 'Häufigkeit',
+  'seller.recurrence.weekly': 'Jede Woche',
+  'seller.recurrence.interval': 'Alle N Tage',
+  'seller.recurrence.days': 'Anzahl der Tage',
+  'seller.recurrence.seasonFrom': 'Saison: von',
+  'seller.recurrence.allYear': 'Ganzjährig',
+  'seller.recurrence.seasonTo': 'bis',
+  'seller.publish': '📢 Veröffentlichen und benachrichtigen',
+  'seller.myProducts': 'Meine Produkte',
+  'seller.filter.all': 'Alle',
+  'seller.filter.à venir': 'Demnächst',
+  'seller.filter.disponible': 'Verfügbar',
+  'seller.filter.indisponible': 'Zurückgezogen',
+  'seller.filter.vendu': 'Verkauft',
+  'seller.filter.expiré': 'Abgelaufen',
+  'seller.selectAll': 'Alle auswählen',
+  'seller.bulk.withdraw': 'Zurückziehen',
+  'seller.bulk.priceValue': 'Preis oder Änderung',
+  'seller.bulk.priceMode': 'Art der Preisänderung',
+  'seller.bulk.newPrice': '€ (neuer Preis)',
+  'seller.bulk.percent': '% Änderung',
+  'seller.bulk.changePrice': 'Preis ändern',
+  'seller.bulk.postpone': 'Ernte verschieben (Tage)',
+  'seller.bulk.notify': 'Suchaufträge bei Preissenkung benachrichtigen',
+  'seller.recurrences': 'Wiederkehrende Lose und Abonnenten',
+  'seller.reviews': 'Meine Bewertungen',
+
+  'subscription.offers': 'Abo-Körbe',
+  'subscription.nextLot': 'nächstes Los am {date}',
+  'subscription.quantity': 'Menge pro Lieferung',
+  'subscription.subscribe': '🔁 Abonnieren',
+  'subscription.empty': 'Keine Abos: Abonnieren Sie im Schaufenster eines Erzeugers',
+  'subscription.discontinued': 'Dieses Los wird nicht mehr angeboten',
+  'subscription.pausedBySeller': 'vom Erzeuger pausiert',
+  'subscription.nextDelivery': 'Nächste Lieferung',
+  'subscription.skipped': 'ausgelassen',
+  'subscription.pause': '⏸ Pause',
+  'subscription.unskip': 'Nicht mehr auslassen',
+  'subscription.skip': 'Nächste auslassen',
+  'subscription.cancel': 'Kündigen',
+
+  'field.quantity': 'Menge',
+  'field.seller': 'Verkäufer',
+  'field.buyer': 'Käufer',
+  'field.name': 'Name',
+  'field.category': 'Kategorie',
+  'field.description': 'Beschreibung',
+  'field.unit': 'Einheit',
+  'field.price': 'Preis',
+  'field.unitPrice': 'Stückpreis',
+  'field.harvest': 'Ernte',
+  'field.freshnessDays': 'Frische (Tage)',
+  'field.pickup': 'Abholung',
+  'field.availableUntil': 'Angeboten bis',
+  'field.status': 'Status',
+
+  'review.stars': '{rating} von 5',
+  'review.count': { one: '{count} Bewertung', other: '{count} Bewertungen' },
+  'review.sellerReply': 'Antwort des Erzeugers:',
+  'review.replyPlaceholder': 'Antworten (nur einmal)',
+  'review.reply': 'Antworten',
+  'review.reported': 'Sie haben diese Bewertung gemeldet',
+  'review.report': 'Melden',
+  'review.empty': 'Noch keine Bewertungen',
+  'review.noScore': 'Noch keine Bewertung',
+  'review.yours': 'Ihre Bewertung:',
+  'review.write': '⭐ Bewerten',
+  'review.formTitle': 'Bewertung abgeben',
+  'review.rating': 'Bewertung',
+  'review.rating.5': 'Ausgezeichnet',
+  'review.rating.4': 'Sehr gut',
+  'review.rating.3': 'In Ordnung',
+  'review.rating.2': 'Enttäuschend',
+  'review.rating.1': 'Schlecht',
+  'review.comment': 'Kommentar',
+  'review.commentPlaceholder': 'Qualität, Empfang, Pünktlichkeit bei der Abholung...',
+  'review.publish': 'Veröffentlichen',
+
+  'storefront.defaultName': 'Erzeuger',
+  'storefront.runBy': 'Geführt von {name}',
+  'storefront.noDescription': 'Dieser Erzeuger hat seinen Hof noch nicht vorgestellt',
+  'storefront.practices': 'Anbaumethoden',
+  'storefront.pickupPoints': 'Abholorte',
+  'storefront.pickupAtFarm': 'Abholung auf dem Hof, nach Absprache per Nachricht',
+  'storefront.lots': 'Aktuelle Lose ({count})',
+  'storefront.noLots': 'Derzeit keine Lose im Angebot',
+  'storefront.reviews': 'Kundenbewertungen',
+
+  'products.count': { one: '{count} Produkt', other: '{count} Produkte' },
+  'products.empty': 'Keine Produkte verfügbar',
+  'products.title': '🛒 Verfügbare Produkte',
+  'products.searchPlaceholder': 'Produkt suchen...',
+  'products.search': 'Produkt suchen',
+  'products.moreFilters': 'Weitere Filter',
+  'products.maxDistance': 'Maximale Entfernung',
+  'products.anyDistance': 'Jede Entfernung',
+  'products.minPrice': 'Mindestpreis (€/Einheit)',
+  'products.maxPrice': 'Höchstpreis (€/Einheit)',
+  'products.harvestFrom': 'Ernte vom',
+  'products.harvestTo': 'bis',
+  'products.anyUnit': 'Alle Einheiten',
+  'products.unit.weight': 'Gewicht (€/kg)',
+  'products.unit.piece': 'Pro Stück (€/Stück)',
+  'products.unit.volume': 'Volumen (€/Liter)',
+  'products.sortBy': 'Sortieren nach',
+  'products.sort.newest': 'Neueste',
+  'products.sort.distance': 'Entfernung',
+  'products.sort.price': 'Preis',
+  'products.sort.freshness': 'Frische',
+  'products.upcoming': 'Bevorstehende Ernten',
+  'products.reset': 'Zurücksetzen',
+  'products.mode.list': '📋 Liste',
+  'products.mode.map': '🗺️ Karte',
+
+  'buyer.empty': 'Keine gespeicherten Suchen',
+  'buyer.keywords': 'Stichwörter',
+  'buyer.noKeywords': 'Keine',
+  'buyer.radius': 'Umkreis',
+  'buyer.maxPrice': 'Höchstpreis',
+  'buyer.noLimit': 'Keine Grenze',
+  'buyer.anyUnit': '{price} pro kg, pro Stück …',
+  'buyer.createdAt': 'Erstellt am',
+  'buyer.noMatches': 'Noch keine passenden Produkte',
+  'buyer.matches': { one: '{count} passendes Produkt', other: '{count} passende Produkte' },
+  'buyer.match': '{name} — {price}, {distance} entfernt ({date})',
+  'buyer.unmute': '🔔 Reaktivieren',
+  'buyer.mute': '🔕 Ignorieren',
+  'buyer.title': '🔍 Käuferbereich',
+  'buyer.createTitle': 'Suchauftrag erstellen',
+  'buyer.intro': 'Erhalten Sie Benachrichtigungen, wenn neue Produkte Ihren Kriterien entsprechen',
+  'buyer.form.category': 'Gesuchte Kategorie',
+  'buyer.form.radius': 'Suchradius (km)',
+  'buyer.form.keywords': 'Stichwörter (optional)',
+  'buyer.form.keywordsPlaceholder': 'bio, regional, frisch...',
+  'buyer.form.maxPrice': 'Höchstpreis (€, optional)',
+  'buyer.form.unit': 'Pro Einheit',
+  'buyer.form.anyUnit': 'Alle Einheiten (Preis pro kg, pro Stück…)',
+  'buyer.form.submit': '🔔 Suchauftrag erstellen',
+  'buyer.active': 'Meine aktiven Suchaufträge',
+
+  'analytics.lots': 'Veröffentlichte Lose',
+  'analytics.views': 'Aufrufe',
+  'analytics.contacts': 'Kontakte',
+  'analytics.medianSale': 'Mittlere Verkaufsdauer',
+  'analytics.byLot': 'Aufrufe und Kontakte pro Los',
+  'analytics.noViews': 'Noch keine Aufrufe',
+  'analytics.outcome': 'Verkauft oder abgelaufen',
+  'analytics.noOutcome': 'Kein Los verkauft oder abgelaufen',
+  'analytics.sold': 'Verkauft',
+  'analytics.expired': 'Abgelaufen',
+  'analytics.soldRatio': 'Verkaufte Lose: {ratio}',
+  'analytics.saleDelays': 'Verkaufsdauer der letzten Lose',
+  'analytics.noSales': 'Kein Los verkauft',
+  'analytics.saleDelaysTitle': 'Zeit zwischen Veröffentlichung und Verkauf',
+  'analytics.demand': 'Lokale Nachfrage',
+  'analytics.noLocation': 'Standort unbekannt: Geben Sie Ihre Gemeinde im Profil an',
+  'analytics.noDemand': 'Noch kein Suchalarm eines Käufers erreicht Sie',
+  'analytics.byCategory': 'Nach Kategorie',
+  'analytics.byCategoryTitle': 'Suchalarme nach Kategorie',
+  'analytics.topKeywords': 'Meistgesuchte Stichwörter',
+  'analytics.byKeywordTitle': 'Suchalarme nach Stichwort',
+  'analytics.alerts': 'Suchalarme',
+  'analytics.demandCount': { one: '{count} Suchalarm, dessen Umkreis Ihren Hof einschließt', other: '{count} Suchalarme, deren Umkreis Ihren Hof einschließt' },
+
+  'product.approximateDistance': 'Ungefähre Entfernung: Standorte gerundet',
+  'product.distance': '{distance} entfernt',
+  'product.upcoming': 'Demnächst — Ernte am {date}',
+  'product.recurring': '🔁 Wiederkehrendes Los: abonnieren',
+  'product.expectedHarvest': 'Geplante Ernte',
+  'product.preorder': 'Vorbestellen',
+  'product.contact': 'Kontaktieren',
+  'product.photoAlt': '{name} — Foto {index}',
+
+  'messages.empty': 'Noch keine Unterhaltungen',
+  'messages.first': 'Schreiben Sie Ihre erste Nachricht',
+  'messages.reservation': '📦 Reservierungsanfrage:',
+  'messages.reservationStatus': 'Status: {status}',
+  'messages.title': '💬 Meine Unterhaltungen',
+  'messages.back': '← Unterhaltungen',
+  'messages.body': 'Ihre Nachricht',
+  'messages.bodyPlaceholder': 'Hallo, ist dieses Produkt noch verfügbar?',
+  'messages.send': 'Senden',
+
+  'order.action.confirmée': 'Bestätigen',
+  'order.action.refusée': 'Ablehnen',
+  'order.action.retirée': 'Als abgeholt markieren',
+  'order.action.annulée': 'Stornieren',
+  'order.preorder': 'Vorbestellung — Ernte am {date}',
+  'order.note': 'Notiz',
+  'order.createdAt': 'Erstellt am {date}',
+  'order.history': 'Verlauf',
+  'order.noPurchases': 'Keine Reservierungen',
+  'order.noSales': 'Keine Bestellungen erhalten',
+  'order.conversation': 'Unterhaltung',
+
+  'settings.sharedLocation': 'Geteilter Standort: {location}',
+  'settings.sync.title': 'Synchronisierung zwischen Geräten',
+  'settings.sync.intro': 'Teilen Sie Angebote, Suchaufträge und Nachrichten über einen gemeinsamen Server mit anderen Nutzern.',
+  'settings.sync.url': 'Serveradresse',
+  'settings.sync.save': 'Speichern und synchronisieren',
+  'settings.location.title': 'Standort-Datenschutz',
+  'settings.location.intro': 'Ihr Standort wird gerundet, bevor er gespeichert und mit Ihren Angeboten und Suchaufträgen geteilt wird.',
+  'settings.location.precision': 'Geteilte Genauigkeit',
+  'settings.location.commune': 'Meine Gemeinde festlegen (optional)',
+  'settings.location.refresh': 'Mit dem Gerätestandort neu orten',
+  'settings.location.allowIp': 'Wenn GPS fehlschlägt, Ortung über die IP-Adresse erlauben (Drittanbieter ipapi.co)',
+  'settings.data.title': 'Meine Daten',
+  'settings.data.intro': 'Exportieren Sie Ihre Daten, um sie in einer Tabellenkalkulation weiterzuverwenden oder sicher aufzubewahren.',
+  'settings.map.title': 'Kartenhintergrund',
+  'settings.map.intro': 'Standardmäßig zeigt die Karte nur einen Offline-Hintergrund: Ohne Ihre Zustimmung werden keine Kacheln von einem Drittserver geladen. Adresse leer lassen, um OpenStreetMap zu verwenden.',
+  'settings.map.tileUrl': 'Adressvorlage der Kacheln',
+  'settings.map.attribution': 'Quellenangabe',
+  'settings.map.remote': 'Kacheln von diesem Server laden (Drittdienst: er erhält den angezeigten Bereich)',
+  'settings.language.title': 'Sprache',
+  'settings.language.label': 'Sprache der App',
+  'settings.language.hint': 'Datumsangaben, Beträge und Entfernungen richten sich ebenfalls nach der gewählten Sprache.',
+
+  'export.radius': 'Umkreis (km)',
+  'export.maxPrice': 'Höchstpreis (€)',
+  'export.field': 'Feld',
+  'export.value': 'Wert',
+  'export.products.csv': 'Meine Produkte (CSV)',
+  'export.products.json': 'Meine Produkte (JSON)',
+  'export.searches.csv': 'Meine Suchaufträge (CSV)',
+  'export.searches.json': 'Meine Suchaufträge (JSON)',
+  'export.profile.csv': 'Mein Profil (CSV)',
+  'export.profile.json': 'Mein Profil (JSON)',
+  'export.backup': '💾 Vollständige Sicherung',
+
+  'restore.unreadableJson': 'JSON-Datei nicht lesbar',
+  'restore.failed': 'Wiederherstellung nicht möglich: {message}',
+  'restore.title': 'Sicherung wiederherstellen',
+  'restore.hint': 'Die Wiederherstellung führt zusammen: Nichts wird doppelt angelegt, die neueste Version jedes Elements bleibt erhalten. Fotos sind nicht Teil der Sicherung.',
+
+  'lifecycle.expiring': 'Los läuft bald ab',
+  'lifecycle.expiringBody': '{name} wird nach dem {date} nicht mehr angeboten',
+
+  'header.testNotifications': 'Test-Benachrichtigungen',
+  'header.install': '📱 Installieren',
+
+  'nav.home': '🏠 Start',
+  'nav.products': '🛒 Produkte',
+  'nav.seller': '🌱 Verkaufen',
+  'nav.analytics': '📊 Übersicht',
+  'nav.buyer': '🔍 Kaufen',
+  'nav.orders': '📦 Bestellungen',
+  'nav.messages': '💬 Nachrichten',
+  'nav.settings': '⚙️ Einstellungen',
+  'nav.label': 'Bereiche des Markts',
+
+  'home.welcome': 'Willkommen auf Ihrem lokalen Markt! 🌾',
+  'home.intro': 'Bringen Sie Erzeuger und Käufer in Ihrer Region zusammen',
+  'home.products': 'Verfügbare Produkte',
+  'home.sellers': 'Aktive Erzeuger',
+  'home.categories': 'Kategorien',
+  'home.quickActions': 'Schnellzugriff',
+  'home.browse': '🛒 Produkte ansehen',
+  'home.addProduct': '🌱 Produkt hinzufügen',
+  'home.createAlert': '🔔 Suchauftrag erstellen',
+
+  'orders.title': '📦 Meine Bestellungen',
+  'orders.purchases': 'Meine Reservierungen',
+  'orders.subscriptions': 'Meine Abonnements',
+  'orders.sales': 'Eingegangene Bestellungen',
+
+  'reservation.title': '📦 Einen Teil des Loses reservieren',
+  'reservation.quantity': 'Gewünschte Menge',
+  'reservation.note': 'Notiz (optional)',
+  'reservation.notePlaceholder': 'Abholung Samstagvormittag',
+  'reservation.submit': 'Reservierung anfragen',
+
+  'footer.tagline': '- Erzeuger und Verbraucher verbinden',
+  'footer.offline': 'Offline-App - Daten werden lokal gespeichert',
+
+  'chart.value': '{label}: {value}',
+  'chart.share': '{label}: {value} ({share})',
+
+  'toast.region': 'Benachrichtigungen',
+  'toast.dismiss': 'Benachrichtigung schließen',
+
+  'validation.required': 'Dieses Feld ist erforderlich.',
+  'validation.choose': 'Bitte wählen Sie eine Option.',
+  'validation.url': 'Geben Sie eine vollständige Webadresse ein (https://…).',
+  'validation.type': 'Ungültiges Format.',
+  'validation.pattern': 'Ungültiges Format.',
+  'validation.number': 'Geben Sie eine Zahl ein.',
+  'validation.min': 'Der Wert muss mindestens {min} betragen.',
+  'validation.max': 'Der Wert darf höchstens {max} betragen.',
+  'validation.step': 'Der Wert muss ein Vielfaches von {step} sein.',
+  'validation.tooLong': { one: 'Höchstens {count} Zeichen.', other: 'Höchstens {count} Zeichen.' }
+}
@@ -0,0 +1,654 @@
+// Textes anglais ; clé absente : texte français (voir i18n.js).
+
+export default {
+  'location.precision.exact': 'Exact location',
+  'location.precision.grid': 'Square of about 1 km',
+  'location.precision.commune': 'Municipality only',
+  'location.error.unavailable': 'Location unavailable: enter your town or postcode',
+  'location.error.unsupported': 'Geolocation is not supported',
+  'location.error.ip': 'IP location: HTTP {status}',
+  'location.none': 'No location saved',
+  'location.withAccuracy': '{place}, ±{accuracy}',
+  'location.approximateDistance': '≈ {distance} (±{uncertainty})',
+
+  'status.invalidTransition': '{name}: cannot change from “{from}” to “{to}”',
+  'status.product': 'Product',
+  'status.product.à venir': 'Upcoming',
+  'status.product.disponible': 'Available',
+  'status.product.indisponible': 'Withdrawn',
+  'status.product.vendu': 'Sold',
+  'status.product.expiré': 'Expired',
+  'status.order': 'Order',
+  'status.order.en attente': 'Pending',
+  'status.order.confirmée': 'Confirmed',
+  'status.order.retirée': 'Collected',
+  'status.order.refusée': 'Declined',
+  'status.order.annulée': 'Cancelled',
+  'status.subscription.active': 'Active',
+  'status.subscription.en pause': 'Paused',
+  'status.subscription.résilié': 'Cancelled',
+  'status.online': 'Online',
+  'status.offline': 'Offline',
+
+  'unit.kg': { one: 'kg', other: 'kg' },
+  'unit.g': { one: 'g', other: 'g' },
+  'unit.pièce': { one: 'piece', other: 'pieces' },
+  'unit.douzaine': { one: 'dozen', other: 'dozen' },
+  'unit.botte': { one: 'bunch', other: 'bunches' },
+  'unit.litre': { one: 'litre', other: 'litres' },
+  'unit.pot': { one: 'jar', other: 'jars' },
+  'unit.name.botte': 'Bunch',
+  'unit.name.pot': 'Jar',
+  'unit.name.kg': 'Kilogram',
+  'unit.name.g': 'Gram',
+  'unit.name.pièce': 'Piece',
+  'unit.name.douzaine': 'Dozen',
+  'unit.name.litre': 'Litre',
+
+  'priceMode.unit': 'per unit',
+  'priceMode.lot': 'for the whole lot',
+
+  'category.fruits': 'Fruit',
+  'category.vegetables': 'Vegetables',
+  'category.cereals': 'Cereals',
+  'category.pulses': 'Pulses',
+  'category.herbs': 'Herbs',
+  'category.flowers': 'Flowers',
+  'category.eggs': 'Eggs',
+  'category.dairy': 'Dairy',
+  'category.honey': 'Honey',
+  'category.preserves': 'Preserves',
+  'category.other': 'Other',
+  'category.all': 'All categories',
+
+  'error.invalidQuantity': 'Invalid quantity',
+  'error.wholeQuantity': 'Whole quantity required for the unit “{unit}”',
+  'error.unknownUnit': 'Unknown unit: {unit}',
+  'error.invalidPriceMode': 'Invalid pricing mode',
+  'error.invalidPrice': 'Invalid price',
+  'error.lotPriceNeedsQuantity': 'A price for the whole lot requires a quantity',
+  'error.productNotFound': 'Product not found',
+  'error.productUnavailable': 'Product not available',
+  'error.insufficientStock': 'Not enough stock',
+  'error.outOfStock': 'Out of stock',
+  'error.harvestExpired': 'Harvest expired',
+  'error.notAnImage': 'Not an image file',
+  'error.compressionFailed': 'Could not compress the image',
+  'error.withdrawFailed': 'This lot could not be withdrawn from sale',
+  'error.orderNotFound': 'Order not found',
+  'error.recurrenceNotFound': 'Recurring lot not found',
+  'error.backupTooRecent': 'Backup created by a newer version of the app',
+  'error.backupUnrecognized': 'Backup file not recognised',
+  'error.reportOwnReview': 'You cannot report your own review',
+  'error.reportOwnShopReview': 'You cannot report a review of your own shop, even from another profile on this device',
+  'error.reviewNotFound': 'Review not found',
+  'error.emptyReply': 'Empty reply',
+  'error.replyAlreadyPublished': 'Reply already published',
+  'error.onlySellerReplies': 'Only the seller can reply',
+  'error.orderAlreadyReviewed': 'Order already reviewed',
+  'error.invalidRating': 'Invalid rating',
+  'error.reviewAfterPickup': 'You can review once the order is collected',
+  'error.onlyBuyerReviews': 'Only the buyer can leave a review',
+  'error.subscriptionNotFound': 'Subscription not found',
+  'error.subscribeOwnBasket': 'You cannot subscribe to your own basket',
+  'error.notAllowed': 'Action not allowed',
+  'error.reserveOwnProduct': 'You cannot reserve your own product',
+  'error.profileNotFound': 'Profile not found',
+  'error.wrongPin': 'Wrong PIN',
+  'error.pinLength': 'The PIN must have 4 to 8 digits',
+
+  'price.lot': '{price} for the lot of {quantity}',
+  'price.perUnit': '{price} / {unit}',
+  'price.normalized': '{price}/{unit}',
+
+  'sync.error.http': 'Sync: HTTP {status}',
+  'sync.badge.failed': '⚠️ failed to send',
+  'sync.badge.retry': 'retry',
+  'sync.badge.pending': '⏳ waiting to send',
+  'sync.status.disabled': 'Sync disabled: data stays on this device.',
+  'sync.status.error': 'Last error: {error}',
+  'sync.status.last': 'Last synced: {date}',
+  'sync.status.never': 'Never synced',
+  'sync.outbox.empty': 'No changes waiting to be sent.',
+  'sync.outbox.count': { one: '{count} change waiting', other: '{count} changes waiting' },
+  'sync.outbox.pending': '{pending}, {count} failed.',
+
+  'notification.action.seller': 'Manage my lots',
+  'notification.action.viewOrder': 'View order',
+  'notification.action.view': 'View product',
+  'notification.action.reserve': 'Reserve',
+  'notification.action.muteSearch': 'Ignore this alert',
+  'notification.priceDrop': 'Price drop: {from} → {to}',
+  'notification.upcoming': 'Harvest due on {date}: pre-order now!',
+  'notification.newProduct': 'New product available!',
+  'notification.match': '{name} - {price}, {distance} from you',
+
+  'farm.label.bio': 'Organic farming',
+  'farm.label.hve': 'High Environmental Value (HVE)',
+  'farm.label.raisonnee': 'Integrated farming',
+  'farm.slot.from': '{day}: from',
+  'farm.slot.to': '{day}: to',
+  'farm.pickup.empty': 'No pickup points: lots are collected at the farm',
+  'farm.pickup.atFarm': 'At the farm',
+  'farm.slot.byAppointment': 'By appointment',
+  'farm.title': 'My farm',
+  'farm.intro': 'This information appears on your storefront, reachable from each of your products.',
+  'farm.name': 'Farm name',
+  'farm.namePlaceholder': 'e.g. Three Oaks Farm',
+  'farm.description': 'About',
+  'farm.descriptionPlaceholder': 'Your story, your produce...',
+  'farm.practices': 'Growing practices',
+  'farm.practicesPlaceholder': 'e.g. crop rotation, no treatment after flowering',
+  'farm.labels': 'Labels',
+  'farm.save': 'Save storefront',
+  'farm.pickupPoints': 'Pickup points',
+  'farm.pickup.name': 'Name',
+  'farm.pickup.namePlaceholder': 'e.g. Town square market, neighbourhood food co-op',
+  'farm.pickup.address': 'Address',
+  'farm.pickup.addressPlaceholder': 'Address or landmark',
+  'farm.pickup.useLocation': "I'm on site: use my location",
+  'farm.pickup.slots': 'Weekly time slots',
+  'farm.pickup.save': 'Save pickup point',
+
+  'recurrence.weekly': 'Every week',
+  'recurrence.everyDays': { one: 'Every day', other: 'Every {count} days' },
+  'recurrence.season': '{every}, from {from} to {to}',
+  'recurrence.empty': 'No recurring lots: tick “Republish automatically” when publishing a lot',
+  'recurrence.rule': 'Frequency',
+  'recurrence.nextPublication': 'Next publication',
+  'recurrence.subscribers': 'Subscribers',
+  'recurrence.reserved': '{count} ({reserved} / {quantity} reserved)',
+  'recurrence.pause': '⏸ Pause',
+  'recurrence.resume': '▶ Resume',
+
+  'import.column.name': 'Name',
+  'import.column.category': 'Category',
+  'import.column.description': 'Description',
+  'import.column.quantity': 'Quantity',
+  'import.column.unit': 'Unit',
+  'import.column.price': 'Price (€)',
+  'import.column.priceMode': 'Price for',
+  'import.column.harvestDate': 'Harvest date',
+  'import.column.freshnessDays': 'Freshness (days)',
+  'import.error.empty': '“{column}” is empty',
+  'import.error.category': 'unknown category “{value}”',
+  'import.error.unit': 'unknown unit “{value}”',
+  'import.error.quantity': 'invalid quantity',
+  'import.error.price': 'invalid price',
+  'import.error.harvestDate': 'invalid harvest date (YYYY-MM-DD or DD/MM/YYYY)',
+  'import.error.freshness': 'invalid freshness',
+  'import.ignore': '— Ignore —',
+  'import.columnNumber': 'Column {index}',
+  'import.lineErrors': 'Line {line}: {errors}',
+  'import.summary': { one: '{count} valid lot out of {total}', other: '{count} valid lots out of {total}' },
+  'import.skipped': { one: '{count} line skipped:', other: '{count} lines skipped:' },
+  'import.title': 'Import lots (CSV)',
+  'import.intro': 'One line per lot. Separator “;”, “,” or tab; dates as YYYY-MM-DD or DD/MM/YYYY.',
+  'import.file': 'CSV file',
+  'import.mapping': 'Column mapping',
+  'import.notify': "Notify buyers' alerts",
+  'import.submit': '📥 Import valid lots',
+
+  'map.offline': 'Base map unavailable offline',
+  'map.local': 'Offline background: online tiles are turned off in settings',
+  'map.attribution': '© OpenStreetMap contributors',
+  'map.noLocation': 'Location unknown: cannot show the map',
+  'map.zoomIn': 'Zoom in',
+  'map.zoomOut': 'Zoom out',
+  'map.pin': { one: '{name} — {count} lot', other: '{name} — {count} lots' },
+
+  'notify.setupError': 'Setup failed',
+  'notify.switchProfileError': 'Could not switch profile',
+  'notify.locationError': 'Location error',
+  'notify.pageNotFound': 'Page not found',
+  'notify.chooseProfile': 'Choose or create a profile',
+  'notify.sectionUnavailable': 'This section is not available for your profile',
+  'notify.unknownCommune': 'Town not found in the offline directory',
+  'notify.locating': 'Getting your location…',
+  'notify.profileUpdated': 'Profile updated',
+  'notify.unlockToEdit': 'Unlock this profile to edit it',
+  'notify.unlockToDelete': 'Unlock this profile to delete it',
+  'notify.profileDeleted': 'Profile deleted',
+  'notify.deleteError': 'Could not delete',
+  'notify.userRequired': 'A user profile is required',
+  'notify.productAdded': 'Product added and notifications sent!',
+  'notify.productAddError': 'Could not add the product',
+  'notify.farmSaved': 'Storefront saved',
+  'notify.farmSaveError': 'Could not save the storefront',
+  'notify.pickupSaved': 'Pickup point saved',
+  'notify.pickupSaveError': 'Could not save the pickup point',
+  'notify.pickupDeleted': 'Pickup point deleted',
+  'notify.locationSaved': 'Location settings saved',
+  'notify.recurrenceResumed': 'Recurring lot resumed',
+  'notify.recurrencePaused': 'Recurring lot paused',
+  'notify.updateError': 'Could not update',
+  'notify.recurrenceDeleted': 'Recurring lot deleted',
+  'notify.subscriptionError': 'Subscription error',
+  'notify.deliverySkipped': 'Delivery skipped',
+  'notify.deliveryRestored': 'Delivery restored',
+  'notify.reviewThanks': 'Thank you for your review!',
+  'notify.reviewError': 'Could not save the review',
+  'notify.replyPublished': 'Reply published',
+  'notify.replyError': 'Could not publish the reply',
+  'notify.reviewReportedHidden': 'Review reported and hidden',
+  'notify.reviewReported': 'Review reported, thank you',
+  'notify.reportError': 'Could not report',
+  'notify.searchSaved': 'Search saved! You will get notifications.',
+  'notify.saveError': 'Could not save',
+  'notify.invalidTileTemplate': 'Invalid template: {z}, {x} and {y} are required',
+  'notify.mapSaved': 'Base map saved',
+  'notify.noChanges': 'No changes',
+  'notify.productEdited': 'Product edited',
+  'notify.editError': 'Could not edit',
+  'notify.productDuplicated': 'Lot duplicated: check it, then publish',
+  'notify.productUpdated': 'Product updated',
+  'notify.searchMuted': 'Alert ignored',
+  'notify.searchUnmuted': 'Alert re-enabled',
+  'notify.searchUpdateError': 'Could not update the alert',
+  'notify.searchDeleted': 'Search deleted',
+  'notify.ownProduct': 'This is your own product',
+  'notify.conversationError': 'Could not open the conversation',
+  'notify.sendError': 'Could not send',
+  'notify.reservationSent': 'Reservation request sent',
+  'notify.reservationError': 'Could not reserve',
+  'notify.orderUpdateError': 'Could not update the order',
+  'notify.retrying': 'Retrying',
+  'notify.syncUnavailable': 'Sync not configured or offline',
+  'notify.syncError': 'Sync error',
+  'notify.invalidUrl': 'Invalid address (http:// or https://)',
+  'notify.syncSaved': 'Sync server saved',
+  'notify.syncDisabled': 'Sync disabled',
+  'notify.backupDownloaded': 'Backup downloaded',
+  'notify.exportError': 'Export failed',
+  'notify.restoreError': 'Restore failed',
+  'notify.emptyFile': 'File is empty or has no data rows',
+  'notify.unreadableCsv': 'Unreadable CSV file',
+  'notify.importError': 'Could not import the lots',
+  'notify.installed': 'App installed!',
+  'notify.online': 'Back online',
+  'notify.offline': 'Offline mode',
+  'notify.syncFailed': { one: '{count} change could not be sent', other: '{count} changes could not be sent' },
+  'notify.welcome': 'Welcome, {name}!',
+  'notify.hello': 'Hello {name}!',
+  'notify.subscriptionsUnreserved': { one: '{count} subscriber basket not reserved: not enough stock', other: '{count} subscriber baskets not reserved: not enough stock' },
+  'notify.recurrencesPublished': { one: '{count} recurring lot published', other: '{count} recurring lots published' },
+  'notify.subscribed': 'Subscribed: {quantity} reserved for every delivery',
+  'notify.subscription.active': 'Subscription resumed',
+  'notify.subscription.en pause': 'Subscription paused',
+  'notify.subscription.résilié': 'Subscription cancelled',
+  'notify.bulkDone': { one: '{count} lot updated', other: '{count} lots updated' },
+  'notify.bulkDoneWithErrors': '{done}, {count} failed',
+  'notify.maxPhotos': '{count} photos at most per lot',
+  'notify.photoIgnored': 'Photo skipped: {name}',
+  'notify.orderStatus': 'Order {status}',
+  'notify.synced': { one: 'Synced: {count} change received', other: 'Synced: {count} changes received' },
+  'notify.restoredAdded': { one: '{count} item added', other: '{count} items added' },
+  'notify.restored': 'Backup restored: {added}, {count} updated',
+  'notify.imported': { one: '{count} lot imported', other: '{count} lots imported' },
+
+  'setup.title.new': '👤 New profile',
+  'setup.title.first': '🚀 Initial setup',
+  'setup.submit.new': 'Create profile',
+  'setup.submit.first': 'Get started',
+  'setup.title.edit': '✏️ Edit profile',
+  'setup.intro': "Let's set up your profile so you can start using the local market",
+  'setup.name': 'Name/Nickname',
+  'setup.namePlaceholder': 'Your name',
+  'setup.type': 'I am:',
+  'setup.choose': 'Choose...',
+  'setup.both': 'Both',
+  'setup.commune': 'Town or postcode (optional)',
+  'setup.communePlaceholder': 'e.g. 35000 Rennes',
+  'setup.communeHint': 'If left empty, the device location is used with the chosen precision.',
+  'setup.precision': 'Precision of my location',
+  'setup.pin': 'PIN (optional)',
+  'setup.pinPlaceholder': '4 to 8 digits',
+  'setup.pinHint': 'Protects this profile on a shared device.',
+  'setup.removePin': 'Remove PIN',
+  'setup.refreshLocation': 'Update my location',
+  'setup.locationTitle': '📍 Location:',
+  'setup.locationInfo': 'We use your location to connect you with producers and buyers near you. It is rounded before being shared and no third-party service is contacted without your consent.',
+
+  'action.save': 'Save',
+  'action.edit': 'Edit',
+  'action.delete': 'Delete',
+  'action.cancel': 'Cancel',
+
+  'profiles.empty': 'No profiles on this device',
+  'profiles.active': 'active profile',
+  'profiles.use': 'Use',
+  'profiles.title': '👥 Profiles on this device',
+  'profiles.intro': 'Switch identity to share the app at the market or between partners.',
+  'profiles.pinOf': 'PIN for',
+  'profiles.unlock': 'Unlock',
+  'profiles.new': '➕ New profile',
+
+  'role.vendeur': 'Producer/Seller',
+  'role.acheteur': 'Buyer',
+  'role.both': 'Seller and buyer',
+
+  'seller.priceHint': 'Shown as: {price}',
+  'seller.noProducts': 'You haven’t added any products yet',
+  'seller.noProductsWithStatus': 'No “{status}” lots',
+  'seller.select': 'Select',
+  'seller.atFarm': 'at the farm',
+  'seller.duplicate': 'Duplicate',
+  'seller.markSold': 'Mark as sold',
+  'seller.withdraw': 'Withdraw',
+  'seller.relist': 'Put back on sale',
+  'seller.history': 'History ({count})',
+  'seller.form.name': 'Product name',
+  'seller.form.price': 'Price (€)',
+  'seller.form.harvestDate': 'Harvest date',
+  'seller.form.freshness': 'Offered for (days)',
+  'seller.form.pickup': 'Pickup point',
+  'seller.form.notifyPriceDrop': 'Notify matching alerts if the price drops',
+  'seller.selected': { one: '{count} lot selected', other: '{count} lots selected' },
+  'seller.photoAlt': 'Photo {index}',
+  'seller.removePhoto': 'Remove',
+  'seller.title': '🌱 Producer area',
+  'seller.addTitle': 'Add a new product',
+  'seller.form.productName': 'Product name',
+  'seller.form.namePlaceholder': 'e.g. Cherry tomatoes',
+  'seller.form.choose': 'Choose...',
+  'seller.form.descriptionPlaceholder': 'Describe your product, growing method, etc.',
+  'seller.form.priceEuro': 'Price (€)',
+  'seller.form.priceMode': 'This price is',
+  'seller.form.priceLot': 'for the whole lot',
+  'seller.form.plannedHarvest': 'Planned harvest date',
+  'seller.form.freshnessDays': 'Offered for (days after harvest)',
+  'seller.form.photos': 'Photos (6 maximum)',
+  'seller.form.takePhoto': '📷 Take a photo',
+  'seller.recurrence.title': '🔁 Republish automatically',
+  'seller.recurrence.enable': 'Recurring lot: a new lot is published at each due date',
+  'seller.recurrence.frequency': 'Frequency',
+  'seller.recurrence.weekly': 'Every week',
+  'seller.recurrence.interval': 'Every N days',
+  'seller.recurrence.days': 'Number of days',
+  'seller.recurrence.seasonFrom': 'Season: from',
+  'seller.recurrence.allYear': 'All year round',
+  'seller.recurrence.seasonTo': 'to',
+  'seller.publish': '📢 Publish and notify',
+  'seller.myProducts': 'My products',
+  'seller.filter.all': 'All',
+  'seller.filter.à venir': 'Upcoming',
+  'seller.filter.disponible': 'Available',
+  'seller.filter.indisponible': 'Withdrawn',
+  'seller.filter.vendu': 'Sold',
+  'seller.filter.expiré': 'Expired',
+  'seller.selectAll': 'Select all',
+  'seller.bulk.withdraw': 'Withdraw',
+  'seller.bulk.priceValue': 'Price or change',
+  'seller.bulk.priceMode': 'Price change mode',
+  'seller.bulk.newPrice': '€ (new price)',
+  'seller.bulk.percent': '% change',
+  'seller.bulk.changePrice': 'Change price',
+  'seller.bulk.postpone': 'Postpone harvest (days)',
+  'seller.bulk.notify': 'Notify alerts when the price drops',
+  'seller.recurrences': 'Recurring lots and subscribers',
+  'seller.reviews': 'My reviews',
+
+  'subscription.offers': 'Subscription baskets',
+  'subscription.nextLot': 'next lot on {date}',
+  'subscription.quantity': 'Quantity per delivery',
+  'subscription.subscribe': '🔁 Subscribe',
+  'subscription.empty': 'No subscriptions: subscribe from a producer’s storefront',
+  'subscription.discontinued': 'This lot is no longer offered',
+  'subscription.pausedBySeller': 'paused by the producer',
+  'subscription.nextDelivery': 'Next delivery',
+  'subscription.skipped': 'skipped',
+  'subscription.pause': '⏸ Pause',
+  'subscription.unskip': 'Don’t skip',
+  'subscription.skip': 'Skip the next one',
+  'subscription.cancel': 'Cancel subscription',
+
+  'field.quantity': 'Quantity',
+  'field.seller': 'Seller',
+  'field.buyer': 'Buyer',
+  'field.name': 'Name',
+  'field.category': 'Category',
+  'field.description': 'Description',
+  'field.unit': 'Unit',
+  'field.price': 'Price',
+  'field.unitPrice': 'Unit price',
+  'field.harvest': 'Harvest',
+  'field.freshnessDays': 'Freshness (days)',
+  'field.pickup': 'Pickup',
+  'field.availableUntil': 'Offered until',
+  'field.status': 'Status',
+
+  'review.stars': '{rating} out of 5',
+  'review.count': { one: '{count} review', other: '{count} reviews' },
+  'review.sellerReply': 'Producer’s reply:',
+  'review.replyPlaceholder': 'Reply (only once)',
+  'review.reply': 'Reply',
+  'review.reported': 'You reported this review',
+  'review.report': 'Report',
+  'review.empty': 'No reviews yet',
+  'review.noScore': 'No rating yet',
+  'review.yours': 'Your review:',
+  'review.write': '⭐ Leave a review',
+  'review.formTitle': 'Leave a review',
+  'review.rating': 'Rating',
+  'review.rating.5': 'Excellent',
+  'review.rating.4': 'Very good',
+  'review.rating.3': 'Fair',
+  'review.rating.2': 'Disappointing',
+  'review.rating.1': 'Poor',
+  'review.comment': 'Comment',
+  'review.commentPlaceholder': 'Quality, welcome, punctuality at pickup...',
+  'review.publish': 'Publish',
+
+  'storefront.defaultName': 'Producer',
+  'storefront.runBy': 'Run by {name}',
+  'storefront.noDescription': 'This producer hasn’t described their farm yet',
+  'storefront.practices': 'Practices',
+  'storefront.pickupPoints': 'Pickup points',
+  'storefront.pickupAtFarm': 'Collect at the farm, arranged by message',
+  'storefront.lots': 'Current lots ({count})',
+  'storefront.noLots': 'No lots on offer right now',
+  'storefront.reviews': 'Customer reviews',
+
+  'products.count': { one: '{count} product', other: '{count} products' },
+  'products.empty': 'No products available',
+  'products.title': '🛒 Available products',
+  'products.searchPlaceholder': 'Search for a product...',
+  'products.search': 'Search for a product',
+  'products.moreFilters': 'More filters',
+  'products.maxDistance': 'Max distance',
+  'products.anyDistance': 'Any distance',
+  'products.minPrice': 'Min price (€/unit)',
+  'products.maxPrice': 'Max price (€/unit)',
+  'products.harvestFrom': 'Harvest from',
+  'products.harvestTo': 'to',
+  'products.anyUnit': 'All units',
+  'products.unit.weight': 'Weight (€/kg)',
+  'products.unit.piece': 'Per piece (€/piece)',
+  'products.unit.volume': 'Volume (€/litre)',
+  'products.sortBy': 'Sort by',
+  'products.sort.newest': 'Newest',
+  'products.sort.distance': 'Distance',
+  'products.sort.price': 'Price',
+  'products.sort.freshness': 'Freshness',
+  'products.upcoming': 'Upcoming harvests',
+  'products.reset': 'Reset',
+  'products.mode.list': '📋 List',
+  'products.mode.map': '🗺️ Map',
+
+  'buyer.empty': 'No saved searches',
+  'buyer.keywords': 'Keywords',
+  'buyer.noKeywords': 'None',
+  'buyer.radius': 'Radius',
+  'buyer.maxPrice': 'Max price',
+  'buyer.noLimit': 'No limit',
+  'buyer.anyUnit': '{price} per kg, per piece…',
+  'buyer.createdAt': 'Created on',
+  'buyer.noMatches': 'No matching products yet',
+  'buyer.matches': { one: '{count} matching product', other: '{count} matching products' },
+  'buyer.match': '{name} — {price}, {distance} away ({date})',
+  'buyer.unmute': '🔔 Re-enable',
+  'buyer.mute': '🔕 Ignore',
+  'buyer.title': '🔍 Buyer area',
+  'buyer.createTitle': 'Create a search alert',
+  'buyer.intro': 'Get notified when new products match your criteria',
+  'buyer.form.category': 'Category',
+  'buyer.form.radius': 'Search radius (km)',
+  'buyer.form.keywords': 'Keywords (optional)',
+  'buyer.form.keywordsPlaceholder': 'organic, local, fresh...',
+  'buyer.form.maxPrice': 'Maximum price (€, optional)',
+  'buyer.form.unit': 'Per unit',
+  'buyer.form.anyUnit': 'All units (price per kg, per piece…)',
+  'buyer.form.submit': '🔔 Create alert',
+  'buyer.active': 'My active alerts',
+
+  'analytics.lots': 'Lots published',
+  'analytics.views': 'Views',
+  'analytics.contacts': 'Contacts',
+  'analytics.medianSale': 'Median time to sale',
+  'analytics.byLot': 'Views and contacts per lot',
+  'analytics.noViews': 'No views yet',
+  'analytics.outcome': 'Sold or expired',
+  'analytics.noOutcome': 'No lots sold or expired',
+  'analytics.sold': 'Sold',
+  'analytics.expired': 'Expired',
+  'analytics.soldRatio': 'Lots sold: {ratio}',
+  'analytics.saleDelays': 'Time to sale of recent lots',
+  'analytics.noSales': 'No lots sold',
+  'analytics.saleDelaysTitle': 'Time between publication and sale',
+  'analytics.demand': 'Local demand',
+  'analytics.noLocation': 'Location unknown: enter your town in your profile',
+  'analytics.noDemand': 'No buyer alerts cover you yet',
+  'analytics.byCategory': 'By category',
+  'analytics.byCategoryTitle': 'Alerts by category',
+  'analytics.topKeywords': 'Most searched keywords',
+  'analytics.byKeywordTitle': 'Alerts by keyword',
+  'analytics.alerts': 'Alerts',
+  'analytics.demandCount': { one: '{count} buyer alert whose radius includes your farm', other: '{count} buyer alerts whose radius includes your farm' },
+
+  'product.approximateDistance': 'Approximate distance: locations are rounded',
+  'product.distance': '{distance} away',
+  'product.upcoming': 'Upcoming — harvest on {date}',
+  'product.recurring': '🔁 Recurring lot: subscribe',
+  'product.expectedHarvest': 'Expected harvest',
+  'product.preorder': 'Pre-order',
+  'product.contact': 'Contact',
+  'product.photoAlt': '{name} — photo {index}',
+
+  'messages.empty': 'No conversations yet',
+  'messages.first': 'Write your first message',
+  'messages.reservation': '📦 Reservation request:',
+  'messages.reservationStatus': 'Status: {status}',
+  'messages.title': '💬 My conversations',
+  'messages.back': '← Conversations',
+  'messages.body': 'Your message',
+  'messages.bodyPlaceholder': 'Hello, is this product still available?',
+  'messages.send': 'Send',
+
+  'order.action.confirmée': 'Confirm',
+  'order.action.refusée': 'Decline',
+  'order.action.retirée': 'Mark as collected',
+  'order.action.annulée': 'Cancel',
+  'order.preorder': 'Pre-order — harvest on {date}',
+  'order.note': 'Note',
+  'order.createdAt': 'Created on {date}',
+  'order.history': 'History',
+  'order.noPurchases': 'No reservations',
+  'order.noSales': 'No orders received',
+  'order.conversation': 'Conversation',
+
+  'settings.sharedLocation': 'Shared location: {location}',
+  'settings.sync.title': 'Sync between devices',
+  'settings.sync.intro': 'Share listings, alerts and messages with other users through a shared server.',
+  'settings.sync.url': 'Server address',
+  'settings.sync.save': 'Save and sync',
+  'settings.location.title': 'Location privacy',
+  'settings.location.intro': 'Your location is rounded before being stored and shared with your listings and alerts.',
+  'settings.location.precision': 'Shared precision',
+  'settings.location.commune': 'Set my town (optional)',
+  'settings.location.refresh': 'Relocate using the device location',
+  'settings.location.allowIp': 'If GPS fails, allow location by IP address (third-party service ipapi.co)',
+  'settings.data.title': 'My data',
+  'settings.data.intro': 'Export your data to reuse it in a spreadsheet or keep it somewhere safe.',
+  'settings.map.title': 'Base map',
+  'settings.map.intro': 'By default the map only shows an offline background: no tiles are requested from a third-party server without your consent. Leave the address empty to use OpenStreetMap.',
+  'settings.map.tileUrl': 'Tile URL template',
+  'settings.map.attribution': 'Attribution',
+  'settings.map.remote': 'Load tiles from this server (third-party service: it receives the area shown)',
+  'settings.language.title': 'Language',
+  'settings.language.label': 'App language',
+  'settings.language.hint': 'Dates, amounts and distances also follow the chosen language.',
+
+  'export.radius': 'Radius (km)',
+  'export.maxPrice': 'Maximum price (€)',
+  'export.field': 'Field',
+  'export.value': 'Value',
+  'export.products.csv': 'My products (CSV)',
+  'export.products.json': 'My products (JSON)',
+  'export.searches.csv': 'My alerts (CSV)',
+  'export.searches.json': 'My alerts (JSON)',
+  'export.profile.csv': 'My profile (CSV)',
+  'export.profile.json': 'My profile (JSON)',
+  'export.backup': '💾 Full backup',
+
+  'restore.unreadableJson': 'Unreadable JSON file',
+  'restore.failed': 'Could not restore: {message}',
+  'restore.title': 'Restore a backup',
+  'restore.hint': 'Restoring merges: nothing is duplicated and the most recent version of each item is kept. Photos are not part of the backup.',
+
+  'lifecycle.expiring': 'Lot expiring soon',
+  'lifecycle.expiringBody': '{name} will no longer be offered after {date}',
+
+  'header.testNotifications': 'Test notifications',
+  'header.install': '📱 Install',
+
+  'nav.home': '🏠 Home',
+  'nav.products': '🛒 Products',
+  'nav.seller': '🌱 Sell',
+  'nav.analytics': '📊 Dashboard',
+  'nav.buyer': '🔍 Buy',
+  'nav.orders': '📦 Orders',
+  'nav.messages': '💬 Messages',
+  'nav.settings': '⚙️ Settings',
+  'nav.label': 'Market sections',
+
+  'home.welcome': 'Welcome to your local market! 🌾',
+  'home.intro': 'Connect producers and buyers in your area',
+  'home.products': 'Available products',
+  'home.sellers': 'Active producers',
+  'home.categories': 'Categories',
+  'home.quickActions': 'Quick actions',
+  'home.browse': '🛒 Browse products',
+  'home.addProduct': '🌱 Add a product',
+  'home.createAlert': '🔔 Create an alert',
+
+  'orders.title': '📦 My orders',
+  'orders.purchases': 'My reservations',
+  'orders.subscriptions': 'My subscriptions',
+  'orders.sales': 'Orders received',
+
+  'reservation.title': '📦 Reserve part of the lot',
+  'reservation.quantity': 'Quantity wanted',
+  'reservation.note': 'Note (optional)',
+  'reservation.notePlaceholder': 'Pickup on Saturday morning',
+  'reservation.submit': 'Request reservation',
+
+  'footer.tagline': '- Connecting producers and consumers',
+  'footer.offline': 'Offline app - Data stored locally',
+
+  'chart.value': '{label}: {value}',
+  'chart.share': '{label}: {value} ({share})',
+
+  'toast.region': 'Notifications',
+  'toast.dismiss': 'Dismiss notification',
+
+  'validation.required': 'This field is required.',
+  'validation.choose': 'Please choose an option.',
+  'validation.url': 'Enter a full web address (https://…).',
+  'validation.type': 'Invalid format.',
+  'validation.pattern': 'Invalid format.',
+  'validation.number': 'Enter a number.',
+  'validation.min': 'The value must be at least {min}.',
+  'validation.max': 'The value must be at most {max}.',
+  'validation.step': 'The value must be a multiple of {step}.',
+  'validation.tooLong': { one: 'At most {count} character.', other: 'At most {count} characters.' }
+}
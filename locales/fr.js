@@ -0,0 +1,655 @@
+// Textes français, langue de référence : toute clé de l'application existe ici.
+// Pluriels : { one, other } (Intl.PluralRules) ; {nom} : paramètre remplacé par t().
+
+export default {
+  'location.precision.exact': 'Position exacte',
+  'location.precision.grid': "Carré d'environ 1 km",
+  'location.precision.commune': 'Commune seulement',
+  'location.error.unavailable': 'Position indisponible : indiquez votre commune ou code postal',
+  'location.error.unsupported': 'Géolocalisation non supportée',
+  'location.error.ip': 'Localisation IP : HTTP {status}',
+  'location.none': 'Aucune position enregistrée',
+  'location.withAccuracy': '{place}, ±{accuracy}',
+  'location.approximateDistance': '≈ {distance} (±{uncertainty})',
+
+  'status.invalidTransition': '{name} : transition impossible de « {from} » vers « {to} »',
+  'status.product': 'Produit',
+  'status.product.à venir': 'À venir',
+  'status.product.disponible': 'Disponible',
+  'status.product.indisponible': 'Retiré',
+  'status.product.vendu': 'Vendu',
+  'status.product.expiré': 'Expiré',
+  'status.order': 'Commande',
+  'status.order.en attente': 'En attente',
+  'status.order.confirmée': 'Confirmée',
+  'status.order.retirée': 'Retirée',
+  'status.order.refusée': 'Refusée',
+  'status.order.annulée': 'Annulée',
+  'status.subscription.active': 'Actif',
+  'status.subscription.en pause': 'En pause',
+  'status.subscription.résilié': 'Résilié',
+  'status.online': 'En ligne',
+  'status.offline': 'Hors ligne',
+
+  'unit.kg': { one: 'kg', other: 'kg' },
+  'unit.g': { one: 'g', other: 'g' },
+  'unit.pièce': { one: 'pièce', other: 'pièces' },
+  'unit.douzaine': { one: 'douzaine', other: 'douzaines' },
+  'unit.botte': { one: 'botte', other: 'bottes' },
+  'unit.litre': { one: 'litre', other: 'litres' },
+  'unit.pot': { one: 'pot', other: 'pots' },
+  'unit.name.botte': 'Botte',
+  'unit.name.pot': 'Pot',
+  'unit.name.kg': 'Kilogramme',
+  'unit.name.g': 'Gramme',
+  'unit.name.pièce': 'Pièce',
+  'unit.name.douzaine': 'Douzaine',
+  'unit.name.litre': 'Litre',
+
+  'priceMode.unit': "à l'unité",
+  'priceMode.lot': 'au lot',
+
+  'category.fruits': 'Fruits',
+  'category.vegetables': 'Légumes',
+  'category.cereals': 'Céréales',
+  'category.pulses': 'Légumineuses',
+  'category.herbs': 'Herbes aromatiques',
+  'category.flowers': 'Fleurs',
+  'category.eggs': 'Œufs',
+  'category.dairy': 'Produits laitiers',
+  'category.honey': 'Miel',
+  'category.preserves': 'Conserves',
+  'category.other': 'Autres',
+  'category.all': 'Toutes catégories',
+
+  'error.invalidQuantity': 'Quantité invalide',
+  'error.wholeQuantity': "Quantité entière attendue pour l'unité « {unit} »",
+  'error.unknownUnit': 'Unité inconnue : {unit}',
+  'error.invalidPriceMode': 'Mode de prix invalide',
+  'error.invalidPrice': 'Prix invalide',
+  'error.lotPriceNeedsQuantity': 'Un prix au lot demande une quantité',
+  'error.productNotFound': 'Produit introuvable',
+  'error.productUnavailable': 'Produit non disponible',
+  'error.insufficientStock': 'Stock insuffisant',
+  'error.outOfStock': 'Stock épuisé',
+  'error.harvestExpired': 'Récolte expirée',
+  'error.notAnImage': 'Fichier non image',
+  'error.compressionFailed': 'Compression impossible',
+  'error.withdrawFailed': 'Impossible de retirer ce lot de la vente',
+  'error.orderNotFound': 'Commande introuvable',
+  'error.recurrenceNotFound': 'Lot récurrent introuvable',
+  'error.backupTooRecent': "Sauvegarde créée par une version plus récente de l'application",
+  'error.backupUnrecognized': 'Fichier de sauvegarde non reconnu',
+  'error.reportOwnReview': 'Impossible de signaler son propre avis',
+  'error.reportOwnShopReview': 'Impossible de signaler un avis sur sa propre boutique, même depuis un autre profil de cet appareil',
+  'error.reviewNotFound': 'Avis introuvable',
+  'error.emptyReply': 'Réponse vide',
+  'error.replyAlreadyPublished': 'Réponse déjà publiée',
+  'error.onlySellerReplies': 'Seul le vendeur peut répondre',
+  'error.orderAlreadyReviewed': 'Commande déjà notée',
+  'error.invalidRating': 'Note invalide',
+  'error.reviewAfterPickup': 'Avis possible une fois la commande retirée',
+  'error.onlyBuyerReviews': "Seul l'acheteur peut donner son avis",
+  'error.subscriptionNotFound': 'Abonnement introuvable',
+  'error.subscribeOwnBasket': "Impossible de s'abonner à son propre panier",
+  'error.notAllowed': 'Action non autorisée',
+  'error.reserveOwnProduct': 'Impossible de réserver son propre produit',
+  'error.profileNotFound': 'Profil introuvable',
+  'error.wrongPin': 'PIN incorrect',
+  'error.pinLength': 'Le PIN doit compter 4 à 8 chiffres',
+
+  'price.lot': '{price} le lot de {quantity}',
+  'price.perUnit': '{price} / {unit}',
+  'price.normalized': '{price}/{unit}',
+
+  'sync.error.http': 'Synchronisation : HTTP {status}',
+  'sync.badge.failed': "⚠️ échec d'envoi",
+  'sync.badge.retry': 'réessayer',
+  'sync.badge.pending': "⏳ en attente d'envoi",
+  'sync.status.disabled': 'Synchronisation désactivée : les données restent sur cet appareil.',
+  'sync.status.error': 'Dernière erreur : {error}',
+  'sync.status.last': 'Dernière synchronisation : {date}',
+  'sync.status.never': 'Jamais synchronisé',
+  'sync.outbox.empty': "Aucune modification en attente d'envoi.",
+  'sync.outbox.count': { one: '{count} modification en attente', other: '{count} modifications en attente' },
+  'sync.outbox.pending': '{pending}, {count} en échec.',
+
+  'notification.action.seller': 'Gérer mes lots',
+  'notification.action.viewOrder': 'Voir la commande',
+  'notification.action.view': 'Voir le produit',
+  'notification.action.reserve': 'Réserver',
+  'notification.action.muteSearch': 'Ignorer cette alerte',
+  'notification.priceDrop': 'Baisse de prix : {from} → {to}',
+  'notification.upcoming': 'Récolte à venir le {date} : précommandez !',
+  'notification.newProduct': 'Nouveau produit disponible !',
+  'notification.match': '{name} - {price} à {distance} de vous',
+
+  'farm.label.bio': 'Agriculture biologique',
+  'farm.label.hve': 'Haute Valeur Environnementale',
+  'farm.label.raisonnee': 'Agriculture raisonnée',
+  'farm.slot.from': '{day} : début',
+  'farm.slot.to': '{day} : fin',
+  'farm.pickup.empty': 'Aucun point de retrait : les lots se retirent à la ferme',
+  'farm.pickup.atFarm': 'À la ferme',
+  'farm.slot.byAppointment': 'Sur rendez-vous',
+  'farm.title': 'Ma ferme',
+  'farm.intro': 'Ces informations apparaissent sur votre vitrine, accessible depuis chacun de vos produits.',
+  'farm.name': 'Nom de la ferme',
+  'farm.namePlaceholder': 'ex: Ferme des Trois Chênes',
+  'farm.description': 'Présentation',
+  'farm.descriptionPlaceholder': 'Votre histoire, vos productions...',
+  'farm.practices': 'Pratiques culturales',
+  'farm.practicesPlaceholder': 'ex: rotation des cultures, pas de traitement après floraison',
+  'farm.labels': 'Labels',
+  'farm.save': 'Enregistrer la vitrine',
+  'farm.pickupPoints': 'Points de retrait',
+  'farm.pickup.name': 'Nom',
+  'farm.pickup.namePlaceholder': 'ex: Marché de la place, AMAP du quartier',
+  'farm.pickup.address': 'Adresse',
+  'farm.pickup.addressPlaceholder': 'Adresse ou repère',
+  'farm.pickup.useLocation': 'Je suis sur place : utiliser ma position',
+  'farm.pickup.slots': 'Créneaux hebdomadaires',
+  'farm.pickup.save': 'Enregistrer le point de retrait',
+
+  'recurrence.weekly': 'Chaque semaine',
+  'recurrence.everyDays': { one: 'Tous les jours', other: 'Tous les {count} jours' },
+  'recurrence.season': '{every}, de {from} à {to}',
+  'recurrence.empty': 'Aucun lot récurrent : cochez « Republier automatiquement » en publiant un lot',
+  'recurrence.rule': 'Périodicité',
+  'recurrence.nextPublication': 'Prochaine publication',
+  'recurrence.subscribers': 'Abonnés',
+  'recurrence.reserved': '{count} ({reserved} / {quantity} réservés)',
+  'recurrence.pause': '⏸ Suspendre',
+  'recurrence.resume': '▶ Reprendre',
+
+  'import.column.name': 'Nom',
+  'import.column.category': 'Catégorie',
+  'import.column.description': 'Description',
+  'import.column.quantity': 'Quantité',
+  'import.column.unit': 'Unité',
+  'import.column.price': 'Prix (€)',
+  'import.column.priceMode': 'Prix pour',
+  'import.column.harvestDate': 'Date de récolte',
+  'import.column.freshnessDays': 'Fraîcheur (jours)',
+  'import.error.empty': 'champ « {column} » vide',
+  'import.error.category': 'catégorie inconnue « {value} »',
+  'import.error.unit': 'unité inconnue « {value} »',
+  'import.error.quantity': 'quantité invalide',
+  'import.error.price': 'prix invalide',
+  'import.error.harvestDate': 'date de récolte invalide (AAAA-MM-JJ ou JJ/MM/AAAA)',
+  'import.error.freshness': 'fraîcheur invalide',
+  'import.ignore': '— Ignorer —',
+  'import.columnNumber': 'Colonne {index}',
+  'import.lineErrors': 'Ligne {line} : {errors}',
+  'import.summary': { one: '{count} lot valide sur {total}', other: '{count} lots valides sur {total}' },
+  'import.skipped': { one: '{count} ligne ignorée :', other: '{count} lignes ignorées :' },
+  'import.title': 'Importer des lots (CSV)',
+  'import.intro': 'Une ligne par lot. Séparateur « ; », « , » ou tabulation ; dates au format AAAA-MM-JJ ou JJ/MM/AAAA.',
+  'import.file': 'Fichier CSV',
+  'import.mapping': 'Correspondance des colonnes',
+  'import.notify': 'Prévenir les alertes des acheteurs',
+  'import.submit': '📥 Importer les lots valides',
+
+  'map.offline': 'Fond de carte indisponible hors ligne',
+  'map.local': 'Fond hors ligne : tuiles en ligne désactivées dans les réglages',
+  'map.attribution': '© contributeurs OpenStreetMap',
+  'map.noLocation': "Position inconnue : impossible d'afficher la carte",
+  'map.zoomIn': 'Zoomer',
+  'map.zoomOut': 'Dézoomer',
+  'map.pin': { one: '{name} — {count} lot', other: '{name} — {count} lots' },
+
+  'notify.setupError': 'Erreur lors de la configuration',
+  'notify.switchProfileError': 'Erreur changement de profil',
+  'notify.locationError': 'Erreur de localisation',
+  'notify.pageNotFound': 'Page introuvable',
+  'notify.chooseProfile': 'Choisissez ou créez un profil',
+  'notify.sectionUnavailable': "Cette section n'est pas disponible pour votre profil",
+  'notify.unknownCommune': 'Commune inconnue du répertoire hors ligne',
+  'notify.locating': 'Obtention de votre position...',
+  'notify.profileUpdated': 'Profil mis à jour',
+  'notify.unlockToEdit': 'Déverrouillez ce profil pour le modifier',
+  'notify.unlockToDelete': 'Déverrouillez ce profil pour le supprimer',
+  'notify.profileDeleted': 'Profil supprimé',
+  'notify.deleteError': 'Erreur suppression',
+  'notify.userRequired': 'Configuration utilisateur requise',
+  'notify.productAdded': 'Produit ajouté et notifications envoyées !',
+  'notify.productAddError': "Erreur lors de l'ajout du produit",
+  'notify.farmSaved': 'Vitrine enregistrée',
+  'notify.farmSaveError': 'Erreur enregistrement vitrine',
+  'notify.pickupSaved': 'Point de retrait enregistré',
+  'notify.pickupSaveError': 'Erreur enregistrement point de retrait',
+  'notify.pickupDeleted': 'Point de retrait supprimé',
+  'notify.locationSaved': 'Réglages de position enregistrés',
+  'notify.recurrenceResumed': 'Lot récurrent repris',
+  'notify.recurrencePaused': 'Lot récurrent suspendu',
+  'notify.updateError': 'Erreur mise à jour',
+  'notify.recurrenceDeleted': 'Lot récurrent supprimé',
+  'notify.subscriptionError': 'Erreur abonnement',
+  'notify.deliverySkipped': 'Livraison sautée',
+  'notify.deliveryRestored': 'Livraison rétablie',
+  'notify.reviewThanks': 'Merci pour votre avis !',
+  'notify.reviewError': 'Erreur enregistrement avis',
+  'notify.replyPublished': 'Réponse publiée',
+  'notify.replyError': 'Erreur réponse',
+  'notify.reviewReportedHidden': 'Avis signalé et masqué',
+  'notify.reviewReported': 'Avis signalé, merci',
+  'notify.reportError': 'Erreur signalement',
+  'notify.searchSaved': 'Recherche sauvegardée ! Vous recevrez des notifications.',
+  'notify.saveError': 'Erreur lors de la sauvegarde',
+  'notify.invalidTileTemplate': 'Modèle invalide : {z}, {x} et {y} sont requis',
+  'notify.mapSaved': 'Fond de carte enregistré',
+  'notify.noChanges': 'Aucune modification',
+  'notify.productEdited': 'Produit modifié',
+  'notify.editError': 'Erreur modification',
+  'notify.productDuplicated': 'Lot dupliqué : vérifiez puis publiez',
+  'notify.productUpdated': 'Produit mis à jour',
+  'notify.searchMuted': 'Alerte ignorée',
+  'notify.searchUnmuted': 'Alerte réactivée',
+  'notify.searchUpdateError': 'Erreur mise à jour alerte',
+  'notify.searchDeleted': 'Recherche supprimée',
+  'notify.ownProduct': "C'est votre propre produit",
+  'notify.conversationError': 'Erreur ouverture conversation',
+  'notify.sendError': "Erreur lors de l'envoi",
+  'notify.reservationSent': 'Demande de réservation envoyée',
+  'notify.reservationError': 'Erreur lors de la réservation',
+  'notify.orderUpdateError': 'Erreur mise à jour commande',
+  'notify.retrying': "Nouvel essai d'envoi",
+  'notify.syncUnavailable': 'Synchronisation non configurée ou hors ligne',
+  'notify.syncError': 'Erreur de synchronisation',
+  'notify.invalidUrl': 'Adresse invalide (http:// ou https://)',
+  'notify.syncSaved': 'Serveur de synchronisation enregistré',
+  'notify.syncDisabled': 'Synchronisation désactivée',
+  'notify.backupDownloaded': 'Sauvegarde téléchargée',
+  'notify.exportError': "Erreur lors de l'export",
+  'notify.restoreError': 'Erreur lors de la restauration',
+  'notify.emptyFile': 'Fichier vide ou sans ligne de données',
+  'notify.unreadableCsv': 'Fichier CSV illisible',
+  'notify.importError': "Erreur lors de l'import des lots",
+  'notify.installed': 'Application installée !',
+  'notify.online': 'Connexion rétablie',
+  'notify.offline': 'Mode hors ligne',
+  'notify.syncFailed': { one: "{count} modification n'a pas pu être envoyée", other: "{count} modifications n'ont pas pu être envoyées" },
+  'notify.welcome': 'Bienvenue {name} !',
+  'notify.hello': 'Bonjour {name} !',
+  'notify.subscriptionsUnreserved': { one: "{count} panier d'abonné non réservé : stock insuffisant", other: "{count} paniers d'abonnés non réservés : stock insuffisant" },
+  'notify.recurrencesPublished': { one: '{count} lot récurrent publié', other: '{count} lots récurrents publiés' },
+  'notify.subscribed': 'Abonné : {quantity} réservés à chaque livraison',
+  'notify.subscription.active': 'Abonnement repris',
+  'notify.subscription.en pause': 'Abonnement en pause',
+  'notify.subscription.résilié': 'Abonnement résilié',
+  'notify.bulkDone': { one: '{count} lot modifié', other: '{count} lots modifiés' },
+  'notify.bulkDoneWithErrors': '{done}, {count} en échec',
+  'notify.maxPhotos': '{count} photos maximum par lot',
+  'notify.photoIgnored': 'Photo ignorée : {name}',
+  'notify.orderStatus': 'Commande {status}',
+  'notify.synced': { one: 'Synchronisé : {count} modification reçue', other: 'Synchronisé : {count} modifications reçues' },
+  'notify.restoredAdded': { one: '{count} élément ajouté', other: '{count} éléments ajoutés' },
+  'notify.restored': 'Sauvegarde restaurée : {added}, {count} mis à jour',
+  'notify.imported': { one: '{count} lot importé', other: '{count} lots importés' },
+
+  'setup.title.new': '👤 Nouveau profil',
+  'setup.title.first': '🚀 Configuration initiale',
+  'setup.submit.new': 'Créer le profil',
+  'setup.submit.first': 'Commencer',
+  'setup.title.edit': '✏️ Modifier le profil',
+  'setup.intro': 'Configurons votre profil pour commencer à utiliser le marché local',
+  'setup.name': 'Nom/Pseudo',
+  'setup.namePlaceholder': 'Votre nom',
+  'setup.type': 'Je suis :',
+  'setup.choose': 'Choisissez...',
+  'setup.both': 'Les deux',
+  'setup.commune': 'Commune ou code postal (facultatif)',
+  'setup.communePlaceholder': 'ex: 35000 Rennes',
+  'setup.communeHint': "Sans saisie, la position de l'appareil est utilisée avec la précision choisie.",
+  'setup.precision': 'Précision de ma position',
+  'setup.pin': 'Code PIN (facultatif)',
+  'setup.pinPlaceholder': '4 à 8 chiffres',
+  'setup.pinHint': 'Protège ce profil sur un appareil partagé.',
+  'setup.removePin': 'Supprimer le code PIN',
+  'setup.refreshLocation': 'Mettre à jour ma position',
+  'setup.locationTitle': '📍 Localisation :',
+  'setup.locationInfo': "Nous utiliserons votre position pour vous connecter avec des producteurs/acheteurs proches de chez vous. Elle est arrondie avant d'être partagée et aucun service tiers n'est contacté sans votre accord.",
+
+  'action.save': 'Enregistrer',
+  'action.edit': 'Modifier',
+  'action.delete': 'Supprimer',
+  'action.cancel': 'Annuler',
+
+  'profiles.empty': 'Aucun profil sur cet appareil',
+  'profiles.active': 'profil actif',
+  'profiles.use': 'Utiliser',
+  'profiles.title': '👥 Profils de cet appareil',
+  'profiles.intro': "Changez d'identité pour partager l'application au marché ou entre associés.",
+  'profiles.pinOf': 'Code PIN de',
+  'profiles.unlock': 'Déverrouiller',
+  'profiles.new': '➕ Nouveau profil',
+
+  'role.vendeur': 'Producteur/Vendeur',
+  'role.acheteur': 'Acheteur',
+  'role.both': 'Vendeur et acheteur',
+
+  'seller.priceHint': 'Affiché : {price}',
+  'seller.noProducts': "Vous n'avez pas encore ajouté de produits",
+  'seller.noProductsWithStatus': 'Aucun lot « {status} »',
+  'seller.select': 'Sélectionner',
+  'seller.atFarm': 'à la ferme',
+  'seller.duplicate': 'Dupliquer',
+  'seller.markSold': 'Marquer vendu',
+  'seller.withdraw': 'Retirer',
+  'seller.relist': 'Remettre en vente',
+  'seller.history': 'Historique ({count})',
+  'seller.form.name': 'Nom du produit',
+  'seller.form.price': 'Prix (€)',
+  'seller.form.harvestDate': 'Date de récolte',
+  'seller.form.freshness': 'Proposé pendant (jours)',
+  'seller.form.pickup': 'Point de retrait',
+  'seller.form.notifyPriceDrop': 'Prévenir les alertes correspondantes si le prix baisse',
+  'seller.selected': { one: '{count} lot sélectionné', other: '{count} lots sélectionnés' },
+  'seller.photoAlt': 'Photo {index}',
+  'seller.removePhoto': 'Retirer',
+  'seller.title': '🌱 Espace Producteur',
+  'seller.addTitle': 'Ajouter un nouveau produit',
+  'seller.form.productName': 'Nom du produit',
+  'seller.form.namePlaceholder': 'ex: Tomates cerises',
+  'seller.form.choose': 'Choisir...',
+  'seller.form.descriptionPlaceholder': 'Décrivez votre produit, méthode de culture, etc.',
+  'seller.form.priceEuro': 'Prix (€)',
+  'seller.form.priceMode': 'Ce prix est',
+  'seller.form.priceLot': 'pour tout le lot',
+  'seller.form.plannedHarvest': 'Date de récolte prévue',
+  'seller.form.freshnessDays': 'Proposé pendant (jours après la récolte)',
+  'seller.form.photos': 'Photos (6 maximum)',
+  'seller.form.takePhoto': '📷 Prendre une photo',
+  'seller.recurrence.title': '🔁 Republier automatiquement',
+  'seller.recurrence.enable': 'Lot récurrent : un nouveau lot est publié à chaque échéance',
+  'seller.recurrence.frequency': 'Périodicité',
+  'seller.recurrence.weekly': 'Chaque semaine',
+  'seller.recurrence.interval': 'Tous les N jours',
+  'seller.recurrence.days': 'Nombre de jours',
+  'seller.recurrence.seasonFrom': 'Saison : de',
+  'seller.recurrence.allYear': "Toute l'année",
+  'seller.recurrence.seasonTo': 'à',
+  'seller.publish': '📢 Publier et notifier',
+  'seller.myProducts': 'Mes produits',
+  'seller.filter.all': 'Tous',
+  'seller.filter.à venir': 'À venir',
+  'seller.filter.disponible': 'Disponibles',
+  'seller.filter.indisponible': 'Retirés',
+  'seller.filter.vendu': 'Vendus',
+  'seller.filter.expiré': 'Expirés',
+  'seller.selectAll': 'Tout sélectionner',
+  'seller.bulk.withdraw': 'Retirer',
+  'seller.bulk.priceValue': 'Prix ou variation',
+  'seller.bulk.priceMode': 'Mode de changement de prix',
+  'seller.bulk.newPrice': '€ (nouveau prix)',
+  'seller.bulk.percent': '% de variation',
+  'seller.bulk.changePrice': 'Changer le prix',
+  'seller.bulk.postpone': 'Reporter la récolte (jours)',
+  'seller.bulk.notify': 'Prévenir les alertes en cas de baisse de prix',
+  'seller.recurrences': 'Lots récurrents et abonnés',
+  'seller.reviews': 'Mes avis',
+
+  'subscription.offers': "Paniers à l'abonnement",
+  'subscription.nextLot': 'prochain lot le {date}',
+  'subscription.quantity': 'Quantité par livraison',
+  'subscription.subscribe': "🔁 S'abonner",
+  'subscription.empty': "Aucun abonnement : abonnez-vous depuis la vitrine d'un producteur",
+  'subscription.discontinued': "Ce lot n'est plus proposé",
+  'subscription.pausedBySeller': 'suspendu par le producteur',
+  'subscription.nextDelivery': 'Prochaine livraison',
+  'subscription.skipped': 'sautée',
+  'subscription.pause': '⏸ Pause',
+  'subscription.unskip': 'Ne plus sauter',
+  'subscription.skip': 'Sauter la prochaine',
+  'subscription.cancel': 'Résilier',
+
+  'field.quantity': 'Quantité',
+  'field.seller': 'Vendeur',
+  'field.buyer': 'Acheteur',
+  'field.name': 'Nom',
+  'field.category': 'Catégorie',
+  'field.description': 'Description',
+  'field.unit': 'Unité',
+  'field.price': 'Prix',
+  'field.unitPrice': 'Prix unitaire',
+  'field.harvest': 'Récolte',
+  'field.freshnessDays': 'Fraîcheur (jours)',
+  'field.pickup': 'Retrait',
+  'field.availableUntil': "Proposé jusqu'au",
+  'field.status': 'Statut',
+
+  'review.stars': '{rating} sur 5',
+  'review.count': { one: '{count} avis', other: '{count} avis' },
+  'review.sellerReply': 'Réponse du producteur :',
+  'review.replyPlaceholder': 'Répondre (une seule fois)',
+  'review.reply': 'Répondre',
+  'review.reported': 'Vous avez signalé cet avis',
+  'review.report': 'Signaler',
+  'review.empty': "Aucun avis pour l'instant",
+  'review.noScore': 'Pas encore de note',
+  'review.yours': 'Votre avis :',
+  'review.write': '⭐ Donner mon avis',
+  'review.formTitle': 'Donner mon avis',
+  'review.rating': 'Note',
+  'review.rating.5': 'Excellent',
+  'review.rating.4': 'Très bien',
+  'review.rating.3': 'Correct',
+  'review.rating.2': 'Décevant',
+  'review.rating.1': 'Mauvais',
+  'review.comment': 'Commentaire',
+  'review.commentPlaceholder': 'Qualité, accueil, ponctualité du retrait...',
+  'review.publish': 'Publier',
+
+  'storefront.defaultName': 'Producteur',
+  'storefront.runBy': 'Tenue par {name}',
+  'storefront.noDescription': "Ce producteur n'a pas encore présenté sa ferme",
+  'storefront.practices': 'Pratiques',
+  'storefront.pickupPoints': 'Points de retrait',
+  'storefront.pickupAtFarm': 'Retrait à la ferme, à convenir par message',
+  'storefront.lots': 'Lots en cours ({count})',
+  'storefront.noLots': 'Aucun lot proposé en ce moment',
+  'storefront.reviews': 'Avis des clients',
+
+  'products.count': { one: '{count} produit', other: '{count} produits' },
+  'products.empty': 'Aucun produit disponible',
+  'products.title': '🛒 Produits disponibles',
+  'products.searchPlaceholder': 'Rechercher un produit...',
+  'products.search': 'Rechercher un produit',
+  'products.moreFilters': 'Plus de filtres',
+  'products.maxDistance': 'Distance max',
+  'products.anyDistance': 'Toutes distances',
+  'products.minPrice': 'Prix min (€/unité)',
+  'products.maxPrice': 'Prix max (€/unité)',
+  'products.harvestFrom': 'Récolte du',
+  'products.harvestTo': 'au',
+  'products.anyUnit': 'Toutes unités',
+  'products.unit.weight': 'Poids (€/kg)',
+  'products.unit.piece': 'À la pièce (€/pièce)',
+  'products.unit.volume': 'Volume (€/litre)',
+  'products.sortBy': 'Trier par',
+  'products.sort.newest': 'Plus récents',
+  'products.sort.distance': 'Distance',
+  'products.sort.price': 'Prix',
+  'products.sort.freshness': 'Fraîcheur',
+  'products.upcoming': 'Récoltes à venir',
+  'products.reset': 'Réinitialiser',
+  'products.mode.list': '📋 Liste',
+  'products.mode.map': '🗺️ Carte',
+
+  'buyer.empty': 'Aucune recherche sauvegardée',
+  'buyer.keywords': 'Mots-clés',
+  'buyer.noKeywords': 'Aucun',
+  'buyer.radius': 'Rayon',
+  'buyer.maxPrice': 'Prix max',
+  'buyer.noLimit': 'Aucune limite',
+  'buyer.anyUnit': '{price} au kg, à la pièce…',
+  'buyer.createdAt': 'Créée le',
+  'buyer.noMatches': "Aucun produit ne correspond pour l'instant",
+  'buyer.matches': { one: '{count} produit correspond', other: '{count} produits correspondent' },
+  'buyer.match': '{name} — {price} à {distance} ({date})',
+  'buyer.unmute': '🔔 Réactiver',
+  'buyer.mute': '🔕 Ignorer',
+  'buyer.title': '🔍 Espace Acheteur',
+  'buyer.createTitle': 'Créer une alerte de recherche',
+  'buyer.intro': 'Recevez des notifications quand de nouveaux produits correspondent à vos critères',
+  'buyer.form.category': 'Catégorie recherchée',
+  'buyer.form.radius': 'Rayon de recherche (km)',
+  'buyer.form.keywords': 'Mots-clés (optionnel)',
+  'buyer.form.keywordsPlaceholder': 'bio, local, frais...',
+  'buyer.form.maxPrice': 'Prix maximum (€, optionnel)',
+  'buyer.form.unit': 'Par unité',
+  'buyer.form.anyUnit': 'Toutes unités (prix au kg, à la pièce…)',
+  'buyer.form.submit': "🔔 Créer l'alerte",
+  'buyer.active': 'Mes alertes actives',
+
+  'analytics.lots': 'Lots publiés',
+  'analytics.views': 'Consultations',
+  'analytics.contacts': 'Contacts',
+  'analytics.medianSale': 'Délai de vente médian',
+  'analytics.byLot': 'Consultations et contacts par lot',
+  'analytics.noViews': "Aucune consultation pour l'instant",
+  'analytics.outcome': 'Vendus ou expirés',
+  'analytics.noOutcome': 'Aucun lot vendu ni expiré',
+  'analytics.sold': 'Vendus',
+  'analytics.expired': 'Expirés',
+  'analytics.soldRatio': 'Lots vendus : {ratio}',
+  'analytics.saleDelays': 'Délai de vente des derniers lots',
+  'analytics.noSales': 'Aucun lot vendu',
+  'analytics.saleDelaysTitle': 'Délai entre publication et vente',
+  'analytics.demand': 'Demande locale',
+  'analytics.noLocation': 'Position inconnue : renseignez votre commune dans votre profil',
+  'analytics.noDemand': "Aucune alerte d'acheteur ne vous couvre pour l'instant",
+  'analytics.byCategory': 'Par catégorie',
+  'analytics.byCategoryTitle': 'Alertes par catégorie',
+  'analytics.topKeywords': 'Mots-clés les plus recherchés',
+  'analytics.byKeywordTitle': 'Alertes par mot-clé',
+  'analytics.alerts': 'Alertes',
+  'analytics.demandCount': { one: "{count} alerte d'acheteur dont le rayon inclut votre ferme", other: "{count} alertes d'acheteurs dont le rayon inclut votre ferme" },
+
+  'product.approximateDistance': 'Distance approximative : positions arrondies',
+  'product.distance': 'à {distance}',
+  'product.upcoming': 'À venir — récolte le {date}',
+  'product.recurring': "🔁 Lot récurrent : s'abonner",
+  'product.expectedHarvest': 'Récolte prévue',
+  'product.preorder': 'Précommander',
+  'product.contact': 'Contacter',
+  'product.photoAlt': '{name} — photo {index}',
+
+  'messages.empty': 'Aucune conversation pour le moment',
+  'messages.first': 'Écrivez votre premier message',
+  'messages.reservation': '📦 Demande de réservation :',
+  'messages.reservationStatus': 'Statut : {status}',
+  'messages.title': '💬 Mes conversations',
+  'messages.back': '← Conversations',
+  'messages.body': 'Votre message',
+  'messages.bodyPlaceholder': 'Bonjour, ce produit est-il toujours disponible ?',
+  'messages.send': 'Envoyer',
+
+  'order.action.confirmée': 'Confirmer',
+  'order.action.refusée': 'Refuser',
+  'order.action.retirée': 'Marquer retirée',
+  'order.action.annulée': 'Annuler',
+  'order.preorder': 'Précommande — récolte le {date}',
+  'order.note': 'Note',
+  'order.createdAt': 'Créée le {date}',
+  'order.history': 'Historique',
+  'order.noPurchases': 'Aucune réservation',
+  'order.noSales': 'Aucune commande reçue',
+  'order.conversation': 'Conversation',
+
+  'settings.sharedLocation': 'Position partagée : {location}',
+  'settings.sync.title': 'Synchronisation entre appareils',
+  'settings.sync.intro': 'Partagez annonces, alertes et messages avec les autres utilisateurs via un serveur commun.',
+  'settings.sync.url': 'Adresse du serveur',
+  'settings.sync.save': 'Enregistrer et synchroniser',
+  'settings.location.title': 'Confidentialité de la position',
+  'settings.location.intro': "Votre position est arrondie avant d'être enregistrée et partagée avec vos annonces et alertes.",
+  'settings.location.precision': 'Précision partagée',
+  'settings.location.commune': 'Définir ma commune (facultatif)',
+  'settings.location.refresh': "Relocaliser avec la position de l'appareil",
+  'settings.location.allowIp': 'Si le GPS échoue, autoriser la localisation par adresse IP (service tiers ipapi.co)',
+  'settings.data.title': 'Mes données',
+  'settings.data.intro': 'Exportez vos données pour les réutiliser dans un tableur ou les conserver en lieu sûr.',
+  'settings.map.title': 'Fond de carte',
+  'settings.map.intro': "Par défaut, la carte n'affiche qu'un fond hors ligne : aucune tuile n'est demandée à un serveur tiers sans votre accord. Laissez l'adresse vide pour utiliser OpenStreetMap.",
+  'settings.map.tileUrl': "Modèle d'adresse des tuiles",
+  'settings.map.attribution': 'Attribution',
+  'settings.map.remote': 'Charger les tuiles depuis ce serveur (service tiers : il reçoit la zone affichée)',
+  'settings.language.title': 'Langue',
+  'settings.language.label': "Langue de l'application",
+  'settings.language.hint': 'Les dates, montants et distances suivent aussi la langue choisie.',
+
+  'export.radius': 'Rayon (km)',
+  'export.maxPrice': 'Prix maximum (€)',
+  'export.field': 'Champ',
+  'export.value': 'Valeur',
+  'export.products.csv': 'Mes produits (CSV)',
+  'export.products.json': 'Mes produits (JSON)',
+  'export.searches.csv': 'Mes alertes (CSV)',
+  'export.searches.json': 'Mes alertes (JSON)',
+  'export.profile.csv': 'Mon profil (CSV)',
+  'export.profile.json': 'Mon profil (JSON)',
+  'export.backup': '💾 Sauvegarde complète',
+
+  'restore.unreadableJson': 'Fichier JSON illisible',
+  'restore.failed': 'Restauration impossible : {message}',
+  'restore.title': 'Restaurer une sauvegarde',
+  'restore.hint': "La restauration fusionne : rien n'est dupliqué, la version la plus récente de chaque élément est conservée. Les photos ne font pas partie de la sauvegarde.",
+
+  'lifecycle.expiring': 'Lot bientôt expiré',
+  'lifecycle.expiringBody': '{name} ne sera plus proposé après le {date}',
+
+  'header.testNotifications': 'Test Notifs',
+  'header.install': '📱 Installer',
+
+  'nav.home': '🏠 Accueil',
+  'nav.products': '🛒 Produits',
+  'nav.seller': '🌱 Vendre',
+  'nav.analytics': '📊 Tableau de bord',
+  'nav.buyer': '🔍 Acheter',
+  'nav.orders': '📦 Commandes',
+  'nav.messages': '💬 Messages',
+  'nav.settings': '⚙️ Réglages',
+  'nav.label': 'Sections du marché',
+
+  'home.welcome': 'Bienvenue sur votre marché local ! 🌾',
+  'home.intro': 'Connectez producteurs et acheteurs dans votre région',
+  'home.products': 'Produits disponibles',
+  'home.sellers': 'Producteurs actifs',
+  'home.categories': 'Catégories',
+  'home.quickActions': 'Actions rapides',
+  'home.browse': '🛒 Voir les produits',
+  'home.addProduct': '🌱 Ajouter un produit',
+  'home.createAlert': '🔔 Créer une alerte',
+
+  'orders.title': '📦 Mes commandes',
+  'orders.purchases': 'Mes réservations',
+  'orders.subscriptions': 'Mes abonnements',
+  'orders.sales': 'Commandes reçues',
+
+  'reservation.title': '📦 Réserver une partie du lot',
+  'reservation.quantity': 'Quantité souhaitée',
+  'reservation.note': 'Note (optionnel)',
+  'reservation.notePlaceholder': 'Retrait samedi matin',
+  'reservation.submit': 'Demander la réservation',
+
+  'footer.tagline': '- Connecter producteurs et consommateurs',
+  'footer.offline': 'Application hors ligne - Données stockées localement',
+
+  'chart.value': '{label} : {value}',
+  'chart.share': '{label} : {value} ({share})',
+
+  'toast.region': 'Notifications',
+  'toast.dismiss': 'Fermer la notification',
+
+  'validation.required': 'Ce champ est obligatoire.',
+  'validation.choose': 'Choisissez une option.',
+  'validation.url': 'Saisissez une adresse web complète (https://…).',
+  'validation.type': 'Format incorrect.',
+  'validation.pattern': 'Format incorrect.',
+  'validation.number': 'Saisissez un nombre.',
+  'validation.min': 'La valeur doit être au moins {min}.',
+  'validation.max': 'La valeur doit être au plus {max}.',
+  'validation.step': 'La valeur doit être un multiple de {step}.',
+  'validation.tooLong': { one: '{count} caractère au plus.', other: '{count} caractères au plus.' }
+}
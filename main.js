@@ -1,42 +1,64 @@
-const localforage = window.localforage
-import './style.css';
+import { db } from './db.js'
+import { GAZETTEER } from './gazetteer.js'
+import { html, render, delegate } from './render.js'
+import { barChart, ringChart } from './charts.js'
+import { detectLocale, formatDate, formatDateTime, formatDistance, formatMoney, formatNumber, getLocale, has, LOCALES, setLocale, t, translateDocument, translations } from './i18n.js'
+import { LEGACY_CATEGORIES, legacyId, tombstone, touch, ulid, upgradeRecord } from './records.js'
+import { focusView, setFieldError, Tabs, Toaster, validateForm, validateForms } from './ui.js'
 
-// Configuration du stockage
-const storage = {
-  async setItem(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
-  },
-  async getItem(key) {
-    const item = localStorage.getItem(key);
-    return item ? JSON.parse(item) : null;
-  }
-};
+// Minuscules sans accents : « Œufs Bio » → « oeufs bio »
+function normalizeText(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .replace(/œ/g, 'oe')
+    .replace(/æ/g, 'ae')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+}
 
-// Gestionnaire de géolocalisation simple pour le rayon
+// Gestionnaire de géolocalisation : la position est dégradée selon le choix de l'utilisateur
+// avant d'être enregistrée, et aucun service tiers n'est appelé sans son accord.
 class LocationManager {
+  constructor() {
+    this.precisions = ['exact', 'grid', 'commune'] // libellés : location.precision.*
+    this.defaultSettings = { precision: 'grid', allowIpLookup: false }
+    this.gridKm = 1
+    this.communeAccuracyKm = 5
+    this.ipAccuracyKm = 10
+  }
+
+  async getSettings() {
+    return { ...this.defaultSettings, ...await db.getSetting('locationSettings') }
+  }
+
+  async saveSettings(settings) {
+    const saved = { ...await this.getSettings(), ...settings }
+    await db.setSetting('locationSettings', saved)
+    return saved
+  }
+
+  // Position de l'appareil, puis localisation par IP seulement si autorisée
   async getLocation() {
-    // Essayer IP d'abord (plus fiable)
-    try {
-      const response = await fetch('https://ipapi.co/json/')
-      if (response.ok) {
-        const data = await response.json()
-        return {
-          lat: data.latitude,
-          lon: data.longitude,
-          city: data.city,
-          region: data.region,
-          country: data.country_name,
-          source: 'IP'
-        }
-      }
+    const settings = await this.getSettings()
+    let location
+
+    try {
+      location = await this.getDevicePosition()
     } catch (error) {
-      console.log('IP location failed, trying GPS...')
+      if (!settings.allowIpLookup) {
+        throw new Error(t('location.error.unavailable'))
+      }
+      location = await this.getIpPosition()
     }
 
-    // Fallback GPS si IP échoue
+    return this.applyPrecision(location, settings.precision)
+  }
+
+  getDevicePosition() {
     return new Promise((resolve, reject) => {
       if (!navigator.geolocation) {
-        reject(new Error('Géolocalisation non supportée'))
+        reject(new Error(t('location.error.unsupported')))
         return
       }
 
@@ -45,7 +67,7 @@ class LocationManager {
           resolve({
             lat: position.coords.latitude,
             lon: position.coords.longitude,
-            accuracy: position.coords.accuracy,
+            accuracyKm: position.coords.accuracy / 1000,
             source: 'GPS'
           })
         },
@@ -55,6 +77,133 @@ class LocationManager {
     })
   }
 
+  // Service tiers (ipapi.co) : uniquement sur consentement explicite
+  async getIpPosition() {
+    const response = await fetch('https://ipapi.co/json/')
+    if (!response.ok) throw new Error(t('location.error.ip', { status: String(response.status) }))
+
+    const data = await response.json()
+    return {
+      lat: data.latitude,
+      lon: data.longitude,
+      accuracyKm: this.ipAccuracyKm,
+      source: 'IP'
+    }
+  }
+
+  // exact, grid (centre d'un carré d'environ 1 km) ou commune (centre de la commune la plus proche)
+  applyPrecision(location, precision = this.defaultSettings.precision) {
+    const accuracyKm = this.accuracyOf(location)
+
+    if (precision === 'commune') {
+      const entry = this.nearestCommune(location)
+      const offset = this.calculateDistance(location, { lat: entry[2], lon: entry[3] })
+      return {
+        ...this.fromGazetteer(entry),
+        source: location.source,
+        // arrondi par paliers de 5 km pour ne pas trahir la distance au centre
+        accuracyKm: Math.max(this.communeAccuracyKm, Math.ceil(offset / 5) * 5, accuracyKm)
+      }
+    }
+
+    if (precision === 'grid') {
+      const latStep = this.gridKm / 111.32
+      const lat = (Math.floor(location.lat / latStep) + 0.5) * latStep
+      const lonStep = this.gridKm / (111.32 * Math.cos(this.toRad(lat)))
+      const lon = (Math.floor(location.lon / lonStep) + 0.5) * lonStep
+      return {
+        lat: Number(lat.toFixed(5)),
+        lon: Number(lon.toFixed(5)),
+        precision: 'grid',
+        source: location.source,
+        accuracyKm: Math.max(this.gridKm * Math.SQRT1_2, accuracyKm)
+      }
+    }
+
+    return {
+      lat: location.lat,
+      lon: location.lon,
+      precision: 'exact',
+      source: location.source,
+      accuracyKm
+    }
+  }
+
+  // Positions enregistrées avant l'introduction de la précision : accuracy en mètres
+  accuracyOf(location) {
+    if (!location) return 0
+    if (typeof location.accuracyKm === 'number') return location.accuracyKm
+    if (location.source === 'IP') return this.ipAccuracyKm
+    return (location.accuracy || 0) / 1000
+  }
+
+  // Répertoire hors ligne des communes
+  searchCommunes(query, limit = 8) {
+    const q = normalizeText(query).trim()
+    if (!q) return []
+    return GAZETTEER
+      .filter(([postcode, name]) => postcode.startsWith(q) || normalizeText(name).startsWith(q))
+      .slice(0, limit)
+  }
+
+  // Accepte « 35000 Rennes », « Rennes » ou « 35000 »
+  findCommune(text) {
+    const q = normalizeText(text).trim()
+    if (!q) return null
+    return GAZETTEER.find(([postcode, name]) =>
+      normalizeText(`${postcode} ${name}`) === q || normalizeText(name) === q || postcode === q
+    ) || this.searchCommunes(q, 1)[0] || null
+  }
+
+  fromGazetteer([postcode, commune, lat, lon]) {
+    return {
+      lat,
+      lon,
+      postcode,
+      commune,
+      precision: 'commune',
+      source: 'gazetteer',
+      accuracyKm: this.communeAccuracyKm
+    }
+  }
+
+  nearestCommune(location) {
+    let nearest = GAZETTEER[0]
+    let best = Infinity
+    for (const entry of GAZETTEER) {
+      const distance = this.calculateDistance(location, { lat: entry[2], lon: entry[3] })
+      if (distance < best) {
+        best = distance
+        nearest = entry
+      }
+    }
+    return nearest
+  }
+
+  describe(location) {
+    if (!location) return t('location.none')
+    const place = location.commune
+      ? `${location.commune} (${location.postcode})`
+      : t(`location.precision.${this.precisions.includes(location.precision) ? location.precision : 'exact'}`)
+    const accuracy = this.accuracyOf(location)
+    return accuracy >= 0.5
+      ? t('location.withAccuracy', { place, accuracy: formatDistance(Math.ceil(accuracy), { maximumFractionDigits: 0 }) })
+      : place
+  }
+
+  // Incertitude cumulée de deux positions, en km
+  uncertainty(pos1, pos2) {
+    return this.accuracyOf(pos1) + this.accuracyOf(pos2)
+  }
+
+  formatDistance(distance, uncertainty = 0) {
+    if (uncertainty < 0.5) return formatDistance(distance)
+    return t('location.approximateDistance', {
+      distance: formatDistance(Math.max(1, Math.round(distance)), { maximumFractionDigits: 0 }),
+      uncertainty: formatDistance(Math.ceil(uncertainty), { maximumFractionDigits: 0 })
+    })
+  }
+
   // Calculer distance entre deux points
   calculateDistance(pos1, pos2) {
     const R = 6371 // Rayon terre en km
@@ -87,624 +236,6019 @@ class LocationManager {
   }
 }
 
+// Machine à états : transitions autorisées entre statuts
+class StateMachine {
+  constructor(name, transitions) {
+    this.name = name
+    this.transitions = transitions
+  }
+
+  can(from, to) {
+    return (this.transitions[from] || []).includes(to)
+  }
+
+  next(from) {
+    return this.transitions[from] || []
+  }
+
+  // Libellé traduit d'un statut : status.<nom>.<statut>
+  label(status) {
+    return t(`status.${this.name}.${status}`)
+  }
+
+  assert(from, to) {
+    if (!this.can(from, to)) {
+      throw new Error(t('status.invalidTransition', { name: t(`status.${this.name}`), from: this.label(from), to: this.label(to) }))
+    }
+  }
+}
+
+// Cycle de vie d'un lot
+const productStatus = new StateMachine('product', {
+  'à venir': ['disponible', 'vendu', 'indisponible', 'expiré'], // avant la récolte : précommandes
+  'disponible': ['vendu', 'indisponible', 'expiré'],
+  'indisponible': ['disponible', 'à venir'],
+  'vendu': ['disponible', 'à venir'], // remis en vente si une commande confirmée est annulée
+  'expiré': []
+})
+
+// Cycle de vie d'une commande
+const orderStatus = new StateMachine('order', {
+  'en attente': ['confirmée', 'refusée', 'annulée'],
+  'confirmée': ['retirée', 'annulée'],
+  'retirée': [],
+  'refusée': [],
+  'annulée': []
+})
+
 // Gestionnaire de produits
 class ProductManager {
   constructor() {
+    this.defaultFreshnessDays = 5
+    // Champs modifiables après publication
+    this.editableFields = [
+      'name', 'category', 'description', 'quantity', 'unit', 'price', 'priceMode',
+      'harvestDate', 'freshnessDays', 'pickupPointId', 'pickupPointName'
+    ]
+    // Unités de vente : grandeur comparable et facteur vers l'unité de référence.
+    // Les unités non divisibles n'acceptent que des quantités entières.
+    // Libellés traduits : unit.<clé>, au pluriel selon la quantité
+    this.units = {
+      kg: { group: 'masse', factor: 1, divisible: true },
+      g: { group: 'masse', factor: 0.001, divisible: true },
+      'pièce': { group: 'pièce', factor: 1 },
+      douzaine: { group: 'pièce', factor: 12 },
+      botte: { group: 'botte', factor: 1 },
+      litre: { group: 'volume', factor: 1, divisible: true },
+      pot: { group: 'pot', factor: 1 }
+    }
+    // Unité des prix normalisés (€/kg, €/pièce…) pour chaque grandeur
+    this.referenceUnits = { masse: 'kg', 'pièce': 'pièce', botte: 'botte', volume: 'litre', pot: 'pot' }
+    // Valeurs des anciens formulaires, converties à la lecture et par migrateUnits
+    this.legacyUnits = { 'pièces': 'pièce', litres: 'litre', bouquets: 'botte', paniers: 'pièce' }
+    // Prix saisi pour une unité ou pour tout le lot (libellés : priceMode.*)
+    this.priceModes = ['unit', 'lot']
+    // Clés enregistrées dans les lots et les alertes, libellés traduits : category.*
     this.categories = [
-      'Fruits', 'Légumes', 'Céréales', 'Légumineuses',
-      'Herbes aromatiques', 'Fleurs', 'Œufs', 'Produits laitiers',
-      'Miel', 'Conserves', 'Autres'
+      'fruits', 'vegetables', 'cereals', 'pulses',
+      'herbs', 'flowers', 'eggs', 'dairy',
+      'honey', 'preserves', 'other'
     ]
   }
 
   async saveProduct(productData) {
     try {
-      let products = await localforage.getItem('products') || []
-      const product = {
-        id: Date.now(),
+      const product = await db.createRecord({
         ...productData,
-        createdAt: Date.now(),
-        status: 'disponible' // disponible, vendu, expiré
-      }
+        ...this.validatePricing(productData),
+        freshnessDays: parseInt(productData.freshnessDays) || this.defaultFreshnessDays
+      }, { authorId: productData.sellerId })
+      product.status = this.harvestStatus(product) // à venir, disponible, indisponible, vendu, expiré
 
-      products.unshift(product)
-      await localforage.setItem('products', products)
-      return product
+      return await db.put('products', product)
     } catch (error) {
       console.error('Erreur sauvegarde produit:', error)
       throw error
     }
   }
 
-  async getProducts() {
+  // Import en lot : une seule transaction, ids distincts même dans la même milliseconde
+  async saveProducts(productsData) {
     try {
-      return await localforage.getItem('products') || []
+      const saved = []
+      for (const productData of productsData) {
+        const product = await db.createRecord({
+          ...productData,
+          ...this.validatePricing(productData),
+          freshnessDays: parseInt(productData.freshnessDays) || this.defaultFreshnessDays
+        }, { authorId: productData.sellerId })
+        product.status = this.harvestStatus(product)
+        saved.push(product)
+      }
+
+      return await db.putAll('products', saved)
     } catch (error) {
-      console.error('Erreur chargement produits:', error)
-      return []
+      console.error('Erreur import produits:', error)
+      throw error
     }
   }
 
-  async updateProductStatus(productId, status) {
+  // Plus récents d'abord (index createdAt)
+  async getProducts() {
     try {
-      let products = await this.getProducts()
-      products = products.map(p =>
-        p.id === productId ? { ...p, status, updatedAt: Date.now() } : p
-      )
-      await localforage.setItem('products', products)
-      return true
+      return (await db.getAll('products', { index: 'createdAt', direction: 'prev' }))
+        .map(product => this.withHarvestStatus(product))
     } catch (error) {
-      console.error('Erreur mise à jour produit:', error)
-      return false
+      console.error('Erreur chargement produits:', error)
+      return []
     }
   }
 
-  // Recherche produits par catégorie et localisation
-  searchProducts(products, filters) {
-    return products.filter(product => {
-      // Filtre statut
-      if (product.status !== 'disponible') return false
+  async getProduct(productId) {
+    return this.withHarvestStatus(await db.get('products', productId) || null)
+  }
 
-      // Filtre catégorie
-      if (filters.category && filters.category !== 'all' &&
-          product.category !== filters.category) return false
+  async getSellerProducts(sellerId) {
+    return (await db.getAllBy('products', 'sellerId', sellerId))
+      .map(product => this.withHarvestStatus(product))
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }
 
-      // Filtre recherche texte
-      if (filters.search) {
-        const search = filters.search.toLowerCase()
-        const text = `${product.name} ${product.description}`.toLowerCase()
-        if (!text.includes(search)) return false
-      }
+  // Écriture d'un lot modifié hors des méthodes ci-dessous (positions, cycle de vie…)
+  async putProducts(products) {
+    return await db.putAll('products', products)
+  }
 
-      return true
-    })
+  // Début de la journée de récolte, en heure locale
+  harvestStart(product) {
+    return new Date(`${product.harvestDate}T00:00:00`).getTime()
   }
-}
 
-// Gestionnaire de notifications
-class NotificationManager {
-  constructor() {
-    this.requestPermission()
+  // Fin de la fenêtre de fraîcheur choisie par le vendeur
+  expiresAt(product) {
+    const days = product.freshnessDays || this.defaultFreshnessDays
+    return this.harvestStart(product) + days * 24 * 60 * 60 * 1000
   }
 
-  async requestPermission() {
-    if ('Notification' in window && Notification.permission === 'default') {
-      await Notification.requestPermission()
-    }
+  // Statut dicté par la date de récolte (à dupliquer dans sw.js : harvestStatus)
+  harvestStatus(product, now = Date.now()) {
+    if (!product.harvestDate || Number.isNaN(this.harvestStart(product))) return 'disponible'
+    if (now < this.harvestStart(product)) return 'à venir'
+    if (now < this.expiresAt(product)) return 'disponible'
+    return 'expiré'
   }
 
-  async sendNotification(title, body, data = {}) {
-    if ('Notification' in window && Notification.permission === 'granted') {
-      new Notification(title, {
-        body,
-        icon: '/la-generation-didees.png',
-        badge: '/la-generation-didees.png',
-        data,
-        requireInteraction: true
-      })
+  // Seuls les statuts automatiques suivent la date ; vendu et indisponible sont des choix du vendeur
+  isLifecycleManaged(product) {
+    return product.status === 'à venir' || product.status === 'disponible'
+  }
+
+  // Statut à afficher, calculé à la lecture : seul l'appareil du vendeur enregistre et renvoie
+  // le changement (LifecycleManager), les autres lots restent tels que reçus
+  withHarvestStatus(product, now = Date.now()) {
+    if (!product || !this.isLifecycleManaged(product)) return product
+    const status = this.harvestStatus(product, now)
+    return status !== product.status && productStatus.can(product.status, status) ? { ...product, status } : product
+  }
+
+  parseQuantity(value) {
+    const quantity = parseFloat(value)
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw new Error(t('error.invalidQuantity'))
     }
+    return quantity
   }
 
-  // Notifier acheteurs intéressés par un nouveau produit
-  async notifyBuyers(product, locationManager) {
-    try {
-      // Récupérer les recherches sauvegardées
-      const searches = await localforage.getItem('savedSearches') || []
-      const users = await localforage.getItem('users') || []
+  normalizeUnit(unit) {
+    return this.legacyUnits[unit] || unit
+  }
 
-      // Trouver les recherches matchant le produit
-      const matchingSearches = searches.filter(search =>
-        !search.category || search.category === 'all' || search.category === product.category
-      )
+  // « botte » / « bottes » selon la quantité ; unité inconnue affichée telle quelle
+  unitLabel(unit, count = 1) {
+    const key = this.normalizeUnit(unit)
+    return this.units[key] ? t(`unit.${key}`, { count }) : unit || ''
+  }
 
-      // Pour chaque recherche, vérifier si l'utilisateur est dans le rayon
-      for (const search of matchingSearches) {
-        if (product.location && search.userId) {
-          const user = users.find(u => u.id === search.userId)
-          if (user && user.location) {
-            const distance = locationManager.calculateDistance(
-              product.location,
-              user.location
-            )
+  // Catégorie inconnue (donnée d'une version plus récente) affichée telle quelle
+  categoryLabel(category) {
+    return has(`category.${category}`) ? t(`category.${category}`) : category || ''
+  }
 
-            if (distance <= search.radius) {
-              await this.sendNotification(
-                `Nouveau produit disponible !`,
-                `${product.name} - ${product.category} à ${distance.toFixed(1)}km de vous`,
-                { productId: product.id, distance }
-              )
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Erreur notification:', error)
+  // Pas de demi-botte ni de demi-pot, au stock comme à la réservation
+  assertWholeQuantity(quantity, unit) {
+    const definition = this.units[this.normalizeUnit(unit)]
+    if (definition && !definition.divisible && !Number.isInteger(quantity)) {
+      throw new Error(t('error.wholeQuantity', { unit: this.unitLabel(unit) }))
     }
   }
-}
 
-// Gestionnaire d'utilisateurs
-class UserManager {
-  async getCurrentUser() {
-    return await localforage.getItem('currentUser')
+  // Quantité, unité et prix contrôlés avant enregistrement ; unitPrice = prix d'une unité de vente.
+  // En mode lot, le prix couvre la quantité indiquée au moment de la saisie.
+  validatePricing({ quantity, unit, price, priceMode = 'unit' }) {
+    unit = this.normalizeUnit(unit)
+    const definition = this.units[unit]
+    if (!definition) throw new Error(t('error.unknownUnit', { unit: unit || '—' }))
+
+    quantity = this.parseQuantity(quantity)
+    this.assertWholeQuantity(quantity, unit)
+
+    if (!this.priceModes.includes(priceMode)) throw new Error(t('error.invalidPriceMode'))
+    price = Math.round(parseFloat(price) * 100) / 100
+    if (!(price > 0)) throw new Error(t('error.invalidPrice'))
+    if (priceMode === 'lot' && !(quantity > 0)) throw new Error(t('error.lotPriceNeedsQuantity'))
+
+    const unitPrice = priceMode === 'lot' ? price / quantity : price
+    return { quantity, unit, price, priceMode, unitPrice }
   }
 
-  async saveUser(userData) {
-    try {
-      let users = await localforage.getItem('users') || []
-      const user = {
-        id: Date.now(),
-        ...userData,
-        createdAt: Date.now()
-      }
+  // Prix d'une unité de vente ; les anciens lots n'avaient qu'un prix unitaire
+  unitPriceOf(product) {
+    const price = product.unitPrice ?? product.price
+    return typeof price === 'number' && Number.isFinite(price) ? price : null
+  }
 
-      users.push(user)
-      await localforage.setItem('users', users)
-      await localforage.setItem('currentUser', user)
-      return user
-    } catch (error) {
-      console.error('Erreur sauvegarde utilisateur:', error)
-      throw error
-    }
+  // Prix à réafficher dans le formulaire : celui du stock restant en mode lot
+  enteredPrice(product) {
+    const price = this.unitPriceOf(product)
+    if (price === null) return null
+    return product.priceMode === 'lot' ? Math.round(price * product.quantity * 100) / 100 : price
   }
 
-  async saveBuyerSearch(searchData) {
-    try {
-      let searches = await localforage.getItem('savedSearches') || []
-      const search = {
-        id: Date.now(),
-        ...searchData,
-        createdAt: Date.now()
-      }
+  // Prix ramené à l'unité de référence : 0,50 €/100 g → 5 €/kg, 3 €/douzaine → 0,25 €/pièce
+  normalizedPrice(product) {
+    const definition = this.units[this.normalizeUnit(product.unit)]
+    const price = this.unitPriceOf(product)
+    if (!definition || price === null) return null
+    return { value: price / definition.factor, unit: this.referenceUnits[definition.group] }
+  }
 
-      searches.unshift(search)
-      await localforage.setItem('savedSearches', searches)
-      return search
-    } catch (error) {
-      console.error('Erreur sauvegarde recherche:', error)
-      throw error
-    }
+  // Prix exprimé dans une autre unité de la même grandeur, null si incomparables
+  priceIn(product, unit) {
+    const normalized = this.normalizedPrice(product)
+    const target = this.units[this.normalizeUnit(unit)]
+    if (!normalized || !target || this.referenceUnits[target.group] !== normalized.unit) return null
+    return normalized.value * target.factor
   }
-}
 
-// Application principale
-class MarketplacePWA {
-  constructor() {
-    this.isOnline = navigator.onLine
-    this.installPrompt = null
-    this.currentUser = null
-    this.userLocation = null
+  unitsCompatible(unitA, unitB) {
+    const a = this.units[this.normalizeUnit(unitA)]
+    const b = this.units[this.normalizeUnit(unitB)]
+    if (!a || !b) return this.normalizeUnit(unitA) === this.normalizeUnit(unitB)
+    return a.group === b.group
+  }
 
-    this.locationManager = new LocationManager()
-    this.productManager = new ProductManager()
-    this.notificationManager = new NotificationManager()
-    this.userManager = new UserManager()
+  formatMoney(value) {
+    return formatMoney(value)
+  }
 
-    this.currentView = 'home'
-    this.init()
+  formatQuantity(quantity, unit) {
+    const value = Math.round(Number(quantity) * 1000) / 1000
+    if (!Number.isFinite(value)) return `${quantity ?? ''} ${unit || ''}`.trim()
+    return `${formatNumber(value, { maximumFractionDigits: 3 })} ${this.unitLabel(unit, value)}`.trim()
   }
 
-  async init() {
-    await this.setupPWA()
-    this.setupEventListeners()
-    this.updateStatus()
-    await this.loadUser()
-    this.showView('home')
+  // Prix tel que saisi : « 3,00 € / botte » ou « 12,00 € le lot de 3 kg »
+  formatPrice(product) {
+    const price = this.unitPriceOf(product)
+    if (price === null) return '—'
+    if (product.priceMode === 'lot') {
+      return t('price.lot', {
+        price: this.formatMoney(price * product.quantity),
+        quantity: this.formatQuantity(product.quantity, product.unit)
+      })
+    }
+    return this.formatUnitPrice(price, product.unit)
   }
 
-  async setupPWA() {
-    if ('serviceWorker' in navigator) {
-      try {
-        await navigator.serviceWorker.register('./sw.js', { scope: './' })
-        console.log('Service Worker enregistré')
-      } catch (error) {
-        console.log('Erreur Service Worker:', error)
-      }
+  formatUnitPrice(price, unit) {
+    return t('price.perUnit', { price: this.formatMoney(price), unit: this.unitLabel(unit) })
+  }
+
+  // « 4,00 €/kg », omis quand il répète formatPrice
+  formatNormalizedPrice(product) {
+    const normalized = this.normalizedPrice(product)
+    if (!normalized) return ''
+    if (product.priceMode !== 'lot' && this.normalizeUnit(product.unit) === normalized.unit) return ''
+    return t('price.normalized', { price: this.formatMoney(normalized.value), unit: this.unitLabel(normalized.unit) })
+  }
+
+  // Anciennes annonces du vendeur : quantité en texte, unités au pluriel, pas de mode de prix.
+  // Celles des autres restent lisibles grâce à normalizeUnit et unitPriceOf.
+  async migrateUnits(sellerId) {
+    const products = await this.getSellerProducts(sellerId)
+    const migrated = []
+    for (const product of products) {
+      if (product.priceMode && product.unitPrice !== undefined) continue
+
+      product.unit = this.normalizeUnit(product.unit)
+      product.quantity = parseFloat(product.quantity) || 0
+      product.priceMode = 'unit'
+      product.unitPrice = this.unitPriceOf(product)
+      touch(product)
+      migrated.push(product)
     }
+    return await this.putProducts(migrated)
+  }
 
-    window.addEventListener('beforeinstallprompt', (e) => {
-      e.preventDefault()
-      this.installPrompt = e
-      document.getElementById('install-btn')?.classList.remove('hidden')
-    })
+  // Modification d'un lot publié ; chaque changement est historisé champ par champ
+  // announce : false si le vendeur ne veut pas que les alertes des acheteurs signalent une baisse de prix
+  async updateProduct(productId, sellerId, changes, { announce = true } = {}) {
+    try {
+      let diff = {}
+      const product = await db.update('products', productId, (product) => {
+        if (!product || product.sellerId !== sellerId) throw new Error(t('error.productNotFound'))
+        diff = this.applyChanges(product, sellerId, changes, { announce })
+        return Object.keys(diff).length > 0 ? product : null
+      })
+      return { product: product || await this.getProduct(productId), diff }
+    } catch (error) {
+      console.error('Erreur modification produit:', error)
+      throw error
+    }
   }
 
-  setupEventListeners() {
-    // Navigation
-    document.addEventListener('click', (e) => {
-      if (e.target.matches('[data-view]')) {
-        e.preventDefault()
-        this.showView(e.target.dataset.view)
+  // Applique les modifications au lot et renvoie le diff historisé ; le choix de prévenir
+  // les alertes est gardé avec l'entrée, lue par les appareils des acheteurs
+  applyChanges(product, sellerId, changes, { announce = true } = {}) {
+    // Quantité, unité et prix revalidés ensemble, à partir du prix actuel du lot
+    changes = { ...changes }
+    if (['quantity', 'unit', 'price', 'priceMode'].some(field => field in changes)) {
+      const current = {
+        quantity: product.quantity,
+        unit: product.unit,
+        price: this.enteredPrice(product),
+        priceMode: product.priceMode || 'unit'
       }
-    })
+      Object.assign(changes, this.validatePricing({ ...current, ...changes }))
+    }
 
-    // PWA
-    document.getElementById('install-btn')?.addEventListener('click', () => this.installApp())
-    window.addEventListener('online', () => this.handleOnline())
-    window.addEventListener('offline', () => this.handleOffline())
+    const diff = {}
+    for (const field of [...this.editableFields, 'unitPrice']) {
+      if (!(field in changes)) continue
 
-    // Formulaires
-    document.getElementById('seller-form')?.addEventListener('submit', (e) => {
-      e.preventDefault()
-      this.handleSellerSubmit(e)
-    })
+      let value = changes[field]
+      if (field === 'freshnessDays') value = parseInt(value) || this.defaultFreshnessDays
 
-    document.getElementById('buyer-form')?.addEventListener('submit', (e) => {
-      e.preventDefault()
-      this.handleBuyerSubmit(e)
-    })
+      if (value !== product[field]) diff[field] = { from: product[field], to: value }
+    }
+    if (Object.keys(diff).length === 0) return diff
 
-    document.getElementById('user-setup-form')?.addEventListener('submit', (e) => {
-      e.preventDefault()
-      this.handleUserSetup(e)
-    })
+    for (const [field, { to }] of Object.entries(diff)) product[field] = to
+    this.refreshStatus(product)
+    const entry = { at: Date.now(), by: sellerId, changes: diff }
+    if (!announce) entry.announce = false
+    touch(product, { history: [...(product.history || []), entry] })
+    return diff
+  }
 
-    // Recherche
-    document.getElementById('search-input')?.addEventListener('input', (e) => {
-      this.searchProducts(e.target.value)
-    })
+  // Après modification : statut recalculé d'après le stock et la date de récolte
+  refreshStatus(product) {
+    if (!this.isLifecycleManaged(product) && product.status !== 'vendu') return
 
-    document.getElementById('category-filter')?.addEventListener('change', (e) => {
-      this.filterProducts(e.target.value)
-    })
+    if (!(Number(product.quantity) > 0)) {
+      if (productStatus.can(product.status, 'vendu')) this.setStatus(product, 'vendu')
+      return
+    }
+
+    const status = this.harvestStatus(product)
+    if (status !== product.status && productStatus.can(product.status, status)) this.setStatus(product, status)
   }
 
-  async loadUser() {
-    this.currentUser = await this.userManager.getCurrentUser()
-    if (!this.currentUser) {
-      this.showView('setup')
-      this.hideNavigation()
-    } else {
-      this.showNavigation()
-      this.updateStats()
+  // Date de vente gardée pour le délai de vente du tableau de bord ; effacée si le lot est remis en vente
+  setStatus(product, status) {
+    if (status === product.status) return product
+    product.status = status
+    product.soldAt = status === 'vendu' ? Date.now() : null
+    return product
+  }
+
+  async updateProductStatus(productId, status) {
+    try {
+      return await db.update('products', productId, (product) => {
+        if (!product) throw new Error(t('error.productNotFound'))
+
+        productStatus.assert(product.status, status)
+        if (status === 'disponible' && !(Number(product.quantity) > 0)) {
+          throw new Error(t('error.outOfStock'))
+        }
+        // Remis en vente : le statut suit la date de récolte
+        if (status === 'disponible') {
+          status = this.harvestStatus(product)
+          if (status === 'expiré') throw new Error(t('error.harvestExpired'))
+        }
+        return touch(this.setStatus(product, status))
+      })
+    } catch (error) {
+      console.error('Erreur mise à jour produit:', error)
+      return null
     }
   }
 
-  // Masquer/Afficher la navigation
-  hideNavigation() {
-    const nav = document.querySelector('.main-nav')
-    if (nav) nav.style.display = 'none'
+  // Retirer une quantité du stock ; le lot passe en vendu quand il est épuisé
+  async decrementStock(productId, quantity) {
+    return await db.update('products', productId, product => this.applyDecrement(product, quantity))
   }
 
-  showNavigation() {
-    const nav = document.querySelector('.main-nav')
-    if (nav) nav.style.display = 'flex'
+  applyDecrement(product, quantity) {
+    if (!product) throw new Error(t('error.productNotFound'))
+    if (!this.isLifecycleManaged(product)) throw new Error(t('error.productUnavailable'))
+
+    const stock = Number(product.quantity)
+    if (quantity > stock) throw new Error(t('error.insufficientStock'))
+
+    product.quantity = Math.round((stock - quantity) * 1000) / 1000
+    // Au lot, le prix affiché suit le stock restant
+    if (product.priceMode === 'lot') product.price = this.enteredPrice(product)
+    touch(product)
+    if (product.quantity === 0) {
+      productStatus.assert(product.status, 'vendu')
+      this.setStatus(product, 'vendu')
+    }
+    return product
   }
 
-  // Vérifier si l'utilisateur est configuré
-  requireUser() {
-    if (!this.currentUser) {
-      this.showNotification('Configuration utilisateur requise')
-      this.showView('setup')
-      return false
+  // Remettre une quantité en stock (commande confirmée puis annulée)
+  async restock(productId, quantity) {
+    return await db.update('products', productId, product => this.applyRestock(product, quantity))
+  }
+
+  applyRestock(product, quantity) {
+    if (!product) return null
+
+    product.quantity = Math.round((Number(product.quantity) + quantity) * 1000) / 1000
+    if (product.priceMode === 'lot') product.price = this.enteredPrice(product)
+    touch(product)
+    if (product.status === 'vendu') {
+      const status = this.harvestStatus(product)
+      if (productStatus.can('vendu', status)) this.setStatus(product, status)
     }
-    return true
+    return product
   }
 
-  // Navigation entre vues
-  showView(viewName) {
-    // Vérifier configuration utilisateur (sauf pour setup)
-    if (viewName !== 'setup' && !this.requireUser()) {
-      return
+  // Filtres par défaut de la vue produits
+  defaultFilters() {
+    return {
+      text: '',
+      category: 'all',
+      maxDistance: null,
+      minPrice: null,
+      maxPrice: null,
+      harvestFrom: '',
+      harvestTo: '',
+      unit: 'all',
+      upcoming: true, // inclure les récoltes à venir (précommande)
+      sort: 'newest' // distance, price, freshness, newest
     }
+  }
 
-    this.currentView = viewName
+  // Filtrer puis trier les produits ; distanceTo(product) renvoie des km ou null
+  searchProducts(products, filters, distanceTo = () => null) {
+    const f = { ...this.defaultFilters(), ...filters }
+    const text = normalizeText(f.text).trim()
+    const harvestFrom = f.harvestFrom ? new Date(f.harvestFrom).getTime() : null
+    const harvestTo = f.harvestTo ? new Date(f.harvestTo).getTime() : null
 
-    // Masquer toutes les vues
-    document.querySelectorAll('.view').forEach(view => {
-      view.classList.add('hidden')
-    })
+    const results = products
+      .map(product => ({ product, distance: distanceTo(product) }))
+      .filter(({ product, distance }) => {
+        // Filtre statut
+        if (product.status !== 'disponible' && !(f.upcoming && product.status === 'à venir')) return false
 
-    // Afficher la vue demandée
-    document.getElementById(`${viewName}-view`)?.classList.remove('hidden')
+        // Filtre catégorie
+        if (f.category && f.category !== 'all' && product.category !== f.category) return false
 
-    // Mise à jour navigation
-    document.querySelectorAll('[data-view]').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.view === viewName)
+        // Filtre recherche texte
+        if (text && !normalizeText(`${product.name} ${product.description}`).includes(text)) return false
+
+        // Distance maximale (les produits sans position sont exclus)
+        if (f.maxDistance && (distance === null || distance > f.maxDistance)) return false
+
+        // Fourchette de prix, sur le prix normalisé (ou dans l'unité filtrée)
+        if (f.minPrice !== null || f.maxPrice !== null) {
+          const price = f.unit && f.unit !== 'all' ? this.priceIn(product, f.unit) : this.normalizedPrice(product)?.value
+          if (price === null || price === undefined) return false
+          if (f.minPrice !== null && price < f.minPrice) return false
+          if (f.maxPrice !== null && price > f.maxPrice) return false
+        }
+
+        // Fenêtre de récolte
+        const harvest = new Date(product.harvestDate).getTime()
+        if (harvestFrom !== null && !(harvest >= harvestFrom)) return false
+        if (harvestTo !== null && !(harvest <= harvestTo)) return false
+
+        // Unité : toutes celles de la même grandeur (kg inclut g)
+        if (f.unit && f.unit !== 'all' && !this.unitsCompatible(product.unit, f.unit)) return false
+
+        return true
+      })
+
+    // Valeurs manquantes en dernier, à égalité entre elles (Infinity - Infinity donnerait NaN)
+    const missingLast = (x, y) => {
+      const [left, right] = [x ?? Infinity, y ?? Infinity]
+      return left === right ? 0 : left - right
+    }
+    const comparators = {
+      distance: (a, b) => missingLast(a.distance, b.distance),
+      price: (a, b) => missingLast(this.normalizedPrice(a.product)?.value, this.normalizedPrice(b.product)?.value),
+      freshness: (a, b) => new Date(b.product.harvestDate) - new Date(a.product.harvestDate),
+      newest: (a, b) => b.product.createdAt - a.product.createdAt
+    }
+    results.sort(comparators[f.sort] || comparators.newest)
+
+    return results.map(({ product }) => product)
+  }
+}
+
+// Moteur de correspondance entre alertes sauvegardées et produits
+class SearchMatcher {
+  constructor(locationManager, productManager) {
+    this.locationManager = locationManager
+    this.productManager = productManager
+  }
+
+  normalize(text) {
+    return normalizeText(text)
+  }
+
+  parseKeywords(keywords) {
+    return this.normalize(keywords)
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+  }
+
+  // Tous les mots-clés doivent apparaître dans le nom ou la description
+  matchesKeywords(product, search) {
+    const keywords = this.parseKeywords(search.keywords)
+    if (keywords.length === 0) return true
+
+    const text = this.normalize(`${product.name} ${product.description}`)
+    return keywords.every(keyword => text.includes(keyword))
+  }
+
+  matchesCategory(product, search) {
+    return !search.category || search.category === 'all' || search.category === product.category
+  }
+
+  unitsCompatible(productUnit, searchUnit) {
+    if (!searchUnit || searchUnit === 'all') return true
+    return this.productManager.unitsCompatible(productUnit, searchUnit)
+  }
+
+  // Prix normalisé, exprimé dans l'unité de l'alerte si elle en a une (ex: 4€/kg → 0,004€/g)
+  matchesPrice(product, search) {
+    if (!search.maxPrice) return true
+    const price = search.unit && search.unit !== 'all'
+      ? this.productManager.priceIn(product, search.unit)
+      : this.productManager.normalizedPrice(product)?.value
+    if (price === null || price === undefined) return false
+    return price <= search.maxPrice
+  }
+
+  // Renvoie la distance si l'acheteur est dans le rayon, null sinon
+  distanceWithinRadius(product, user, search) {
+    if (!product.location || !user?.location) return null
+    const distance = this.locationManager.calculateDistance(product.location, user.location)
+    return distance <= search.radius ? distance : null
+  }
+
+  // Évalue une alerte pour un produit ; distance incluse si correspondance
+  match(product, search, user) {
+    if (search.muted) return null
+    if (product.status !== 'disponible' && product.status !== 'à venir') return null
+    if (product.sellerId === search.userId) return null
+    if (!this.matchesCategory(product, search)) return null
+    if (!this.unitsCompatible(product.unit, search.unit)) return null
+    if (!this.matchesPrice(product, search)) return null
+    if (!this.matchesKeywords(product, search)) return null
+
+    const distance = this.distanceWithinRadius(product, user, search)
+    if (distance === null) return null
+
+    const uncertainty = this.locationManager.uncertainty(product.location, user.location)
+    return { searchId: search.id, productId: product.id, distance, uncertainty }
+  }
+}
+
+// Gestionnaire de photos : compression locale et stockage en Blob (store photos de db.js).
+// Le réencodage par canvas supprime toutes les métadonnées EXIF, GPS compris.
+class PhotoManager {
+  constructor() {
+    this.maxPhotos = 6
+    this.fullSize = 1600
+    this.thumbSize = 320
+    this.quality = 0.8
+  }
+
+  // Clés du store photos, lues aussi par le service worker (route photos/…)
+  key(photoId, thumb = false) {
+    return thumb ? `photo:${photoId}:thumb` : `photo:${photoId}`
+  }
+
+  url(photoId, thumb = false) {
+    return thumb ? `photos/${photoId}/thumb` : `photos/${photoId}`
+  }
+
+  // Décoder en respectant l'orientation EXIF, avant qu'elle ne soit perdue
+  async decode(file) {
+    if ('createImageBitmap' in window) {
+      try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+        return { source: bitmap, cleanup: () => bitmap.close() }
+      } catch {
+        // Format ou option non pris en charge : décodage par <img> ci-dessous
+      }
+    }
+
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.src = url
+    await img.decode()
+    return { source: img, cleanup: () => URL.revokeObjectURL(url) }
+  }
+
+  resize(source, maxSize) {
+    const width = source.width || source.naturalWidth
+    const height = source.height || source.naturalHeight
+    const scale = Math.min(1, maxSize / Math.max(width, height))
+
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width * scale)
+    canvas.height = Math.round(height * scale)
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height)
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        blob => blob ? resolve(blob) : reject(new Error(t('error.compressionFailed'))),
+        'image/jpeg',
+        this.quality
+      )
+    })
+  }
+
+  // Photo pleine taille et vignette, sans métadonnées
+  async compress(file) {
+    if (!file.type.startsWith('image/')) throw new Error(t('error.notAnImage'))
+
+    const { source, cleanup } = await this.decode(file)
+    try {
+      return {
+        full: await this.resize(source, this.fullSize),
+        thumb: await this.resize(source, this.thumbSize)
+      }
+    } finally {
+      cleanup()
+    }
+  }
+
+  async savePhoto(compressed) {
+    const photoId = ulid()
+    await db.transaction('photos', 'readwrite', async ({ photos }) => {
+      await photos.put(compressed.full, this.key(photoId))
+      await photos.put(compressed.thumb, this.key(photoId, true))
+    })
+    return photoId
+  }
+
+  async getBlob(photoId, thumb = false) {
+    return await db.get('photos', this.key(photoId, thumb)) || null
+  }
+
+  async deletePhotos(photoIds = []) {
+    if (photoIds.length === 0) return
+    await db.transaction('photos', 'readwrite', async ({ photos }) => {
+      for (const photoId of photoIds) {
+        await photos.delete(this.key(photoId))
+        await photos.delete(this.key(photoId, true))
+      }
+    })
+  }
+}
+
+// Gestionnaire de notifications
+class NotificationManager {
+  constructor() {
+    this.requestPermission()
+  }
+
+  async requestPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+      await Notification.requestPermission()
+    }
+  }
+
+  // Affichée par le service worker : fonctionne onglet fermé et sur Android,
+  // où le constructeur Notification est interdit dans la page
+  async sendNotification(title, body, data = {}) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return
+    if (!('serviceWorker' in navigator)) return
+
+    try {
+      const registration = await navigator.serviceWorker.ready
+      await registration.showNotification(title, {
+        body,
+        icon: 'la-generation-didees.png',
+        badge: 'la-generation-didees.png',
+        tag: data.orderId ? `commande-${data.orderId}` : `produit-${data.productId}`,
+        data,
+        actions: this.buildActions(data),
+        requireInteraction: true
+      })
+    } catch (error) {
+      console.error('Erreur affichage notification:', error)
+    }
+  }
+
+  buildActions(data) {
+    if (data.kind === 'expiry') {
+      return [{ action: 'seller', title: t('notification.action.seller') }]
+    }
+
+    if (data.orderId) {
+      return [{ action: 'view-order', title: t('notification.action.viewOrder') }]
+    }
+
+    const actions = [
+      { action: 'view', title: t('notification.action.view') },
+      { action: 'reserve', title: t('notification.action.reserve') }
+    ]
+    if (data.searchId) {
+      actions.push({ action: 'mute-search', title: t('notification.action.muteSearch') })
+    }
+    return actions
+  }
+
+  // Alertes de l'utilisateur de l'appareil correspondant à un lot reçu d'un autre appareil :
+  // chacun n'est prévenu que chez lui. Une correspondance déjà signalée ne l'est de nouveau
+  // qu'après une baisse de prix (previousPrice) sous le dernier prix signalé.
+  async notifyMatches(product, user, searchMatcher, { previousPrice = null } = {}) {
+    try {
+      const searches = (await db.getAllBy('savedSearches', 'userId', user.id)).filter(s => !s.deletedAt)
+      const matches = []
+
+      for (const search of searches) {
+        const match = searchMatcher.match(product, search, user)
+        if (!match) continue
+
+        matches.push(match)
+        const known = await db.get('searchMatches', [search.id, product.id])
+        if (known && (previousPrice === null || !(this.matchPrice(product) < known.price))) continue
+
+        const prices = searchMatcher.productManager
+        const normalized = prices.formatNormalizedPrice(product)
+        await this.sendNotification(
+          previousPrice !== null
+            ? t('notification.priceDrop', { from: prices.formatMoney(previousPrice), to: prices.formatUnitPrice(prices.unitPriceOf(product), product.unit) })
+            : product.status === 'à venir'
+              ? t('notification.upcoming', { date: formatDate(product.harvestDate) })
+              : t('notification.newProduct'),
+          t('notification.match', {
+            name: product.name,
+            price: `${prices.formatPrice(product)}${normalized ? ` (${normalized})` : ''}`,
+            distance: searchMatcher.locationManager.formatDistance(match.distance, match.uncertainty)
+          }),
+          { productId: product.id, searchId: search.id, distance: match.distance }
+        )
+      }
+
+      await this.recordMatches(matches, product)
+      return matches
+    } catch (error) {
+      console.error('Erreur notification:', error)
+      return []
+    }
+  }
+
+  matchPrice(product) {
+    return product.unitPrice ?? product.price // prix d'une unité de vente
+  }
+
+  // Historique des correspondances, affiché avec chaque alerte
+  async recordMatches(matches, product) {
+    if (matches.length === 0) return
+
+    // Clé searchId + productId : une correspondance déjà connue garde sa date, son prix suit les baisses
+    await db.transaction('searchMatches', 'readwrite', async ({ searchMatches }) => {
+      for (const match of matches) {
+        const known = await searchMatches.get([match.searchId, match.productId])
+        if (known && known.price === this.matchPrice(product)) continue
+        await searchMatches.put({
+          ...match,
+          productName: product.name,
+          price: this.matchPrice(product),
+          unit: product.unit,
+          matchedAt: known?.matchedAt || Date.now()
+        })
+      }
+    })
+  }
+
+  async getSearchMatches(searchId) {
+    return (await db.getAllBy('searchMatches', 'searchId', searchId))
+      .sort((a, b) => b.matchedAt - a.matchedAt)
+  }
+}
+
+// Gestionnaire de profils : plusieurs identités sur un même appareil
+class UserManager {
+  constructor() {
+    // Vues réservées à certains rôles ; les autres sont communes à tous
+    this.roleViews = {
+      seller: ['vendeur', 'both'],
+      analytics: ['vendeur', 'both'],
+      buyer: ['acheteur', 'both']
+    }
+
+    // Labels de ferme enregistrés par clé, libellés traduits : farm.label.*
+    this.farmLabels = ['bio', 'hve', 'raisonnee']
+  }
+
+  farmLabel(label) {
+    return has(`farm.label.${label}`) ? t(`farm.label.${label}`) : label
+  }
+
+  // Lundi à dimanche dans la langue choisie (le 1er janvier 2024 est un lundi)
+  get weekDays() {
+    return Array.from({ length: 7 }, (_, i) => {
+      const day = formatDate(new Date(2024, 0, 1 + i), { weekday: 'long' })
+      return day.charAt(0).toUpperCase() + day.slice(1)
+    })
+  }
+
+  async getCurrentUser() {
+    return await db.getSetting('currentUser')
+  }
+
+  canAccess(user, viewName) {
+    const roles = this.roleViews[viewName]
+    return !roles || roles.includes(user?.type)
+  }
+
+  // Profils locaux : { userId, pinHash, salt }. Le PIN n'est jamais synchronisé.
+  async getLocalProfiles() {
+    const profiles = await db.getAll('profiles')
+    if (profiles.length === 0) {
+      // Installations antérieures : un seul utilisateur courant
+      const current = await this.getCurrentUser()
+      if (current) return [await db.put('profiles', { userId: current.id, pinHash: null, salt: null })]
+    }
+    return profiles
+  }
+
+  async getProfiles() {
+    try {
+      const profiles = await this.getLocalProfiles()
+      const users = await db.getAll('users')
+      return profiles
+        .map(profile => {
+          const user = users.find(u => u.id === profile.userId)
+          return user && !user.deletedAt ? { ...user, hasPin: !!profile.pinHash } : null
+        })
+        .filter(Boolean)
+    } catch (error) {
+      console.error('Erreur chargement profils:', error)
+      return []
+    }
+  }
+
+  async hashPin(pin, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`))
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('')
+  }
+
+  async pinRecord(pin) {
+    if (!pin) return { pinHash: null, salt: null }
+    if (!/^\d{4,8}$/.test(pin)) throw new Error(t('error.pinLength'))
+    const salt = crypto.randomUUID()
+    return { pinHash: await this.hashPin(pin, salt), salt }
+  }
+
+  async createProfile(userData, pin = '') {
+    try {
+      const pinRecord = await this.pinRecord(pin)
+      // Un profil est son propre auteur
+      const id = ulid()
+      const user = await db.createRecord(userData, { id, authorId: id })
+
+      await this.getLocalProfiles() // reprise éventuelle du profil unique d'avant
+      await db.transaction(['users', 'profiles', 'settings'], 'readwrite', async ({ users, profiles, settings }) => {
+        await users.put(user)
+        await profiles.put({ userId: user.id, ...pinRecord })
+        await settings.put({ key: 'currentUser', value: user })
+      })
+      return user
+    } catch (error) {
+      console.error('Erreur création profil:', error)
+      throw error
+    }
+  }
+
+  // pin vide : PIN inchangé, sauf si removePin
+  async updateProfile(userId, changes, { pin = '', removePin = false } = {}) {
+    try {
+      const profile = (await this.getLocalProfiles()).find(p => p.userId === userId)
+      if (!profile) throw new Error(t('error.profileNotFound'))
+
+      if (pin) Object.assign(profile, await this.pinRecord(pin))
+      else if (removePin) Object.assign(profile, { pinHash: null, salt: null })
+
+      return await db.transaction(['users', 'profiles', 'settings'], 'readwrite', async ({ users, profiles, settings }) => {
+        const existing = await users.get(userId)
+        if (!existing) throw new Error(t('error.profileNotFound'))
+
+        const user = touch({ ...existing }, { ...changes, id: userId })
+        await users.put(user)
+        await profiles.put(profile)
+
+        const current = await settings.get('currentUser')
+        if (current?.value?.id === userId) await settings.put({ key: 'currentUser', value: user })
+        return user
+      })
+    } catch (error) {
+      console.error('Erreur mise à jour profil:', error)
+      throw error
+    }
+  }
+
+  // Suppression logique de l'utilisateur, pour la propager aux autres appareils
+  async deleteProfile(userId) {
+    try {
+      return await db.transaction(['users', 'profiles', 'settings'], 'readwrite', async ({ users, profiles, settings }) => {
+        await profiles.delete(userId)
+
+        let user = await users.get(userId)
+        if (user) {
+          user = tombstone({ ...user })
+          await users.put(user)
+        }
+
+        const current = await settings.get('currentUser')
+        if (current?.value?.id === userId) await settings.delete('currentUser')
+        return user || null
+      })
+    } catch (error) {
+      console.error('Erreur suppression profil:', error)
+      throw error
+    }
+  }
+
+  async switchProfile(userId, pin = '') {
+    const profile = (await this.getLocalProfiles()).find(p => p.userId === userId)
+    if (!profile) throw new Error(t('error.profileNotFound'))
+
+    if (profile.pinHash && await this.hashPin(pin, profile.salt) !== profile.pinHash) {
+      throw new Error(t('error.wrongPin'))
+    }
+
+    const user = await this.getUser(userId)
+    if (!user) throw new Error(t('error.profileNotFound'))
+
+    return await db.setSetting('currentUser', user)
+  }
+
+  async signOut() {
+    await db.removeSetting('currentUser')
+  }
+
+  async getUser(userId) {
+    const user = await db.get('users', userId)
+    return user && !user.deletedAt ? user : null
+  }
+
+  async getUsers() {
+    return (await db.getAll('users')).filter(u => !u.deletedAt)
+  }
+
+  // Vitrine du vendeur, enregistrée sur son profil pour être synchronisée avec lui
+  getFarm(user) {
+    return {
+      name: '',
+      description: '',
+      practices: '',
+      labels: [],
+      pickupPoints: [], // { id, name, address, location, slots: [{ day, from, to }] }
+      ...user?.farm
+    }
+  }
+
+  async saveFarm(userId, changes) {
+    const farm = { ...this.getFarm(await this.getUser(userId)), ...changes }
+    return await this.updateProfile(userId, { farm })
+  }
+
+  async savePickupPoint(userId, point) {
+    const farm = this.getFarm(await this.getUser(userId))
+    const saved = { ...point, id: point.id || ulid() }
+    const index = farm.pickupPoints.findIndex(p => p.id === saved.id)
+
+    if (index === -1) farm.pickupPoints.push(saved)
+    else farm.pickupPoints[index] = { ...farm.pickupPoints[index], ...saved }
+
+    return await this.updateProfile(userId, { farm })
+  }
+
+  async deletePickupPoint(userId, pointId) {
+    const farm = this.getFarm(await this.getUser(userId))
+    farm.pickupPoints = farm.pickupPoints.filter(p => p.id !== pointId)
+    return await this.updateProfile(userId, { farm })
+  }
+
+  async saveBuyerSearch(searchData) {
+    try {
+      const search = await db.createRecord(searchData, { authorId: searchData.userId })
+
+      return await db.put('savedSearches', search)
+    } catch (error) {
+      console.error('Erreur sauvegarde recherche:', error)
+      throw error
+    }
+  }
+
+  // Alertes actives d'un acheteur, plus récentes d'abord
+  async getUserSearches(userId) {
+    return (await db.getAllBy('savedSearches', 'userId', userId))
+      .filter(s => !s.deletedAt)
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  async updateSearch(searchId, changes) {
+    return await db.update('savedSearches', searchId, search => search && touch({ ...search }, changes))
+  }
+
+  // Suppression logique, conservée pour la propager aux autres appareils ; l'historique part avec
+  async deleteSearch(searchId) {
+    return await db.transaction(['savedSearches', 'searchMatches'], 'readwrite', async ({ savedSearches, searchMatches }) => {
+      const search = await savedSearches.get(searchId)
+      if (!search) return null
+
+      const deleted = tombstone({ ...search })
+      await savedSearches.put(deleted)
+      const matches = await searchMatches.getAll({ index: 'searchId', query: IDBKeyRange.only(searchId) })
+      for (const match of matches) await searchMatches.delete([match.searchId, match.productId])
+      return deleted
+    })
+  }
+}
+
+// Gestionnaire de messagerie acheteur-vendeur
+class MessageManager {
+  async getConversations() {
+    try {
+      return await db.getAll('conversations')
+    } catch (error) {
+      console.error('Erreur chargement conversations:', error)
+      return []
+    }
+  }
+
+  // Conversations où l'utilisateur est acheteur ou vendeur, plus récentes d'abord
+  async getUserConversations(userId) {
+    const [asBuyer, asSeller] = await Promise.all([
+      db.getAllBy('conversations', 'buyerId', userId),
+      db.getAllBy('conversations', 'sellerId', userId)
+    ])
+    return [...asBuyer, ...asSeller.filter(c => c.buyerId !== userId)]
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+  }
+
+  async getConversation(conversationId) {
+    return await db.get('conversations', conversationId) || null
+  }
+
+  async getConversationMessages(conversationId) {
+    return (await db.getAllBy('messages', 'conversationId', conversationId))
+      .sort((a, b) => a.createdAt - b.createdAt)
+  }
+
+  // Une seule conversation par couple produit/acheteur
+  async getOrCreateConversation(product, buyer) {
+    try {
+      const existing = (await db.getAllBy('conversations', 'productId', product.id))
+        .find(c => c.buyerId === buyer.id)
+      if (existing) return existing
+
+      const conversation = await db.createRecord({
+        productId: product.id,
+        productName: product.name,
+        sellerId: product.sellerId,
+        sellerName: product.sellerName,
+        buyerId: buyer.id,
+        buyerName: buyer.name,
+        lastReadAt: {}
+      }, { authorId: buyer.id })
+      conversation.lastMessageAt = conversation.createdAt
+
+      return await db.put('conversations', conversation)
+    } catch (error) {
+      console.error('Erreur création conversation:', error)
+      throw error
+    }
+  }
+
+  // Envoyer un message (texte ou réservation) ; l'envoi réseau passe par la file d'envoi
+  async sendMessage(conversationId, author, messageData) {
+    try {
+      const message = await db.createRecord({
+        conversationId,
+        authorName: author.name,
+        type: 'texte', // texte, reservation
+        ...messageData
+      }, { authorId: author.id })
+
+      // Message et date de la conversation écrits ensemble
+      await db.transaction(['messages', 'conversations'], 'readwrite', async ({ messages, conversations }) => {
+        await messages.put(message)
+        const conversation = await conversations.get(conversationId)
+        if (conversation) await conversations.put(this.touch(conversation, author.id, message.createdAt))
+      })
+      return message
+    } catch (error) {
+      console.error('Erreur envoi message:', error)
+      throw error
+    }
+  }
+
+  touch(conversation, userId, timestamp) {
+    return {
+      ...conversation,
+      lastMessageAt: timestamp,
+      updatedAt: timestamp,
+      lastReadAt: { ...conversation.lastReadAt, [userId]: timestamp }
+    }
+  }
+
+  async markAsRead(conversationId, userId) {
+    try {
+      await db.update('conversations', conversationId, c => c && touch({ ...c }, {
+        lastReadAt: { ...c.lastReadAt, [userId]: Date.now() }
+      }))
+    } catch (error) {
+      console.error('Erreur lecture conversation:', error)
+    }
+  }
+
+  // Nombre de messages non lus par conversation pour un utilisateur
+  async getUnreadCounts(userId) {
+    const conversations = await this.getUserConversations(userId)
+    const counts = {}
+
+    for (const conversation of conversations) {
+      const lastRead = conversation.lastReadAt?.[userId] || 0
+      const messages = await db.getAllBy('messages', 'conversationId', conversation.id)
+      counts[conversation.id] = messages.filter(m =>
+        m.authorId !== userId &&
+        m.createdAt > lastRead
+      ).length
+    }
+    return counts
+  }
+}
+
+// Cycle de vie des lots selon la date de récolte : à venir → disponible → expiré
+class LifecycleManager {
+  constructor(productManager) {
+    this.productManager = productManager
+    this.expiryWarning = 24 * 60 * 60 * 1000 // prévenir le vendeur la veille
+  }
+
+  // Met à jour les statuts des lots du vendeur ; renvoie ceux modifiés et ceux qui expirent bientôt.
+  // Les lots des autres vendeurs ne sont ni réécrits ni renvoyés : leur version la plus récente
+  // écraserait celle du vendeur sur le serveur (voir ProductManager.withHarvestStatus).
+  // Lots à venir et disponibles seulement (index status), lus et réécrits dans une même transaction
+  async run(now = Date.now(), sellerId = null) {
+    try {
+      return await db.transaction('products', 'readwrite', async ({ products }) => {
+        const changed = []
+        const expiringSoon = []
+        const managed = [
+          ...await products.getAll({ index: 'status', query: IDBKeyRange.only('à venir') }),
+          ...await products.getAll({ index: 'status', query: IDBKeyRange.only('disponible') })
+        ]
+
+        for (const product of managed) {
+          if (product.sellerId !== sellerId) continue
+          let modified = false
+
+          const status = this.productManager.harvestStatus(product, now)
+          if (status !== product.status && productStatus.can(product.status, status)) {
+            changed.push({ product, from: product.status })
+            product.status = status
+            product.updatedAt = now
+            modified = true
+          }
+
+          if (product.status === 'disponible' &&
+              !product.expiryNotifiedAt &&
+              this.productManager.expiresAt(product) - now <= this.expiryWarning) {
+            product.expiryNotifiedAt = now
+            product.updatedAt = now
+            expiringSoon.push(product)
+            modified = true
+          }
+
+          if (modified) await products.put(product)
+        }
+        return { changed, expiringSoon }
+      })
+    } catch (error) {
+      console.error('Erreur cycle de vie produits:', error)
+      return { changed: [], expiringSoon: [] }
+    }
+  }
+}
+
+// Gestionnaire de commandes (réservation → confirmation → retrait)
+class OrderManager {
+  constructor(productManager) {
+    this.productManager = productManager
+  }
+
+  // Plus récentes d'abord
+  async getOrders() {
+    try {
+      return (await db.getAll('orders')).reverse()
+    } catch (error) {
+      console.error('Erreur chargement commandes:', error)
+      return []
+    }
+  }
+
+  async getOrder(orderId) {
+    return await db.get('orders', orderId) || null
+  }
+
+  // Un acheteur réserve une partie d'un lot
+  async createOrder(product, buyer, quantity, extra = {}) {
+    try {
+      if (product.sellerId === buyer.id) throw new Error(t('error.reserveOwnProduct'))
+      if (!this.productManager.isLifecycleManaged(product)) throw new Error(t('error.productUnavailable'))
+      if (!(quantity > 0) || quantity > Number(product.quantity)) throw new Error(t('error.invalidQuantity'))
+      this.productManager.assertWholeQuantity(quantity, product.unit)
+
+      const order = await db.createRecord({
+        productId: product.id,
+        productName: product.name,
+        unit: product.unit,
+        unitPrice: this.productManager.unitPriceOf(product),
+        sellerId: product.sellerId,
+        sellerName: product.sellerName,
+        buyerId: buyer.id,
+        buyerName: buyer.name,
+        quantity,
+        preorder: product.status === 'à venir',
+        harvestDate: product.harvestDate,
+        ...extra,
+        status: 'en attente', // en attente, confirmée, retirée, refusée, annulée
+        history: [{ status: 'en attente', at: Date.now(), by: buyer.id }]
+      }, { authorId: buyer.id })
+
+      return await db.put('orders', order)
+    } catch (error) {
+      console.error('Erreur création commande:', error)
+      throw error
+    }
+  }
+
+  // Qui peut déclencher chaque transition
+  canActorTransition(order, status, userId) {
+    switch (status) {
+      case 'confirmée':
+      case 'refusée':
+      case 'retirée':
+        return order.sellerId === userId
+      case 'annulée':
+        return order.buyerId === userId || order.sellerId === userId
+      default:
+        return false
+    }
+  }
+
+  // Actions disponibles pour un utilisateur sur une commande
+  availableTransitions(order, userId) {
+    return orderStatus.next(order.status)
+      .filter(status => this.canActorTransition(order, status, userId))
+  }
+
+  // Commande et stock du lot modifiés dans la même transaction
+  async transition(orderId, status, userId) {
+    try {
+      return await db.transaction(['orders', 'products'], 'readwrite', async ({ orders, products }) => {
+        const order = await orders.get(orderId)
+        if (!order) throw new Error(t('error.orderNotFound'))
+
+        orderStatus.assert(order.status, status)
+        if (!this.canActorTransition(order, status, userId)) {
+          throw new Error(t('error.notAllowed'))
+        }
+
+        // Effets sur le stock
+        if (status === 'confirmée') {
+          const product = this.productManager.applyDecrement(await products.get(order.productId), order.quantity)
+          await products.put(product)
+        } else if (status === 'annulée' && order.status === 'confirmée') {
+          const product = this.productManager.applyRestock(await products.get(order.productId), order.quantity)
+          if (product) await products.put(product)
+        }
+
+        touch(order, {
+          status,
+          history: [...(order.history || []), { status, at: Date.now(), by: userId }]
+        })
+
+        await orders.put(order)
+        return order
+      })
+    } catch (error) {
+      console.error('Erreur transition commande:', error)
+      throw error
+    }
+  }
+}
+
+// Lots récurrents et abonnements aux paniers : le vendeur définit un modèle et une périodicité,
+// chaque échéance publie un nouveau lot et réserve la part des abonnés.
+class RecurrenceManager {
+  constructor(productManager, orderManager) {
+    this.productManager = productManager
+    this.orderManager = orderManager
+  }
+
+  // Nom du mois (1 à 12) dans la langue choisie
+  monthName(month) {
+    return formatDate(new Date(2024, month - 1, 1), { month: 'long' })
+  }
+
+  // Plus récents d'abord
+  async getRecurrences() {
+    try {
+      return (await db.getAll('recurrences')).filter(r => !r.deletedAt).reverse()
+    } catch (error) {
+      console.error('Erreur chargement lots récurrents:', error)
+      return []
+    }
+  }
+
+  async getSubscriptions() {
+    try {
+      return (await db.getAll('subscriptions')).filter(s => !s.deletedAt).reverse()
+    } catch (error) {
+      console.error('Erreur chargement abonnements:', error)
+      return []
+    }
+  }
+
+  // Dates locales au format des champs date : AAAA-MM-JJ
+  toDateString(date) {
+    const pad = n => String(n).padStart(2, '0')
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  }
+
+  addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00`)
+    date.setDate(date.getDate() + days)
+    return this.toDateString(date)
+  }
+
+  intervalDays(rule) {
+    return rule.type === 'weekly' ? 7 : Math.max(1, parseInt(rule.everyDays) || 7)
+  }
+
+  // Fenêtre de saison en mois (1-12), éventuellement à cheval sur deux années
+  inSeason(rule, dateString) {
+    if (!rule.seasonStart || !rule.seasonEnd) return true
+    const month = Number(dateString.slice(5, 7))
+    return rule.seasonStart <= rule.seasonEnd
+      ? month >= rule.seasonStart && month <= rule.seasonEnd
+      : month >= rule.seasonStart || month <= rule.seasonEnd
+  }
+
+  describeRule(rule) {
+    const every = rule.type === 'weekly' ? t('recurrence.weekly') : t('recurrence.everyDays', { count: this.intervalDays(rule) })
+    if (!rule.seasonStart || !rule.seasonEnd) return every
+    return t('recurrence.season', { every, from: this.monthName(rule.seasonStart), to: this.monthName(rule.seasonEnd) })
+  }
+
+  // Prochaine échéance en saison, pour l'affichage et les sauts d'abonnés
+  nextOccurrence(recurrence) {
+    let date = recurrence.nextDate
+    for (let i = 0; i < 366 && !this.inSeason(recurrence.rule, date); i++) {
+      date = this.addDays(date, this.intervalDays(recurrence.rule))
+    }
+    return date
+  }
+
+  async createRecurrence(seller, template, rule, firstDate) {
+    const recurrence = await db.createRecord({
+      sellerId: seller.id,
+      sellerName: seller.name,
+      template,
+      rule,
+      nextDate: this.addDays(firstDate, this.intervalDays(rule)),
+      active: true,
+      lastGeneratedAt: null
+    }, { authorId: seller.id })
+
+    return await db.put('recurrences', recurrence)
+  }
+
+  // active : suspendre/reprendre
+  async updateRecurrence(recurrenceId, sellerId, changes) {
+    return await db.update('recurrences', recurrenceId, (recurrence) => {
+      if (!recurrence || recurrence.sellerId !== sellerId) throw new Error(t('error.recurrenceNotFound'))
+      return touch(recurrence, changes)
+    })
+  }
+
+  // Suppression logique, propagée aux autres appareils
+  async deleteRecurrence(recurrenceId, sellerId) {
+    return await db.update('recurrences', recurrenceId, (recurrence) => {
+      if (!recurrence || recurrence.sellerId !== sellerId) throw new Error(t('error.recurrenceNotFound'))
+      return tombstone(recurrence, { active: false })
+    })
+  }
+
+  // Dernière échéance atteinte : les cycles manqués appli fermée ne sont pas rattrapés
+  dueDate(recurrence, today) {
+    if (!recurrence.active || recurrence.nextDate > today) return null
+
+    const step = this.intervalDays(recurrence.rule)
+    let date = recurrence.nextDate
+    while (this.addDays(date, step) <= today) date = this.addDays(date, step)
+    return date
+  }
+
+  // Publie les lots arrivés à échéance pour ce vendeur et réserve les paniers des abonnés
+  async run(sellerId, now = Date.now()) {
+    const result = { products: [], orders: [], recurrences: [], failures: [] }
+    if (!sellerId) return result
+
+    try {
+      const today = this.toDateString(new Date(now))
+      const recurrences = await db.getAllBy('recurrences', 'sellerId', sellerId)
+      const subscriptions = await this.getSubscriptions()
+
+      for (const recurrence of recurrences) {
+        if (recurrence.deletedAt) continue
+
+        const date = this.dueDate(recurrence, today)
+        if (!date) continue
+
+        // Échéance avancée avant publication : un autre onglet ne republie pas le même lot
+        recurrence.nextDate = this.addDays(date, this.intervalDays(recurrence.rule))
+        recurrence.updatedAt = now
+        const inSeason = this.inSeason(recurrence.rule, date)
+        if (inSeason) recurrence.lastGeneratedAt = now
+        await db.put('recurrences', recurrence)
+        result.recurrences.push(recurrence)
+        if (!inSeason) continue
+
+        const product = await this.productManager.saveProduct({
+          ...recurrence.template,
+          sellerId: recurrence.sellerId,
+          sellerName: recurrence.sellerName,
+          harvestDate: date,
+          recurrenceId: recurrence.id
+        })
+        result.products.push(product)
+
+        const subscribers = subscriptions.filter(s =>
+          s.recurrenceId === recurrence.id && s.status === 'active' && !(s.skipDates || []).includes(date)
+        )
+        for (const subscription of subscribers) {
+          try {
+            const order = await this.orderManager.createOrder(
+              product,
+              { id: subscription.buyerId, name: subscription.buyerName },
+              subscription.quantity,
+              { subscriptionId: subscription.id }
+            )
+            // Le vendeur a accepté l'abonnement : la part est réservée d'office
+            result.orders.push(await this.orderManager.transition(order.id, 'confirmée', sellerId))
+          } catch (error) {
+            result.failures.push({ subscription, error: error.message })
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Erreur lots récurrents:', error)
+    }
+
+    return result
+  }
+
+  // Un seul abonnement par acheteur et par lot récurrent : se réabonner met à jour la quantité
+  async subscribe(recurrence, buyer, quantity) {
+    if (recurrence.sellerId === buyer.id) throw new Error(t('error.subscribeOwnBasket'))
+    if (!(quantity > 0) || quantity > Number(recurrence.template.quantity)) throw new Error(t('error.invalidQuantity'))
+    this.productManager.assertWholeQuantity(quantity, recurrence.template.unit)
+
+    const subscriptions = await db.getAllBy('subscriptions', 'recurrenceId', recurrence.id)
+    let subscription = subscriptions.find(s => s.buyerId === buyer.id && s.status !== 'résilié' && !s.deletedAt)
+
+    if (subscription) {
+      touch(subscription, { quantity, status: 'active' })
+    } else {
+      subscription = await db.createRecord({
+        recurrenceId: recurrence.id,
+        sellerId: recurrence.sellerId,
+        sellerName: recurrence.sellerName,
+        productName: recurrence.template.name,
+        unit: recurrence.template.unit,
+        buyerId: buyer.id,
+        buyerName: buyer.name,
+        quantity,
+        status: 'active', // active, en pause, résilié
+        skipDates: []
+      }, { authorId: buyer.id })
+    }
+
+    return await db.put('subscriptions', subscription)
+  }
+
+  async updateSubscription(subscriptionId, buyerId, update) {
+    return await db.update('subscriptions', subscriptionId, (subscription) => {
+      if (!subscription || subscription.buyerId !== buyerId) throw new Error(t('error.subscriptionNotFound'))
+
+      update(subscription)
+      return touch(subscription)
+    })
+  }
+
+  async setSubscriptionStatus(subscriptionId, buyerId, status) {
+    return await this.updateSubscription(subscriptionId, buyerId, s => { s.status = status })
+  }
+
+  // Sauter (ou ne plus sauter) une échéance précise
+  async toggleSkip(subscriptionId, buyerId, date) {
+    return await this.updateSubscription(subscriptionId, buyerId, s => {
+      const skipDates = s.skipDates || []
+      s.skipDates = skipDates.includes(date)
+        ? skipDates.filter(d => d !== date)
+        : [...skipDates, date]
+    })
+  }
+}
+
+// Gestionnaire d'avis : une note par commande retirée, une réponse du vendeur, signalements
+class ReviewManager {
+  constructor() {
+    this.maxLength = 500
+    this.reportThreshold = 3 // signalements avant masquage automatique
+  }
+
+  async getReviews() {
+    try {
+      return await db.getAll('reviews')
+    } catch (error) {
+      console.error('Erreur chargement avis:', error)
+      return []
+    }
+  }
+
+  isVisible(review) {
+    return !review.hidden
+  }
+
+  // Avis visibles d'un vendeur, du plus récent au plus ancien
+  async getSellerReviews(sellerId) {
+    const reviews = await db.getAllBy('reviews', 'sellerId', sellerId)
+    return reviews
+      .filter(r => this.isVisible(r))
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  // Note moyenne et nombre d'avis visibles, par vendeur
+  async getSellerScores() {
+    const scores = {}
+    for (const review of await this.getReviews()) {
+      if (!this.isVisible(review)) continue
+      const score = scores[review.sellerId] || (scores[review.sellerId] = { total: 0, count: 0 })
+      score.total += review.rating
+      score.count++
+    }
+    for (const score of Object.values(scores)) {
+      score.average = score.total / score.count
+    }
+    return scores
+  }
+
+  async createReview(order, buyer, { rating, comment }) {
+    try {
+      if (order.buyerId !== buyer.id) throw new Error(t('error.onlyBuyerReviews'))
+      if (order.status !== 'retirée') throw new Error(t('error.reviewAfterPickup'))
+
+      rating = parseInt(rating)
+      if (!(rating >= 1 && rating <= 5)) throw new Error(t('error.invalidRating'))
+
+      const review = await db.createRecord({
+        orderId: order.id,
+        productName: order.productName,
+        sellerId: order.sellerId,
+        buyerId: buyer.id,
+        buyerName: buyer.name,
+        rating,
+        comment: (comment || '').trim().slice(0, this.maxLength),
+        reply: null,
+        repliedAt: null,
+        reports: [],
+        hidden: false
+      }, { authorId: buyer.id })
+
+      // Vérification et écriture dans la même transaction : un seul avis par commande
+      return await db.transaction('reviews', 'readwrite', async ({ reviews }) => {
+        const existing = await reviews.getAll({ index: 'orderId', query: IDBKeyRange.only(order.id) })
+        if (existing.length > 0) throw new Error(t('error.orderAlreadyReviewed'))
+        await reviews.put(review)
+        return review
+      })
+    } catch (error) {
+      console.error('Erreur création avis:', error)
+      throw error
+    }
+  }
+
+  // Le vendeur répond une seule fois
+  async reply(reviewId, seller, text) {
+    const reply = (text || '').trim().slice(0, this.maxLength)
+
+    return await db.update('reviews', reviewId, (review) => {
+      if (!review) throw new Error(t('error.reviewNotFound'))
+      if (review.sellerId !== seller.id) throw new Error(t('error.onlySellerReplies'))
+      if (review.reply) throw new Error(t('error.replyAlreadyPublished'))
+      if (!reply) throw new Error(t('error.emptyReply'))
+
+      return touch(review, { reply, repliedAt: Date.now() })
+    })
+  }
+
+  // Un signalement par utilisateur ; masqué au-delà du seuil. Ni le vendeur concerné ni un autre
+  // profil de son appareil ne peuvent signaler : créer un profil ne coûte rien.
+  async report(reviewId, userId, reason = '') {
+    const deviceId = await db.deviceId()
+    const current = await db.get('reviews', reviewId)
+    const seller = current && await db.get('users', current.sellerId)
+    if (current && (current.sellerId === userId || (seller?.origin && seller.origin === deviceId))) {
+      throw new Error(t('error.reportOwnShopReview'))
+    }
+
+    let alreadyReported = null
+    const review = await db.update('reviews', reviewId, (review) => {
+      if (!review) throw new Error(t('error.reviewNotFound'))
+      if (review.buyerId === userId) throw new Error(t('error.reportOwnReview'))
+
+      review.reports = review.reports || []
+      if (review.reports.some(r => r.userId === userId)) {
+        alreadyReported = review
+        return null
+      }
+
+      review.reports.push({ userId, deviceId, reason: reason.trim().slice(0, 200), at: Date.now() })
+      return touch(review, { hidden: this.reachesThreshold(review) })
+    })
+    return review || alreadyReported
+  }
+
+  // Appareils distincts : plusieurs profils d'un même appareil ne comptent qu'une fois.
+  // Signalements d'avant l'appareil enregistré : comptés par utilisateur, hors vendeur.
+  reachesThreshold(review) {
+    const reporters = (review.reports || [])
+      .filter(r => r.userId !== review.sellerId)
+      .map(r => r.deviceId || r.userId)
+    return new Set(reporters).size >= this.reportThreshold
+  }
+
+  // Deux versions d'un même avis (synchronisation, sauvegarde) : la plus récente l'emporte et
+  // garde les signalements des deux, un par utilisateur (le plus ancien). null : version locale
+  // inchangée ; publish : la fusion complète la version reçue et doit repartir vers le serveur.
+  merge(current, incoming) {
+    const newer = (incoming.updatedAt || incoming.createdAt || 0) > (current.updatedAt || current.createdAt || 0) ? incoming : current
+    const reports = new Map()
+    for (const report of [...(current.reports || []), ...(incoming.reports || [])]) {
+      const known = reports.get(report.userId)
+      if (!known || report.at < known.at) reports.set(report.userId, report)
+    }
+
+    const gained = reports.size > (current.reports || []).length
+    if (newer === current && !gained) return null
+
+    const record = { ...newer, reports: [...reports.values()].sort((a, b) => a.at - b.at) }
+    record.hidden = this.reachesThreshold(record)
+    const publish = reports.size > (incoming.reports || []).length
+    if (publish) touch(record)
+    return { record, publish }
+  }
+}
+
+// File d'envoi typée, partagée avec le service worker (IndexedDB « outbox-db »)
+class OutboxManager {
+  constructor() {
+    this.dbName = 'outbox-db'
+    this.dbVersion = 1
+    this.db = null
+
+    // Type de mutation → collection du serveur de synchronisation
+    this.types = {
+      'user.save': 'users',
+      'product.publish': 'products',
+      'product.status': 'products',
+      'product.update': 'products',
+      'search.save': 'savedSearches',
+      'search.delete': 'savedSearches',
+      'conversation.save': 'conversations',
+      'message.send': 'messages',
+      'order.update': 'orders',
+      'review.save': 'reviews',
+      'recurrence.save': 'recurrences',
+      'subscription.save': 'subscriptions',
+      'view.record': 'productViews',
+      'photo.upload': 'photos' // record { id } : le service worker envoie les Blobs du store photos
+    }
+  }
+
+  // Même schéma que openDB() dans sw.js
+  open() {
+    if (this.db) return Promise.resolve(this.db)
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains('queue')) {
+          db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true })
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' })
+        }
+      }
+      request.onsuccess = () => {
+        this.db = request.result
+        resolve(this.db)
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async run(storeName, mode, operation) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  // Adresse du serveur lue par le service worker lors du rejeu
+  async setApiBase(baseUrl) {
+    await this.run('meta', 'readwrite', store => store.put({ key: 'apiBase', value: baseUrl }))
+  }
+
+  async getApiBase() {
+    const entry = await this.run('meta', 'readonly', store => store.get('apiBase'))
+    return entry?.value || ''
+  }
+
+  async enqueue(type, record) {
+    const collection = this.types[type]
+    if (!collection) throw new Error(`Type de mutation inconnu : ${type}`)
+    if (!await this.getApiBase()) return null // mode local : rien à envoyer
+
+    const entry = {
+      type,
+      collection,
+      recordId: record.id,
+      record,
+      status: 'pending', // pending, failed
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      createdAt: Date.now()
+    }
+    entry.id = await this.run('queue', 'readwrite', store => store.add(entry))
+    await this.requestReplay()
+    return entry
+  }
+
+  async getEntries() {
+    try {
+      return await this.run('queue', 'readonly', store => store.getAll()) || []
+    } catch (error) {
+      console.error('Erreur lecture file d\'envoi:', error)
+      return []
+    }
+  }
+
+  // État d'envoi par enregistrement : un échec l'emporte sur une attente
+  async getStatusByRecord() {
+    const entries = await this.getEntries()
+    const statuses = {}
+    for (const entry of entries) {
+      const current = statuses[entry.recordId]
+      if (!current || entry.status === 'failed') {
+        statuses[entry.recordId] = { status: entry.status, entryId: entry.id, lastError: entry.lastError }
+      }
+    }
+    return statuses
+  }
+
+  // Remettre en file les entrées en échec d'un enregistrement
+  async retry(recordId) {
+    const entries = await this.getEntries()
+    for (const entry of entries.filter(e => e.recordId === recordId)) {
+      await this.run('queue', 'readwrite', store => store.put({
+        ...entry,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null
+      }))
+    }
+    await this.requestReplay()
+  }
+
+  // Entrées mises en file avant les ULID : mêmes identifiants que les données locales migrées
+  async upgradeEntries() {
+    for (const entry of await this.getEntries()) {
+      const record = upgradeRecord(entry.collection, entry.record)
+      if (record?.id === entry.recordId) continue
+      await this.run('queue', 'readwrite', store => store.put({ ...entry, recordId: record.id, record }))
+    }
+  }
+
+  // Background Sync si disponible, sinon rejeu immédiat par le service worker
+  async requestReplay() {
+    if (!('serviceWorker' in navigator)) return
+
+    try {
+      const registration = await navigator.serviceWorker.ready
+      if ('sync' in registration) {
+        await registration.sync.register('sync-outbox')
+      } else {
+        registration.active?.postMessage({ type: 'REPLAY_OUTBOX' })
+      }
+    } catch (error) {
+      navigator.serviceWorker.controller?.postMessage({ type: 'REPLAY_OUTBOX' })
+    }
+  }
+}
+
+// Adaptateur REST pour la synchronisation (voir server/sync-server.js)
+class RestSyncAdapter {
+  constructor(baseUrl, { timeout = 10000 } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.timeout = timeout
+  }
+
+  async request(path, options = {}) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeout)
+
+    try {
+      const response = await fetch(`${this.baseUrl}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+        signal: controller.signal
+      })
+      if (!response.ok) {
+        throw new Error(t('sync.error.http', { status: String(response.status) }))
+      }
+      return await response.json()
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // Enregistrements modifiés côté serveur depuis le curseur
+  async pull(collection, since) {
+    const params = new URLSearchParams({ since: since || 0 })
+    return this.request(`/sync/${collection}?${params}`)
+  }
+
+  // Photo d'un lot publié depuis un autre appareil (Blob), null si le serveur ne l'a pas
+  async getPhoto(photoId, thumb = false) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.timeout)
+
+    try {
+      const response = await fetch(`${this.baseUrl}/photos/${photoId}${thumb ? '/thumb' : ''}`, { signal: controller.signal })
+      return response.ok ? await response.blob() : null
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // Envoyer des modifications locales ; le serveur garde la version la plus récente.
+  // Le service worker fait le même appel en rejouant la file d'envoi.
+  async push(collection, records) {
+    return this.request(`/sync/${collection}`, {
+      method: 'POST',
+      body: JSON.stringify({ records })
+    })
+  }
+}
+
+// Synchronisation des stores locaux avec un serveur partagé.
+// L'envoi passe par l'OutboxManager ; ce gestionnaire récupère les changements distants.
+class SyncManager {
+  // resolvers : fusion (version locale, version reçue) par collection, voir ReviewManager.merge
+  constructor(outbox, resolvers = {}) {
+    this.outbox = outbox
+    this.resolvers = resolvers
+    this.collections = ['users', 'products', 'savedSearches', 'conversations', 'messages', 'orders', 'reviews', 'recurrences', 'subscriptions', 'productViews']
+    // Type de mutation de la file d'envoi pour chaque collection
+    this.types = {
+      users: 'user.save',
+      products: 'product.publish',
+      savedSearches: 'search.save',
+      conversations: 'conversation.save',
+      messages: 'message.send',
+      orders: 'order.update',
+      reviews: 'review.save',
+      recurrences: 'recurrence.save',
+      subscriptions: 'subscription.save',
+      productViews: 'view.record'
+    }
+    this.adapter = null
+    this.running = null
+  }
+
+  async getConfig() {
+    return await db.getSetting('syncConfig', { baseUrl: '' })
+  }
+
+  async saveConfig(config) {
+    const previous = await this.getConfig()
+    await db.setSetting('syncConfig', config)
+    await this.configure()
+
+    // Nouveau serveur : y envoyer les données déjà présentes sur l'appareil
+    if (config.baseUrl && config.baseUrl !== previous.baseUrl) {
+      await this.seedOutbox()
+    }
+  }
+
+  // Choisir l'adaptateur selon la configuration
+  async configure() {
+    const config = await this.getConfig()
+    this.adapter = config.baseUrl ? new RestSyncAdapter(config.baseUrl) : null
+    await this.outbox.setApiBase(config.baseUrl || '')
+    return this.adapter
+  }
+
+  isConfigured() {
+    return this.adapter !== null
+  }
+
+  async seedOutbox() {
+    // Photos des lots d'abord : elles restent sur l'appareil qui les a prises
+    for (const product of await db.getAll('products')) {
+      for (const photoId of product.photos || []) {
+        await this.outbox.enqueue('photo.upload', { id: photoId })
+      }
+    }
+    for (const collection of this.collections) {
+      const records = await db.getAll(collection)
+      for (const record of records) {
+        await this.outbox.enqueue(this.types[collection], record)
+      }
+    }
+  }
+
+  // cursors : dernier curseur serveur reçu par collection
+  async getState() {
+    const state = await db.getSetting('syncState', {})
+    return { cursors: {}, lastSyncAt: null, lastError: null, ...state }
+  }
+
+  async saveState(state) {
+    await db.setSetting('syncState', state)
+  }
+
+  versionOf(record) {
+    return record.updatedAt || record.createdAt || 0
+  }
+
+  // Fusion par id dans une seule transaction ; renvoie les enregistrements ajoutés ou remplacés.
+  // Les enregistrements d'un appareil ou d'une sauvegarde d'avant les ULID sont convertis d'abord.
+  async mergeInto(collection, incomingRecords) {
+    const added = []
+    const updated = []
+    const published = []
+    const resolve = this.resolvers[collection]
+
+    await db.transaction(collection, 'readwrite', async (stores) => {
+      const store = stores[collection]
+      for (const record of incomingRecords) {
+        if (record?.id === undefined || record.id === null) continue
+
+        const incoming = upgradeRecord(collection, record)
+        const current = await store.get(incoming.id)
+        // Conflit : la version la plus récente l'emporte, à égalité la locale est gardée,
+        // sauf pour les collections fusionnées champ par champ (resolvers)
+        if (!current) {
+          await store.put(incoming)
+          added.push(incoming)
+        } else if (resolve) {
+          const merged = resolve(current, incoming)
+          if (!merged) continue
+          await store.put(merged.record)
+          updated.push(merged.record)
+          if (merged.publish) published.push(merged.record)
+        } else if (this.versionOf(incoming) > this.versionOf(current)) {
+          await store.put(incoming)
+          updated.push(incoming)
+        }
+      }
+    })
+
+    for (const record of published) await this.outbox.enqueue(this.types[collection], record)
+    return { added, updated }
+  }
+
+  async pullCollection(collection, state) {
+    const { records: remote = [], cursor } = await this.adapter.pull(collection, state.cursors[collection])
+    if (remote.length === 0) {
+      state.cursors[collection] = cursor ?? state.cursors[collection]
+      return { added: [], updated: [] }
+    }
+
+    const merged = await this.mergeInto(collection, remote)
+    state.cursors[collection] = cursor
+    return merged
+  }
+
+  // Récupérer chaque collection ; un seul passage à la fois.
+  // products : lots reçus, sauf au premier passage (tout le catalogue du serveur arrive d'un coup)
+  async sync() {
+    if (!this.adapter) return null
+    if (this.running) return this.running
+
+    this.running = (async () => {
+      const state = await this.getState()
+      const firstPull = state.cursors.products === undefined
+      const result = { pulled: 0, products: { added: [], updated: [] } }
+
+      try {
+        for (const collection of this.collections) {
+          const merged = await this.pullCollection(collection, state)
+          result.pulled += merged.added.length + merged.updated.length
+          if (collection === 'products' && !firstPull) result.products = merged
+        }
+        state.lastSyncAt = Date.now()
+        state.lastError = null
+        return result
+      } catch (error) {
+        state.lastError = error.message
+        throw error
+      } finally {
+        await this.saveState(state)
+        this.running = null
+      }
+    })()
+
+    return this.running
+  }
+}
+
+// Import / export : sauvegarde complète en JSON, exports CSV, import CSV de lots
+class DataTransferManager {
+  constructor(productManager, syncManager) {
+    this.productManager = productManager
+    this.syncManager = syncManager
+    this.backupFormat = 'marche-local-backup'
+    this.backupVersion = 2 // 1 : identifiants numériques, convertis à la restauration
+
+    // Colonnes d'import : alias reconnus dans l'en-tête du fichier (sans accents, minuscules)
+    // Libellés traduits : import.column.<clé>
+    this.productColumns = [
+      { key: 'name', required: true, aliases: ['nom', 'produit', 'name', 'variete', 'article', 'produkt', 'bezeichnung'] },
+      { key: 'category', required: true, aliases: ['categorie', 'category', 'famille', 'rayon', 'kategorie'] },
+      { key: 'description', aliases: ['description', 'details', 'commentaire', 'beschreibung'] },
+      { key: 'quantity', required: true, aliases: ['quantite', 'quantity', 'qte', 'stock', 'menge'] },
+      { key: 'unit', required: true, aliases: ['unite', 'unit', 'conditionnement', 'einheit'] },
+      { key: 'price', required: true, aliases: ['prix', 'price', 'tarif', 'prix unitaire', 'preis'] },
+      { key: 'priceMode', aliases: ['prix pour', 'mode de prix', 'pricemode', 'price for', 'preis fur'] },
+      { key: 'harvestDate', required: true, aliases: ['recolte', 'date de recolte', 'harvestdate', 'date', 'harvest date', 'ernte', 'erntedatum'] },
+      { key: 'freshnessDays', aliases: ['fraicheur', 'freshnessdays', 'duree', 'jours', 'freshness', 'frische'] }
+    ]
+  }
+
+  // Sauvegarde complète : toutes les collections synchronisées et les profils de l'appareil.
+  // Les photos (Blobs) ne sont pas incluses.
+  async createBackup() {
+    const data = {}
+    for (const collection of [...this.syncManager.collections, 'profiles']) {
+      data[collection] = await db.getAll(collection)
+    }
+    return {
+      format: this.backupFormat,
+      version: this.backupVersion,
+      exportedAt: new Date().toISOString(),
+      data
+    }
+  }
+
+  // Restauration par fusion : même règle que la synchronisation, jamais de doublon d'id
+  async restoreBackup(backup) {
+    if (backup?.format !== this.backupFormat || !backup.data) {
+      throw new Error(t('error.backupUnrecognized'))
+    }
+    if (backup.version > this.backupVersion) {
+      throw new Error(t('error.backupTooRecent'))
+    }
+
+    const report = {}
+    for (const collection of this.syncManager.collections) {
+      const records = backup.data[collection]
+      if (!Array.isArray(records)) continue
+      report[collection] = await this.syncManager.mergeInto(collection, records)
+    }
+
+    // Profils locaux : clés par userId, ceux déjà présents sont conservés
+    if (Array.isArray(backup.data.profiles)) {
+      await db.transaction('profiles', 'readwrite', async ({ profiles }) => {
+        for (const record of backup.data.profiles) {
+          const profile = upgradeRecord('profiles', record)
+          if (profile?.userId && !await profiles.get(profile.userId)) await profiles.put(profile)
+        }
+      })
+    }
+
+    return report
+  }
+
+  // CSV au séparateur « ; » (tableurs français) ; objets et tableaux en JSON
+  toCSV(rows, columns) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return ''
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+      return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+    const lines = [columns.map(c => escape(c.label)).join(';')]
+    for (const row of rows) {
+      lines.push(columns.map(c => escape(c.format ? c.format(row[c.key]) : row[c.key])).join(';'))
+    }
+    return lines.join('\r\n')
+  }
+
+  // Séparateur deviné sur la première ligne : ; , ou tabulation
+  parseCSV(text) {
+    text = text.replace(/^\ufeff/, '')
+    const firstLine = text.split(/\r?\n/, 1)[0]
+    const delimiter = [';', ',', '\t']
+      .map(d => [d, firstLine.split(d).length])
+      .sort((a, b) => b[1] - a[1])[0][0]
+
+    const rows = []
+    let row = []
+    let field = ''
+    let quoted = false
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else if (char === '"') {
+          quoted = false
+        } else {
+          field += char
+        }
+      } else if (char === '"') {
+        quoted = true
+      } else if (char === delimiter) {
+        row.push(field)
+        field = ''
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++
+        row.push(field)
+        rows.push(row)
+        row = []
+        field = ''
+      } else {
+        field += char
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field)
+      rows.push(row)
+    }
+
+    const [headers = [], ...data] = rows.filter(r => r.some(cell => cell.trim() !== ''))
+    return { headers: headers.map(h => h.trim()), rows: data }
+  }
+
+  // Colonne du fichier proposée pour chaque champ, d'après les alias
+  guessMapping(headers) {
+    const normalized = headers.map(h => normalizeText(h).trim())
+    const mapping = {}
+    for (const column of this.productColumns) {
+      const labels = translations(`import.column.${column.key}`).map(label => normalizeText(label))
+      const index = normalized.findIndex(h => column.aliases.includes(h) || labels.includes(h))
+      mapping[column.key] = index === -1 ? null : index
+    }
+    return mapping
+  }
+
+  parseNumber(value) {
+    const number = parseFloat(String(value ?? '').replace(/\s/g, '').replace(',', '.'))
+    return Number.isFinite(number) ? number : null
+  }
+
+  // AAAA-MM-JJ ou JJ/MM/AAAA ; les dates inexistantes (31/02) sont refusées
+  parseDate(value) {
+    const text = String(value ?? '').trim()
+    let iso = null
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      iso = text
+    } else {
+      const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/)
+      if (!match) return null
+      iso = `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`
+    }
+    const date = new Date(`${iso}T00:00:00Z`)
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : null
+  }
+
+  // Une ligne du fichier → champs d'un lot, ou liste d'erreurs lisibles
+  validateProductRow(cells, mapping) {
+    const value = key => mapping[key] === null || mapping[key] === undefined ? '' : (cells[mapping[key]] ?? '').trim()
+    const errors = []
+    const product = {}
+
+    for (const column of this.productColumns) {
+      if (column.required && !value(column.key)) errors.push(t('import.error.empty', { column: t(`import.column.${column.key}`) }))
+    }
+
+    product.name = value('name')
+    product.description = value('description')
+
+    // Catégorie : clé ou libellé dans l'une des langues
+    const categoryText = normalizeText(value('category'))
+    const category = this.productManager.categories.find(key =>
+      [key, ...translations(`category.${key}`)].some(name => normalizeText(name) === categoryText)
+    )
+    if (value('category') && !category) errors.push(t('import.error.category', { value: value('category') }))
+    product.category = category
+
+    // Unité : code, libellé ou nom complet dans l'une des langues, ou ancienne valeur (« bouquets »)
+    const units = this.productManager.units
+    const unitText = normalizeText(value('unit'))
+    const unit = Object.keys(units).find(key =>
+      [key, ...translations(`unit.${key}`), ...translations(`unit.name.${key}`), ...Object.keys(this.productManager.legacyUnits).filter(l => this.productManager.legacyUnits[l] === key)]
+        .some(name => normalizeText(name) === unitText)
+    )
+    if (value('unit') && !unit) errors.push(t('import.error.unit', { value: value('unit') }))
+
+    // Prix à l'unité par défaut ; « lot », « au lot » pour un prix global
+    const priceMode = /lot|los/.test(normalizeText(value('priceMode'))) ? 'lot' : 'unit'
+
+    const quantity = this.parseNumber(value('quantity'))
+    if (value('quantity') && !(quantity > 0)) errors.push(t('import.error.quantity'))
+
+    const price = this.parseNumber(value('price'))
+    if (value('price') && (price === null || price <= 0)) errors.push(t('import.error.price'))
+
+    // Mêmes règles que le formulaire (quantité entière pour les pièces, bottes, pots…)
+    if (unit && quantity > 0 && price > 0) {
+      try {
+        Object.assign(product, this.productManager.validatePricing({ quantity, unit, price, priceMode }))
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    product.harvestDate = this.parseDate(value('harvestDate'))
+    if (value('harvestDate') && !product.harvestDate) errors.push(t('import.error.harvestDate'))
+
+    if (value('freshnessDays')) {
+      product.freshnessDays = parseInt(value('freshnessDays'))
+      if (!(product.freshnessDays > 0)) errors.push(t('import.error.freshness'))
+    }
+
+    return { product, errors }
+  }
+}
+
+// Tableau de bord vendeur : consultations et contacts par lot, délai de vente, lots vendus
+// ou expirés, et demande locale d'après les alertes des acheteurs. Tout est calculé sur l'appareil.
+class AnalyticsManager {
+  constructor(searchMatcher) {
+    this.searchMatcher = searchMatcher
+    this.day = 24 * 60 * 60 * 1000
+    this.recorded = new Set() // consultations déjà enregistrées pendant cette session
+  }
+
+  // Une consultation par lot et par visiteur (id « produit:visiteur », le même sur tous ses appareils) ;
+  // les lots du visiteur ne comptent pas. Renvoie les consultations nouvelles, à synchroniser.
+  async recordViews(products, viewer) {
+    const records = []
+    for (const product of products) {
+      const id = `${product.id}:${viewer.id}`
+      if (product.sellerId === viewer.id || this.recorded.has(id)) continue
+      records.push(await db.createRecord({
+        productId: product.id,
+        sellerId: product.sellerId,
+        viewerId: viewer.id
+      }, { id, authorId: viewer.id }))
+    }
+    if (records.length === 0) return []
+
+    const created = await db.transaction('productViews', 'readwrite', async ({ productViews }) => {
+      const added = []
+      for (const record of records) {
+        if (await productViews.get(record.id)) continue
+        await productViews.put(record)
+        added.push(record)
+      }
+      return added
+    })
+    for (const record of records) this.recorded.add(record.id)
+    return created
+  }
+
+  countBy(records, field) {
+    const counts = new Map()
+    for (const record of records) counts.set(record[field], (counts.get(record[field]) || 0) + 1)
+    return counts
+  }
+
+  // Entrées les plus fréquentes d'abord : [{ label, count }]
+  rank(counts, limit = Infinity) {
+    return [...counts.entries()]
+      .map(([label, count]) => ({ label, count }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+      .slice(0, limit)
+  }
+
+  median(values) {
+    if (values.length === 0) return null
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+
+  async getSellerStats(sellerId) {
+    const products = (await db.getAllBy('products', 'sellerId', sellerId)).filter(p => !p.deletedAt)
+    const views = this.countBy(await db.getAllBy('productViews', 'sellerId', sellerId), 'productId')
+    const contacts = this.countBy(await db.getAllBy('conversations', 'sellerId', sellerId), 'productId')
+
+    const lots = products
+      .map(product => ({ product, views: views.get(product.id) || 0, contacts: contacts.get(product.id) || 0 }))
+      .sort((a, b) => b.views - a.views || b.contacts - a.contacts)
+
+    // Délai entre la publication et la vente ; soldAt manque sur les lots vendus avant son ajout
+    const sold = products.filter(p => p.status === 'vendu')
+    const saleDelays = sold
+      .map(product => ({ product, days: ((product.soldAt ?? product.updatedAt) - product.createdAt) / this.day }))
+      .filter(delay => delay.days >= 0)
+      .sort((a, b) => (b.product.soldAt ?? b.product.updatedAt) - (a.product.soldAt ?? a.product.updatedAt))
+
+    return {
+      lots,
+      views: lots.reduce((sum, lot) => sum + lot.views, 0),
+      contacts: lots.reduce((sum, lot) => sum + lot.contacts, 0),
+      sold: sold.length,
+      expired: products.filter(p => p.status === 'expiré').length,
+      saleDelays,
+      medianSaleDays: this.median(saleDelays.map(delay => delay.days))
+    }
+  }
+
+  // Alertes actives dont l'acheteur est dans son propre rayon autour du vendeur : celles qu'un lot
+  // de ce vendeur pourrait déclencher. null si le vendeur n'a pas de position.
+  async getLocalDemand(seller) {
+    if (!seller.location) return null
+
+    const users = new Map((await db.getAll('users')).map(user => [user.id, user]))
+    const searches = (await db.getAll('savedSearches'))
+      .filter(search => !search.deletedAt && !search.muted && search.userId !== seller.id)
+
+    const categories = new Map()
+    const keywords = new Map()
+    let count = 0
+    for (const search of searches) {
+      const buyer = users.get(search.userId)
+      if (!buyer || buyer.deletedAt) continue
+      if (this.searchMatcher.distanceWithinRadius({ location: seller.location }, buyer, search) === null) continue
+
+      count++
+      const category = search.category && search.category !== 'all' ? search.category : 'all'
+      categories.set(category, (categories.get(category) || 0) + 1)
+      for (const keyword of new Set(this.searchMatcher.parseKeywords(search.keywords))) {
+        keywords.set(keyword, (keywords.get(keyword) || 0) + 1)
+      }
+    }
+
+    return { searches: count, categories: this.rank(categories), keywords: this.rank(keywords, 10) }
+  }
+}
+
+// Carte des produits : tuiles raster configurables, épingles par vendeur et rayon.
+// Sans réseau ou sans serveur de tuiles (tileUrl null), un fond vectoriel (grille + épingles) reste affiché.
+class MapView {
+  constructor(container, { tileUrl, attribution = '', onPinClick = () => {} }) {
+    this.container = container
+    this.tileUrl = tileUrl
+    this.attribution = attribution
+    this.onPinClick = onPinClick
+    this.tileSize = 256
+    this.center = null
+    this.home = null
+    this.zoom = 12
+    this.radiusKm = 0
+    this.clusters = []
+    this.tilesFailed = 0
+    this.listeners = new AbortController() // retirés ensemble par destroy()
+
+    this.setupInteractions()
+  }
+
+  // Projection Web Mercator en pixels « monde » au niveau de zoom donné
+  project(lat, lon, zoom = this.zoom) {
+    const scale = this.tileSize * 2 ** zoom
+    const sin = Math.sin(lat * Math.PI / 180)
+    return {
+      x: (lon + 180) / 360 * scale,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    }
+  }
+
+  unproject(x, y, zoom = this.zoom) {
+    const scale = this.tileSize * 2 ** zoom
+    const n = Math.PI - 2 * Math.PI * y / scale
+    return {
+      lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+      lon: x / scale * 360 - 180
+    }
+  }
+
+  metersPerPixel(lat, zoom = this.zoom) {
+    return 156543.03392 * Math.cos(lat * Math.PI / 180) / 2 ** zoom
+  }
+
+  // Zoom le plus fort qui fait tenir le rayon dans la carte
+  fitRadius(center, radiusKm) {
+    const size = Math.min(this.container.clientWidth || 320, this.container.clientHeight || 320)
+    for (let zoom = 17; zoom > 2; zoom--) {
+      if (radiusKm * 1000 / this.metersPerPixel(center.lat, zoom) <= size / 2 - 16) return zoom
+    }
+    return 3
+  }
+
+  // center : position de l'acheteur, centre du cercle de rayon
+  setData({ center, radiusKm, clusters }) {
+    const recenter = !this.center || this.radiusKm !== radiusKm
+    this.home = center
+    this.radiusKm = radiusKm
+    this.clusters = clusters
+    if (recenter) {
+      this.center = center
+      this.zoom = this.fitRadius(center, radiusKm || 20)
+    }
+    this.render()
+  }
+
+  zoomBy(delta) {
+    this.zoom = Math.max(3, Math.min(18, this.zoom + delta))
+    this.render()
+  }
+
+  setupInteractions() {
+    let drag = null
+    const { signal } = this.listeners
+
+    this.container.addEventListener('pointerdown', (e) => {
+      if (e.target.closest('.map-pin, .map-controls')) return
+      drag = { x: e.clientX, y: e.clientY, origin: this.project(this.center.lat, this.center.lon) }
+      this.container.setPointerCapture(e.pointerId)
+    }, { signal })
+
+    this.container.addEventListener('pointermove', (e) => {
+      if (!drag) return
+      const x = drag.origin.x - (e.clientX - drag.x)
+      const y = drag.origin.y - (e.clientY - drag.y)
+      this.center = this.unproject(x, y)
+      this.render()
+    }, { signal })
+
+    const stop = () => { drag = null }
+    this.container.addEventListener('pointerup', stop, { signal })
+    this.container.addEventListener('pointercancel', stop, { signal })
+  }
+
+  // Avant de remplacer la carte : plus aucune interaction ni dessin dans le conteneur
+  destroy() {
+    this.listeners.abort()
+    this.container.innerHTML = ''
+    this.container.classList.remove('offline')
+  }
+
+  tileSrc(x, y, z) {
+    return this.tileUrl
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y)
+  }
+
+  render() {
+    if (!this.center) return
+
+    const width = this.container.clientWidth || 320
+    const height = this.container.clientHeight || 320
+    const origin = this.project(this.center.lat, this.center.lon)
+    const left = origin.x - width / 2
+    const top = origin.y - height / 2
+    const toScreen = (lat, lon) => {
+      const p = this.project(lat, lon)
+      return { x: p.x - left, y: p.y - top }
+    }
+
+    this.container.innerHTML = ''
+    this.tilesFailed = 0
+
+    // Fond vectoriel de secours : visible tant que les tuiles ne sont pas chargées
+    this.container.appendChild(this.renderFallback(width, height))
+
+    // Tuiles raster, seulement si un serveur est accepté
+    this.container.classList.remove('offline')
+    if (this.tileUrl) this.container.appendChild(this.renderTiles(left, top, width, height))
+
+    // Cercle du rayon et position de l'acheteur
+    const svgNs = 'http://www.w3.org/2000/svg'
+    const overlay = document.createElementNS(svgNs, 'svg')
+    overlay.setAttribute('class', 'map-overlay')
+    overlay.setAttribute('width', width)
+    overlay.setAttribute('height', height)
+    const home = toScreen(this.home.lat, this.home.lon)
+    if (this.radiusKm) {
+      const circle = document.createElementNS(svgNs, 'circle')
+      circle.setAttribute('cx', home.x)
+      circle.setAttribute('cy', home.y)
+      circle.setAttribute('r', this.radiusKm * 1000 / this.metersPerPixel(this.home.lat))
+      circle.setAttribute('class', 'map-radius')
+      overlay.appendChild(circle)
+    }
+    const dot = document.createElementNS(svgNs, 'circle')
+    dot.setAttribute('cx', home.x)
+    dot.setAttribute('cy', home.y)
+    dot.setAttribute('r', 6)
+    dot.setAttribute('class', 'map-me')
+    overlay.appendChild(dot)
+    this.container.appendChild(overlay)
+
+    // Épingles regroupées par vendeur
+    for (const cluster of this.clusters) {
+      const pos = toScreen(cluster.location.lat, cluster.location.lon)
+      if (pos.x < -20 || pos.y < -20 || pos.x > width + 20 || pos.y > height + 20) continue
+
+      const pin = document.createElement('button')
+      pin.type = 'button'
+      pin.className = 'map-pin'
+      pin.style.left = `${pos.x}px`
+      pin.style.top = `${pos.y}px`
+      pin.title = t('map.pin', { name: cluster.sellerName, count: cluster.products.length })
+      pin.textContent = cluster.products.length
+      pin.addEventListener('click', () => this.onPinClick(cluster))
+      this.container.appendChild(pin)
+    }
+
+    this.container.appendChild(this.renderControls())
+  }
+
+  renderTiles(left, top, width, height) {
+    const tiles = document.createElement('div')
+    tiles.className = 'map-tiles'
+    const count = 2 ** this.zoom
+    let total = 0
+    for (let tx = Math.floor(left / this.tileSize); tx <= Math.floor((left + width) / this.tileSize); tx++) {
+      for (let ty = Math.floor(top / this.tileSize); ty <= Math.floor((top + height) / this.tileSize); ty++) {
+        if (ty < 0 || ty >= count) continue
+        total++
+        const img = document.createElement('img')
+        img.alt = ''
+        img.draggable = false
+        img.style.left = `${tx * this.tileSize - left}px`
+        img.style.top = `${ty * this.tileSize - top}px`
+        img.addEventListener('error', () => {
+          img.remove()
+          this.tilesFailed++
+          if (this.tilesFailed === total) this.showOffline()
+        })
+        img.src = this.tileSrc(((tx % count) + count) % count, ty, this.zoom)
+        tiles.appendChild(img)
+      }
+    }
+    return tiles
+  }
+
+  renderFallback(width, height) {
+    const svgNs = 'http://www.w3.org/2000/svg'
+    const svg = document.createElementNS(svgNs, 'svg')
+    svg.setAttribute('class', 'map-fallback')
+    svg.setAttribute('width', width)
+    svg.setAttribute('height', height)
+
+    // Quadrillage tous les ~1 km (ou 10 km aux petits zooms)
+    const step = this.metersPerPixel(this.center.lat) > 50 ? 10000 : 1000
+    const px = step / this.metersPerPixel(this.center.lat)
+    if (px >= 8) {
+      for (let x = (width / 2) % px; x < width; x += px) {
+        const line = document.createElementNS(svgNs, 'line')
+        line.setAttribute('x1', x); line.setAttribute('x2', x)
+        line.setAttribute('y1', 0); line.setAttribute('y2', height)
+        svg.appendChild(line)
+      }
+      for (let y = (height / 2) % px; y < height; y += px) {
+        const line = document.createElementNS(svgNs, 'line')
+        line.setAttribute('x1', 0); line.setAttribute('x2', width)
+        line.setAttribute('y1', y); line.setAttribute('y2', y)
+        svg.appendChild(line)
+      }
+    }
+    return svg
+  }
+
+  renderControls() {
+    const controls = document.createElement('div')
+    controls.className = 'map-controls'
+
+    const zoomIn = document.createElement('button')
+    zoomIn.type = 'button'
+    zoomIn.textContent = '+'
+    zoomIn.title = t('map.zoomIn')
+    zoomIn.addEventListener('click', () => this.zoomBy(1))
+
+    const zoomOut = document.createElement('button')
+    zoomOut.type = 'button'
+    zoomOut.textContent = '−'
+    zoomOut.title = t('map.zoomOut')
+    zoomOut.addEventListener('click', () => this.zoomBy(-1))
+
+    this.attributionEl = document.createElement('span')
+    this.attributionEl.className = 'map-attribution'
+    this.attributionEl.textContent = this.attribution
+
+    controls.append(zoomIn, zoomOut, this.attributionEl)
+    return controls
+  }
+
+  // Aucune tuile chargée : ne garder que le fond vectoriel et les épingles
+  showOffline() {
+    this.container.classList.add('offline')
+    if (this.attributionEl) {
+      this.attributionEl.textContent = t('map.offline')
+    }
+  }
+}
+
+// Gestionnaire de routes : chaque vue a une adresse dans le fragment d'URL (#/produits, #/vendeur/3…)
+// pour l'historique du navigateur, les raccourcis du manifeste et les liens partagés.
+class Router {
+  // routes : { '/produit/:id': 'products', … } ; les segments « :nom » deviennent des paramètres
+  constructor(routes) {
+    this.routes = Object.entries(routes).map(([pattern, view]) => ({
+      pattern,
+      view,
+      keys: pattern.split('/').filter(segment => segment.startsWith(':')).map(segment => segment.slice(1)),
+      regex: new RegExp(`^${pattern.replace(/:[A-Za-z]+/g, '([^/]+)')}$`)
+    }))
+  }
+
+  // '#/produit/12?action=reserve' → { view: 'products', params: { id: '12' }, query, path }
+  // null : aucune route, ou paramètre mal encodé (ex. « %E0%A4%A »)
+  resolve(hash) {
+    const [path, search = ''] = hash.replace(/^#/, '').split('?')
+    const route = this.routes.find(r => r.regex.test(path || '/'))
+    if (!route) return null
+
+    const values = (path || '/').match(route.regex).slice(1)
+    let params
+    try {
+      params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(values[i])]))
+    } catch (error) {
+      if (error instanceof URIError) return null
+      throw error
+    }
+    return { view: route.view, params, query: new URLSearchParams(search), path: path || '/' }
+  }
+
+  // Chemin canonique d'une vue, la route la plus précise dont tous les paramètres sont connus
+  pathFor(view, params = {}) {
+    const route = this.routes
+      .filter(r => r.view === view && r.keys.every(key => params[key] !== undefined && params[key] !== null))
+      .sort((a, b) => b.keys.length - a.keys.length)[0]
+    if (!route) return '/'
+
+    return route.keys.reduce((path, key) => path.replace(`:${key}`, encodeURIComponent(params[key])), route.pattern)
+  }
+}
+
+// Application principale
+class MarketplacePWA {
+  constructor() {
+    this.isOnline = navigator.onLine
+    this.installPrompt = null
+    this.currentUser = null
+    this.userLocation = null
+
+    this.locationManager = new LocationManager()
+    this.productManager = new ProductManager()
+    this.notificationManager = new NotificationManager()
+    this.userManager = new UserManager()
+    this.searchMatcher = new SearchMatcher(this.locationManager, this.productManager)
+    this.photoManager = new PhotoManager()
+    this.messageManager = new MessageManager()
+    this.orderManager = new OrderManager(this.productManager)
+    this.reviewManager = new ReviewManager()
+    this.recurrenceManager = new RecurrenceManager(this.productManager, this.orderManager)
+    this.lifecycleManager = new LifecycleManager(this.productManager)
+    this.outbox = new OutboxManager()
+    this.syncManager = new SyncManager(this.outbox, {
+      reviews: (current, incoming) => this.reviewManager.merge(current, incoming)
+    })
+    this.dataTransfer = new DataTransferManager(this.productManager, this.syncManager)
+    this.analytics = new AnalyticsManager(this.searchMatcher)
+    this.viewObservers = new Map() // conteneur de cartes → IntersectionObserver des consultations
+    this.toaster = new Toaster()
+    this.navTabs = new Tabs(document.querySelector('.main-nav'))
+
+    this.currentView = 'home'
+    this.viewShown = false // focus déplacé vers la vue à partir du deuxième affichage
+    this.currentHash = null // fragment de la vue affichée, null avant la première
+    this.pendingRoute = null // lien ouvert avant le choix d'un profil
+    this.router = new Router({
+      '/': 'home',
+      '/profils': 'profiles',
+      '/profil': 'setup',
+      '/produits': 'products',
+      '/produit/:id': 'products',
+      '/vendre': 'seller',
+      '/tableau-de-bord': 'analytics',
+      '/alertes': 'buyer',
+      '/vendeur/:id': 'storefront',
+      '/commandes': 'orders',
+      '/commande/:id': 'orders',
+      '/messages': 'messages',
+      '/conversation/:id': 'conversation',
+      '/reglages': 'settings'
+    })
+    this.publicViews = ['setup', 'profiles'] // accessibles sans profil actif
+    this.currentConversationId = null
+    this.currentSellerId = null
+    this.outboxStatus = {}
+    this.sellerScores = {}
+    this.orderReviews = {}
+    this.productsMode = 'list' // list, map
+    this.filters = this.productManager.defaultFilters()
+    this.pendingPhotos = []
+    this.duplicatedPhotos = [] // photos reprises d'un lot dupliqué
+    this.sellerStatusFilter = 'all'
+    this.selectedProductIds = new Set()
+    this.editingProductId = null
+    this.importState = null // fichier CSV en cours d'import
+    this.changedStores = new Set() // écritures d'autres onglets, en attente de rafraîchissement
+    this.mapView = null
+    this.init()
+  }
+
+  async init() {
+    // Lien d'ouverture, lu avant que le choix du profil ne change l'URL
+    const launchHash = window.location.hash
+
+    // Langue choisie dans les réglages, sinon celle du navigateur ; avant tout affichage
+    this.applyLocale(await db.getSetting('locale', detectLocale()))
+
+    await this.setupPWA()
+    this.setupEventListeners()
+    this.updateStatus()
+    await this.loadUser()
+    await this.runRecurrences()
+    await this.runLifecycle()
+    setInterval(async () => {
+      await this.runRecurrences()
+      await this.runLifecycle()
+    }, 60 * 60 * 1000)
+    this.openRoute(launchHash)
+    this.handleLaunchParams()
+
+    await this.outbox.upgradeEntries()
+    await this.syncManager.configure()
+    this.syncNow()
+    setInterval(() => {
+      if (!this.isOnline) return
+      this.outbox.requestReplay()
+      this.syncNow()
+    }, 60000)
+  }
+
+  async setupPWA() {
+    if ('serviceWorker' in navigator) {
+      try {
+        await navigator.serviceWorker.register('./sw.js', { scope: './' })
+        console.log('Service Worker enregistré')
+      } catch (error) {
+        console.log('Erreur Service Worker:', error)
+      }
+    }
+
+    // Cycle de vie des lots aussi appli fermée, si le navigateur le permet
+    try {
+      const registration = await navigator.serviceWorker?.ready
+      if (registration && 'periodicSync' in registration) {
+        await registration.periodicSync.register('product-lifecycle', { minInterval: 12 * 60 * 60 * 1000 })
+      }
+    } catch {
+      // Refusé ou non pris en charge : les statuts sont mis à jour à l'ouverture de l'appli
+    }
+
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+      this.handleServiceWorkerMessage(e.data || {})
+    })
+
+    window.addEventListener('beforeinstallprompt', (e) => {
+      e.preventDefault()
+      this.installPrompt = e
+      document.getElementById('install-btn')?.classList.remove('hidden')
+    })
+  }
+
+  setupEventListeners() {
+    // Erreurs de saisie en ligne plutôt que les bulles du navigateur
+    validateForms()
+
+    // Navigation
+    document.addEventListener('click', (e) => {
+      const viewBtn = e.target.closest('[data-view]')
+      if (viewBtn) {
+        e.preventDefault()
+        this.showView(viewBtn.dataset.view)
+      }
+    })
+
+    // Retour arrière, lien saisi ou collé dans la barre d'adresse
+    const onLocationChange = () => {
+      if (window.location.hash !== this.currentHash) this.openRoute(window.location.hash)
+    }
+    window.addEventListener('popstate', onLocationChange)
+    window.addEventListener('hashchange', onLocationChange)
+
+    // Boutons des listes rendues : data-action et paramètres en data-*, aucun gestionnaire en ligne (CSP)
+    delegate(document, 'click', {
+      'select-profile': ({ id }) => this.selectProfile(id),
+      'edit-profile': ({ id }) => this.editProfile(id),
+      'delete-profile': ({ id }) => this.deleteProfile(id),
+      'edit-pickup-point': ({ id }) => this.editPickupPoint(id),
+      'delete-pickup-point': ({ id }) => this.deletePickupPoint(id),
+      'set-recurrence-active': ({ id, active }) => this.setRecurrenceActive(id, active === 'true'),
+      'delete-recurrence': ({ id }) => this.deleteRecurrence(id),
+      'subscribe': ({ id }) => this.subscribe(id),
+      'set-subscription-status': ({ id, status }) => this.setSubscriptionStatus(id, status),
+      'skip-delivery': ({ id, date }) => this.skipDelivery(id, date),
+      'reply-review': ({ id }) => this.replyToReview(id),
+      'report-review': ({ id }) => this.reportReview(id),
+      'open-review-form': ({ id }) => this.openReviewForm(id),
+      'edit-product': ({ id }) => this.editProduct(id),
+      'duplicate-product': ({ id }) => this.duplicateProduct(id),
+      'set-product-status': ({ id, status }) => this.updateProductStatus(id, status),
+      'save-product-edit': ({ id }) => this.saveProductEdit(id),
+      'cancel-product-edit': () => this.cancelProductEdit(),
+      'set-search-muted': ({ id, muted }) => this.setSearchMuted(id, muted === 'true'),
+      'delete-search': ({ id }) => this.deleteSearch(id),
+      'open-storefront': ({ sellerId }) => this.openStorefront(sellerId),
+      'contact-seller': ({ id }) => this.contactSeller(id),
+      'remove-pending-photo': ({ index }) => this.removePendingPhoto(Number(index)),
+      'open-conversation': ({ id }) => this.openConversation(id),
+      'update-order-status': ({ id, status }) => this.updateOrderStatus(id, status),
+      'retry-sync': ({ id }) => this.retrySync(id)
+    })
+
+    // PWA
+    document.getElementById('install-btn')?.addEventListener('click', () => this.installApp())
+    window.addEventListener('online', () => this.handleOnline())
+    window.addEventListener('offline', () => this.handleOffline())
+
+    // Écritures validées dans un autre onglet ou par le service worker, regroupées
+    db.onChange(({ stores }) => {
+      stores.forEach(store => this.changedStores.add(store))
+      clearTimeout(this.storageChangeTimer)
+      this.storageChangeTimer = setTimeout(() => this.handleStorageChange(), 200)
+    })
+
+    // Formulaires
+    document.getElementById('seller-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleSellerSubmit(e)
+    })
+
+    document.getElementById('seller-form')?.addEventListener('reset', () => {
+      this.clearPendingPhotos()
+      this.duplicatedPhotos = []
+      setTimeout(() => this.updatePriceHint())
+    })
+
+    // Prix normalisé et pas de quantité selon l'unité
+    document.getElementById('seller-form')?.addEventListener('input', () => this.updatePriceHint())
+
+    // Gestion des lots du vendeur : filtre, sélection multiple et actions groupées
+    document.getElementById('seller-status-filter')?.addEventListener('change', (e) => {
+      this.sellerStatusFilter = e.target.value
+      this.loadSellerProducts()
+    })
+
+    document.getElementById('select-all-products')?.addEventListener('change', (e) => {
+      this.selectAllProducts(e.target.checked)
+    })
+
+    document.getElementById('my-products-list')?.addEventListener('change', (e) => {
+      if (e.target.matches('.product-select input')) {
+        this.toggleProductSelection(e.target.value, e.target.checked)
+      }
+    })
+
+    document.querySelectorAll('[data-bulk]').forEach(btn => {
+      btn.addEventListener('click', () => this.runBulkAction(btn.dataset.bulk))
+    })
+
+    // Photos : galerie ou appareil photo
+    document.querySelectorAll('#product-photos, #product-camera').forEach(input => {
+      input.addEventListener('change', async (e) => {
+        await this.handlePhotoSelection([...e.target.files])
+        e.target.value = ''
+      })
+    })
+
+    // Photo non servie par le service worker (premier chargement, dev) : Blob local ou du serveur
+    document.addEventListener('error', (e) => {
+      if (e.target instanceof HTMLImageElement && e.target.dataset.photoId) {
+        this.hydratePhoto(e.target)
+      }
+    }, true)
+
+    document.getElementById('buyer-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleBuyerSubmit(e)
+    })
+
+    document.getElementById('user-setup-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleUserSetup(e)
+    })
+
+    document.getElementById('location-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleLocationSettingsSubmit(e)
+    })
+
+    const localeSelect = document.getElementById('locale-select')
+    if (localeSelect) {
+      render(localeSelect, Object.entries(LOCALES).map(([code, name]) => html`<option value="${code}" lang="${code}">${name}</option>`))
+      localeSelect.value = getLocale()
+      localeSelect.addEventListener('change', () => this.changeLocale(localeSelect.value))
+    }
+
+    // Saisie assistée des communes, sans réseau
+    const gazetteerOptions = document.getElementById('gazetteer-options')
+    if (gazetteerOptions) {
+      render(gazetteerOptions, GAZETTEER.map(([postcode, name]) => html`<option value="${postcode} ${name}"></option>`))
+    }
+
+    document.getElementById('review-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleReviewSubmit(e)
+    })
+
+    document.getElementById('review-cancel')?.addEventListener('click', () => this.closeReviewForm())
+
+    document.getElementById('farm-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleFarmSubmit(e)
+    })
+
+    document.getElementById('pickup-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handlePickupSubmit(e)
+    })
+
+    // Les champs cachés ne sont pas vidés par reset()
+    document.getElementById('pickup-form')?.addEventListener('reset', (e) => {
+      e.target.elements.namedItem('id').value = ''
+    })
+
+    document.getElementById('pin-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handlePinSubmit(e)
+    })
+
+    document.getElementById('pin-cancel')?.addEventListener('click', () => {
+      document.getElementById('pin-form')?.classList.add('hidden')
+    })
+
+    document.getElementById('new-profile-btn')?.addEventListener('click', () => this.newProfile())
+
+    document.getElementById('sync-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleSyncSettingsSubmit(e)
+    })
+
+    // Import / export
+    document.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.exportData(btn.dataset.export, btn.dataset.format))
+    })
+
+    document.getElementById('restore-file')?.addEventListener('change', (e) => {
+      const file = e.target.files[0]
+      if (file) this.restoreBackup(file)
+      e.target.value = ''
+    })
+
+    document.getElementById('import-file')?.addEventListener('change', (e) => {
+      const file = e.target.files[0]
+      if (file) this.readImportFile(file)
+    })
+
+    document.getElementById('import-mapping')?.addEventListener('change', () => this.validateImport())
+
+    document.getElementById('import-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleImportSubmit(e)
+    })
+
+    document.getElementById('message-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleMessageSubmit(e)
+    })
+
+    document.getElementById('reservation-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleReservationSubmit(e)
+    })
+
+    // Recherche, filtres et tri : un seul état partagé
+    document.getElementById('products-filters')?.addEventListener('input', () => {
+      this.updateFilters(this.readFilterControls())
+    })
+
+    document.getElementById('products-filters')?.addEventListener('reset', () => {
+      // Laisser le formulaire se vider avant de relire les champs
+      setTimeout(() => this.updateFilters(this.productManager.defaultFilters()))
+    })
+
+    document.getElementById('products-filters')?.addEventListener('submit', (e) => e.preventDefault())
+
+    // Carte
+    document.querySelectorAll('[data-products-mode]').forEach(btn => {
+      btn.addEventListener('click', () => this.setProductsMode(btn.dataset.productsMode))
+    })
+
+    document.getElementById('map-form')?.addEventListener('submit', (e) => {
+      e.preventDefault()
+      this.handleMapSettingsSubmit(e)
+    })
+  }
+
+  async loadUser() {
+    this.currentUser = await this.userManager.getCurrentUser()
+    await this.protectStoredLocations()
+    await this.migrateStoredUnits()
+    this.applyProfile()
+    if (!this.currentUser) {
+      const profiles = await this.userManager.getProfiles()
+      if (profiles.length > 0) this.showView('profiles')
+      else await this.newProfile()
+    }
+  }
+
+  // Positions enregistrées avant le choix de précision : arrondies une fois pour toutes
+  async protectStoredLocations() {
+    if (!this.currentUser) return
+
+    try {
+      const { precision } = await this.locationManager.getSettings()
+      const location = this.currentUser.location
+      if (location && !location.precision) {
+        this.currentUser = await this.userManager.updateProfile(this.currentUser.id, {
+          location: this.locationManager.applyPrecision(location, precision)
+        })
+        this.queueChange('user.save', this.currentUser)
+      }
+
+      const products = await this.productManager.getSellerProducts(this.currentUser.id)
+      const exposed = products.filter(p => p.location && !p.location.precision)
+      for (const product of exposed) {
+        touch(product, { location: this.locationManager.applyPrecision(product.location, precision) })
+      }
+      await this.productManager.putProducts(exposed)
+      for (const product of exposed) this.queueChange('product.update', product)
+    } catch (error) {
+      console.error('Erreur protection des positions:', error)
+    }
+  }
+
+  // Précision plus grossière : lots déjà publiés et modèles récurrents arrondis de même,
+  // puis renvoyés pour que les autres appareils ne gardent pas l'ancienne position
+  async coarsenPublishedLocations(precision) {
+    const order = this.locationManager.precisions
+    const exposed = location => location && order.indexOf(location.precision) < order.indexOf(precision)
+
+    const products = (await this.productManager.getSellerProducts(this.currentUser.id))
+      .filter(p => !p.deletedAt && exposed(p.location))
+    for (const product of products) {
+      touch(product, { location: this.locationManager.applyPrecision(product.location, precision) })
+    }
+    await this.productManager.putProducts(products)
+    for (const product of products) await this.queueChange('product.update', product)
+
+    const recurrences = (await this.recurrenceManager.getRecurrences())
+      .filter(r => r.sellerId === this.currentUser.id && exposed(r.template?.location))
+    for (const recurrence of recurrences) {
+      const template = { ...recurrence.template, location: this.locationManager.applyPrecision(recurrence.template.location, precision) }
+      await this.queueChange('recurrence.save', await this.recurrenceManager.updateRecurrence(recurrence.id, this.currentUser.id, { template }))
+    }
+  }
+
+  // Unités de l'ancien formulaire (« pièces », « bouquets »…) vers le modèle typé
+  async migrateStoredUnits() {
+    if (!this.currentUser) return
+
+    try {
+      const products = await this.productManager.migrateUnits(this.currentUser.id)
+      for (const product of products) this.queueChange('product.update', product)
+
+      const searches = await this.userManager.getUserSearches(this.currentUser.id)
+      for (const search of searches.filter(s => s.unit in this.productManager.legacyUnits)) {
+        const migrated = await this.userManager.updateSearch(search.id, { unit: this.productManager.normalizeUnit(search.unit) })
+        this.queueChange('search.save', migrated)
+      }
+    } catch (error) {
+      console.error('Erreur migration des unités:', error)
+    }
+  }
+
+  // Navigation, position et compteurs du profil actif
+  applyProfile() {
+    this.userLocation = this.currentUser?.location || null
+
+    const profileBtn = document.getElementById('profile-btn')
+    profileBtn?.classList.toggle('hidden', !this.currentUser)
+    const profileName = document.getElementById('profile-name')
+    if (profileName) profileName.textContent = this.currentUser?.name || ''
+
+    if (!this.currentUser) {
+      this.hideNavigation()
+      return
+    }
+
+    // Entrées de navigation selon le rôle
+    document.querySelectorAll('[data-view]').forEach(btn => {
+      if (this.userManager.roleViews[btn.dataset.view]) {
+        btn.classList.toggle('hidden', !this.userManager.canAccess(this.currentUser, btn.dataset.view))
+      }
+    })
+    this.showNavigation()
+    this.updateStats()
+    this.updateUnreadBadge()
+  }
+
+  // Données modifiées ailleurs : profil actif relu, vue courante et compteurs rafraîchis
+  async handleStorageChange() {
+    const stores = [...this.changedStores]
+    this.changedStores.clear()
+
+    if (this.currentUser && stores.includes('users')) {
+      const user = await this.userManager.getUser(this.currentUser.id)
+      if (!user) {
+        // Profil supprimé dans un autre onglet
+        this.currentUser = null
+        this.applyProfile()
+        this.showView('profiles', { replace: true })
+        return
+      }
+      this.currentUser = user
+      this.applyProfile()
+    }
+
+    if (this.currentUser) {
+      this.loadView(this.currentView)
+      this.updateUnreadBadge()
+    }
+  }
+
+  // Messages du service worker (clic sur une notification, etc.)
+  handleServiceWorkerMessage(message) {
+    switch (message.type) {
+      case 'NOTIFICATION_ACTION':
+        this.handleDeepLink(message)
+        break
+      case 'SYNC_DONE':
+        this.handleSyncDone(message)
+        break
+    }
+  }
+
+  // La file d'envoi a été rejouée : rafraîchir les badges de la vue courante
+  async handleSyncDone({ sent = 0, failed = 0 }) {
+    await this.refreshOutboxStatus()
+    this.loadView(this.currentView)
+    if (failed > 0) {
+      this.showNotification(t('notify.syncFailed', { count: failed }), { tone: 'error' })
+    } else if (sent > 0) {
+      this.syncNow()
+    }
+  }
+
+  // Paramètres d'ouverture : ./?produit=ID, ./?commande=ID, &action=reserve
+  // (liens d'avant les ULID : identifiants numériques convertis comme les données locales)
+  handleLaunchParams() {
+    const params = new URLSearchParams(window.location.search)
+    if (![...params.keys()].length) return
+
+    this.handleDeepLink({
+      productId: legacyId('products', params.get('produit')) || null,
+      orderId: legacyId('orders', params.get('commande')) || null,
+      searchId: legacyId('savedSearches', params.get('alerte')) || null,
+      action: params.get('action')
+    })
+
+    // Ne pas rejouer l'action au rechargement
+    history.replaceState(null, '', `${window.location.pathname}${window.location.hash}`)
+  }
+
+  async handleDeepLink({ productId, orderId, searchId, action }) {
+    if (!this.currentUser) return
+
+    if (action === 'mute-search' && searchId) {
+      await this.setSearchMuted(searchId, true)
+      return
+    }
+
+    if (action === 'seller') {
+      this.navigate('/vendre')
+      return
+    }
+
+    if (orderId) {
+      this.navigate(`/commande/${orderId}`)
+      return
+    }
+
+    if (productId) {
+      if (action === 'reserve') {
+        this.contactSeller(productId)
+        return
+      }
+      this.navigate(`/produit/${productId}`)
+    }
+  }
+
+  // Ouvrir une adresse de l'application en l'ajoutant à l'historique
+  navigate(path) {
+    const hash = `#${path}`
+    this.setLocation(hash)
+    this.openRoute(hash)
+  }
+
+  // Afficher l'écran désigné par un fragment d'URL (ouverture, retour arrière, lien partagé)
+  openRoute(hash, { replace = false } = {}) {
+    // Anciens liens de filtres sans chemin : #cat=legumes → #/produits?cat=legumes
+    if (/^#[^/]/.test(hash)) {
+      hash = `#/produits?${hash.slice(1)}`
+      replace = true
+    }
+
+    const route = this.router.resolve(hash)
+    if (!route) {
+      this.showNotification(t('notify.pageNotFound'))
+      this.showView('home', { replace: true })
+      return
+    }
+
+    // Même garde que requireUser : le lien sera rouvert une fois le profil choisi
+    if (!this.currentUser && !this.publicViews.includes(route.view)) {
+      this.pendingRoute = hash
+      if (!this.publicViews.includes(this.currentView)) this.requireUser()
+      return
+    }
+
+    this.setLocation(hash, replace)
+
+    switch (route.view) {
+      case 'setup':
+        // Formulaire vierge si l'on revient sur #/profil sans l'avoir ouvert
+        if (this.currentView !== 'setup') {
+          this.newProfile()
+          return
+        }
+        break
+      case 'products':
+        this.filters = this.filtersFromQuery(route.query)
+        this.writeFilterControls()
+        if (route.params.id) {
+          this.pendingHighlight = `product-${legacyId('products', route.params.id)}`
+          if (this.productsMode !== 'list') this.setProductsMode('list')
+        }
+        break
+      case 'orders':
+        if (route.params.id) this.pendingHighlight = `order-${legacyId('orders', route.params.id)}`
+        break
+      case 'storefront':
+        this.currentSellerId = legacyId('users', route.params.id)
+        break
+      case 'conversation':
+        this.currentConversationId = legacyId('conversations', route.params.id)
+        break
+    }
+
+    this.showView(route.view, { fromRoute: true })
+  }
+
+  // Après le choix d'un profil : reprendre le lien qui l'a demandé, sinon l'accueil
+  resumeRoute() {
+    const hash = this.pendingRoute
+    this.pendingRoute = null
+    if (hash) this.openRoute(hash, { replace: true })
+    else this.showView('home')
+  }
+
+  // Paramètres de la route d'une vue, tirés de l'état courant
+  routeParams(viewName) {
+    switch (viewName) {
+      case 'storefront':
+        return { id: this.currentSellerId }
+      case 'conversation':
+        return { id: this.currentConversationId }
+      default:
+        return {}
+    }
+  }
+
+  // Adresse de la vue affichée ; la première vue de la session remplace l'entrée d'ouverture
+  updateLocation(viewName, { replace = false } = {}) {
+    const path = this.router.pathFor(viewName, this.routeParams(viewName))
+    const query = viewName === 'products' ? this.filtersToQuery(this.filters) : ''
+    this.setLocation(`#${path}${query ? '?' + query : ''}`, replace || this.currentHash === null)
+  }
+
+  setLocation(hash, replace = false) {
+    this.currentHash = hash
+    if (hash === window.location.hash) return
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`
+    if (replace) history.replaceState(null, '', url)
+    else history.pushState(null, '', url)
+  }
+
+  // Faire défiler jusqu'à la carte ciblée par un lien profond
+  applyHighlight() {
+    if (!this.pendingHighlight) return
+    const element = document.getElementById(this.pendingHighlight)
+    this.pendingHighlight = null
+    if (!element) return
+
+    element.classList.add('highlighted')
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    setTimeout(() => element.classList.remove('highlighted'), 3000)
+  }
+
+  // Statuts selon la date de récolte et alerte au vendeur avant expiration
+  async runLifecycle() {
+    const { changed, expiringSoon } = await this.lifecycleManager.run(Date.now(), this.currentUser?.id)
+
+    for (const { product } of changed) {
+      await this.queueChange('product.status', product)
+    }
+
+    for (const product of expiringSoon) {
+      await this.queueChange('product.status', product)
+      await this.notificationManager.sendNotification(
+        t('lifecycle.expiring'),
+        t('lifecycle.expiringBody', { name: product.name, date: formatDate(this.productManager.expiresAt(product)) }),
+        { productId: product.id, kind: 'expiry' }
+      )
+    }
+
+    if (changed.length > 0) this.loadView(this.currentView)
+  }
+
+  // Masquer/Afficher la navigation
+  hideNavigation() {
+    const nav = document.querySelector('.main-nav')
+    if (nav) nav.style.display = 'none'
+  }
+
+  showNavigation() {
+    const nav = document.querySelector('.main-nav')
+    if (nav) nav.style.display = 'flex'
+  }
+
+  // Vérifier si l'utilisateur est configuré
+  requireUser() {
+    if (!this.currentUser) {
+      this.showNotification(t('notify.chooseProfile'))
+      this.showView('profiles', { replace: true })
+      return false
+    }
+    return true
+  }
+
+  // Navigation entre vues ; fromRoute : l'URL désigne déjà cette vue (voir openRoute)
+  showView(viewName, { fromRoute = false, replace = false } = {}) {
+    // Vérifier configuration utilisateur (sauf pour la gestion des profils)
+    if (!this.publicViews.includes(viewName) && !this.requireUser()) {
+      return
+    }
+
+    // Vues réservées au rôle vendeur ou acheteur
+    if (this.currentUser && !this.userManager.canAccess(this.currentUser, viewName)) {
+      this.showNotification(t('notify.sectionUnavailable'))
+      viewName = 'home'
+      fromRoute = false
+      replace = true
+    }
+
+    this.currentView = viewName
+
+    // Nouvelle entrée d'historique, sauf si l'URL a déjà mené ici
+    if (!fromRoute) this.updateLocation(viewName, { replace })
+
+    // Masquer toutes les vues
+    document.querySelectorAll('.view').forEach(view => {
+      view.classList.add('hidden')
+    })
+
+    // Afficher la vue demandée
+    const view = document.getElementById(`${viewName}-view`)
+    view?.classList.remove('hidden')
+
+    // Mise à jour navigation
+    document.querySelectorAll('[data-view]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === viewName)
+    })
+    this.navTabs.select(`${viewName}-view`)
+
+    // Focus sur la nouvelle vue, sauf au lancement et depuis un onglet (il garde le focus)
+    if (this.viewShown && document.activeElement?.getAttribute('role') !== 'tab') focusView(view)
+    this.viewShown = true
+
+    this.loadView(viewName)
+  }
+
+  // Charger les données de la vue (aussi après une synchronisation)
+  loadView(viewName) {
+    switch (viewName) {
+      case 'home':
+        this.updateStats()
+        break
+      case 'products':
+        this.loadProducts()
+        break
+      case 'seller':
+        this.loadSellerProducts()
+        this.loadSellerRecurrences()
+        this.loadSellerReviews()
+        this.loadFarm()
+        break
+      case 'analytics':
+        this.loadAnalytics()
+        break
+      case 'storefront':
+        this.loadStorefront()
+        break
+      case 'buyer':
+        this.loadBuyerSearches()
+        break
+      case 'messages':
+        this.loadConversations()
+        break
+      case 'conversation':
+        this.loadConversation()
+        break
+      case 'orders':
+        this.loadOrders()
+        break
+      case 'settings':
+        this.loadSettings()
+        break
+      case 'profiles':
+        this.loadProfiles()
+        break
+    }
+  }
+
+  // Création ou modification d'un profil
+  async handleUserSetup(e) {
+    const formData = new FormData(e.target)
+    const userId = formData.get('id') || null
+    const userData = {
+      name: formData.get('name'),
+      type: formData.get('type') // vendeur, acheteur, both
+    }
+    const pin = formData.get('pin') || ''
+    const commune = formData.get('commune') || ''
+
+    try {
+      await this.locationManager.saveSettings({ precision: formData.get('precision') })
+
+      // Commune saisie, sinon position de l'appareil arrondie
+      if (commune) {
+        const entry = this.locationManager.findCommune(commune)
+        if (!entry) {
+          this.showFieldError(e.target, 'commune', t('notify.unknownCommune'))
+          return
+        }
+        userData.location = this.locationManager.fromGazetteer(entry)
+      } else if (!userId || formData.get('refreshLocation')) {
+        this.showNotification(t('notify.locating'))
+        userData.location = await this.locationManager.getLocation()
+      }
+
+      if (userId) {
+        const user = await this.userManager.updateProfile(userId, userData, {
+          pin,
+          removePin: !!formData.get('removePin')
+        })
+        if (this.currentUser?.id === userId) this.currentUser = user
+        this.queueChange('user.save', user)
+        this.showNotification(t('notify.profileUpdated'))
+      } else {
+        this.currentUser = await this.userManager.createProfile(userData, pin)
+        this.queueChange('user.save', this.currentUser)
+        this.showNotification(t('notify.welcome', { name: userData.name }))
+      }
+
+      this.applyProfile()
+      if (userId) this.showView('profiles')
+      else this.resumeRoute()
+
+    } catch (error) {
+      if (error.message === t('error.pinLength')) this.showFieldError(e.target, 'pin', error.message)
+      else if (error.message === t('location.error.unavailable')) this.showFieldError(e.target, 'commune', error.message)
+      else this.showNotification(t('notify.setupError'), { tone: 'error' })
+      console.error('Setup error:', error)
+    }
+  }
+
+  // Formulaire de profil vierge
+  async newProfile() {
+    const form = document.getElementById('user-setup-form')
+    form?.reset()
+    if (form) {
+      form.elements.namedItem('id').value = ''
+      form.elements.namedItem('precision').value = (await this.locationManager.getSettings()).precision
+    }
+
+    const hasProfiles = (await this.userManager.getProfiles()).length > 0
+    document.getElementById('setup-title').textContent = hasProfiles ? t('setup.title.new') : t('setup.title.first')
+    document.getElementById('setup-intro').classList.toggle('hidden', hasProfiles)
+    document.getElementById('setup-submit').textContent = hasProfiles ? t('setup.submit.new') : t('setup.submit.first')
+    document.getElementById('setup-cancel').classList.toggle('hidden', !hasProfiles)
+    document.getElementById('remove-pin-group').classList.add('hidden')
+    document.getElementById('refresh-location-group').classList.add('hidden')
+    this.showView('setup')
+  }
+
+  async editProfile(userId) {
+    const profile = (await this.userManager.getProfiles()).find(p => p.id === userId)
+    if (!profile) return
+
+    // Un profil protégé ne se modifie qu'une fois déverrouillé
+    if (profile.hasPin && this.currentUser?.id !== userId) {
+      this.showNotification(t('notify.unlockToEdit'))
+      return
+    }
+
+    const form = document.getElementById('user-setup-form')
+    form.reset()
+    form.elements.namedItem('id').value = profile.id
+    form.elements.namedItem('name').value = profile.name
+    form.elements.namedItem('type').value = profile.type
+    form.elements.namedItem('precision').value = (await this.locationManager.getSettings()).precision
+
+    document.getElementById('setup-title').textContent = t('setup.title.edit')
+    document.getElementById('setup-intro').classList.add('hidden')
+    document.getElementById('setup-submit').textContent = t('action.save')
+    document.getElementById('setup-cancel').classList.remove('hidden')
+    document.getElementById('remove-pin-group').classList.toggle('hidden', !profile.hasPin)
+    document.getElementById('refresh-location-group').classList.remove('hidden')
+    this.showView('setup')
+  }
+
+  async deleteProfile(userId) {
+    const profile = (await this.userManager.getProfiles()).find(p => p.id === userId)
+    if (!profile) return
+
+    if (profile.hasPin && this.currentUser?.id !== userId) {
+      this.showNotification(t('notify.unlockToDelete'))
+      return
+    }
+
+    try {
+      const user = await this.userManager.deleteProfile(userId)
+      if (user) this.queueChange('user.save', user)
+
+      if (this.currentUser?.id === userId) {
+        this.currentUser = null
+        this.applyProfile()
+      }
+      this.showNotification(t('notify.profileDeleted'))
+      this.loadProfiles()
+    } catch (error) {
+      this.showNotification(t('notify.deleteError'), { tone: 'error' })
+    }
+  }
+
+  // Liste des profils de l'appareil
+  async loadProfiles() {
+    const container = document.getElementById('profiles-list')
+    if (!container) return
+
+    document.getElementById('pin-form')?.classList.add('hidden')
+    const profiles = await this.userManager.getProfiles()
+    if (profiles.length === 0) {
+      render(container, html`<p class="empty-state">${t('profiles.empty')}</p>`)
+      return
+    }
+
+    render(container, profiles.map(profile => {
+      const active = profile.id === this.currentUser?.id
+      return html`
+        <div class="profile-card${active ? ' active' : ''}">
+          <div>
+            <h3>${profile.hasPin ? '🔒 ' : ''}${profile.name}</h3>
+            <p>${has(`role.${profile.type}`) ? t(`role.${profile.type}`) : profile.type}${active ? ` · ${t('profiles.active')}` : ''}</p>
+          </div>
+          <div class="product-actions">
+            ${active ? '' : html`<button data-action="select-profile" data-id="${profile.id}" class="btn primary">${t('profiles.use')}</button>`}
+            <button data-action="edit-profile" data-id="${profile.id}" class="btn secondary">${t('action.edit')}</button>
+            <button data-action="delete-profile" data-id="${profile.id}" class="btn secondary">${t('action.delete')}</button>
+          </div>
+        </div>
+      `
+    }))
+  }
+
+  // Un profil protégé demande son PIN avant de devenir actif
+  async selectProfile(userId) {
+    const profile = (await this.userManager.getProfiles()).find(p => p.id === userId)
+    if (!profile) return
+
+    if (!profile.hasPin) {
+      await this.switchProfile(userId)
+      return
+    }
+
+    const form = document.getElementById('pin-form')
+    form.reset()
+    form.elements.namedItem('userId').value = userId
+    document.getElementById('pin-profile-name').textContent = profile.name
+    form.classList.remove('hidden')
+    form.elements.namedItem('pin').focus()
+  }
+
+  async handlePinSubmit(e) {
+    const formData = new FormData(e.target)
+    await this.switchProfile(formData.get('userId'), formData.get('pin'), e.target)
+  }
+
+  // pinForm : formulaire du code PIN, qui affiche l'erreur de code
+  async switchProfile(userId, pin = '', pinForm = null) {
+    try {
+      this.currentUser = await this.userManager.switchProfile(userId, pin)
+      this.applyProfile()
+      this.showNotification(t('notify.hello', { name: this.currentUser.name }))
+      this.resumeRoute()
+      this.runLifecycle()
+    } catch (error) {
+      if (pinForm && error.message === t('error.wrongPin')) this.showFieldError(pinForm, 'pin', error.message)
+      else this.showNotification(error.message === t('error.wrongPin') ? error.message : t('notify.switchProfileError'), { tone: 'error' })
+      console.error('Erreur changement de profil:', error)
+    }
+  }
+
+  // Vendeur - Ajouter produit
+  async handleSellerSubmit(e) {
+    if (!this.currentUser) {
+      this.showNotification(t('notify.userRequired'))
+      return
+    }
+
+    const formData = new FormData(e.target)
+    const pickupPoint = this.userManager.getFarm(this.currentUser).pickupPoints
+      .find(p => p.id === formData.get('pickupPointId'))
+    const productData = {
+      sellerId: this.currentUser.id,
+      sellerName: this.currentUser.name,
+      name: formData.get('name'),
+      category: formData.get('category'),
+      description: formData.get('description'),
+      harvestDate: formData.get('harvestDate'),
+      freshnessDays: formData.get('freshnessDays'),
+      pickupPointId: pickupPoint?.id || null,
+      pickupPointName: pickupPoint?.name || null,
+      location: pickupPoint?.location || this.userLocation || this.currentUser.location,
+      photos: []
+    }
+
+    // Contrôle avant tout enregistrement, y compris du modèle récurrent
+    try {
+      Object.assign(productData, this.productManager.validatePricing({
+        quantity: formData.get('quantity'),
+        unit: formData.get('unit'),
+        price: formData.get('price'),
+        priceMode: formData.get('priceMode')
+      }))
+    } catch (error) {
+      this.showNotification(error.message, { tone: 'error' })
+      return
+    }
+
+    try {
+      productData.photos.push(...this.duplicatedPhotos)
+      for (const photo of this.pendingPhotos) {
+        productData.photos.push(await this.photoManager.savePhoto(photo))
+      }
+
+      // Modèle republié à chaque échéance
+      if (formData.get('recurring')) {
+        const { sellerId, sellerName, harvestDate, ...template } = productData
+        const recurrence = await this.recurrenceManager.createRecurrence(this.currentUser, template, {
+          type: formData.get('recurrenceType'),
+          everyDays: parseInt(formData.get('everyDays')) || 7,
+          seasonStart: parseInt(formData.get('seasonStart')) || null,
+          seasonEnd: parseInt(formData.get('seasonEnd')) || null
+        }, harvestDate)
+        productData.recurrenceId = recurrence.id
+        this.queueChange('recurrence.save', recurrence)
+      }
+
+      // Les acheteurs intéressés sont prévenus sur leur appareil à la réception du lot
+      const product = await this.productManager.saveProduct(productData)
+
+      this.showNotification(t('notify.productAdded'))
+      // Photos envoyées avant le lot, pour que les acheteurs les trouvent en le recevant
+      for (const photoId of product.photos) await this.queueChange('photo.upload', { id: photoId })
+      this.queueChange('product.publish', product)
+      e.target.reset()
+      this.loadSellerProducts()
+
+    } catch (error) {
+      this.showNotification(t('notify.productAddError'), { tone: 'error' })
+      console.error('Product save error:', error)
+    }
+  }
+
+  // Aperçu du prix normalisé pendant la saisie
+  updatePriceHint() {
+    const form = document.getElementById('seller-form')
+    const hint = document.getElementById('product-price-hint')
+    if (!form || !hint) return
+
+    const unit = form.elements.namedItem('unit').value
+    const quantityInput = form.elements.namedItem('quantity')
+    quantityInput.step = this.productManager.units[unit]?.divisible ? 'any' : '1'
+    quantityInput.min = this.productManager.units[unit]?.divisible ? '0.001' : '1'
+
+    try {
+      const pricing = this.productManager.validatePricing({
+        quantity: quantityInput.value,
+        unit,
+        price: form.elements.namedItem('price').value,
+        priceMode: form.elements.namedItem('priceMode').value
+      })
+      const normalized = this.productManager.formatNormalizedPrice(pricing)
+      hint.textContent = t('seller.priceHint', { price: `${this.productManager.formatPrice(pricing)}${normalized ? ` (${normalized})` : ''}` })
+    } catch (error) {
+      hint.textContent = ''
+    }
+  }
+
+  // Vendeur - Vitrine et points de retrait
+  loadFarm() {
+    if (!this.currentUser) return
+
+    const farm = this.userManager.getFarm(this.currentUser)
+    const form = document.getElementById('farm-form')
+    if (form && !form.contains(document.activeElement)) {
+      form.elements.namedItem('name').value = farm.name
+      form.elements.namedItem('description').value = farm.description
+      form.elements.namedItem('practices').value = farm.practices
+      form.querySelectorAll('[name="labels"]').forEach(input => {
+        input.checked = farm.labels.includes(input.value)
+      })
+    }
+
+    const slots = document.getElementById('pickup-slots')
+    if (slots && !slots.children.length) {
+      render(slots, this.userManager.weekDays.map((day, i) => html`
+        <div class="pickup-slot">
+          <span>${day}</span>
+          <input type="time" name="from-${i}" aria-label="${t('farm.slot.from', { day })}">
+          <input type="time" name="to-${i}" aria-label="${t('farm.slot.to', { day })}">
+        </div>
+      `))
+    }
+
+    const list = document.getElementById('pickup-points-list')
+    if (list) {
+      render(list, farm.pickupPoints.length === 0
+        ? html`<p class="empty-state">${t('farm.pickup.empty')}</p>`
+        : farm.pickupPoints.map(point => html`
+          <div class="pickup-point">
+            <h4>${point.name}</h4>
+            ${point.address ? html`<p>${point.address}</p>` : ''}
+            ${this.renderSlots(point.slots)}
+            <div class="product-actions">
+              <button data-action="edit-pickup-point" data-id="${point.id}" class="btn secondary">${t('action.edit')}</button>
+              <button data-action="delete-pickup-point" data-id="${point.id}" class="btn secondary">${t('action.delete')}</button>
+            </div>
+          </div>
+        `))
+    }
+
+    const select = document.getElementById('product-pickup')
+    if (select) {
+      const selected = select.value
+      render(select, html`
+        <option value="">${t('farm.pickup.atFarm')}</option>
+        ${farm.pickupPoints.map(point => html`<option value="${point.id}">${point.name}</option>`)}
+      `)
+      select.value = farm.pickupPoints.some(p => p.id === selected) ? selected : ''
+    }
+  }
+
+  renderSlots(slots = []) {
+    if (slots.length === 0) return html`<p class="conversation-date">${t('farm.slot.byAppointment')}</p>`
+
+    return html`
+      <ul>
+        ${slots.map(slot => html`
+          <li>${this.userManager.weekDays[slot.day]} : ${slot.from}–${slot.to}</li>
+        `)}
+      </ul>
+    `
+  }
+
+  async handleFarmSubmit(e) {
+    const formData = new FormData(e.target)
+
+    try {
+      this.currentUser = await this.userManager.saveFarm(this.currentUser.id, {
+        name: formData.get('name').trim(),
+        description: formData.get('description').trim(),
+        practices: formData.get('practices').trim(),
+        labels: formData.getAll('labels')
+      })
+      this.queueChange('user.save', this.currentUser)
+      this.showNotification(t('notify.farmSaved'))
+    } catch (error) {
+      this.showNotification(t('notify.farmSaveError'), { tone: 'error' })
+    }
+  }
+
+  async handlePickupSubmit(e) {
+    const formData = new FormData(e.target)
+    const point = {
+      id: formData.get('id') || null,
+      name: formData.get('name').trim(),
+      address: formData.get('address').trim(),
+      slots: this.userManager.weekDays
+        .map((_, day) => ({ day, from: formData.get(`from-${day}`), to: formData.get(`to-${day}`) }))
+        .filter(slot => slot.from && slot.to && slot.from < slot.to)
+    }
+
+    try {
+      if (formData.get('useLocation')) {
+        point.location = await this.locationManager.getLocation()
+      }
+
+      this.currentUser = await this.userManager.savePickupPoint(this.currentUser.id, point)
+      this.queueChange('user.save', this.currentUser)
+      this.showNotification(t('notify.pickupSaved'))
+      e.target.reset()
+      this.loadFarm()
+    } catch (error) {
+      this.showNotification(t('notify.pickupSaveError'), { tone: 'error' })
+      console.error('Erreur point de retrait:', error)
+    }
+  }
+
+  editPickupPoint(pointId) {
+    const point = this.userManager.getFarm(this.currentUser).pickupPoints.find(p => p.id === pointId)
+    const form = document.getElementById('pickup-form')
+    if (!point || !form) return
+
+    form.reset()
+    form.elements.namedItem('id').value = point.id
+    form.elements.namedItem('name').value = point.name
+    form.elements.namedItem('address').value = point.address || ''
+    for (const slot of point.slots || []) {
+      form.elements.namedItem(`from-${slot.day}`).value = slot.from
+      form.elements.namedItem(`to-${slot.day}`).value = slot.to
+    }
+    form.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }
+
+  async deletePickupPoint(pointId) {
+    try {
+      this.currentUser = await this.userManager.deletePickupPoint(this.currentUser.id, pointId)
+      this.queueChange('user.save', this.currentUser)
+      this.showNotification(t('notify.pickupDeleted'))
+      this.loadFarm()
+    } catch (error) {
+      this.showNotification(t('notify.deleteError'), { tone: 'error' })
+    }
+  }
+
+  // Réglages de confidentialité ; une précision plus grossière s'applique aussitôt à la position enregistrée
+  async handleLocationSettingsSubmit(e) {
+    const formData = new FormData(e.target)
+    const order = this.locationManager.precisions
+    const previous = await this.locationManager.getSettings()
+    const settings = await this.locationManager.saveSettings({
+      precision: formData.get('precision'),
+      allowIpLookup: !!formData.get('allowIpLookup')
+    })
+
+    try {
+      let location = null
+      const commune = formData.get('commune')
+      if (commune) {
+        const entry = this.locationManager.findCommune(commune)
+        if (!entry) {
+          this.showFieldError(e.target, 'commune', t('notify.unknownCommune'))
+          return
+        }
+        location = this.locationManager.fromGazetteer(entry)
+      } else if (formData.get('refresh')) {
+        this.showNotification(t('notify.locating'))
+        location = await this.locationManager.getLocation()
+      } else if (this.currentUser?.location && order.indexOf(settings.precision) > order.indexOf(previous.precision)) {
+        location = this.locationManager.applyPrecision(this.currentUser.location, settings.precision)
+      }
+
+      if (location && this.currentUser) {
+        this.currentUser = await this.userManager.updateProfile(this.currentUser.id, { location })
+        this.userLocation = location
+        this.queueChange('user.save', this.currentUser)
+      }
+      if (this.currentUser && order.indexOf(settings.precision) > order.indexOf(previous.precision)) {
+        await this.coarsenPublishedLocations(settings.precision)
+      }
+
+      e.target.elements.namedItem('commune').value = ''
+      e.target.elements.namedItem('refresh').checked = false
+      this.showNotification(t('notify.locationSaved'))
+      this.loadSettings()
+    } catch (error) {
+      if (error.message === t('location.error.unavailable')) this.showFieldError(e.target, 'commune', error.message)
+      else this.showNotification(t('notify.locationError'), { tone: 'error' })
+      console.error('Erreur réglages position:', error)
+    }
+  }
+
+  // Lots récurrents arrivés à échéance (appareil du vendeur uniquement, pour éviter les doublons)
+  async runRecurrences() {
+    if (!this.currentUser) return
+
+    const { products, orders, recurrences, failures } = await this.recurrenceManager.run(this.currentUser.id)
+
+    for (const recurrence of recurrences) {
+      await this.queueChange('recurrence.save', recurrence)
+    }
+
+    // Lots relus après réservation des paniers : le stock a bougé
+    for (const product of products) {
+      await this.queueChange('product.publish', await this.productManager.getProduct(product.id) || product)
+    }
+
+    for (const order of orders) {
+      await this.queueChange('order.update', order)
+    }
+
+    if (failures.length > 0) {
+      this.showNotification(t('notify.subscriptionsUnreserved', { count: failures.length }), { tone: 'error' })
+    }
+
+    if (products.length > 0) {
+      this.showNotification(t('notify.recurrencesPublished', { count: products.length }))
+      this.loadView(this.currentView)
+    }
+  }
+
+  async loadSellerRecurrences() {
+    const container = document.getElementById('my-recurrences-list')
+    if (!container || !this.currentUser) return
+
+    try {
+      const recurrences = (await this.recurrenceManager.getRecurrences())
+        .filter(r => r.sellerId === this.currentUser.id)
+      const subscriptions = await this.recurrenceManager.getSubscriptions()
+
+      if (recurrences.length === 0) {
+        render(container, html`<p class="empty-state">${t('recurrence.empty')}</p>`)
+        return
+      }
+
+      render(container, recurrences.map(recurrence => {
+        const subscribers = subscriptions.filter(s => s.recurrenceId === recurrence.id && s.status === 'active')
+        const reserved = subscribers.reduce((sum, s) => sum + Number(s.quantity), 0)
+
+        return html`
+          <div class="search-card ${recurrence.active ? '' : 'muted'}">
+            <h3>${recurrence.template.name}${recurrence.active ? '' : ' ⏸'}</h3>
+            <p><strong>${t('recurrence.rule')}:</strong> ${this.recurrenceManager.describeRule(recurrence.rule)}</p>
+            <p><strong>${t('recurrence.nextPublication')}:</strong> ${formatDate(this.recurrenceManager.nextOccurrence(recurrence))}</p>
+            <p><strong>${t('recurrence.subscribers')}:</strong> ${t('recurrence.reserved', { count: subscribers.length, reserved: formatNumber(reserved, { maximumFractionDigits: 3 }), quantity: this.productManager.formatQuantity(recurrence.template.quantity, recurrence.template.unit) })}</p>
+            <div class="product-actions">
+              <button data-action="set-recurrence-active" data-id="${recurrence.id}" data-active="${!recurrence.active}" class="btn secondary">${recurrence.active ? t('recurrence.pause') : t('recurrence.resume')}</button>
+              <button data-action="delete-recurrence" data-id="${recurrence.id}" class="btn secondary">${t('action.delete')}</button>
+            </div>
+          </div>
+        `
+      }))
+    } catch (error) {
+      console.error('Erreur chargement lots récurrents:', error)
+    }
+  }
+
+  async setRecurrenceActive(recurrenceId, active) {
+    try {
+      const recurrence = await this.recurrenceManager.updateRecurrence(recurrenceId, this.currentUser.id, { active })
+      this.queueChange('recurrence.save', recurrence)
+      this.showNotification(active ? t('notify.recurrenceResumed') : t('notify.recurrencePaused'))
+      this.loadSellerRecurrences()
+    } catch (error) {
+      this.showNotification(error.message || t('notify.updateError'), { tone: 'error' })
+    }
+  }
+
+  async deleteRecurrence(recurrenceId) {
+    try {
+      const recurrence = await this.recurrenceManager.deleteRecurrence(recurrenceId, this.currentUser.id)
+      this.queueChange('recurrence.save', recurrence)
+      this.showNotification(t('notify.recurrenceDeleted'))
+      this.loadSellerRecurrences()
+    } catch (error) {
+      this.showNotification(t('notify.deleteError'), { tone: 'error' })
+    }
+  }
+
+  renderSubscribeOffers(recurrences) {
+    if (recurrences.length === 0) return ''
+
+    return html`
+      <div class="card">
+        <h3>${t('subscription.offers')}</h3>
+        ${recurrences.map(recurrence => html`
+          <div class="search-card">
+            <h4>${recurrence.template.name} — ${this.renderPrice(recurrence.template)}</h4>
+            <p>${this.recurrenceManager.describeRule(recurrence.rule)} · ${t('subscription.nextLot', { date: formatDate(this.recurrenceManager.nextOccurrence(recurrence)) })}</p>
+            ${recurrence.sellerId === this.currentUser?.id ? '' : html`
+              <div class="subscribe-form">
+                <label for="subscribe-qty-${recurrence.id}">${t('subscription.quantity')}</label>
+                <input type="number" id="subscribe-qty-${recurrence.id}" min="${this.quantityStep(recurrence.template.unit)}"
+                  step="${this.quantityStep(recurrence.template.unit)}" max="${recurrence.template.quantity}" value="1">
+                <span>${this.productManager.unitLabel(recurrence.template.unit)}</span>
+                <button data-action="subscribe" data-id="${recurrence.id}" class="btn primary">${t('subscription.subscribe')}</button>
+              </div>
+            `}
+          </div>
+        `)}
+      </div>
+    `
+  }
+
+  async subscribe(recurrenceId) {
+    const quantity = parseFloat(document.getElementById(`subscribe-qty-${recurrenceId}`)?.value)
+
+    try {
+      const recurrence = (await this.recurrenceManager.getRecurrences()).find(r => r.id === recurrenceId)
+      if (!recurrence) throw new Error(t('error.recurrenceNotFound'))
+
+      const subscription = await this.recurrenceManager.subscribe(recurrence, this.currentUser, quantity)
+      this.queueChange('subscription.save', subscription)
+      this.showNotification(t('notify.subscribed', { quantity: this.productManager.formatQuantity(subscription.quantity, subscription.unit) }))
+    } catch (error) {
+      this.showNotification(error.message || t('notify.subscriptionError'), { tone: 'error' })
+    }
+  }
+
+  async loadSubscriptions() {
+    const container = document.getElementById('my-subscriptions-list')
+    if (!container || !this.currentUser) return
+
+    const subscriptions = (await this.recurrenceManager.getSubscriptions())
+      .filter(s => s.buyerId === this.currentUser.id && s.status !== 'résilié')
+    const recurrences = await this.recurrenceManager.getRecurrences()
+
+    if (subscriptions.length === 0) {
+      render(container, html`<p class="empty-state">${t('subscription.empty')}</p>`)
+      return
+    }
+
+    render(container, subscriptions.map(subscription => {
+      const recurrence = recurrences.find(r => r.id === subscription.recurrenceId)
+      const next = recurrence ? this.recurrenceManager.nextOccurrence(recurrence) : null
+      const skipped = next && (subscription.skipDates || []).includes(next)
+      const paused = subscription.status === 'en pause'
+
+      return html`
+        <div class="order-card ${paused ? 'muted' : ''}">
+          <div class="conversation-header">
+            <h3>${subscription.productName}</h3>
+            <span class="order-status">${t(`status.subscription.${subscription.status}`)}</span>
+          </div>
+          <p><strong>${t('field.quantity')}:</strong> ${this.productManager.formatQuantity(subscription.quantity, subscription.unit)} · <strong>${t('field.seller')}:</strong> ${subscription.sellerName}</p>
+          ${!recurrence ? html`<p class="empty-state">${t('subscription.discontinued')}</p>` : html`
+            <p>${this.recurrenceManager.describeRule(recurrence.rule)}${recurrence.active ? '' : ` · ${t('subscription.pausedBySeller')}`}</p>
+            <p><strong>${t('subscription.nextDelivery')}:</strong> ${formatDate(next)}${skipped ? ` (${t('subscription.skipped')})` : ''}</p>
+          `}
+          <div class="product-actions">
+            <button data-action="set-subscription-status" data-id="${subscription.id}" data-status="${paused ? 'active' : 'en pause'}" class="btn secondary">${paused ? t('recurrence.resume') : t('subscription.pause')}</button>
+            ${next && !paused ? html`<button data-action="skip-delivery" data-id="${subscription.id}" data-date="${next}" class="btn secondary">${skipped ? t('subscription.unskip') : t('subscription.skip')}</button>` : ''}
+            <button data-action="set-subscription-status" data-id="${subscription.id}" data-status="résilié" class="btn secondary">${t('subscription.cancel')}</button>
+          </div>
+        </div>
+      `
+    }))
+  }
+
+  async setSubscriptionStatus(subscriptionId, status) {
+    try {
+      const subscription = await this.recurrenceManager.setSubscriptionStatus(subscriptionId, this.currentUser.id, status)
+      this.queueChange('subscription.save', subscription)
+      this.showNotification(t(`notify.subscription.${status}`))
+      this.loadSubscriptions()
+    } catch (error) {
+      this.showNotification(error.message || t('notify.subscriptionError'), { tone: 'error' })
+    }
+  }
+
+  async skipDelivery(subscriptionId, date) {
+    try {
+      const subscription = await this.recurrenceManager.toggleSkip(subscriptionId, this.currentUser.id, date)
+      this.queueChange('subscription.save', subscription)
+      this.showNotification(subscription.skipDates.includes(date) ? t('notify.deliverySkipped') : t('notify.deliveryRestored'))
+      this.loadSubscriptions()
+    } catch (error) {
+      this.showNotification(error.message || t('notify.subscriptionError'), { tone: 'error' })
+    }
+  }
+
+  // Avis - notes agrégées par vendeur, lues par renderProductCard
+  async refreshSellerScores() {
+    this.sellerScores = await this.reviewManager.getSellerScores()
+  }
+
+  renderStars(rating) {
+    const value = Math.round(rating)
+    return html`<span class="stars" aria-label="${t('review.stars', { rating: formatNumber(rating, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}">${'★'.repeat(value)}${'☆'.repeat(5 - value)}</span>`
+  }
+
+  renderSellerScore(sellerId) {
+    const score = this.sellerScores[sellerId]
+    if (!score) return ''
+    return html`<span class="seller-score">★ ${formatNumber(score.average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} (${t('review.count', { count: score.count })})</span>`
+  }
+
+  renderReview(review) {
+    const isSeller = review.sellerId === this.currentUser?.id
+    const isAuthor = review.buyerId === this.currentUser?.id
+    const reported = (review.reports || []).some(r => r.userId === this.currentUser?.id)
+
+    return html`
+      <div class="review-card">
+        <div class="conversation-header">
+          <strong>${review.buyerName}</strong>
+          ${this.renderStars(review.rating)}
+        </div>
+        <p class="conversation-date">${review.productName} · ${formatDate(review.createdAt)}</p>
+        ${review.comment ? html`<p>${review.comment}</p>` : ''}
+        ${review.reply ? html`
+          <div class="review-reply">
+            <p><strong>${t('review.sellerReply')}</strong> ${review.reply}</p>
+          </div>
+        ` : isSeller ? html`
+          <div class="review-reply-form">
+            <textarea id="reply-${review.id}" rows="2" maxlength="500" placeholder="${t('review.replyPlaceholder')}"></textarea>
+            <button data-action="reply-review" data-id="${review.id}" class="btn secondary">${t('review.reply')}</button>
+          </div>
+        ` : ''}
+        ${isAuthor || isSeller ? '' : reported
+          ? html`<p class="conversation-date">${t('review.reported')}</p>`
+          : html`<button data-action="report-review" data-id="${review.id}" class="btn-link">${t('review.report')}</button>`}
+      </div>
+    `
+  }
+
+  renderReviewsList(reviews) {
+    return reviews.length === 0
+      ? html`<p class="empty-state">${t('review.empty')}</p>`
+      : reviews.map(review => this.renderReview(review))
+  }
+
+  // Avis du vendeur connecté, avec réponse possible
+  async loadSellerReviews() {
+    if (!this.currentUser) return
+
+    await this.refreshSellerScores()
+    const reviews = await this.reviewManager.getSellerReviews(this.currentUser.id)
+
+    const score = document.getElementById('seller-score')
+    if (score) {
+      render(score, this.renderSellerScore(this.currentUser.id) || t('review.noScore'))
+    }
+
+    const container = document.getElementById('my-reviews-list')
+    if (container) render(container, this.renderReviewsList(reviews))
+  }
+
+  renderOrderReview(order) {
+    if (order.buyerId !== this.currentUser.id || order.status !== 'retirée') return ''
+
+    const review = this.orderReviews[order.id]
+    if (review) {
+      return html`<p class="review-summary">${t('review.yours')} ${this.renderStars(review.rating)}</p>`
+    }
+    return html`<button data-action="open-review-form" data-id="${order.id}" class="btn primary">${t('review.write')}</button>`
+  }
+
+  async openReviewForm(orderId) {
+    const order = await this.orderManager.getOrder(orderId)
+    const card = document.getElementById('review-card')
+    const form = document.getElementById('review-form')
+    if (!order || !card || !form) return
+
+    form.reset()
+    form.elements.namedItem('orderId').value = orderId
+    document.getElementById('review-product').textContent = `${order.productName} — ${order.sellerName}`
+    card.classList.remove('hidden')
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }
+
+  closeReviewForm() {
+    document.getElementById('review-card')?.classList.add('hidden')
+  }
+
+  async handleReviewSubmit(e) {
+    const formData = new FormData(e.target)
+
+    try {
+      const order = await this.orderManager.getOrder(formData.get('orderId'))
+      if (!order) throw new Error(t('error.orderNotFound'))
+
+      const review = await this.reviewManager.createReview(order, this.currentUser, {
+        rating: formData.get('rating'),
+        comment: formData.get('comment')
+      })
+      this.queueChange('review.save', review)
+      this.showNotification(t('notify.reviewThanks'))
+      this.closeReviewForm()
+      this.loadOrders()
+    } catch (error) {
+      this.showNotification(error.message || t('notify.reviewError'), { tone: 'error' })
+    }
+  }
+
+  async replyToReview(reviewId) {
+    const text = document.getElementById(`reply-${reviewId}`)?.value || ''
+
+    try {
+      const review = await this.reviewManager.reply(reviewId, this.currentUser, text)
+      this.queueChange('review.save', review)
+      this.showNotification(t('notify.replyPublished'))
+      this.loadView(this.currentView)
+    } catch (error) {
+      this.showNotification(error.message || t('notify.replyError'), { tone: 'error' })
+    }
+  }
+
+  async reportReview(reviewId) {
+    try {
+      const review = await this.reviewManager.report(reviewId, this.currentUser.id)
+      this.queueChange('review.save', review)
+      this.showNotification(review.hidden ? t('notify.reviewReportedHidden') : t('notify.reviewReported'))
+      this.loadView(this.currentView)
+    } catch (error) {
+      this.showNotification(error.message || t('notify.reportError'), { tone: 'error' })
+    }
+  }
+
+  // Vitrine publique d'un vendeur
+  openStorefront(sellerId) {
+    this.currentSellerId = sellerId
+    this.showView('storefront')
+  }
+
+  async loadStorefront() {
+    const container = document.getElementById('storefront-content')
+    if (!container || !this.currentSellerId) return
+
+    try {
+      const seller = await this.userManager.getUser(this.currentSellerId)
+      const products = (await this.productManager.getSellerProducts(this.currentSellerId))
+        .filter(p => this.productManager.isLifecycleManaged(p))
+      const farm = this.userManager.getFarm(seller)
+      const sellerName = seller?.name || products[0]?.sellerName || t('storefront.defaultName')
+      const reviews = await this.reviewManager.getSellerReviews(this.currentSellerId)
+      const recurrences = (await this.recurrenceManager.getRecurrences())
+        .filter(r => r.sellerId === this.currentSellerId && r.active)
+      await this.refreshSellerScores()
+
+      render(container, html`
+        <div class="card storefront-header">
+          <h2>🏡 ${farm.name || sellerName}</h2>
+          ${farm.name ? html`<p>${t('storefront.runBy', { name: sellerName })}</p>` : ''}
+          <p>${this.renderSellerScore(this.currentSellerId) || t('review.empty')}</p>
+          <div>
+            ${farm.labels.map(label => html`<span class="farm-label">${this.userManager.farmLabel(label)}</span>`)}
+          </div>
+          ${farm.description ? html`<p>${farm.description}</p>` : html`<p class="empty-state">${t('storefront.noDescription')}</p>`}
+          ${farm.practices ? html`<p><strong>${t('storefront.practices')}:</strong> ${farm.practices}</p>` : ''}
+        </div>
+
+        <div class="card">
+          <h3>${t('storefront.pickupPoints')}</h3>
+          <div class="pickup-points">
+            ${farm.pickupPoints.length === 0
+              ? html`<p class="empty-state">${t('storefront.pickupAtFarm')}</p>`
+              : farm.pickupPoints.map(point => html`
+                <div class="pickup-point">
+                  <h4>${point.name}</h4>
+                  ${point.address ? html`<p>${point.address}</p>` : ''}
+                  ${this.renderSlots(point.slots)}
+                </div>
+              `)}
+          </div>
+        </div>
+
+        ${this.renderSubscribeOffers(recurrences)}
+
+        <h3>${t('storefront.lots', { count: products.length })}</h3>
+        <div class="products-grid">
+          ${products.length === 0
+            ? html`<p class="empty-state">${t('storefront.noLots')}</p>`
+            : products.map(product => this.renderProductCard(product))}
+        </div>
+
+        <div class="card">
+          <h3>${t('storefront.reviews')}</h3>
+          ${this.renderReviewsList(reviews)}
+        </div>
+      `)
+      this.trackProductViews(container, products)
+    } catch (error) {
+      console.error('Erreur chargement vitrine:', error)
+    }
+  }
+
+  // Acheteur - Sauvegarder recherche
+  async handleBuyerSubmit(e) {
+    if (!this.currentUser) {
+      this.showNotification(t('notify.userRequired'))
+      return
+    }
+
+    const formData = new FormData(e.target)
+    const searchData = {
+      userId: this.currentUser.id,
+      category: formData.get('category'),
+      keywords: formData.get('keywords'),
+      radius: parseInt(formData.get('radius')),
+      maxPrice: parseFloat(formData.get('maxPrice')) || null,
+      unit: formData.get('unit') || 'all'
+    }
+
+    try {
+      const search = await this.userManager.saveBuyerSearch(searchData)
+
+      // Rattacher les produits déjà en ligne qui correspondent
+      const products = await this.productManager.getProducts()
+      for (const product of products) {
+        const match = this.searchMatcher.match(product, search, this.currentUser)
+        if (match) await this.notificationManager.recordMatches([match], product)
+      }
+
+      this.showNotification(t('notify.searchSaved'))
+      this.queueChange('search.save', search)
+      e.target.reset()
+      this.loadBuyerSearches()
+
+    } catch (error) {
+      this.showNotification(t('notify.saveError'), { tone: 'error' })
+      console.error('Search save error:', error)
+    }
+  }
+
+  // Charger et afficher produits
+  async loadProducts() {
+    try {
+      await this.refreshSellerScores()
+      const products = await this.productManager.getProducts()
+      const filtered = this.productManager.searchProducts(
+        products,
+        this.filters,
+        product => this.calculateDistanceToProduct(product)
+      )
+
+      const count = document.getElementById('results-count')
+      if (count) {
+        count.textContent = t('products.count', { count: filtered.length })
+      }
+
+      await this.renderProducts(filtered)
+      this.applyHighlight()
+
+    } catch (error) {
+      console.error('Erreur chargement produits:', error)
+    }
+  }
+
+  // Filtres produits
+  // Clés courtes utilisées dans l'URL : #q=tomate&cat=vegetables&tri=price
+  get filterHashKeys() {
+    return {
+      text: 'q',
+      category: 'cat',
+      maxDistance: 'dist',
+      minPrice: 'pmin',
+      maxPrice: 'pmax',
+      harvestFrom: 'du',
+      harvestTo: 'au',
+      unit: 'unite',
+      upcoming: 'avenir',
+      sort: 'tri'
+    }
+  }
+
+  parseFilterValue(key, value) {
+    // Liens partagés avant les clés de catégorie : cat=Légumes
+    if (key === 'category') {
+      return LEGACY_CATEGORIES[value] || value
+    }
+    if (key === 'upcoming') {
+      return value === true || value === 'true' || value === 'on'
+    }
+    if (['maxDistance', 'minPrice', 'maxPrice'].includes(key)) {
+      const number = parseFloat(value)
+      return Number.isFinite(number) ? number : null
+    }
+    return value
+  }
+
+  filtersToQuery(filters) {
+    const defaults = this.productManager.defaultFilters()
+    const params = new URLSearchParams()
+    for (const [key, param] of Object.entries(this.filterHashKeys)) {
+      const value = filters[key]
+      if (value !== null && value !== '' && value !== defaults[key]) params.set(param, value)
+    }
+    return params.toString()
+  }
+
+  filtersFromQuery(params) {
+    const filters = this.productManager.defaultFilters()
+    for (const [key, param] of Object.entries(this.filterHashKeys)) {
+      if (params.has(param)) filters[key] = this.parseFilterValue(key, params.get(param))
+    }
+    return filters
+  }
+
+  readFilterControls() {
+    const form = document.getElementById('products-filters')
+    if (!form) return this.filters
+
+    const formData = new FormData(form)
+    const filters = {}
+    for (const key of Object.keys(this.filterHashKeys)) {
+      filters[key] = this.parseFilterValue(key, formData.get(key) ?? '')
+    }
+    return filters
+  }
+
+  writeFilterControls() {
+    const form = document.getElementById('products-filters')
+    if (!form) return
+
+    for (const [key, value] of Object.entries(this.filters)) {
+      const field = form.elements.namedItem(key)
+      if (!field) continue
+      if (field.type === 'checkbox') field.checked = !!value
+      else field.value = value ?? ''
+    }
+  }
+
+  updateFilters(filters) {
+    this.filters = { ...this.productManager.defaultFilters(), ...filters }
+    this.writeFilterControls()
+
+    // Conserver les filtres dans l'URL (#/produits?cat=…) pour le rechargement et le partage
+    if (this.currentView === 'products') {
+      this.updateLocation('products', { replace: true })
+      this.loadProducts()
+    }
+  }
+
+  // Afficher les produits en grille ou sur la carte selon le mode choisi
+  async renderProducts(products) {
+    const productsContainer = document.getElementById('products-list')
+    if (!productsContainer) return
+
+    if (this.productsMode === 'map') {
+      productsContainer.innerHTML = ''
+      await this.renderProductsMap(products)
+      return
+    }
+
+    render(productsContainer, products.length === 0
+      ? html`<p class="empty-state">${t('products.empty')}</p>`
+      : products.map(product => this.renderProductCard(product)))
+    this.trackProductViews(productsContainer, products)
+  }
+
+  // Consultation d'un lot : sa carte visible à moitié au moins (liste, carte, vitrine)
+  trackProductViews(container, products) {
+    this.viewObservers.get(container)?.disconnect()
+    if (!this.currentUser || !('IntersectionObserver' in window)) return
+
+    const byCard = new Map(products.map(product => [`product-${product.id}`, product]))
+    const observer = new IntersectionObserver((entries) => {
+      const seen = []
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue
+        observer.unobserve(entry.target)
+        if (byCard.has(entry.target.id)) seen.push(byCard.get(entry.target.id))
+      }
+      if (seen.length > 0) this.recordProductViews(seen)
+    }, { threshold: 0.5 })
+
+    container.querySelectorAll('.product-card').forEach(card => observer.observe(card))
+    this.viewObservers.set(container, observer)
+  }
+
+  async recordProductViews(products) {
+    if (!this.currentUser) return
+    try {
+      const views = await this.analytics.recordViews(products, this.currentUser)
+      for (const view of views) await this.queueChange('view.record', view)
+    } catch (error) {
+      console.error('Erreur enregistrement consultations:', error)
+    }
+  }
+
+  setProductsMode(mode) {
+    this.productsMode = mode
+    document.querySelectorAll('[data-products-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.productsMode === mode)
     })
+    document.getElementById('products-map-panel')?.classList.toggle('hidden', mode !== 'map')
+    document.getElementById('products-list')?.classList.toggle('hidden', mode === 'map')
+    this.loadProducts()
+  }
 
-    // Actions spécifiques par vue
-    switch (viewName) {
-      case 'home':
+  // Carte : fond hors ligne tant que l'utilisateur n'a pas accepté un serveur de tuiles (réglages).
+  // Une adresse enregistrée avant ce choix vaut accord : l'utilisateur l'avait saisie lui-même.
+  async getMapConfig() {
+    const saved = await db.getSetting('mapConfig') || {}
+    return {
+      remoteTiles: saved.remoteTiles ?? Boolean(saved.tileUrl),
+      tileUrl: saved.tileUrl || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+      attribution: saved.attribution || t('map.attribution')
+    }
+  }
+
+  // Une épingle par vendeur, avec tous ses lots localisés
+  clusterBySeller(products) {
+    const clusters = new Map()
+    for (const product of products) {
+      if (!product.location) continue
+      if (!clusters.has(product.sellerId)) {
+        clusters.set(product.sellerId, {
+          sellerId: product.sellerId,
+          sellerName: product.sellerName,
+          location: product.location,
+          products: []
+        })
+      }
+      clusters.get(product.sellerId).products.push(product)
+    }
+    return [...clusters.values()]
+  }
+
+  async renderProductsMap(products) {
+    const container = document.getElementById('products-map')
+    const selection = document.getElementById('map-selection')
+    if (!container) return
+
+    if (!this.userLocation) {
+      render(container, html`<p class="empty-state">${t('map.noLocation')}</p>`)
+      return
+    }
+
+    if (!this.mapView) {
+      const config = await this.getMapConfig()
+      this.mapView = new MapView(container, {
+        tileUrl: config.remoteTiles ? config.tileUrl : null,
+        attribution: config.remoteTiles ? config.attribution : t('map.local'),
+        onPinClick: (cluster) => {
+          if (!selection) return
+          render(selection, html`
+            <h3>${cluster.sellerName}</h3>
+            <div class="products-grid">
+              ${cluster.products.map(product => this.renderProductCard(product))}
+            </div>
+          `)
+          this.trackProductViews(selection, cluster.products)
+          selection.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+        }
+      })
+    }
+
+    if (selection) selection.innerHTML = ''
+    this.mapView.setData({
+      center: this.userLocation,
+      radiusKm: this.filters.maxDistance,
+      clusters: this.clusterBySeller(products)
+    })
+  }
+
+  async handleMapSettingsSubmit(e) {
+    const formData = new FormData(e.target)
+    const tileUrl = (formData.get('tileUrl') || '').trim()
+
+    if (tileUrl && !/\{z\}.*\{x\}.*\{y\}/.test(tileUrl)) {
+      this.showFieldError(e.target, 'tileUrl', t('notify.invalidTileTemplate'))
+      return
+    }
+
+    await db.setSetting('mapConfig', {
+      remoteTiles: !!formData.get('remoteTiles'),
+      tileUrl,
+      attribution: (formData.get('attribution') || '').trim()
+    })
+    this.mapView?.destroy()
+    this.mapView = null
+    this.showNotification(t('notify.mapSaved'))
+  }
+
+  // Charger produits du vendeur
+  async loadSellerProducts() {
+    if (!this.currentUser) return
+
+    try {
+      const myProducts = await this.productManager.getSellerProducts(this.currentUser.id)
+      const visible = this.sellerStatusFilter === 'all'
+        ? myProducts
+        : myProducts.filter(p => p.status === this.sellerStatusFilter)
+      const container = document.getElementById('my-products-list')
+      await this.refreshOutboxStatus()
+
+      if (!container) return
+
+      // La sélection ne porte que sur les lots affichés
+      const visibleIds = new Set(visible.map(p => p.id))
+      this.selectedProductIds = new Set([...this.selectedProductIds].filter(id => visibleIds.has(id)))
+      this.updateBulkBar()
+
+      if (myProducts.length === 0) {
+        render(container, html`<p class="empty-state">${t('seller.noProducts')}</p>`)
+        return
+      }
+
+      if (visible.length === 0) {
+        render(container, html`<p class="empty-state">${t('seller.noProductsWithStatus', { status: productStatus.label(this.sellerStatusFilter) })}</p>`)
+        return
+      }
+
+      render(container, visible.map(product => product.id === this.editingProductId
+        ? this.renderProductEditForm(product)
+        : this.renderSellerProduct(product)
+      ))
+
+    } catch (error) {
+      console.error('Erreur chargement produits vendeur:', error)
+    }
+  }
+
+  renderSellerProduct(product) {
+    return html`
+      <article class="product-card seller-product" aria-labelledby="seller-product-${product.id}-name">
+        <label class="checkbox-label product-select">
+          <input type="checkbox" value="${product.id}" aria-describedby="seller-product-${product.id}-name" ${this.selectedProductIds.has(product.id) ? 'checked' : ''}>
+          ${t('seller.select')}
+        </label>
+        ${this.renderPhotoCarousel(product)}
+        <h3 id="seller-product-${product.id}-name">${product.name}</h3>
+        <p><strong>${t('field.category')}:</strong> ${this.productManager.categoryLabel(product.category)}</p>
+        <p><strong>${t('field.quantity')}:</strong> ${this.productManager.formatQuantity(product.quantity, product.unit)}</p>
+        <p><strong>${t('field.price')}:</strong> ${this.renderPrice(product)}</p>
+        <p><strong>${t('field.harvest')}:</strong> ${formatDate(product.harvestDate)}</p>
+        <p><strong>${t('field.pickup')}:</strong> ${product.pickupPointName || t('seller.atFarm')}</p>
+        <p><strong>${t('field.availableUntil')}:</strong> ${formatDate(this.productManager.expiresAt(product))}</p>
+        <p><strong>${t('field.status')}:</strong> ${productStatus.label(product.status)} ${this.renderSyncBadge(product.id)}</p>
+        ${this.renderProductHistory(product)}
+        <div class="product-actions">
+          <button data-action="edit-product" data-id="${product.id}" class="btn secondary">✏️ ${t('action.edit')}</button>
+          <button data-action="duplicate-product" data-id="${product.id}" class="btn secondary">${t('seller.duplicate')}</button>
+          ${productStatus.can(product.status, 'vendu') ? html`<button data-action="set-product-status" data-id="${product.id}" data-status="vendu" class="btn secondary">${t('seller.markSold')}</button>` : ''}
+          ${productStatus.can(product.status, 'indisponible') ? html`<button data-action="set-product-status" data-id="${product.id}" data-status="indisponible" class="btn secondary">${t('seller.withdraw')}</button>` : ''}
+          ${productStatus.can(product.status, 'disponible') ? html`<button data-action="set-product-status" data-id="${product.id}" data-status="disponible" class="btn secondary">${t('seller.relist')}</button>` : ''}
+        </div>
+      </article>
+    `
+  }
+
+  renderProductHistory(product) {
+    const history = product.history || []
+    if (history.length === 0) return ''
+
+    // Champ modifié → libellé (field.*)
+    const labels = {
+      name: 'name', category: 'category', description: 'description', quantity: 'quantity', unit: 'unit',
+      price: 'price', priceMode: 'price', unitPrice: 'unitPrice', harvestDate: 'harvest',
+      freshnessDays: 'freshnessDays', pickupPointName: 'pickup'
+    }
+    const formats = {
+      category: value => this.productManager.categoryLabel(value),
+      unit: value => this.productManager.unitLabel(value),
+      priceMode: value => t(`priceMode.${value}`),
+      unitPrice: value => typeof value === 'number' ? this.productManager.formatMoney(value) : value,
+      harvestDate: value => value && formatDate(value)
+    }
+
+    return html`
+      <details class="order-history">
+        <summary>${t('seller.history', { count: history.length })}</summary>
+        <ul>
+          ${history.slice().reverse().map(entry => html`
+            <li>${formatDateTime(entry.at)} :
+              ${Object.entries(entry.changes)
+                .filter(([field]) => labels[field])
+                .map(([field, { from, to }]) => {
+                  const format = formats[field] || (value => value)
+                  return `${t(`field.${labels[field]}`)} ${format(from) ?? '—'} → ${format(to) ?? '—'}`
+                })
+                .join(', ')}
+            </li>
+          `)}
+        </ul>
+      </details>
+    `
+  }
+
+  renderProductEditForm(product) {
+    const units = Object.keys(this.productManager.units)
+    const pickupPoints = this.userManager.getFarm(this.currentUser).pickupPoints
+    const options = (values, selected, label = value => value) => values
+      .map(value => html`<option value="${value}" ${value === selected ? 'selected' : ''}>${label(value)}</option>`)
+
+    return html`
+      <form class="product-card seller-product product-edit-form" id="edit-product-${product.id}">
+        <div class="form-group">
+          <label for="edit-name-${product.id}">${t('seller.form.name')}</label>
+          <input type="text" id="edit-name-${product.id}" name="name" required value="${product.name}">
+        </div>
+        <div class="form-group">
+          <label for="edit-category-${product.id}">${t('field.category')}</label>
+          <select id="edit-category-${product.id}" name="category">${options(this.productManager.categories, product.category, category => this.productManager.categoryLabel(category))}</select>
+        </div>
+        <div class="form-group">
+          <label for="edit-description-${product.id}">${t('field.description')}</label>
+          <textarea id="edit-description-${product.id}" name="description" rows="2">${product.description || ''}</textarea>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="edit-quantity-${product.id}">${t('field.quantity')}</label>
+            <input type="number" id="edit-quantity-${product.id}" name="quantity" min="0" step="any" value="${product.quantity}">
+          </div>
+          <div class="form-group">
+            <label for="edit-unit-${product.id}">${t('field.unit')}</label>
+            <select id="edit-unit-${product.id}" name="unit">${options(units, this.productManager.normalizeUnit(product.unit), unit => this.productManager.unitLabel(unit))}</select>
+          </div>
+          <div class="form-group">
+            <label for="edit-price-${product.id}">${t('seller.form.price')}</label>
+            <input type="number" id="edit-price-${product.id}" name="price" min="0.01" step="0.01" required value="${this.productManager.enteredPrice(product) ?? ''}">
+          </div>
+          <div class="form-group">
+            <label for="edit-price-mode-${product.id}">${t('field.price')}</label>
+            <select id="edit-price-mode-${product.id}" name="priceMode">${options(this.productManager.priceModes, product.priceMode || 'unit', mode => t(`priceMode.${mode}`))}</select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="edit-harvest-${product.id}">${t('seller.form.harvestDate')}</label>
+            <input type="date" id="edit-harvest-${product.id}" name="harvestDate" value="${product.harvestDate}">
+          </div>
+          <div class="form-group">
+            <label for="edit-freshness-${product.id}">${t('seller.form.freshness')}</label>
+            <input type="number" id="edit-freshness-${product.id}" name="freshnessDays" min="1" max="60" value="${product.freshnessDays || this.productManager.defaultFreshnessDays}">
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="edit-pickup-${product.id}">${t('seller.form.pickup')}</label>
+          <select id="edit-pickup-${product.id}" name="pickupPointId">
+            <option value="">${t('farm.pickup.atFarm')}</option>
+            ${pickupPoints.map(point => html`<option value="${point.id}" ${point.id === product.pickupPointId ? 'selected' : ''}>${point.name}</option>`)}
+          </select>
+        </div>
+        <label class="checkbox-label">
+          <input type="checkbox" name="notifyPriceDrop" checked>
+          ${t('seller.form.notifyPriceDrop')}
+        </label>
+        <div class="form-actions">
+          <button type="button" data-action="save-product-edit" data-id="${product.id}" class="btn primary">${t('action.save')}</button>
+          <button type="button" data-action="cancel-product-edit" class="btn secondary">${t('action.cancel')}</button>
+        </div>
+      </form>
+    `
+  }
+
+  editProduct(productId) {
+    this.editingProductId = productId
+    this.loadSellerProducts()
+  }
+
+  cancelProductEdit() {
+    this.editingProductId = null
+    this.loadSellerProducts()
+  }
+
+  async saveProductEdit(productId) {
+    const form = document.getElementById(`edit-product-${productId}`)
+    if (!form || !validateForm(form)) return
+
+    const formData = new FormData(form)
+    const pickupPoint = this.userManager.getFarm(this.currentUser).pickupPoints
+      .find(p => p.id === formData.get('pickupPointId'))
+
+    try {
+      const { product, diff } = await this.productManager.updateProduct(productId, this.currentUser.id, {
+        name: formData.get('name').trim(),
+        category: formData.get('category'),
+        description: formData.get('description').trim(),
+        quantity: formData.get('quantity'),
+        unit: formData.get('unit'),
+        price: formData.get('price'),
+        priceMode: formData.get('priceMode'),
+        harvestDate: formData.get('harvestDate'),
+        freshnessDays: formData.get('freshnessDays'),
+        pickupPointId: pickupPoint?.id || null,
+        pickupPointName: pickupPoint?.name || null
+      }, { announce: !!formData.get('notifyPriceDrop') })
+
+      this.editingProductId = null
+      if (Object.keys(diff).length === 0) {
+        this.showNotification(t('notify.noChanges'))
+      } else {
+        this.queueChange('product.update', product)
+        this.showNotification(t('notify.productEdited'))
+      }
+      this.loadSellerProducts()
+    } catch (error) {
+      this.showNotification(error.message || t('notify.editError'), { tone: 'error' })
+    }
+  }
+
+  // Pré-remplit le formulaire de publication ; les photos du lot d'origine sont reprises
+  async duplicateProduct(productId) {
+    const product = await this.productManager.getProduct(productId)
+    const form = document.getElementById('seller-form')
+    if (!product || !form) return
+
+    form.reset()
+    for (const field of ['name', 'category', 'description', 'quantity', 'freshnessDays']) {
+      const input = form.elements.namedItem(field)
+      if (input) input.value = product[field] ?? ''
+    }
+    form.elements.namedItem('unit').value = this.productManager.normalizeUnit(product.unit)
+    form.elements.namedItem('price').value = this.productManager.enteredPrice(product) ?? ''
+    form.elements.namedItem('priceMode').value = product.priceMode || 'unit'
+    this.updatePriceHint()
+    form.elements.namedItem('harvestDate').value = this.recurrenceManager.toDateString(new Date())
+    form.elements.namedItem('pickupPointId').value = product.pickupPointId || ''
+    this.duplicatedPhotos = [...(product.photos || [])]
+
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' })
+    this.showNotification(t('notify.productDuplicated'))
+  }
+
+  // Sélection multiple dans « Mes produits »
+  toggleProductSelection(productId, selected) {
+    if (selected) this.selectedProductIds.add(productId)
+    else this.selectedProductIds.delete(productId)
+    this.updateBulkBar()
+  }
+
+  selectAllProducts(selected) {
+    document.querySelectorAll('#my-products-list .product-select input').forEach(input => {
+      input.checked = selected
+      this.toggleProductSelection(input.value, selected)
+    })
+  }
+
+  updateBulkBar() {
+    const count = this.selectedProductIds.size
+    document.getElementById('bulk-actions')?.classList.toggle('hidden', count === 0)
+    const label = document.getElementById('bulk-count')
+    if (label) label.textContent = t('seller.selected', { count })
+    const selectAll = document.getElementById('select-all-products')
+    if (selectAll && count === 0) selectAll.checked = false
+  }
+
+  async runBulkAction(action) {
+    const ids = [...this.selectedProductIds]
+    if (ids.length === 0) return
+
+    const notify = document.getElementById('bulk-notify')?.checked
+    let done = 0
+    const errors = []
+
+    for (const productId of ids) {
+      try {
+        if (action === 'retirer') {
+          const product = await this.productManager.updateProductStatus(productId, 'indisponible')
+          if (!product) throw new Error(t('error.withdrawFailed'))
+          await this.queueChange('product.status', product)
+        } else {
+          const current = await this.productManager.getProduct(productId)
+          const changes = action === 'price'
+            ? { price: this.bulkPrice(this.productManager.enteredPrice(current)) }
+            : { harvestDate: this.recurrenceManager.addDays(current.harvestDate, parseInt(document.getElementById('bulk-days')?.value) || 0) }
+
+          const { product, diff } = await this.productManager.updateProduct(productId, this.currentUser.id, changes, { announce: notify })
+          if (Object.keys(diff).length === 0) continue
+          await this.queueChange('product.update', product)
+        }
+        done++
+      } catch (error) {
+        errors.push(error.message)
+      }
+    }
+
+    this.showNotification(errors.length
+      ? t('notify.bulkDoneWithErrors', { done: t('notify.bulkDone', { count: done }), count: errors.length })
+      : t('notify.bulkDone', { count: done }), { tone: errors.length ? 'error' : 'info' })
+    this.selectedProductIds.clear()
+    this.loadSellerProducts()
+  }
+
+  // Nouveau prix fixe, ou variation en pourcentage
+  bulkPrice(price) {
+    const value = parseFloat(document.getElementById('bulk-price')?.value)
+    if (!Number.isFinite(value)) throw new Error(t('error.invalidPrice'))
+    return document.getElementById('bulk-price-mode')?.value === 'percent'
+      ? price * (1 + value / 100)
+      : value
+  }
+
+  // Charger recherches de l'acheteur
+  async loadBuyerSearches() {
+    if (!this.currentUser) return
+
+    try {
+      const mySearches = await this.userManager.getUserSearches(this.currentUser.id)
+      await this.refreshOutboxStatus()
+      const container = document.getElementById('my-searches-list')
+
+      if (!container) return
+
+      if (mySearches.length === 0) {
+        render(container, html`<p class="empty-state">${t('buyer.empty')}</p>`)
+        return
+      }
+
+      const matchesBySearch = {}
+      for (const search of mySearches) {
+        matchesBySearch[search.id] = await this.notificationManager.getSearchMatches(search.id)
+      }
+
+      render(container, mySearches.map(search => {
+        const matches = matchesBySearch[search.id]
+        return html`
+          <div class="search-card ${search.muted ? 'muted' : ''}">
+            <h3>${this.productManager.categoryLabel(search.category)}${search.muted ? ' 🔕' : ''}</h3>
+            <p><strong>${t('buyer.keywords')}:</strong> ${search.keywords || t('buyer.noKeywords')}</p>
+            <p><strong>${t('buyer.radius')}:</strong> ${formatDistance(search.radius, { maximumFractionDigits: 0 })}</p>
+            <p><strong>${t('buyer.maxPrice')}:</strong> ${!search.maxPrice
+              ? t('buyer.noLimit')
+              : search.unit && search.unit !== 'all'
+                ? this.productManager.formatUnitPrice(search.maxPrice, search.unit)
+                : t('buyer.anyUnit', { price: this.productManager.formatMoney(search.maxPrice) })}</p>
+            <p><strong>${t('buyer.createdAt')}:</strong> ${formatDate(search.createdAt)} ${this.renderSyncBadge(search.id)}</p>
+            <details class="search-matches">
+              <summary>${matches.length === 0
+                ? t('buyer.noMatches')
+                : t('buyer.matches', { count: matches.length })}</summary>
+              <ul>
+                ${matches.map(m => html`
+                  <li>${t('buyer.match', {
+                    name: m.productName,
+                    price: this.productManager.formatUnitPrice(m.price, m.unit),
+                    distance: this.locationManager.formatDistance(m.distance, m.uncertainty),
+                    date: formatDate(m.matchedAt)
+                  })}</li>
+                `)}
+              </ul>
+            </details>
+            <div class="product-actions">
+              <button data-action="set-search-muted" data-id="${search.id}" data-muted="${!search.muted}" class="btn secondary">${search.muted ? t('buyer.unmute') : t('buyer.mute')}</button>
+              <button data-action="delete-search" data-id="${search.id}" class="btn secondary">${t('action.delete')}</button>
+            </div>
+          </div>
+        `
+      }))
+
+    } catch (error) {
+      console.error('Erreur chargement recherches:', error)
+    }
+  }
+
+  // Mettre à jour les statistiques de l'accueil
+  async updateStats() {
+    try {
+      const products = await this.productManager.getProducts()
+
+      const availableProducts = products.filter(p => p.status === 'disponible')
+      const sellers = [...new Set(products.map(p => p.sellerId))].length
+      const categories = new Set(availableProducts.map(p => p.category)).size
+
+      document.getElementById('products-count').textContent = availableProducts.length
+      document.getElementById('sellers-count').textContent = sellers
+      document.getElementById('categories-count').textContent = categories
+
+    } catch (error) {
+      console.error('Erreur mise à jour stats:', error)
+    }
+  }
+
+  formatDays(days) {
+    if (days === null) return '—'
+    if (days < 1) return formatNumber(Math.max(1, Math.round(days * 24)), { style: 'unit', unit: 'hour', unitDisplay: 'short' })
+    return formatNumber(days, { style: 'unit', unit: 'day', unitDisplay: 'short', maximumFractionDigits: 1 })
+  }
+
+  // Tableau de bord vendeur : graphiques SVG calculés sur l'appareil, disponibles hors ligne
+  async loadAnalytics() {
+    const container = document.getElementById('analytics-content')
+    if (!container || !this.currentUser) return
+
+    try {
+      const stats = await this.analytics.getSellerStats(this.currentUser.id)
+      const demand = await this.analytics.getLocalDemand(this.currentUser)
+      const lots = stats.lots.filter(lot => lot.views > 0 || lot.contacts > 0).slice(0, 10)
+      const ratio = stats.sold + stats.expired > 0
+        ? formatNumber(stats.sold / (stats.sold + stats.expired), { style: 'percent' })
+        : '—'
+
+      render(container, html`
+        <div class="card">
+          <div class="stats-grid">
+            <div class="stat-card"><h3>${formatNumber(stats.lots.length)}</h3><p>${t('analytics.lots')}</p></div>
+            <div class="stat-card"><h3>${formatNumber(stats.views)}</h3><p>${t('analytics.views')}</p></div>
+            <div class="stat-card"><h3>${formatNumber(stats.contacts)}</h3><p>${t('analytics.contacts')}</p></div>
+            <div class="stat-card"><h3>${this.formatDays(stats.medianSaleDays)}</h3><p>${t('analytics.medianSale')}</p></div>
+          </div>
+        </div>
+
+        <div class="card">
+          <h3>${t('analytics.byLot')}</h3>
+          ${lots.length === 0
+            ? html`<p class="empty-state">${t('analytics.noViews')}</p>`
+            : barChart(lots.map(lot => ({ label: lot.product.name, values: [lot.views, lot.contacts] })), {
+              title: t('analytics.byLot'),
+              series: [
+                { label: t('analytics.views'), tone: 'tone-1' },
+                { label: t('analytics.contacts'), tone: 'tone-2' }
+              ],
+              format: value => formatNumber(value)
+            })}
+        </div>
+
+        <div class="card">
+          <h3>${t('analytics.outcome')}</h3>
+          ${stats.sold + stats.expired === 0
+            ? html`<p class="empty-state">${t('analytics.noOutcome')}</p>`
+            : ringChart([
+              { label: t('analytics.sold'), value: stats.sold, tone: 'tone-1' },
+              { label: t('analytics.expired'), value: stats.expired, tone: 'tone-3' }
+            ], { title: t('analytics.soldRatio', { ratio }), center: ratio })}
+        </div>
+
+        <div class="card">
+          <h3>${t('analytics.saleDelays')}</h3>
+          ${stats.saleDelays.length === 0
+            ? html`<p class="empty-state">${t('analytics.noSales')}</p>`
+            : barChart(stats.saleDelays.slice(0, 10).map(delay => ({ label: delay.product.name, values: [delay.days] })), {
+              title: t('analytics.saleDelaysTitle'),
+              format: days => this.formatDays(days)
+            })}
+        </div>
+
+        <div class="card">
+          <h3>${t('analytics.demand')}</h3>
+          ${demand === null
+            ? html`<p class="empty-state">${t('analytics.noLocation')}</p>`
+            : demand.searches === 0
+              ? html`<p class="empty-state">${t('analytics.noDemand')}</p>`
+              : html`
+                <p>${t('analytics.demandCount', { count: demand.searches })}</p>
+                <h4>${t('analytics.byCategory')}</h4>
+                ${barChart(demand.categories.map(row => ({ label: this.productManager.categoryLabel(row.label), values: [row.count] })), { title: t('analytics.byCategoryTitle'), format: value => formatNumber(value) })}
+                ${demand.keywords.length > 0 ? html`
+                  <h4>${t('analytics.topKeywords')}</h4>
+                  ${barChart(demand.keywords.map(row => ({ label: row.label, values: [row.count] })), { title: t('analytics.byKeywordTitle'), series: [{ label: t('analytics.alerts'), tone: 'tone-2' }], format: value => formatNumber(value) })}
+                ` : ''}
+              `}
+        </div>
+      `)
+    } catch (error) {
+      console.error('Erreur chargement tableau de bord:', error)
+    }
+  }
+
+  renderProductCard(product) {
+    const distance = this.calculateDistanceToProduct(product)
+    const uncertainty = this.locationManager.uncertainty(this.userLocation, product.location)
+    const distanceText = distance === null ? ''
+      : uncertainty >= 0.5
+        ? html`<span title="${t('product.approximateDistance')}">${t('product.distance', { distance: this.locationManager.formatDistance(distance, uncertainty) })}</span>`
+        : t('product.distance', { distance: this.locationManager.formatDistance(distance) })
+    const upcoming = product.status === 'à venir'
+    const harvestText = formatDate(product.harvestDate)
+
+    return html`
+      <article class="product-card${upcoming ? ' upcoming' : ''}" id="product-${product.id}" aria-labelledby="product-${product.id}-name">
+        ${this.renderPhotoCarousel(product)}
+        <div class="product-header">
+          <h3 id="product-${product.id}-name">${product.name}</h3>
+          <span class="product-category">${this.productManager.categoryLabel(product.category)}</span>
+        </div>
+        ${upcoming ? html`<span class="upcoming-badge">${t('product.upcoming', { date: harvestText })}</span>` : ''}
+        ${product.recurrenceId ? html`<button data-action="open-storefront" data-seller-id="${product.sellerId}" class="recurring-badge">${t('product.recurring')}</button>` : ''}
+        <p class="product-description">${product.description}</p>
+        <div class="product-details">
+          <p><strong>${t('field.quantity')}:</strong> ${this.productManager.formatQuantity(product.quantity, product.unit)}</p>
+          <p><strong>${t('field.price')}:</strong> ${this.renderPrice(product)}</p>
+          <p><strong>${t('product.expectedHarvest')}:</strong> ${harvestText}</p>
+          <p><strong>${t('field.seller')}:</strong> <button data-action="open-storefront" data-seller-id="${product.sellerId}" class="btn-link">${product.sellerName}</button> ${this.renderSellerScore(product.sellerId)} ${distanceText}</p>
+          <p><strong>${t('field.pickup')}:</strong> ${product.pickupPointName || t('seller.atFarm')}</p>
+        </div>
+        <div class="product-actions">
+          <button data-action="contact-seller" data-id="${product.id}" class="btn primary" aria-describedby="product-${product.id}-name">${upcoming ? t('product.preorder') : t('product.contact')}</button>
+        </div>
+      </article>
+    `
+  }
+
+  // Prix saisi, suivi du prix normalisé quand il diffère : « 3,00 € / douzaine (0,25 €/pièce) »
+  renderPrice(product) {
+    const normalized = this.productManager.formatNormalizedPrice(product)
+    return html`${this.productManager.formatPrice(product)}${normalized ? html` <span class="unit-price">(${normalized})</span>` : ''}`
+  }
+
+  // Pas et minimum des champs de quantité : décimal seulement pour les unités divisibles (kg, g, litre)
+  quantityStep(unit) {
+    const definition = this.productManager.units[this.productManager.normalizeUnit(unit)]
+    return definition?.divisible ? 0.1 : 1
+  }
+
+  // Vignettes défilantes ; un clic ouvre la photo pleine taille
+  renderPhotoCarousel(product) {
+    if (!product.photos?.length) return ''
+
+    return html`
+      <div class="photo-carousel">
+        ${product.photos.map((photoId, index) => html`
+          <a href="${this.photoManager.url(photoId)}" target="_blank" rel="noopener" class="photo-slide">
+            <img src="${this.photoManager.url(photoId, true)}" data-photo-id="${photoId}" data-thumb="true"
+              alt="${t('product.photoAlt', { name: product.name, index: index + 1 })}" loading="lazy">
+          </a>
+        `)}
+      </div>
+    `
+  }
+
+  async hydratePhoto(img) {
+    if (img.dataset.hydrated) return
+    img.dataset.hydrated = 'true'
+
+    const { photoId } = img.dataset
+    const thumb = img.dataset.thumb === 'true'
+    try {
+      const blob = await this.photoManager.getBlob(photoId, thumb) ||
+        (this.syncManager.isConfigured() ? await this.syncManager.adapter.getPhoto(photoId, thumb) : null)
+      if (blob) img.src = URL.createObjectURL(blob)
+    } catch (error) {
+      console.error('Erreur chargement photo:', error)
+    }
+  }
+
+  // Photos choisies dans le formulaire vendeur, compressées avant publication
+  async handlePhotoSelection(files) {
+    const room = this.photoManager.maxPhotos - this.pendingPhotos.length
+    if (files.length > room) {
+      this.showNotification(t('notify.maxPhotos', { count: this.photoManager.maxPhotos }))
+    }
+
+    for (const file of files.slice(0, Math.max(0, room))) {
+      try {
+        const compressed = await this.photoManager.compress(file)
+        this.pendingPhotos.push({ ...compressed, previewUrl: URL.createObjectURL(compressed.thumb) })
+      } catch (error) {
+        this.showNotification(t('notify.photoIgnored', { name: file.name }), { tone: 'error' })
+        console.error('Photo compression error:', error)
+      }
+    }
+    this.renderPendingPhotos()
+  }
+
+  renderPendingPhotos() {
+    const container = document.getElementById('photo-previews')
+    if (!container) return
+
+    render(container, this.pendingPhotos.map((photo, index) => html`
+      <div class="photo-preview">
+        <img src="${photo.previewUrl}" alt="${t('seller.photoAlt', { index: index + 1 })}">
+        <button type="button" data-action="remove-pending-photo" data-index="${index}" class="photo-remove" title="${t('seller.removePhoto')}">✕</button>
+      </div>
+    `))
+  }
+
+  removePendingPhoto(index) {
+    const [photo] = this.pendingPhotos.splice(index, 1)
+    if (photo) URL.revokeObjectURL(photo.previewUrl)
+    this.renderPendingPhotos()
+  }
+
+  clearPendingPhotos() {
+    this.pendingPhotos.forEach(photo => URL.revokeObjectURL(photo.previewUrl))
+    this.pendingPhotos = []
+    this.renderPendingPhotos()
+  }
+
+  calculateDistanceToProduct(product) {
+    if (!product.location || !this.userLocation) return null
+    return this.locationManager.calculateDistance(this.userLocation, product.location)
+  }
+
+  // Actions produits
+  async updateProductStatus(productId, status) {
+    const product = await this.productManager.updateProductStatus(productId, status)
+    if (product) {
+      this.showNotification(t('notify.productUpdated'))
+      this.queueChange('product.status', product)
+      this.loadSellerProducts()
+      if (this.currentView === 'home') {
         this.updateStats()
-        break
-      case 'products':
-        this.loadProducts()
-        break
-      case 'seller':
-        this.loadSellerProducts()
-        break
-      case 'buyer':
-        this.loadBuyerSearches()
-        break
+      }
+    } else {
+      this.showNotification(t('notify.updateError'), { tone: 'error' })
+    }
+  }
+
+  // Suspendre ou réactiver les notifications d'une alerte
+  async setSearchMuted(searchId, muted) {
+    try {
+      const search = await this.userManager.updateSearch(searchId, { muted })
+      this.showNotification(muted ? t('notify.searchMuted') : t('notify.searchUnmuted'))
+      this.queueChange('search.save', search)
+      if (this.currentView === 'buyer') this.loadBuyerSearches()
+    } catch (error) {
+      this.showNotification(t('notify.searchUpdateError'), { tone: 'error' })
     }
   }
 
-  // Configuration utilisateur
-  async handleUserSetup(e) {
-    const formData = new FormData(e.target)
-    const userData = {
-      name: formData.get('name'),
-      type: formData.get('type'), // vendeur, acheteur, both
-      location: null
+  async deleteSearch(searchId) {
+    try {
+      const search = await this.userManager.deleteSearch(searchId)
+      this.showNotification(t('notify.searchDeleted'))
+      this.queueChange('search.delete', search)
+      this.loadBuyerSearches()
+    } catch (error) {
+      this.showNotification(t('notify.deleteError'), { tone: 'error' })
     }
+  }
 
-    try {
-      // Obtenir la localisation
-      this.showNotification('Obtention de votre position...')
-      userData.location = await this.locationManager.getLocation()
-      this.userLocation = userData.location
+  async contactSeller(productId) {
+    if (!this.requireUser()) return
 
-      // Sauvegarder utilisateur
-      this.currentUser = await this.userManager.saveUser(userData)
+    try {
+      const product = await this.productManager.getProduct(productId)
+      if (!product) {
+        this.showNotification(t('error.productNotFound'), { tone: 'error' })
+        return
+      }
 
-      this.showNotification(`Bienvenue ${userData.name} !`)
-      this.showView('home')
+      if (product.sellerId === this.currentUser.id) {
+        this.showNotification(t('notify.ownProduct'))
+        return
+      }
 
+      const conversation = await this.messageManager.getOrCreateConversation(product, this.currentUser)
+      this.queueChange('conversation.save', conversation)
+      this.openConversation(conversation.id)
     } catch (error) {
-      this.showNotification('Erreur lors de la configuration')
-      console.error('Setup error:', error)
+      this.showNotification(t('notify.conversationError'), { tone: 'error' })
+      console.error('Contact seller error:', error)
     }
   }
 
-  // Vendeur - Ajouter produit
-  async handleSellerSubmit(e) {
-    if (!this.currentUser) {
-      this.showNotification('Configuration utilisateur requise')
-      return
+  // Messagerie
+  openConversation(conversationId) {
+    this.currentConversationId = conversationId
+    this.showView('conversation')
+  }
+
+  async loadConversations() {
+    if (!this.currentUser) return
+
+    try {
+      const conversations = await this.messageManager.getUserConversations(this.currentUser.id)
+      const unread = await this.messageManager.getUnreadCounts(this.currentUser.id)
+      const container = document.getElementById('conversations-list')
+
+      if (!container) return
+
+      if (conversations.length === 0) {
+        render(container, html`<p class="empty-state">${t('messages.empty')}</p>`)
+        return
+      }
+
+      render(container, conversations.map(conversation => {
+        const isSeller = conversation.sellerId === this.currentUser.id
+        const interlocutor = isSeller ? conversation.buyerName : conversation.sellerName
+        const unreadCount = unread[conversation.id] || 0
+
+        return html`
+          <div class="conversation-card ${unreadCount ? 'unread' : ''}" data-action="open-conversation" data-id="${conversation.id}">
+            <div class="conversation-header">
+              <h3>${conversation.productName}</h3>
+              ${unreadCount ? html`<span class="badge">${unreadCount}</span>` : ''}
+            </div>
+            <p><strong>${isSeller ? t('field.buyer') : t('field.seller')}:</strong> ${interlocutor}</p>
+            <p class="conversation-date">${formatDateTime(conversation.lastMessageAt)}</p>
+          </div>
+        `
+      }))
+
+    } catch (error) {
+      console.error('Erreur chargement conversations:', error)
     }
+  }
 
-    const formData = new FormData(e.target)
-    const productData = {
-      sellerId: this.currentUser.id,
-      sellerName: this.currentUser.name,
-      name: formData.get('name'),
-      category: formData.get('category'),
-      description: formData.get('description'),
-      quantity: formData.get('quantity'),
-      unit: formData.get('unit'),
-      price: parseFloat(formData.get('price')),
-      harvestDate: formData.get('harvestDate'),
-      location: this.userLocation || this.currentUser.location
+  async loadConversation() {
+    if (!this.currentUser || !this.currentConversationId) {
+      this.showView('messages')
+      return
     }
 
     try {
-      const product = await this.productManager.saveProduct(productData)
+      const conversation = await this.messageManager.getConversation(this.currentConversationId)
+      if (!conversation) {
+        this.showView('messages')
+        return
+      }
 
-      // Notifier acheteurs intéressés
-      await this.notificationManager.notifyBuyers(product, this.locationManager)
+      const isSeller = conversation.sellerId === this.currentUser.id
+      const messages = await this.messageManager.getConversationMessages(conversation.id)
+      await this.refreshOutboxStatus()
+      const orders = await this.orderManager.getOrders()
+      const container = document.getElementById('messages-thread')
 
-      this.showNotification('Produit ajouté et notifications envoyées !')
-      e.target.reset()
-      this.loadSellerProducts()
+      document.getElementById('conversation-title').textContent =
+        `${conversation.productName} — ${isSeller ? conversation.buyerName : conversation.sellerName}`
+
+      // Seul l'acheteur peut demander une réservation
+      document.getElementById('reservation-form')?.classList.toggle('hidden', isSeller)
+
+      if (container) {
+        render(container, messages.length === 0
+          ? html`<p class="empty-state">${t('messages.first')}</p>`
+          : messages.map(message => this.renderMessage(message, orders)))
+        container.scrollTop = container.scrollHeight
+      }
+
+      await this.messageManager.markAsRead(conversation.id, this.currentUser.id)
+      this.updateUnreadBadge()
 
     } catch (error) {
-      this.showNotification('Erreur lors de l\'ajout du produit')
-      console.error('Product save error:', error)
+      console.error('Erreur chargement conversation:', error)
     }
   }
 
-  // Acheteur - Sauvegarder recherche
-  async handleBuyerSubmit(e) {
-    if (!this.currentUser) {
-      this.showNotification('Configuration utilisateur requise')
-      return
+  renderMessage(message, orders) {
+    const isMine = message.authorId === this.currentUser.id
+    const pending = this.renderSyncBadge(message.id)
+
+    if (message.type === 'reservation') {
+      const order = orders.find(o => o.id === message.orderId)
+      return html`
+        <div class="message reservation ${isMine ? 'mine' : ''}">
+          <p><strong>${t('messages.reservation')}</strong> ${this.productManager.formatQuantity(message.quantity, message.unit)}</p>
+          ${message.body ? html`<p>${message.body}</p>` : ''}
+          ${order ? html`
+            <p class="reservation-status">${t('messages.reservationStatus', { status: orderStatus.label(order.status) })}</p>
+            ${this.renderOrderActions(order)}
+          ` : ''}
+          <p class="message-meta">${message.authorName} · ${formatDateTime(message.createdAt)} ${pending}</p>
+        </div>
+      `
     }
 
+    return html`
+      <div class="message ${isMine ? 'mine' : ''}">
+        <p>${message.body}</p>
+        <p class="message-meta">${message.authorName} · ${formatDateTime(message.createdAt)} ${pending}</p>
+      </div>
+    `
+  }
+
+  async handleMessageSubmit(e) {
+    if (!this.currentUser || !this.currentConversationId) return
+
     const formData = new FormData(e.target)
-    const searchData = {
-      userId: this.currentUser.id,
-      category: formData.get('category'),
-      keywords: formData.get('keywords'),
-      radius: parseInt(formData.get('radius')),
-      maxPrice: parseFloat(formData.get('maxPrice')) || null
-    }
+    const body = (formData.get('body') || '').trim()
+    if (!body) return
 
     try {
-      await this.userManager.saveBuyerSearch(searchData)
-      this.showNotification('Recherche sauvegardée ! Vous recevrez des notifications.')
+      const message = await this.messageManager.sendMessage(
+        this.currentConversationId,
+        this.currentUser,
+        { type: 'texte', body }
+      )
+      await this.queueMessage(message)
       e.target.reset()
-      this.loadBuyerSearches()
+      this.loadConversation()
 
     } catch (error) {
-      this.showNotification('Erreur lors de la sauvegarde')
-      console.error('Search save error:', error)
+      this.showNotification(t('notify.sendError'), { tone: 'error' })
+      console.error('Message send error:', error)
     }
   }
 
-  // Charger et afficher produits
-  async loadProducts() {
-    try {
-      const products = await this.productManager.getProducts()
-      const productsContainer = document.getElementById('products-list')
+  async handleReservationSubmit(e) {
+    if (!this.currentUser || !this.currentConversationId) return
 
-      if (!productsContainer) return
+    const formData = new FormData(e.target)
+    const quantity = parseFloat(formData.get('quantity'))
+    if (!quantity || quantity <= 0) {
+      this.showFieldError(e.target, 'quantity', t('error.invalidQuantity'))
+      return
+    }
 
-      if (products.length === 0) {
-        productsContainer.innerHTML = '<p class="empty-state">Aucun produit disponible</p>'
+    try {
+      const conversation = await this.messageManager.getConversation(this.currentConversationId)
+      const product = conversation && await this.productManager.getProduct(conversation.productId)
+      if (!product) {
+        this.showNotification(t('error.productNotFound'), { tone: 'error' })
         return
       }
 
-      productsContainer.innerHTML = products
-        .filter(p => p.status === 'disponible')
-        .map(product => this.renderProductCard(product))
-        .join('')
+      const body = (formData.get('body') || '').trim()
+      const order = await this.orderManager.createOrder(product, this.currentUser, quantity, {
+        conversationId: conversation.id,
+        note: body
+      })
+
+      const message = await this.messageManager.sendMessage(
+        this.currentConversationId,
+        this.currentUser,
+        {
+          type: 'reservation',
+          body,
+          quantity,
+          unit: product.unit,
+          orderId: order.id
+        }
+      )
+      this.showNotification(t('notify.reservationSent'))
+      await this.queueChange('order.update', order)
+      await this.queueMessage(message)
+      e.target.reset()
+      this.loadConversation()
 
     } catch (error) {
-      console.error('Erreur chargement produits:', error)
+      this.showNotification(error.message || t('notify.reservationError'), { tone: 'error' })
+      console.error('Reservation error:', error)
     }
   }
 
-  // Charger produits du vendeur
-  async loadSellerProducts() {
+  // Commandes
+  renderOrderActions(order) {
+    const actions = this.orderManager.availableTransitions(order, this.currentUser.id)
+    if (actions.length === 0) return ''
+
+    return html`
+      <div class="product-actions">
+        ${actions.map(status => html`
+          <button data-action="update-order-status" data-id="${order.id}" data-status="${status}"
+            class="btn ${status === 'confirmée' || status === 'retirée' ? 'primary' : 'secondary'}">${t(`order.action.${status}`)}</button>
+        `)}
+      </div>
+    `
+  }
+
+  renderOrderCard(order) {
+    const isSeller = order.sellerId === this.currentUser.id
+    const total = order.unitPrice ? ` · ${this.productManager.formatMoney(order.unitPrice * order.quantity)}` : ''
+
+    return html`
+      <div class="order-card status-${order.status.replace(/\s/g, '-')}" id="order-${order.id}">
+        <div class="conversation-header">
+          <h3>${order.productName}</h3>
+          <span class="order-status">${orderStatus.label(order.status)}</span>
+        </div>
+        ${order.preorder ? html`<span class="upcoming-badge">${t('order.preorder', { date: formatDate(order.harvestDate) })}</span>` : ''}
+        <p><strong>${t('field.quantity')}:</strong> ${this.productManager.formatQuantity(order.quantity, order.unit)}${total}</p>
+        <p><strong>${isSeller ? t('field.buyer') : t('field.seller')}:</strong> ${isSeller ? order.buyerName : order.sellerName}</p>
+        ${order.note ? html`<p><strong>${t('order.note')}:</strong> ${order.note}</p>` : ''}
+        <p class="conversation-date">${t('order.createdAt', { date: formatDateTime(order.createdAt) })}</p>
+        <details class="order-history">
+          <summary>${t('order.history')}</summary>
+          <ul>
+            ${(order.history || []).map(h => html`
+              <li>${orderStatus.label(h.status)} — ${formatDateTime(h.at)}</li>
+            `)}
+          </ul>
+        </details>
+        ${this.renderOrderActions(order)}
+        ${this.renderOrderReview(order)}
+        ${order.conversationId ? html`<button data-action="open-conversation" data-id="${order.conversationId}" class="btn secondary">💬 ${t('order.conversation')}</button>` : ''}
+      </div>
+    `
+  }
+
+  async loadOrders() {
     if (!this.currentUser) return
 
     try {
-      const allProducts = await this.productManager.getProducts()
-      const myProducts = allProducts.filter(p => p.sellerId === this.currentUser.id)
-      const container = document.getElementById('my-products-list')
+      const orders = await this.orderManager.getOrders()
+      const purchases = orders.filter(o => o.buyerId === this.currentUser.id)
+      this.orderReviews = {}
+      for (const review of await this.reviewManager.getReviews()) {
+        if (review.buyerId === this.currentUser.id) this.orderReviews[review.orderId] = review
+      }
+      const sales = orders.filter(o => o.sellerId === this.currentUser.id)
 
-      if (!container) return
+      const purchasesContainer = document.getElementById('my-purchases-list')
+      const salesContainer = document.getElementById('my-sales-list')
 
-      if (myProducts.length === 0) {
-        container.innerHTML = '<p class="empty-state">Vous n\'avez pas encore ajouté de produits</p>'
-        return
+      if (purchasesContainer) {
+        render(purchasesContainer, purchases.length === 0
+          ? html`<p class="empty-state">${t('order.noPurchases')}</p>`
+          : purchases.map(order => this.renderOrderCard(order)))
       }
 
-      container.innerHTML = myProducts.map(product => `
-        <div class="product-card seller-product">
-          <h3>${product.name}</h3>
-          <p><strong>Catégorie:</strong> ${product.category}</p>
-          <p><strong>Quantité:</strong> ${product.quantity} ${product.unit}</p>
-          <p><strong>Prix:</strong> ${product.price}€</p>
-          <p><strong>Récolte:</strong> ${new Date(product.harvestDate).toLocaleDateString()}</p>
-          <p><strong>Statut:</strong> ${product.status}</p>
-          <div class="product-actions">
-            <button onclick="app.updateProductStatus(${product.id}, 'vendu')" class="btn secondary">Marquer vendu</button>
-            <button onclick="app.updateProductStatus(${product.id}, 'indisponible')" class="btn secondary">Retirer</button>
-          </div>
-        </div>
-      `).join('')
+      if (salesContainer) {
+        render(salesContainer, sales.length === 0
+          ? html`<p class="empty-state">${t('order.noSales')}</p>`
+          : sales.map(order => this.renderOrderCard(order)))
+      }
+
+      await this.loadSubscriptions()
+      this.applyHighlight()
 
     } catch (error) {
-      console.error('Erreur chargement produits vendeur:', error)
+      console.error('Erreur chargement commandes:', error)
     }
   }
 
-  // Charger recherches de l'acheteur
-  async loadBuyerSearches() {
-    if (!this.currentUser) return
-
+  async updateOrderStatus(orderId, status) {
     try {
-      const allSearches = await localforage.getItem('savedSearches') || []
-      const mySearches = allSearches.filter(s => s.userId === this.currentUser.id)
-      const container = document.getElementById('my-searches-list')
+      const order = await this.orderManager.transition(orderId, status, this.currentUser.id)
+      this.showNotification(t('notify.orderStatus', { status: orderStatus.label(status).toLowerCase() }))
+      await this.queueChange('order.update', order)
 
-      if (!container) return
+      // La confirmation ou l'annulation a modifié le stock
+      if (status === 'confirmée' || status === 'annulée') {
+        await this.queueChange('product.status', await this.productManager.getProduct(order.productId))
+      }
 
-      if (mySearches.length === 0) {
-        container.innerHTML = '<p class="empty-state">Aucune recherche sauvegardée</p>'
-        return
+      if (this.currentView === 'conversation') {
+        this.loadConversation()
+      } else if (this.currentView === 'orders') {
+        this.loadOrders()
       }
+    } catch (error) {
+      this.showNotification(error.message || t('notify.orderUpdateError'), { tone: 'error' })
+    }
+  }
 
-      container.innerHTML = mySearches.map(search => `
-        <div class="search-card">
-          <h3>${search.category === 'all' ? 'Toutes catégories' : search.category}</h3>
-          <p><strong>Mots-clés:</strong> ${search.keywords || 'Aucun'}</p>
-          <p><strong>Rayon:</strong> ${search.radius} km</p>
-          <p><strong>Prix max:</strong> ${search.maxPrice ? search.maxPrice + '€' : 'Aucune limite'}</p>
-          <p><strong>Créée le:</strong> ${new Date(search.createdAt).toLocaleDateString()}</p>
-          <button onclick="app.deleteSearch(${search.id})" class="btn secondary">Supprimer</button>
-        </div>
-      `).join('')
+  async updateUnreadBadge() {
+    if (!this.currentUser) return
+
+    try {
+      const counts = await this.messageManager.getUnreadCounts(this.currentUser.id)
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0)
+      const badge = document.getElementById('unread-badge')
+      if (badge) {
+        badge.textContent = total
+        badge.classList.toggle('hidden', total === 0)
+      }
+    } catch (error) {
+      console.error('Erreur compteur non lus:', error)
+    }
+  }
 
+  // Synchronisation
+  async queueChange(type, record) {
+    if (!record) return
+    try {
+      await this.outbox.enqueue(type, record)
     } catch (error) {
-      console.error('Erreur chargement recherches:', error)
+      console.error('Erreur file d\'envoi:', error)
     }
   }
 
-  // Mettre à jour les statistiques de l'accueil
-  async updateStats() {
+  // Un message met aussi à jour sa conversation (dernier message, lecture)
+  async queueMessage(message) {
+    await this.queueChange('message.send', message)
+    await this.queueChange('conversation.save', await this.messageManager.getConversation(message.conversationId))
+  }
+
+  renderSyncBadge(recordId) {
+    const entry = this.outboxStatus[recordId]
+    if (!entry) return ''
+
+    if (entry.status === 'failed') {
+      return html`
+        <span class="sync-badge failed" title="${entry.lastError || ''}">${t('sync.badge.failed')}</span>
+        <button data-action="retry-sync" data-id="${recordId}" class="btn-link">${t('sync.badge.retry')}</button>
+      `
+    }
+    return html`<span class="sync-badge pending">${t('sync.badge.pending')}</span>`
+  }
+
+  async refreshOutboxStatus() {
+    this.outboxStatus = await this.outbox.getStatusByRecord()
+  }
+
+  async retrySync(recordId) {
+    await this.outbox.retry(recordId)
+    this.showNotification(t('notify.retrying'))
+    await this.refreshOutboxStatus()
+    this.loadView(this.currentView)
+  }
+
+  async syncNow({ manual = false } = {}) {
+    if (!this.syncManager.isConfigured() || !this.isOnline) {
+      if (manual) this.showNotification(t('notify.syncUnavailable'))
+      return
+    }
+
     try {
-      const products = await this.productManager.getProducts()
-      const users = await localforage.getItem('users') || []
+      const result = await this.syncManager.sync()
+      if (result) await this.alertReceivedProducts(result.products)
+      if (result?.pulled > 0) {
+        this.loadView(this.currentView)
+        this.updateUnreadBadge()
+      }
+      if (manual) {
+        this.showNotification(t('notify.synced', { count: result.pulled }))
+      }
+    } catch (error) {
+      console.error('Erreur synchronisation:', error)
+      if (manual) this.showNotification(t('notify.syncError'), { tone: 'error' })
+    }
 
-      const availableProducts = products.filter(p => p.status === 'disponible')
-      const sellers = [...new Set(products.map(p => p.sellerId))].length
+    if (this.currentView === 'settings') this.loadSettings()
+  }
 
-      document.getElementById('products-count').textContent = availableProducts.length
-      document.getElementById('sellers-count').textContent = sellers
+  // Lots publiés ou baissés de prix sur d'autres appareils, comparés aux alertes de l'utilisateur
+  // courant. Le vendeur peut avoir choisi de ne pas prévenir (import, modification).
+  async alertReceivedProducts({ added, updated }) {
+    if (!this.currentUser) return
+    // Statut d'après la date de récolte : un lot expiré depuis son envoi ne déclenche plus d'alerte
+    const current = products => products.map(product => this.productManager.withHarvestStatus(product))
+
+    for (const product of current(added)) {
+      if (product.announce === false) continue
+      await this.notificationManager.notifyMatches(product, this.currentUser, this.searchMatcher)
+    }
+
+    for (const product of current(updated)) {
+      const last = product.history?.at(-1)
+      const drop = last?.changes.unitPrice
+      if (!drop || !(drop.to < drop.from) || last.announce === false) continue
+      if (!this.productManager.isLifecycleManaged(product)) continue
+      await this.notificationManager.notifyMatches(product, this.currentUser, this.searchMatcher, { previousPrice: drop.from })
+    }
+  }
+
+  async loadSettings() {
+    const locationSettings = await this.locationManager.getSettings()
+    const locationForm = document.getElementById('location-form')
+    if (locationForm && !locationForm.contains(document.activeElement)) {
+      locationForm.elements.namedItem('precision').value = locationSettings.precision
+      locationForm.elements.namedItem('allowIpLookup').checked = locationSettings.allowIpLookup
+    }
+    const locationStatus = document.getElementById('location-status')
+    if (locationStatus) {
+      locationStatus.textContent = t('settings.sharedLocation', { location: this.locationManager.describe(this.currentUser?.location) })
+    }
+
+    const mapConfig = await this.getMapConfig()
+    const tileInput = document.getElementById('map-tile-url')
+    if (tileInput && document.activeElement !== tileInput) tileInput.value = mapConfig.tileUrl
+    const attributionInput = document.getElementById('map-attribution')
+    if (attributionInput && document.activeElement !== attributionInput) attributionInput.value = mapConfig.attribution
+    const remoteInput = document.querySelector('#map-form [name="remoteTiles"]')
+    if (remoteInput && document.activeElement !== remoteInput) remoteInput.checked = mapConfig.remoteTiles
+
+    const config = await this.syncManager.getConfig()
+    const state = await this.syncManager.getState()
+
+    const input = document.getElementById('sync-url')
+    if (input && document.activeElement !== input) input.value = config.baseUrl || ''
+
+    const status = document.getElementById('sync-status')
+    if (status) {
+      status.textContent = !config.baseUrl
+        ? t('sync.status.disabled')
+        : state.lastError
+          ? t('sync.status.error', { error: state.lastError })
+          : state.lastSyncAt
+            ? t('sync.status.last', { date: formatDateTime(state.lastSyncAt) })
+            : t('sync.status.never')
+    }
+
+    const entries = await this.outbox.getEntries()
+    const outboxStatus = document.getElementById('outbox-status')
+    if (outboxStatus) {
+      const failed = entries.filter(e => e.status === 'failed').length
+      outboxStatus.textContent = entries.length === 0
+        ? t('sync.outbox.empty')
+        : t('sync.outbox.pending', { pending: t('sync.outbox.count', { count: entries.length - failed }), count: failed })
+    }
+  }
+
+  // Textes fixes d'index.html, mois des saisons et jours des créneaux (les saisies en cours sont gardées)
+  applyLocale(locale) {
+    setLocale(locale)
+    translateDocument()
+
+    document.querySelectorAll('#season-start option, #season-end option').forEach(option => {
+      if (option.value) option.textContent = this.recurrenceManager.monthName(Number(option.value))
+    })
 
+    const weekDays = this.userManager.weekDays
+    document.querySelectorAll('#pickup-slots .pickup-slot').forEach((slot, i) => {
+      const day = weekDays[i]
+      slot.querySelector('span').textContent = day
+      slot.querySelector(`[name="from-${i}"]`)?.setAttribute('aria-label', t('farm.slot.from', { day }))
+      slot.querySelector(`[name="to-${i}"]`)?.setAttribute('aria-label', t('farm.slot.to', { day }))
+    })
+  }
+
+  async changeLocale(locale) {
+    try {
+      await db.setSetting('locale', locale)
+      this.applyLocale(locale)
+      this.updateStatus()
+      this.loadView(this.currentView)
     } catch (error) {
-      console.error('Erreur mise à jour stats:', error)
+      console.error('Erreur changement de langue:', error)
     }
   }
 
-  renderProductCard(product) {
-    const distance = this.calculateDistanceToProduct(product)
-    const distanceText = distance ? `à ${distance.toFixed(1)}km` : ''
+  async handleSyncSettingsSubmit(e) {
+    const formData = new FormData(e.target)
+    const baseUrl = (formData.get('baseUrl') || '').trim()
 
-    return `
-      <div class="product-card">
-        <div class="product-header">
-          <h3>${product.name}</h3>
-          <span class="product-category">${product.category}</span>
-        </div>
-        <p class="product-description">${product.description}</p>
-        <div class="product-details">
-          <p><strong>Quantité:</strong> ${product.quantity} ${product.unit}</p>
-          <p><strong>Prix:</strong> ${product.price}€</p>
-          <p><strong>Récolte prévue:</strong> ${new Date(product.harvestDate).toLocaleDateString()}</p>
-          <p><strong>Vendeur:</strong> ${product.sellerName} ${distanceText}</p>
-        </div>
-        <div class="product-actions">
-          <button onclick="app.contactSeller(${product.id})" class="btn primary">Contacter</button>
-        </div>
-      </div>
-    `
+    if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+      this.showFieldError(e.target, 'baseUrl', t('notify.invalidUrl'))
+      return
+    }
+
+    await this.syncManager.saveConfig({ baseUrl })
+    this.showNotification(baseUrl ? t('notify.syncSaved') : t('notify.syncDisabled'))
+    this.syncNow({ manual: !!baseUrl })
+    this.loadSettings()
   }
 
-  calculateDistanceToProduct(product) {
-    if (!product.location || !this.userLocation) return null
-    return this.locationManager.calculateDistance(this.userLocation, product.location)
+  // Import / export
+  download(filename, content, type) {
+    // BOM : accents corrects à l'ouverture du CSV dans un tableur
+    const blob = new Blob([type === 'text/csv' ? '\ufeff' + content : content], { type: `${type};charset=utf-8` })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
   }
 
-  // Actions produits
-  async updateProductStatus(productId, status) {
-    const success = await this.productManager.updateProductStatus(productId, status)
-    if (success) {
-      this.showNotification('Produit mis à jour')
-      this.loadSellerProducts()
-      if (this.currentView === 'home') {
-        this.updateStats()
+  async exportData(kind, format) {
+    if (kind !== 'backup' && !this.currentUser) {
+      this.showNotification(t('notify.userRequired'))
+      return
+    }
+
+    const date = new Date().toISOString().slice(0, 10)
+    try {
+      if (kind === 'backup') {
+        const backup = await this.dataTransfer.createBackup()
+        this.download(`marche-local-sauvegarde-${date}.json`, JSON.stringify(backup, null, 2), 'application/json')
+        this.showNotification(t('notify.backupDownloaded'))
+        return
       }
-    } else {
-      this.showNotification('Erreur mise à jour')
+
+      let rows
+      let columns
+      if (kind === 'products') {
+        rows = await this.productManager.getSellerProducts(this.currentUser.id)
+        // Libellés dans la langue choisie : l'import les reconnaît dans toutes les langues
+        columns = [
+          { key: 'id', label: 'id' },
+          ...this.dataTransfer.productColumns.map(column => ({ key: column.key, label: t(`import.column.${column.key}`) })),
+          { key: 'status', label: t('field.status'), format: status => productStatus.label(status) },
+          { key: 'pickupPointName', label: t('seller.form.pickup') }
+        ]
+        columns.find(column => column.key === 'category').format = category => this.productManager.categoryLabel(category)
+      } else if (kind === 'searches') {
+        rows = await this.userManager.getUserSearches(this.currentUser.id)
+        columns = [
+          { key: 'id', label: 'id' },
+          { key: 'category', label: t('field.category'), format: category => this.productManager.categoryLabel(category) },
+          { key: 'keywords', label: t('buyer.keywords') },
+          { key: 'radius', label: t('export.radius') },
+          { key: 'maxPrice', label: t('export.maxPrice') },
+          { key: 'unit', label: t('field.unit') }
+        ]
+      } else {
+        rows = Object.entries(this.currentUser).map(([field, value]) => ({ field, value }))
+        columns = [
+          { key: 'field', label: t('export.field') },
+          { key: 'value', label: t('export.value') }
+        ]
+      }
+
+      const names = { products: 'produits', searches: 'alertes', profile: 'profil' }
+      if (format === 'csv') {
+        this.download(`marche-local-${names[kind]}-${date}.csv`, this.dataTransfer.toCSV(rows, columns), 'text/csv')
+      } else {
+        const data = kind === 'profile' ? this.currentUser : rows
+        this.download(`marche-local-${names[kind]}-${date}.json`, JSON.stringify(data, null, 2), 'application/json')
+      }
+    } catch (error) {
+      console.error('Erreur export:', error)
+      this.showNotification(t('notify.exportError'), { tone: 'error' })
     }
   }
 
-  async deleteSearch(searchId) {
+  async restoreBackup(file) {
+    const status = document.getElementById('restore-status')
     try {
-      let searches = await localforage.getItem('savedSearches') || []
-      searches = searches.filter(s => s.id !== searchId)
-      await localforage.setItem('savedSearches', searches)
-      this.showNotification('Recherche supprimée')
-      this.loadBuyerSearches()
+      const backup = JSON.parse(await file.text())
+      const report = await this.dataTransfer.restoreBackup(backup)
+
+      // Renvoyer au serveur ce qui a été ajouté ou remplacé
+      let added = 0
+      let updated = 0
+      for (const [collection, result] of Object.entries(report)) {
+        added += result.added.length
+        updated += result.updated.length
+        for (const record of [...result.added, ...result.updated]) {
+          await this.queueChange(this.syncManager.types[collection], record)
+        }
+      }
+
+      const message = t('notify.restored', { added: t('notify.restoredAdded', { count: added }), count: updated })
+      if (status) status.textContent = message
+      this.showNotification(message)
+      await this.loadUser()
     } catch (error) {
-      this.showNotification('Erreur suppression')
+      console.error('Erreur restauration:', error)
+      const message = error instanceof SyntaxError ? t('restore.unreadableJson') : error.message
+      if (status) status.textContent = t('restore.failed', { message })
+      this.showNotification(t('notify.restoreError'), { tone: 'error' })
     }
   }
 
-  contactSeller(productId) {
-    // Ici tu peux implémenter le système de contact
-    this.showNotification('Fonctionnalité de contact à implémenter')
-    // Exemple : ouvrir modal avec infos contact du vendeur
+  async readImportFile(file) {
+    try {
+      const { headers, rows } = this.dataTransfer.parseCSV(await file.text())
+      if (headers.length === 0 || rows.length === 0) {
+        this.showNotification(t('notify.emptyFile'), { tone: 'error' })
+        this.resetImport()
+        return
+      }
+
+      this.importState = { headers, rows, valid: [] }
+      const mapping = this.dataTransfer.guessMapping(headers)
+      const fields = document.getElementById('import-mapping-fields')
+      fields.innerHTML = ''
+
+      // Options construites en DOM : l'en-tête vient d'un fichier externe
+      for (const column of this.dataTransfer.productColumns) {
+        const group = document.createElement('div')
+        group.className = 'form-group'
+        const label = document.createElement('label')
+        label.htmlFor = `import-map-${column.key}`
+        const columnLabel = t(`import.column.${column.key}`)
+        label.textContent = column.required ? `${columnLabel} *` : columnLabel
+        const select = document.createElement('select')
+        select.id = `import-map-${column.key}`
+        select.name = `map-${column.key}`
+        select.add(new Option(t('import.ignore'), ''))
+        headers.forEach((header, index) => select.add(new Option(header || t('import.columnNumber', { index: index + 1 }), index)))
+        select.value = mapping[column.key] === null ? '' : String(mapping[column.key])
+        group.append(label, select)
+        fields.appendChild(group)
+      }
+
+      document.getElementById('import-mapping').classList.remove('hidden')
+      this.validateImport()
+    } catch (error) {
+      console.error('Erreur lecture import:', error)
+      this.showNotification(t('notify.unreadableCsv'), { tone: 'error' })
+    }
   }
 
-  // Recherche et filtres
-  async searchProducts(query) {
-    const products = await this.productManager.getProducts()
-    const filtered = this.productManager.searchProducts(products, { search: query })
+  validateImport() {
+    if (!this.importState) return
+
+    const form = document.getElementById('import-form')
+    const mapping = {}
+    for (const column of this.dataTransfer.productColumns) {
+      const value = form.elements.namedItem(`map-${column.key}`).value
+      mapping[column.key] = value === '' ? null : Number(value)
+    }
+
+    const valid = []
+    const errors = []
+    this.importState.rows.forEach((cells, index) => {
+      const result = this.dataTransfer.validateProductRow(cells, mapping)
+      // Ligne 1 : en-tête
+      if (result.errors.length > 0) {
+        errors.push(t('import.lineErrors', { line: index + 2, errors: result.errors.join(', ') }))
+      } else {
+        valid.push(result.product)
+      }
+    })
+    this.importState.valid = valid
 
-    const container = document.getElementById('products-list')
-    if (container) {
-      container.innerHTML = filtered
-        .filter(p => p.status === 'disponible')
-        .map(product => this.renderProductCard(product))
-        .join('')
+    const report = document.getElementById('import-report')
+    report.innerHTML = ''
+    const summary = document.createElement('p')
+    summary.textContent = t('import.summary', { count: valid.length, total: this.importState.rows.length }) +
+      (errors.length > 0 ? ` — ${t('import.skipped', { count: errors.length })}` : '')
+    report.appendChild(summary)
+    if (errors.length > 0) {
+      const list = document.createElement('ul')
+      for (const error of errors) {
+        const item = document.createElement('li')
+        item.textContent = error
+        list.appendChild(item)
+      }
+      report.appendChild(list)
     }
+
+    document.getElementById('import-submit').disabled = valid.length === 0
+  }
+
+  resetImport() {
+    this.importState = null
+    document.getElementById('import-form')?.reset()
+    document.getElementById('import-mapping')?.classList.add('hidden')
+    const report = document.getElementById('import-report')
+    if (report) report.innerHTML = ''
+    const submit = document.getElementById('import-submit')
+    if (submit) submit.disabled = true
   }
 
-  async filterProducts(category) {
-    const products = await this.productManager.getProducts()
-    const filtered = this.productManager.searchProducts(products, { category })
+  async handleImportSubmit(e) {
+    if (!this.currentUser) {
+      this.showNotification(t('notify.userRequired'))
+      return
+    }
+    if (!this.importState?.valid.length) return
+
+    const notify = e.target.elements.namedItem('notify').checked
+    const location = this.userLocation || this.currentUser.location
+    try {
+      const products = await this.productManager.saveProducts(this.importState.valid.map(product => ({
+        ...product,
+        sellerId: this.currentUser.id,
+        sellerName: this.currentUser.name,
+        pickupPointId: null,
+        pickupPointName: null,
+        location,
+        photos: [],
+        announce: notify // false : lots importés sans prévenir les alertes des acheteurs
+      })))
+
+      for (const product of products) {
+        await this.queueChange('product.publish', product)
+      }
 
-    const container = document.getElementById('products-list')
-    if (container) {
-      container.innerHTML = filtered
-        .filter(p => p.status === 'disponible')
-        .map(product => this.renderProductCard(product))
-        .join('')
+      this.showNotification(t('notify.imported', { count: products.length }))
+      this.resetImport()
+      this.loadSellerProducts()
+    } catch (error) {
+      console.error('Erreur import:', error)
+      this.showNotification(t('notify.importError'), { tone: 'error' })
     }
   }
 
@@ -717,7 +6261,7 @@ class MarketplacePWA {
       const result = await this.installPrompt.userChoice
 
       if (result.outcome === 'accepted') {
-        this.showNotification('Application installée !')
+        this.showNotification(t('notify.installed'))
       }
 
       this.installPrompt = null
@@ -729,33 +6273,36 @@ class MarketplacePWA {
   updateStatus() {
     const statusEl = document.getElementById('status')
     if (statusEl) {
-      statusEl.textContent = this.isOnline ? 'En ligne' : 'Hors ligne'
+      statusEl.textContent = this.isOnline ? t('status.online') : t('status.offline')
     }
   }
 
-  handleOnline() {
+  async handleOnline() {
     this.isOnline = true
     this.updateStatus()
-    this.showNotification('Connexion rétablie')
+    this.showNotification(t('notify.online'))
+
+    // Rejouer les modifications faites hors ligne puis récupérer les nouveautés
+    await this.outbox.requestReplay()
+    this.syncNow()
   }
 
   handleOffline() {
     this.isOnline = false
     this.updateStatus()
-    this.showNotification('Mode hors ligne')
+    this.showNotification(t('notify.offline'))
   }
 
-  showNotification(message) {
-    const notification = document.createElement('div')
-    notification.style.cssText = `
-      position: fixed; top: 20px; right: 20px; z-index: 1000;
-      background: #10b981; color: white; padding: 1rem 2rem;
-      border-radius: 0.5rem; box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-      animation: slideIn 0.3s ease;
-    `
-    notification.textContent = message
-    document.body.appendChild(notification)
-    setTimeout(() => notification.remove(), 4000)
+  // tone 'error' : annonce immédiate, fermée par l'utilisateur (voir Toaster)
+  showNotification(message, { tone = 'info' } = {}) {
+    this.toaster.show(message, { tone })
+  }
+
+  // Erreur rattachée au champ name du formulaire, qui reçoit le focus
+  showFieldError(form, name, message) {
+    const field = form.elements.namedItem(name)
+    setFieldError(field, message)
+    field?.focus()
   }
 }
 
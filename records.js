@@ -0,0 +1,198 @@
+// Identité des enregistrements partagés : identifiant ULID (unique sans coordination, trié par date
+// de création), appareil d'origine, auteur, dates de création, de modification et de suppression.
+
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ' // base32 de Crockford
+const TIME_LENGTH = 10
+const RANDOM_LENGTH = 16
+
+let lastTime = -1
+let lastRandom = []
+
+function encodeTime(time) {
+  let chars = ''
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    chars = ENCODING[time % 32] + chars
+    time = Math.floor(time / 32)
+  }
+  return chars
+}
+
+function encodeDigits(digits) {
+  return digits.map(digit => ENCODING[digit]).join('')
+}
+
+// Dans la même milliseconde, la partie aléatoire est incrémentée : les ids restent croissants
+export function ulid(time = Date.now()) {
+  let random
+  if (time === lastTime) {
+    random = [...lastRandom]
+    let i = RANDOM_LENGTH - 1
+    while (i > 0 && random[i] === 31) random[i--] = 0
+    random[i] = (random[i] + 1) % 32
+  } else {
+    random = [...crypto.getRandomValues(new Uint8Array(RANDOM_LENGTH))].map(byte => byte % 32)
+  }
+  lastTime = time
+  lastRandom = random
+  return encodeTime(time) + encodeDigits(random)
+}
+
+// FNV-1a 32 bits
+function hash(text, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i)
+    h = Math.imul(h, 0x01000193) >>> 0
+  }
+  return h
+}
+
+// Ancien identifiant Date.now() (nombre, ou chaîne de chiffres venue d'un lien ou d'un formulaire) :
+// ULID déterministe, le même sur tous les appareils qui migrent la même donnée.
+// Tout autre identifiant est renvoyé tel quel.
+export function legacyId(collection, id) {
+  if (typeof id === 'string' && /^\d{1,16}$/.test(id)) id = Number(id)
+  if (typeof id !== 'number' || !Number.isFinite(id) || id < 0) return id
+
+  const digits = []
+  for (let seed = 0; digits.length < RANDOM_LENGTH; seed++) {
+    let h = hash(`${collection}:${id}`, seed)
+    for (let i = 0; i < 6; i++) {
+      digits.push(h & 31)
+      h >>>= 5
+    }
+  }
+  return encodeTime(Math.floor(id)) + encodeDigits(digits.slice(0, RANDOM_LENGTH))
+}
+
+// Champs qui désignent un enregistrement, et la collection désignée
+export const REFERENCES = {
+  products: { id: 'products', sellerId: 'users', recurrenceId: 'recurrences', pickupPointId: 'pickupPoints', authorId: 'users' },
+  users: { id: 'users', authorId: 'users' },
+  savedSearches: { id: 'savedSearches', userId: 'users', authorId: 'users' },
+  conversations: { id: 'conversations', productId: 'products', sellerId: 'users', buyerId: 'users', authorId: 'users' },
+  messages: { id: 'messages', conversationId: 'conversations', authorId: 'users', orderId: 'orders' },
+  orders: { id: 'orders', productId: 'products', sellerId: 'users', buyerId: 'users', subscriptionId: 'subscriptions', authorId: 'users' },
+  reviews: { id: 'reviews', orderId: 'orders', sellerId: 'users', buyerId: 'users', authorId: 'users' },
+  recurrences: { id: 'recurrences', sellerId: 'users', authorId: 'users' },
+  subscriptions: { id: 'subscriptions', recurrenceId: 'recurrences', sellerId: 'users', buyerId: 'users', authorId: 'users' },
+  productViews: { productId: 'products', sellerId: 'users', viewerId: 'users', authorId: 'users' },
+  searchMatches: { searchId: 'savedSearches', productId: 'products' },
+  profiles: { userId: 'users' }
+}
+
+// Anciennes catégories, enregistrées sous leur libellé français ; désormais une clé traduite à l'affichage
+export const LEGACY_CATEGORIES = {
+  Fruits: 'fruits',
+  Légumes: 'vegetables',
+  Céréales: 'cereals',
+  Légumineuses: 'pulses',
+  'Herbes aromatiques': 'herbs',
+  Fleurs: 'flowers',
+  Œufs: 'eggs',
+  'Produits laitiers': 'dairy',
+  Miel: 'honey',
+  Conserves: 'preserves',
+  Autres: 'other'
+}
+
+function upgradeCategory(category) {
+  return LEGACY_CATEGORIES[category] || category
+}
+
+// Auteur des enregistrements créés avant l'ajout du champ authorId
+const AUTHOR_FIELDS = {
+  products: 'sellerId',
+  users: 'id',
+  savedSearches: 'userId',
+  conversations: 'buyerId',
+  messages: 'authorId',
+  orders: 'buyerId',
+  reviews: 'buyerId',
+  recurrences: 'sellerId',
+  subscriptions: 'buyerId',
+  productViews: 'viewerId'
+}
+
+// Collections synchronisées : elles portent les métadonnées complètes
+const SHARED_COLLECTIONS = Object.keys(AUTHOR_FIELDS)
+
+function upgradeHistory(history) {
+  return Array.isArray(history)
+    ? history.map(entry => ({ ...entry, by: legacyId('users', entry.by) }))
+    : history
+}
+
+// Enregistrement d'avant les ULID (ou reçu d'un appareil pas encore migré) : identifiants
+// convertis, catégories en clés, métadonnées manquantes complétées. Sans effet sur un enregistrement déjà à jour.
+export function upgradeRecord(collection, record) {
+  if (!record || typeof record !== 'object') return record
+
+  const upgraded = { ...record }
+  for (const [field, target] of Object.entries(REFERENCES[collection] || {})) {
+    if (field in upgraded) upgraded[field] = legacyId(target, upgraded[field])
+  }
+
+  if (collection === 'products' || collection === 'orders') {
+    upgraded.history = upgradeHistory(upgraded.history)
+  }
+  if ((collection === 'products' || collection === 'savedSearches') && 'category' in upgraded) {
+    upgraded.category = upgradeCategory(upgraded.category)
+  }
+  if (collection === 'recurrences' && upgraded.template) {
+    upgraded.template = {
+      ...upgraded.template,
+      pickupPointId: legacyId('pickupPoints', upgraded.template.pickupPointId)
+    }
+    if ('category' in upgraded.template) upgraded.template.category = upgradeCategory(upgraded.template.category)
+  }
+  if (collection === 'reviews' && Array.isArray(upgraded.reports)) {
+    upgraded.reports = upgraded.reports.map(report => ({ ...report, userId: legacyId('users', report.userId) }))
+  }
+  if (collection === 'conversations' && upgraded.lastReadAt) {
+    upgraded.lastReadAt = Object.fromEntries(
+      Object.entries(upgraded.lastReadAt).map(([userId, at]) => [legacyId('users', userId), at])
+    )
+  }
+  if (collection === 'users' && Array.isArray(upgraded.farm?.pickupPoints)) {
+    upgraded.farm = {
+      ...upgraded.farm,
+      pickupPoints: upgraded.farm.pickupPoints.map(point => ({ ...point, id: legacyId('pickupPoints', point.id) }))
+    }
+  }
+
+  if (SHARED_COLLECTIONS.includes(collection)) {
+    upgraded.authorId = upgraded.authorId ?? upgraded[AUTHOR_FIELDS[collection]] ?? null
+    upgraded.origin = upgraded.origin ?? null // appareil inconnu pour les données migrées
+    // Un ancien identifiant était la date de création
+    upgraded.createdAt = upgraded.createdAt ?? upgraded.updatedAt ?? (typeof record.id === 'number' ? record.id : null)
+    upgraded.updatedAt = upgraded.updatedAt ?? upgraded.createdAt
+    upgraded.deletedAt = upgraded.deletedAt ?? null
+  }
+  return upgraded
+}
+
+// Nouvel enregistrement ; origin : identifiant de l'appareil, authorId : profil qui le crée
+export function createRecord(fields, { id = ulid(), authorId = null, origin = null } = {}) {
+  const now = Date.now()
+  return {
+    ...fields,
+    id,
+    origin,
+    authorId,
+    createdAt: now,
+    updatedAt: now,
+    deletedAt: null
+  }
+}
+
+// Modification en place, datée
+export function touch(record, changes = {}) {
+  return Object.assign(record, changes, { updatedAt: Date.now() })
+}
+
+// Suppression logique : l'enregistrement reste pour propager la suppression aux autres appareils
+export function tombstone(record, changes = {}) {
+  const now = Date.now()
+  return Object.assign(record, changes, { deletedAt: now, updatedAt: now })
+}
@@ -0,0 +1,68 @@
+// Rendu HTML sûr : toute valeur interpolée dans html`` est échappée,
+// sauf les fragments eux-mêmes produits par html`` (ou raw pour du balisage fixe).
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+}
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char])
+}
+
+// Fragment déjà sûr ; ne s'obtient que par html`` ou raw()
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup
+  }
+
+  toString() {
+    return this.markup
+  }
+}
+
+// Tableaux aplatis (listes .map()), null / undefined / false ignorés pour les blocs conditionnels
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.markup
+  if (Array.isArray(value)) return value.map(renderValue).join('')
+  if (value === null || value === undefined || value === false) return ''
+  return escapeHtml(value)
+}
+
+export function html(strings, ...values) {
+  let markup = strings[0]
+  values.forEach((value, i) => {
+    markup += renderValue(value) + strings[i + 1]
+  })
+  return new SafeHtml(markup)
+}
+
+// Balisage fixe écrit dans le code, jamais une donnée utilisateur
+export function raw(markup) {
+  return new SafeHtml(String(markup))
+}
+
+// Remplace le contenu d'un conteneur ; une chaîne simple est affichée comme texte
+export function render(container, template) {
+  if (!container) return
+  container.innerHTML = renderValue(template)
+}
+
+// Un seul écouteur par type d'événement : l'élément porte data-action="nom",
+// ses autres attributs data-* sont passés au gestionnaire correspondant.
+export function delegate(root, type, handlers) {
+  root.addEventListener(type, (event) => {
+    const element = event.target.closest?.('[data-action]')
+    if (!element || !root.contains(element)) return
+
+    const handler = handlers[element.dataset.action]
+    if (!handler) return
+
+    event.preventDefault()
+    handler(element.dataset, event, element)
+  })
+}
@@ -0,0 +1,214 @@
+// Serveur de synchronisation minimal pour le développement et les tests
+// Usage : npm run sync-server  (PORT=8787, DATA_FILE=server/data.json optionnels)
+import http from 'node:http'
+import fs from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+const COLLECTIONS = ['users', 'products', 'savedSearches', 'conversations', 'messages', 'orders', 'reviews', 'recurrences', 'subscriptions', 'productViews']
+
+function versionOf(record) {
+  return record.updatedAt || record.createdAt || 0
+}
+
+// Stockage en mémoire, éventuellement persisté dans un fichier JSON
+class SyncStore {
+  constructor(dataFile = null) {
+    this.dataFile = dataFile
+    this.seq = 0
+    this.collections = {}
+    for (const name of COLLECTIONS) this.collections[name] = new Map()
+    this.photos = new Map() // photoId ou photoId/thumb → { type, data }
+    this.load()
+  }
+
+  load() {
+    if (!this.dataFile || !fs.existsSync(this.dataFile)) return
+
+    const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'))
+    this.seq = data.seq || 0
+    for (const name of COLLECTIONS) {
+      for (const entry of data.collections?.[name] || []) {
+        this.collections[name].set(entry.record.id, entry)
+      }
+    }
+    for (const [key, { type, data: base64 }] of Object.entries(data.photos || {})) {
+      this.photos.set(key, { type, data: Buffer.from(base64, 'base64') })
+    }
+  }
+
+  save() {
+    if (!this.dataFile) return
+
+    const collections = {}
+    for (const name of COLLECTIONS) {
+      collections[name] = [...this.collections[name].values()]
+    }
+    const photos = {}
+    for (const [key, { type, data }] of this.photos) {
+      photos[key] = { type, data: data.toString('base64') }
+    }
+    fs.writeFileSync(this.dataFile, JSON.stringify({ seq: this.seq, collections, photos }))
+  }
+
+  // Enregistrements modifiés après le curseur, dans l'ordre d'écriture
+  since(collection, cursor) {
+    const records = [...this.collections[collection].values()]
+      .filter(entry => entry.seq > cursor)
+      .sort((a, b) => a.seq - b.seq)
+      .map(entry => entry.record)
+    return { records, cursor: this.seq }
+  }
+
+  // Dernier écrivain gagnant par enregistrement, d'après updatedAt
+  upsert(collection, records) {
+    const accepted = []
+    const rejected = []
+    const store = this.collections[collection]
+
+    for (const record of records) {
+      if (record?.id === undefined || record.id === null) continue
+
+      const current = store.get(record.id)
+      if (current && versionOf(current.record) >= versionOf(record)) {
+        rejected.push(record.id)
+        continue
+      }
+
+      store.set(record.id, { seq: ++this.seq, record })
+      accepted.push(record.id)
+    }
+
+    if (accepted.length > 0) this.save()
+    return { accepted, rejected, cursor: this.seq }
+  }
+
+  // Photos des lots : identifiants uniques, jamais modifiées après envoi
+  putPhoto(key, type, data) {
+    this.photos.set(key, { type, data })
+    this.save()
+  }
+
+  getPhoto(key) {
+    return this.photos.get(key) || null
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  })
+  res.end(JSON.stringify(body))
+}
+
+function sendPhoto(res, photo) {
+  res.writeHead(200, {
+    'Content-Type': photo.type,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'Access-Control-Allow-Origin': '*'
+  })
+  res.end(photo.data)
+}
+
+function readRaw(req, limit = 5 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        reject(new Error('Photo trop volumineuse'))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = ''
+    req.on('data', chunk => { data += chunk })
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {})
+      } catch (error) {
+        reject(error)
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+export function createSyncServer({ dataFile = null } = {}) {
+  const store = new SyncStore(dataFile)
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return sendJson(res, 204, {})
+
+    const url = new URL(req.url, 'http://localhost')
+    if (url.pathname === '/health') return sendJson(res, 200, { ok: true, cursor: store.seq })
+
+    // Photos : PUT par le service worker (file d'envoi), GET par les autres appareils
+    const photo = url.pathname.match(/^\/photos\/([\w-]+(?:\/thumb)?)$/)
+    if (photo) {
+      try {
+        if (req.method === 'GET') {
+          const stored = store.getPhoto(photo[1])
+          return stored ? sendPhoto(res, stored) : sendJson(res, 404, { error: 'Photo inconnue' })
+        }
+        if (req.method === 'PUT') {
+          const type = req.headers['content-type'] || ''
+          if (!type.startsWith('image/')) return sendJson(res, 415, { error: 'Image attendue' })
+          store.putPhoto(photo[1], type, await readRaw(req))
+          return sendJson(res, 200, { ok: true })
+        }
+        return sendJson(res, 405, { error: 'Méthode non autorisée' })
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message })
+      }
+    }
+
+    const match = url.pathname.match(/^\/sync\/([A-Za-z]+)$/)
+    if (!match || !COLLECTIONS.includes(match[1])) {
+      return sendJson(res, 404, { error: 'Collection inconnue' })
+    }
+    const collection = match[1]
+
+    try {
+      if (req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0
+        return sendJson(res, 200, store.since(collection, since))
+      }
+
+      if (req.method === 'POST') {
+        const body = await readBody(req)
+        if (!Array.isArray(body.records)) {
+          return sendJson(res, 400, { error: 'records doit être un tableau' })
+        }
+        return sendJson(res, 200, store.upsert(collection, body.records))
+      }
+
+      sendJson(res, 405, { error: 'Méthode non autorisée' })
+    } catch (error) {
+      sendJson(res, 400, { error: error.message })
+    }
+  })
+
+  server.store = store
+  return server
+}
+
+// Lancement direct : node server/sync-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 8787
+  const server = createSyncServer({ dataFile: process.env.DATA_FILE || null })
+  server.listen(port, () => {
+    console.log(`Serveur de synchronisation sur http://localhost:${port}`)
+  })
+}
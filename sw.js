@@ -1,14 +1,16 @@
 /* global self, clients */
 const VERSION = 'v1.0.1';
-const APP_SHELL = [
-  'index.html',
-  'manifest.webmanifest',
-  'styles.css',
-  'main.js'
-];
+// Fichiers produits par le build, listés par vite-plugin-pwa (injectManifest) avec leur révision.
+// Absents en développement, où ce fichier est servi tel quel.
+const PRECACHE_MANIFEST = self.__WB_MANIFEST || [];
+const APP_SHELL = PRECACHE_MANIFEST.map(entry => new URL(entry.url, self.registration.scope).href);
+const APP_ENTRY = new URL('index.html', self.registration.scope).href;
 const RUNTIME_CACHE = `runtime-${VERSION}`;
 const SHELL_CACHE = `shell-${VERSION}`;
-const API_BASE = 'https://api.example.com'; // ← remplace par ton API
+const TILE_CACHE = 'map-tiles'; // conservé entre versions : les tuiles ne dépendent pas du code
+const TILE_CACHE_MAX = 800;
+// Tuiles de carte, quel que soit le serveur configuré : …/{z}/{x}/{y}.png
+const TILE_PATTERN = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
 
 // Helper: SW-safe fetch with timeout
 const swFetch = (req, { timeout = 8000 } = {}) => {
@@ -17,25 +19,38 @@ const swFetch = (req, { timeout = 8000 } = {}) => {
   return fetch(req, { signal: controller.signal }).finally(() => clearTimeout(id));
 };
 
-// Install: precache app shell
+// Install: precache app shell (sans passer par le cache HTTP, pour avoir les fichiers de ce build)
 self.addEventListener('install', (e) => {
   e.waitUntil(
-    caches.open(SHELL_CACHE).then((c) => c.addAll(APP_SHELL))
+    caches.open(SHELL_CACHE).then((c) => c.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
   );
   self.skipWaiting();
 });
 
-// Activate: cleanup old caches
+// Activate: cleanup old caches, et fichiers des builds précédents
 self.addEventListener('activate', (e) => {
   e.waitUntil((async () => {
     const keys = await caches.keys();
     await Promise.all(keys.map(k => {
-      if (![SHELL_CACHE, RUNTIME_CACHE].includes(k)) return caches.delete(k);
+      if (![SHELL_CACHE, RUNTIME_CACHE, TILE_CACHE].includes(k)) return caches.delete(k);
     }));
+    const shell = await caches.open(SHELL_CACHE);
+    for (const req of await shell.keys()) {
+      if (!APP_SHELL.includes(req.url)) await shell.delete(req);
+    }
     await self.clients.claim();
   })());
 });
 
+// Hors ligne : une navigation retombe sur la page de l'application, le reste échoue
+const offlineFallback = async (req) => {
+  if (req.mode === 'navigate') {
+    const shell = await caches.match(APP_ENTRY, { cacheName: SHELL_CACHE });
+    if (shell) return shell;
+  }
+  return Response.error();
+};
+
 // Network strategies
 const cacheFirst = async (req) => {
   const cache = await caches.open(RUNTIME_CACHE);
@@ -46,7 +61,7 @@ const cacheFirst = async (req) => {
     if (res && res.ok && req.method === 'GET') cache.put(req, res.clone());
     return res;
   } catch (e) {
-    return caches.match('/offline.html');
+    return offlineFallback(req);
   }
 };
 
@@ -58,7 +73,7 @@ const networkFirst = async (req) => {
     return res;
   } catch (e) {
     const cached = await cache.match(req);
-    return cached || caches.match('/offline.html');
+    return cached || offlineFallback(req);
   }
 };
 
@@ -68,26 +83,131 @@ const staleWhileRevalidate = async (req) => {
   const fetchPromise = swFetch(req).then((res) => {
     if (res && res.ok) cache.put(req, res.clone());
     return res;
-  }).catch(() => cached || caches.match('/offline.html'));
+  }).catch(() => cached || offlineFallback(req));
   return cached || fetchPromise;
 };
 
+// Tuiles : cache d'abord, réponses opaques acceptées (serveurs sans CORS)
+const tileCacheFirst = async (req) => {
+  const cache = await caches.open(TILE_CACHE);
+  const match = await cache.match(req);
+  if (match) return match;
+  try {
+    const res = await swFetch(req);
+    if (res && (res.ok || res.type === 'opaque')) {
+      await cache.put(req, res.clone());
+      trimCache(TILE_CACHE, TILE_CACHE_MAX);
+    }
+    return res;
+  } catch (e) {
+    // Pas de tuile : la page affiche son fond vectoriel
+    return Response.error();
+  }
+};
+
+// Supprimer les entrées les plus anciennes au-delà de la limite
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  for (const key of keys.slice(0, Math.max(0, keys.length - max))) {
+    await cache.delete(key);
+  }
+}
+
+// Base de l'application (db.js) : photos, produits et réglages. Le service worker ne crée
+// ni ne migre jamais cette base ; absente ou pas encore migrée, elle est ignorée.
+const APP_DB = 'marche-local';
+const PHOTO_PATTERN = /\/photos\/([\w-]+)(\/thumb)?$/;
+
+function openAppDB() {
+  return new Promise((resolve) => {
+    const req = indexedDB.open(APP_DB);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onerror = () => resolve(null);
+    req.onsuccess = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('settings')) { db.close(); resolve(null); return; }
+      resolve(db);
+    };
+  });
+}
+
+async function readAppRecord(store, key) {
+  const db = await openAppDB();
+  if (!db) return null;
+  try {
+    return (await dbGet(db, store, key)) || null;
+  } catch {
+    return null;
+  } finally {
+    db.close();
+  }
+}
+
+// Prévenir les onglets ouverts, comme Database.notify() dans db.js
+function notifyAppChange(stores) {
+  if (typeof BroadcastChannel === 'undefined') return;
+  const channel = new BroadcastChannel('marche-local-db');
+  channel.postMessage({ type: 'change', stores });
+  channel.close();
+}
+
+const photoKey = (id, thumb) => (thumb ? `photo:${id}:thumb` : `photo:${id}`);
+
+const photoFirst = async (req, [, id, thumb]) => {
+  const blob = await readAppRecord('photos', photoKey(id, thumb));
+  if (blob instanceof Blob) {
+    return new Response(blob, { headers: { 'Content-Type': blob.type || 'image/jpeg' } });
+  }
+
+  // Photo publiée depuis un autre appareil : serveur de synchronisation, puis cache
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(req);
+  if (cached) return cached;
+
+  const apiBase = await readApiBase(await openOutbox());
+  if (!apiBase) return Response.error();
+  try {
+    const res = await swFetch(`${apiBase}/photos/${id}${thumb ? '/thumb' : ''}`);
+    if (res && res.ok) await cache.put(req, res.clone());
+    return res;
+  } catch (e) {
+    return Response.error();
+  }
+};
+
 // Route selection
 self.addEventListener('fetch', (e) => {
   const { request } = e;
   const url = new URL(request.url);
 
-  // Only handle same-origin or our API
-  if (url.origin !== self.location.origin && !url.href.startsWith(API_BASE)) return;
+  // Map tiles (any configured tile server)
+  if (request.destination === 'image' && TILE_PATTERN.test(url.pathname)) {
+    e.respondWith(tileCacheFirst(request));
+    return;
+  }
 
-  // HTML navigation → Network First (fresh content)
-  if (request.mode === 'navigate' || (request.destination === 'document')) {
-    e.respondWith(networkFirst(request));
+  // Only handle same-origin
+  if (url.origin !== self.location.origin) return;
+
+  // Sync API (serveur configuré dans les réglages) → réseau uniquement, jamais de cache
+  if (url.pathname.includes('/sync/') || request.method !== 'GET') return;
+
+  // Photos locales, en vignette dans les cartes ou ouvertes dans un onglet
+  const photo = url.pathname.match(PHOTO_PATTERN);
+  if (photo) {
+    e.respondWith(photoFirst(request, photo));
     return;
   }
 
-  // API calls → Network First
-  if (url.href.startsWith(API_BASE)) {
+  // Fichiers du build (noms versionnés) → précache d'abord
+  if (APP_SHELL.includes(url.href) && request.mode !== 'navigate') {
+    e.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached || staleWhileRevalidate(request)));
+    return;
+  }
+
+  // HTML navigation → Network First (fresh content)
+  if (request.mode === 'navigate' || (request.destination === 'document')) {
     e.respondWith(networkFirst(request));
     return;
   }
@@ -108,37 +228,118 @@ self.addEventListener('fetch', (e) => {
   e.respondWith(cacheFirst(request));
 });
 
-// Offline fallback for navigation errors
-self.addEventListener('fetcherror', (evt) => {
-  evt.respondWith(caches.match('/offline.html'));
+// Background Sync : rejouer la file d'envoi remplie par main.js (OutboxManager)
+const OUTBOX_DB = 'outbox-db';
+const MAX_ATTEMPTS = 6;
+
+// 30 s, 1 min, 2 min… plafonné à 1 h
+const backoffDelay = (attempts) => Math.min(30000 * 2 ** (attempts - 1), 3600000);
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === 'sync-outbox') {
+    event.waitUntil(syncPending());
+  }
 });
 
-// Background Sync
-self.addEventListener('sync', async (event) => {
-  if (event.tag === 'sync-tasks') {
+// Navigateurs sans Background Sync : la page demande le rejeu directement
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'REPLAY_OUTBOX') {
     event.waitUntil(syncPending());
   }
 });
 
-async function syncPending() {
-  // petite lib IDB inlined
-  const db = await openDB('tasks-db', 1, (upgradeDb) => {
+function openOutbox() {
+  return openDB(OUTBOX_DB, 1, (upgradeDb) => {
     if (!upgradeDb.objectStoreNames.contains('queue')) {
       upgradeDb.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
     }
+    if (!upgradeDb.objectStoreNames.contains('meta')) {
+      upgradeDb.createObjectStore('meta', { keyPath: 'key' });
+    }
   });
-  const all = await dbGetAll(db, 'queue');
+}
+
+// Adresse du serveur écrite par OutboxManager.setApiBase dans main.js
+async function readApiBase(db) {
+  const meta = await dbGet(db, 'meta', 'apiBase');
+  return meta && meta.value ? meta.value.replace(/\/+$/, '') : '';
+}
+
+let replaying = null;
+
+function syncPending() {
+  // Un seul rejeu à la fois pour conserver l'ordre des modifications
+  if (!replaying) replaying = replayOutbox().finally(() => { replaying = null; });
+  return replaying;
+}
+
+async function replayOutbox() {
+  const db = await openOutbox();
+  const apiBase = await readApiBase(db);
+  const result = { type: 'SYNC_DONE', sent: 0, failed: 0, pending: 0 };
+  if (!apiBase) {
+    sendClientMessage(result);
+    return;
+  }
+
+  const all = (await dbGetAll(db, 'queue')).sort((a, b) => a.id - b.id);
+  const now = Date.now();
+
   for (const item of all) {
+    if (item.status === 'failed') { result.failed++; continue; }
+    if (item.nextAttemptAt > now) { result.pending++; continue; }
+
     try {
-      const res = await fetch(`${API_BASE}/tasks`, {
-        method: item.method || 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(item.payload || {})
-      });
-      if (res.ok) await dbDelete(db, 'queue', item.id);
-    } catch (_) {/* reste en file */}
+      const res = item.collection === 'photos'
+        ? await uploadPhoto(apiBase, item.recordId)
+        : await swFetch(new Request(`${apiBase}/sync/${item.collection}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ records: [item.record] })
+        }));
+      if (res.ok) {
+        await dbDelete(db, 'queue', item.id);
+        result.sent++;
+        continue;
+      }
+      // Erreur client (hors 408/429) : inutile de réessayer automatiquement
+      const permanent = res.status >= 400 && res.status < 500 && ![408, 429].includes(res.status);
+      await recordFailure(db, item, `HTTP ${res.status}`, permanent);
+    } catch (e) {
+      await recordFailure(db, item, e.message || 'Réseau indisponible', false);
+    }
+    if (item.status === 'failed') result.failed++; else result.pending++;
+  }
+
+  sendClientMessage(result);
+}
+
+// Photo pleine taille puis vignette, lues dans la base de l'application. Supprimée entre-temps
+// de l'appareil : plus rien à envoyer, l'entrée est retirée.
+async function uploadPhoto(apiBase, id) {
+  for (const thumb of [false, true]) {
+    const blob = await readAppRecord('photos', photoKey(id, thumb));
+    if (!(blob instanceof Blob)) return new Response(null, { status: 204 });
+
+    const res = await swFetch(new Request(`${apiBase}/photos/${id}${thumb ? '/thumb' : ''}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': blob.type || 'image/jpeg' },
+      body: blob
+    }), { timeout: 30000 });
+    if (!res.ok) return res;
+  }
+  return new Response(null, { status: 204 });
+}
+
+async function recordFailure(db, item, error, permanent) {
+  item.attempts = (item.attempts || 0) + 1;
+  item.lastError = error;
+  if (permanent || item.attempts >= MAX_ATTEMPTS) {
+    item.status = 'failed';
+  } else {
+    item.nextAttemptAt = Date.now() + backoffDelay(item.attempts);
   }
-  sendClientMessage({ type: 'SYNC_DONE' });
+  await dbPut(db, 'queue', item);
 }
 
 function sendClientMessage(msg) {
@@ -157,8 +358,11 @@ function openDB(name, version, upgradeCb) {
   });
 }
 function dbTx(db, store, mode) { return db.transaction(store, mode).objectStore(store); }
-function dbAdd(db, store, value) {
-  return new Promise((resolve, reject) => { const r = dbTx(db, store, 'readwrite').add(value); r.onsuccess=()=>resolve(r.result); r.onerror=()=>reject(r.error); });
+function dbGet(db, store, key) {
+  return new Promise((resolve, reject) => { const r = dbTx(db, store, 'readonly').get(key); r.onsuccess=()=>resolve(r.result); r.onerror=()=>reject(r.error); });
+}
+function dbPut(db, store, value) {
+  return new Promise((resolve, reject) => { const r = dbTx(db, store, 'readwrite').put(value); r.onsuccess=()=>resolve(r.result); r.onerror=()=>reject(r.error); });
 }
 function dbGetAll(db, store) {
   return new Promise((resolve, reject) => { const r = dbTx(db, store, 'readonly').getAll(); r.onsuccess=()=>resolve(r.result||[]); r.onerror=()=>reject(r.error); });
@@ -167,31 +371,247 @@ function dbDelete(db, store, key) {
   return new Promise((resolve, reject) => { const r = dbTx(db, store, 'readwrite').delete(key); r.onsuccess=()=>resolve(); r.onerror=()=>reject(r.error); });
 }
 
+// Textes des notifications dans la langue de l'application (réglage locale, sinon celle du
+// navigateur). Un service worker classique n'importe pas i18n.js : mêmes clés que locales/*.js.
+const MESSAGES = {
+  fr: {
+    'notification.action.seller': 'Gérer mes lots',
+    'notification.action.viewOrder': 'Voir la commande',
+    'notification.action.view': 'Voir le produit',
+    'notification.action.reserve': 'Réserver',
+    'notification.action.muteSearch': 'Ignorer cette alerte',
+    'lifecycle.expiring': 'Lot bientôt expiré',
+    'lifecycle.expiringBody': '{name} ne sera plus proposé après le {date}',
+    'push.order': 'Mise à jour de votre commande',
+    'push.product': 'Nouveau produit près de chez vous',
+    'push.body': 'Ouvrir le marché local'
+  },
+  de: {
+    'notification.action.seller': 'Meine Lose verwalten',
+    'notification.action.viewOrder': 'Bestellung ansehen',
+    'notification.action.view': 'Produkt ansehen',
+    'notification.action.reserve': 'Reservieren',
+    'notification.action.muteSearch': 'Diesen Suchalarm ignorieren',
+    'lifecycle.expiring': 'Los läuft bald ab',
+    'lifecycle.expiringBody': '{name} wird nach dem {date} nicht mehr angeboten',
+    'push.order': 'Neuigkeiten zu Ihrer Bestellung',
+    'push.product': 'Neues Produkt in Ihrer Nähe',
+    'push.body': 'Lokalen Markt öffnen'
+  },
+  en: {
+    'notification.action.seller': 'Manage my lots',
+    'notification.action.viewOrder': 'View order',
+    'notification.action.view': 'View product',
+    'notification.action.reserve': 'Reserve',
+    'notification.action.muteSearch': 'Ignore this alert',
+    'lifecycle.expiring': 'Lot expiring soon',
+    'lifecycle.expiringBody': '{name} will no longer be offered after {date}',
+    'push.order': 'Update on your order',
+    'push.product': 'New product near you',
+    'push.body': 'Open the local market'
+  }
+};
+let locale = 'fr';
+
+async function loadLocale() {
+  const entry = await readAppRecord('settings', 'locale');
+  const languages = [entry && entry.value, ...(self.navigator.languages || [self.navigator.language])];
+  locale = languages.map(l => String(l || '').slice(0, 2).toLowerCase()).find(code => MESSAGES[code]) || 'fr';
+}
+
+function tr(key, params = {}) {
+  const message = MESSAGES[locale][key] || MESSAGES.fr[key] || key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+// Notifications marché : actions selon le type (produit ou commande)
+function notificationActions(data) {
+  if (data.kind === 'expiry') {
+    return [{ action: 'seller', title: tr('notification.action.seller') }];
+  }
+  if (data.orderId) {
+    return [{ action: 'view-order', title: tr('notification.action.viewOrder') }];
+  }
+  const actions = [
+    { action: 'view', title: tr('notification.action.view') },
+    { action: 'reserve', title: tr('notification.action.reserve') }
+  ];
+  if (data.searchId) actions.push({ action: 'mute-search', title: tr('notification.action.muteSearch') });
+  return actions;
+}
+
+// Lien profond vers le produit ou la commande concernés (routes #/… de l'application).
+// Les actions à effet (réserver, ignorer une alerte) passent en paramètres, retirés après usage.
+function notificationUrl(data, action) {
+  if (action === 'reserve' || action === 'mute-search') {
+    const params = new URLSearchParams({ action });
+    if (data.productId) params.set('produit', data.productId);
+    if (action === 'mute-search' && data.searchId) params.set('alerte', data.searchId);
+    return new URL(`./?${params}`, self.registration.scope).href;
+  }
+
+  let route = '/';
+  if (action === 'seller') route = '/vendre';
+  else if (data.orderId) route = `/commande/${data.orderId}`;
+  else if (data.productId) route = `/produit/${data.productId}`;
+  return new URL(`./#${route}`, self.registration.scope).href;
+}
+
+// Cycle de vie des lots appli fermée (même règles que ProductManager.harvestStatus dans main.js)
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_FRESHNESS_DAYS = 5;
+const LIFECYCLE_TRANSITIONS = {
+  'à venir': ['disponible', 'expiré'],
+  'disponible': ['expiré']
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'product-lifecycle') {
+    event.waitUntil(runLifecycle());
+  }
+});
+
+function harvestStatus(product, now) {
+  const start = new Date(`${product.harvestDate}T00:00:00`).getTime();
+  if (!product.harvestDate || Number.isNaN(start)) return 'disponible';
+  if (now < start) return 'à venir';
+  if (now < start + (product.freshnessDays || DEFAULT_FRESHNESS_DAYS) * DAY) return 'disponible';
+  return 'expiré';
+}
+
+async function runLifecycle() {
+  const appDb = await openAppDB();
+  if (!appDb) return;
+  const entry = await dbGet(appDb, 'settings', 'currentUser');
+  const currentUser = entry && entry.value;
+  const now = Date.now();
+  const changed = [];
+  const expiringSoon = [];
+
+  // Lecture et écritures dans une même transaction, comme LifecycleManager.run dans main.js
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = appDb.transaction('products', 'readwrite');
+      const store = tx.objectStore('products');
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+
+      store.getAll().onsuccess = (event) => {
+        for (const product of event.target.result || []) {
+          // Lots du profil courant seulement : ceux des autres vendeurs, renvoyés avec un
+          // updatedAt plus récent, écraseraient sur le serveur les modifications du vendeur
+          if (!currentUser || product.sellerId !== currentUser.id) continue;
+          const allowed = LIFECYCLE_TRANSITIONS[product.status];
+          if (!allowed) continue;
+
+          const status = harvestStatus(product, now);
+          if (status !== product.status && allowed.includes(status)) {
+            product.status = status;
+            product.updatedAt = now;
+            changed.push(product);
+          }
+
+          const start = new Date(`${product.harvestDate}T00:00:00`).getTime();
+          const expiresAt = start + (product.freshnessDays || DEFAULT_FRESHNESS_DAYS) * DAY;
+          if (product.status === 'disponible' && !product.expiryNotifiedAt && expiresAt - now <= DAY) {
+            product.expiryNotifiedAt = now;
+            product.updatedAt = now;
+            if (!changed.includes(product)) changed.push(product);
+            expiringSoon.push({ product, expiresAt });
+          }
+        }
+        changed.forEach(product => store.put(product));
+      };
+    });
+  } finally {
+    appDb.close();
+  }
+
+  if (changed.length === 0) return;
+  notifyAppChange(['products']);
+
+  // Les modifications rejoignent la file d'envoi comme celles de la page
+  const db = await openOutbox();
+  if (await readApiBase(db)) {
+    for (const product of changed) {
+      await dbPut(db, 'queue', {
+        type: 'product.status',
+        collection: 'products',
+        recordId: product.id,
+        record: product,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        createdAt: now
+      });
+    }
+    await syncPending();
+  }
+
+  if (expiringSoon.length > 0) await loadLocale();
+  for (const { product, expiresAt } of expiringSoon) {
+    const data = { productId: product.id, kind: 'expiry' };
+    await self.registration.showNotification(tr('lifecycle.expiring'), {
+      body: tr('lifecycle.expiringBody', {
+        name: product.name,
+        date: new Date(expiresAt).toLocaleDateString(locale, { dateStyle: 'medium' })
+      }),
+      icon: 'la-generation-didees.png',
+      tag: `expiry-${product.id}`,
+      data,
+      actions: notificationActions(data)
+    });
+  }
+}
+
 // Push notifications
 self.addEventListener('push', (event) => {
   let payload = {};
   try { payload = event.data ? event.data.json() : {}; } catch { payload = {}; }
-  const title = payload.title || 'Nouvelle notification';
-  const options = {
-    body: payload.body || 'Ouvrir l’application',
-    icon: '/icons/icon-192.png',
-    badge: '/icons/icon-192.png',
-    data: { url: payload.url || '/' },
-    vibrate: [80, 40, 80],
-    actions: [
-      { action: 'open', title: 'Ouvrir' },
-      { action: 'done', title: 'Marquer comme fait' }
-    ]
+  const data = {
+    productId: payload.productId || null,
+    orderId: payload.orderId || null,
+    searchId: payload.searchId || null
   };
-  event.waitUntil(self.registration.showNotification(title, options));
+  event.waitUntil((async () => {
+    await loadLocale();
+    const title = payload.title || tr(data.orderId ? 'push.order' : 'push.product');
+    await self.registration.showNotification(title, {
+      body: payload.body || tr('push.body'),
+      icon: 'la-generation-didees.png',
+      badge: 'la-generation-didees.png',
+      tag: data.orderId ? `commande-${data.orderId}` : `produit-${data.productId}`,
+      data,
+      vibrate: [80, 40, 80],
+      actions: notificationActions(data)
+    });
+  })());
 });
 
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
-  const url = (event.notification.data && event.notification.data.url) || '/';
-  if (event.action === 'done') {
-    // Optionnel: envoyer un signal d’action
-    sendClientMessage({ type: 'NOTIF_DONE' });
-  }
-  event.waitUntil(clients.openWindow(url));
+  const data = event.notification.data || {};
+  const action = event.action || (data.orderId ? 'view-order' : 'view');
+
+  event.waitUntil((async () => {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(c => c.url.startsWith(self.registration.scope));
+
+    // Application déjà ouverte : la focaliser et lui transmettre l'action
+    if (client) {
+      await client.focus();
+      client.postMessage({
+        type: 'NOTIFICATION_ACTION',
+        action,
+        productId: data.productId,
+        orderId: data.orderId,
+        searchId: data.searchId
+      });
+      return;
+    }
+
+    await clients.openWindow(notificationUrl(data, action));
+  })());
 });
@@ -0,0 +1,162 @@
+// Accessibilité : axe-core sur chaque vue de l'application chargée dans jsdom, puis sur les annonces,
+// la navigation par onglets et les erreurs de saisie
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import 'fake-indexeddb/auto'
+import { JSDOM } from 'jsdom'
+import axe from 'axe-core'
+
+const page = await readFile(new URL('../index.html', import.meta.url), 'utf8')
+const styles = await readFile(new URL('../style.css', import.meta.url), 'utf8')
+const dom = new JSDOM(page, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true })
+const { window } = dom
+const { document } = window
+
+// Feuille de style en ligne : les vues masquées (.hidden) sont exclues de l'analyse comme dans le navigateur
+const style = document.createElement('style')
+style.textContent = styles
+document.head.append(style)
+
+// L'application s'exécute dans le document de jsdom : ses globales remplacent celles de Node
+// (FormData, Event…) pour que formulaires et événements soient ceux du document
+for (const name of Object.getOwnPropertyNames(window)) {
+  if (/^(HTML|SVG|Node|Element|Document|Text|FormData|DOMParser|MutationObserver|Image$|.*Event$)/.test(name) ||
+    ['window', 'document', 'navigator', 'location', 'history', 'localStorage', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'].includes(name)) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true })
+  }
+}
+
+// Ce que jsdom n'implémente pas
+window.CSS = { escape: value => String(value).replace(/["\\]/g, '\\$&') }
+globalThis.CSS = window.CSS
+window.HTMLElement.prototype.scrollIntoView = () => {}
+URL.createObjectURL ??= () => 'blob:http://localhost/photo'
+URL.revokeObjectURL ??= () => {}
+
+// Synchronisations périodiques : elles ne doivent pas retenir le processus de test
+const setIntervalNode = globalThis.setInterval
+globalThis.setInterval = (...args) => setIntervalNode(...args).unref()
+
+window.eval(axe.source)
+
+// jsdom n'implémente pas requestSubmit
+function submit(form) {
+  form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }))
+}
+
+const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms))
+
+async function waitFor(predicate, label) {
+  for (let i = 0; i < 100; i++) {
+    if (predicate()) return
+    await settle()
+  }
+  assert.fail(`délai dépassé : ${label}`)
+}
+
+// Contraste : jsdom ne calcule ni mise en page ni couleurs héritées, la règle n'y a pas de sens
+async function violations(context = document) {
+  const results = await window.axe.run(context, { rules: { 'color-contrast': { enabled: false } } })
+  return Array.from(results.violations, v => `${v.id} : ${v.nodes.map(node => node.target.join(' ')).join(', ')}`)
+}
+
+function visibleView() {
+  return [...document.querySelectorAll('.view')].filter(view => !view.classList.contains('hidden')).map(view => view.id)
+}
+
+let app
+let db
+
+// Lancement terminé quand une première vue a été affichée (sans profil : la configuration)
+before(async () => {
+  await import('../main.js')
+  ;({ db } = await import('../db.js'))
+  app = window.app
+  await waitFor(() => app.viewShown, 'lancement de l\'application')
+  assert.deepEqual(visibleView(), ['setup-view'])
+})
+
+// Le canal de diffusion de la base retiendrait le processus
+after(() => {
+  db.channel?.close()
+  window.close()
+})
+
+test('la vue de configuration et l\'erreur de saisie liée au champ', async () => {
+  assert.deepEqual(await violations(), [])
+
+  const form = document.getElementById('user-setup-form')
+  submit(form)
+  const name = document.getElementById('name')
+  assert.equal(name.getAttribute('aria-invalid'), 'true')
+  const error = document.getElementById(name.getAttribute('aria-describedby'))
+  assert.ok(error?.classList.contains('field-error'))
+  assert.notEqual(error.textContent, '')
+  assert.equal(document.activeElement, name)
+  assert.deepEqual(await violations(), [])
+
+  // Saisie valide : l'erreur disparaît
+  name.value = 'Maraîcher'
+  name.dispatchEvent(new window.Event('input', { bubbles: true }))
+  assert.equal(name.hasAttribute('aria-invalid'), false)
+  assert.equal(name.hasAttribute('aria-describedby'), false)
+  assert.equal(document.getElementById(error.id), null)
+})
+
+test('chaque vue, une fois le profil créé', async () => {
+  const form = document.getElementById('user-setup-form')
+  form.elements.name.value = 'Maraîcher'
+  form.elements.type.value = 'both'
+  form.elements.commune.value = '35000 Rennes'
+  submit(form)
+  await waitFor(() => app.currentUser, 'profil créé')
+  await settle(200)
+
+  for (const view of ['home', 'products', 'seller', 'analytics', 'buyer', 'orders', 'messages', 'settings', 'profiles']) {
+    app.showView(view)
+    await settle(200)
+    assert.deepEqual(visibleView(), [`${view}-view`])
+    assert.deepEqual(await violations(), [], `vue ${view}`)
+  }
+})
+
+test('les annonces sont lues par les zones live, les erreurs immédiatement', async () => {
+  const polite = document.querySelector('[aria-live="polite"].sr-only')
+  const assertive = document.querySelector('[aria-live="assertive"].sr-only')
+
+  app.showNotification('Lot publié')
+  app.showNotification('Échec de la synchronisation', { tone: 'error' })
+  await settle(150)
+  assert.equal(polite.textContent, 'Lot publié')
+  assert.equal(assertive.textContent, 'Échec de la synchronisation')
+
+  const toasts = document.querySelectorAll('.toast-stack .toast')
+  assert.ok(toasts.length >= 2)
+  assert.ok([...toasts].every(toast => toast.querySelector('.toast-close')?.getAttribute('aria-label')))
+  assert.deepEqual(await violations(), [])
+})
+
+test('les onglets : un seul sélectionné et atteignable, flèches, Début et Fin', async () => {
+  app.showView('products')
+  await settle(100)
+  const tabs = [...document.querySelectorAll('.main-nav [role="tab"]')].filter(tab => !tab.hidden && !tab.classList.contains('hidden'))
+  const selected = tabs.filter(tab => tab.getAttribute('aria-selected') === 'true')
+  assert.deepEqual(selected.map(tab => tab.getAttribute('aria-controls')), ['products-view'])
+  assert.deepEqual(tabs.filter(tab => tab.tabIndex === 0), selected)
+
+  const press = key => document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }))
+  selected[0].focus()
+  press('ArrowRight')
+  assert.equal(document.activeElement, tabs[tabs.indexOf(selected[0]) + 1])
+  press('End')
+  assert.equal(document.activeElement, tabs.at(-1))
+  press('ArrowRight')
+  assert.equal(document.activeElement, tabs[0])
+  press('ArrowLeft')
+  assert.equal(document.activeElement, tabs.at(-1))
+  press('Home')
+  assert.equal(document.activeElement, tabs[0])
+
+  assert.deepEqual(await violations(document.querySelector('.main-nav')), [])
+})
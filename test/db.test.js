@@ -0,0 +1,125 @@
+// Base IndexedDB (fake-indexeddb) : reprise des données localforage et migrations du schéma
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import 'fake-indexeddb/auto'
+import localforage from 'localforage'
+import { Database, DB_VERSION, STORES, db } from '../db.js'
+import { legacyId } from '../records.js'
+
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/
+const databases = []
+
+after(async () => {
+  db.channel?.close()
+  for (const database of databases) {
+    const opened = await database.open()
+    opened.close()
+    database.channel?.close()
+  }
+})
+
+function openDatabase(name) {
+  const database = new Database(name)
+  databases.push(database)
+  return database
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Base telle que l'écrivait la version 1 : stores et index initiaux, anciens enregistrements
+async function createVersion1(name, records) {
+  const req = indexedDB.open(name, 1)
+  req.onupgradeneeded = () => {
+    const names = ['products', 'users', 'savedSearches', 'conversations', 'messages', 'orders', 'reviews', 'recurrences', 'subscriptions', 'searchMatches', 'profiles', 'settings', 'photos']
+    for (const store of names) {
+      const { keyPath, indexes = [] } = STORES[store]
+      const created = req.result.createObjectStore(store, keyPath ? { keyPath } : undefined)
+      for (const index of indexes) created.createIndex(index, index)
+    }
+  }
+  const database = await request(req)
+  const tx = database.transaction(Object.keys(records), 'readwrite')
+  for (const [store, values] of Object.entries(records)) {
+    for (const value of values) tx.objectStore(store).put(value)
+  }
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+  database.close()
+}
+
+test('les tableaux localforage sont repris une seule fois, convertis, puis supprimés', async () => {
+  const sellerId = 1690000000000
+  await localforage.setItem('products', [
+    { id: 1700000000000, sellerId, title: 'Courgettes', category: 'Légumes', status: 'available' },
+    { title: 'Sans identifiant' }
+  ])
+  await localforage.setItem('users', [{ id: sellerId, name: 'Ferme des Prés' }])
+  await localforage.setItem('currentUser', { id: sellerId, name: 'Ferme des Prés' })
+  await localforage.setItem('photo:1700000000000', 'photo')
+
+  const database = openDatabase('test-import')
+  const products = await database.getAll('products')
+  assert.equal(products.length, 1)
+  assert.equal(products[0].id, legacyId('products', 1700000000000))
+  assert.equal(products[0].sellerId, legacyId('users', sellerId))
+  assert.equal(products[0].category, 'vegetables')
+  assert.equal(products[0].authorId, products[0].sellerId)
+  assert.equal(products[0].deletedAt, null)
+
+  const currentUser = await database.getSetting('currentUser')
+  assert.equal(currentUser.id, legacyId('users', sellerId))
+  assert.equal(await database.get('photos', 'photo:1700000000000'), 'photo')
+  assert.ok(await database.getSetting('legacyImportedAt'))
+
+  assert.equal(await localforage.getItem('products'), null)
+  assert.equal(await localforage.getItem('currentUser'), null)
+  assert.deepEqual(await localforage.keys(), [])
+
+  // Nouvelle ouverture, d'autres données localforage : la reprise n'a plus lieu
+  await localforage.setItem('products', [{ id: 1700000000009, sellerId, title: 'Tardif' }])
+  const reopened = openDatabase('test-import')
+  assert.equal((await reopened.getAll('products')).length, 1)
+  await localforage.removeItem('products')
+})
+
+test('une base en version 1 passe à la dernière version, ses enregistrements convertis', async () => {
+  const sellerId = 1690000000000
+  await createVersion1('test-migrations', {
+    products: [{ id: 1700000000000, sellerId, title: 'Miel de tilleul', category: 'Miel', status: 'available' }],
+    users: [{ id: sellerId, name: 'Rucher', farm: { pickupPoints: [{ id: 1690000000001, name: 'Rucher' }] } }],
+    recurrences: [{ id: 1700000000002, sellerId, template: { category: 'Œufs', pickupPointId: 1690000000001 } }],
+    settings: [
+      { key: 'currentUser', value: { id: sellerId, name: 'Rucher' } },
+      { key: 'legacyImportedAt', value: 1 }
+    ]
+  })
+
+  const database = openDatabase('test-migrations')
+  const opened = await database.open()
+  assert.equal(opened.version, DB_VERSION)
+  assert.ok(opened.objectStoreNames.contains('productViews'))
+
+  const [product] = await database.getAll('products')
+  assert.match(product.id, ULID)
+  assert.equal(product.id, legacyId('products', 1700000000000))
+  assert.equal(product.category, 'honey')
+  assert.equal(product.createdAt, 1700000000000)
+  assert.equal(product.origin, null)
+  assert.deepEqual(await database.getAllBy('products', 'sellerId', legacyId('users', sellerId)), [product])
+
+  const [user] = await database.getAll('users')
+  assert.equal(user.farm.pickupPoints[0].id, legacyId('pickupPoints', 1690000000001))
+
+  const [recurrence] = await database.getAll('recurrences')
+  assert.equal(recurrence.template.category, 'eggs')
+  assert.equal(recurrence.template.pickupPointId, legacyId('pickupPoints', 1690000000001))
+
+  assert.equal((await database.getSetting('currentUser')).id, legacyId('users', sellerId))
+})
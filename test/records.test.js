@@ -0,0 +1,81 @@
+// Identité des enregistrements : conversion déterministe des anciens identifiants, migration idempotente
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { legacyId, ulid, upgradeRecord } from '../records.js'
+
+const ULID = /^[0-9A-HJKMNP-TV-Z]{26}$/
+
+test('un ancien identifiant donne le même ULID, qu\'il soit un nombre ou une chaîne de chiffres', () => {
+  const id = legacyId('products', 1700000000000)
+  assert.match(id, ULID)
+  assert.equal(legacyId('products', '1700000000000'), id)
+  assert.equal(legacyId('products', 1700000000000), id)
+})
+
+test('le ULID converti dépend de la collection et garde la date de l\'ancien identifiant', () => {
+  assert.notEqual(legacyId('users', 1700000000000), legacyId('products', 1700000000000))
+  assert.equal(legacyId('users', 1700000000000).slice(0, 10), ulid(1700000000000).slice(0, 10))
+})
+
+test('un identifiant qui n\'est pas un ancien Date.now() est renvoyé tel quel', () => {
+  const id = ulid()
+  assert.equal(legacyId('products', id), id)
+  assert.equal(legacyId('products', 'photo:abc'), 'photo:abc')
+  assert.equal(legacyId('products', '12a'), '12a')
+  assert.equal(legacyId('products', null), null)
+  assert.equal(legacyId('products', undefined), undefined)
+  assert.equal(legacyId('products', -1), -1)
+})
+
+test('migrer deux fois un enregistrement donne le même résultat', () => {
+  const legacy = {
+    products: {
+      id: 1700000000000,
+      sellerId: '1690000000000',
+      category: 'Légumes',
+      history: [{ status: 'available', at: 1700000000000, by: 1690000000000 }]
+    },
+    users: {
+      id: 1690000000000,
+      farm: { pickupPoints: [{ id: 1690000000001, name: 'Ferme' }] }
+    },
+    conversations: {
+      id: 1700000000002,
+      productId: 1700000000000,
+      buyerId: 1690000000003,
+      sellerId: 1690000000000,
+      lastReadAt: { 1690000000003: 1700000000005 }
+    },
+    recurrences: {
+      id: 1700000000004,
+      sellerId: 1690000000000,
+      template: { category: 'Œufs', pickupPointId: 1690000000001 }
+    },
+    reviews: {
+      id: 1700000000006,
+      orderId: 1700000000007,
+      reports: [{ userId: 1690000000003, at: 1700000000008 }]
+    }
+  }
+
+  for (const [collection, record] of Object.entries(legacy)) {
+    const once = upgradeRecord(collection, record)
+    assert.deepEqual(upgradeRecord(collection, once), once, collection)
+  }
+})
+
+test('un enregistrement déjà à jour n\'est pas modifié', () => {
+  const sellerId = ulid()
+  const record = {
+    id: ulid(),
+    sellerId,
+    category: 'vegetables',
+    history: [],
+    authorId: sellerId,
+    origin: ulid(),
+    createdAt: 1,
+    updatedAt: 2,
+    deletedAt: null
+  }
+  assert.deepEqual(upgradeRecord('products', record), record)
+})
@@ -0,0 +1,37 @@
+// Rendu HTML : échappement des valeurs interpolées, fragments html`` et raw() insérés tels quels
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { escapeHtml, html, raw } from '../render.js'
+
+test('les caractères spéciaux du HTML sont échappés', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&\`</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;')
+  assert.equal(escapeHtml(42), '42')
+})
+
+test('une valeur interpolée dans html`` est échappée, le gabarit ne l\'est pas', () => {
+  const name = '<img src=x onerror="alert(1)">'
+  assert.equal(String(html`<strong>${name}</strong>`), '<strong>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</strong>')
+})
+
+test('une valeur ne sort pas de l\'attribut où elle est interpolée', () => {
+  const value = `a" onfocus="alert(1)`
+  const single = `a' autofocus onfocus='alert(1)`
+  assert.equal(String(html`<input value="${value}">`), '<input value="a&quot; onfocus=&quot;alert(1)">')
+  assert.equal(String(html`<input value='${single}'>`), "<input value='a&#39; autofocus onfocus=&#39;alert(1)'>")
+})
+
+test('un fragment html`` imbriqué n\'est pas échappé une seconde fois', () => {
+  const item = html`<li>${'Pommes & poires'}</li>`
+  assert.equal(String(html`<ul>${item}</ul>`), '<ul><li>Pommes &amp; poires</li></ul>')
+})
+
+test('raw() insère du balisage fixe tel quel', () => {
+  assert.equal(String(html`<p>${raw('<br>')}</p>`), '<p><br></p>')
+  assert.equal(String(raw('<em>&nbsp;</em>')), '<em>&nbsp;</em>')
+})
+
+test('les tableaux sont aplatis, null, undefined et false ignorés, 0 conservé', () => {
+  const items = ['<a>', html`<b>${'&'}</b>`]
+  assert.equal(String(html`<p>${items}</p>`), '<p>&lt;a&gt;<b>&amp;</b></p>')
+  assert.equal(String(html`${null}${undefined}${false}${0}`), '0')
+})
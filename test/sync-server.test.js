@@ -0,0 +1,115 @@
+// Serveur de synchronisation de développement : curseurs, dernier écrivain gagnant, suppressions, photos
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createSyncServer } from '../server/sync-server.js'
+
+let server
+let baseUrl
+
+before(async () => {
+  server = createSyncServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => new Promise(resolve => server.close(resolve)))
+
+async function push(collection, records) {
+  const res = await fetch(`${baseUrl}/sync/${collection}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ records })
+  })
+  assert.equal(res.status, 200)
+  return res.json()
+}
+
+async function pull(collection, since = 0) {
+  const res = await fetch(`${baseUrl}/sync/${collection}?since=${since}`)
+  assert.equal(res.status, 200)
+  return res.json()
+}
+
+test('le curseur ne renvoie que les écritures suivantes, dans leur ordre', async () => {
+  const first = await push('messages', [{ id: 'm1', body: 'a', createdAt: 1 }, { id: 'm2', body: 'b', createdAt: 2 }])
+  assert.deepEqual(first.accepted, ['m1', 'm2'])
+
+  const all = await pull('messages')
+  assert.deepEqual(all.records.map(r => r.id), ['m1', 'm2'])
+  assert.equal(all.cursor, first.cursor)
+
+  await push('messages', [{ id: 'm3', body: 'c', createdAt: 3 }])
+  await push('messages', [{ id: 'm1', body: 'a modifié', createdAt: 1, updatedAt: 4 }])
+
+  const next = await pull('messages', all.cursor)
+  assert.deepEqual(next.records.map(r => r.id), ['m3', 'm1'])
+  assert.equal(next.records[1].body, 'a modifié')
+
+  const empty = await pull('messages', next.cursor)
+  assert.deepEqual(empty.records, [])
+  assert.equal(empty.cursor, next.cursor)
+})
+
+test('la version la plus récente (updatedAt) l\'emporte, à égalité le serveur garde la sienne', async () => {
+  await push('products', [{ id: 'p1', name: 'Tomates', createdAt: 10, updatedAt: 20 }])
+
+  const stale = await push('products', [{ id: 'p1', name: 'Ancienne', createdAt: 10, updatedAt: 15 }])
+  assert.deepEqual(stale.rejected, ['p1'])
+  const tie = await push('products', [{ id: 'p1', name: 'Égalité', createdAt: 10, updatedAt: 20 }])
+  assert.deepEqual(tie.rejected, ['p1'])
+  const newer = await push('products', [{ id: 'p1', name: 'Tomates anciennes', createdAt: 10, updatedAt: 30 }])
+  assert.deepEqual(newer.accepted, ['p1'])
+
+  const { records } = await pull('products')
+  assert.equal(records.length, 1)
+  assert.equal(records[0].name, 'Tomates anciennes')
+})
+
+test('une suppression (deletedAt) remplace l\'enregistrement et se propage par le curseur', async () => {
+  const { cursor } = await push('savedSearches', [{ id: 's1', keywords: 'miel', createdAt: 1, updatedAt: 1 }])
+
+  await push('savedSearches', [{ id: 's1', createdAt: 1, updatedAt: 5, deletedAt: 5 }])
+  const next = await pull('savedSearches', cursor)
+  assert.equal(next.records.length, 1)
+  assert.equal(next.records[0].deletedAt, 5)
+
+  // Une écriture plus ancienne d'un appareil hors ligne ne fait pas revivre l'enregistrement
+  const late = await push('savedSearches', [{ id: 's1', keywords: 'miel', createdAt: 1, updatedAt: 3 }])
+  assert.deepEqual(late.rejected, ['s1'])
+  const { records } = await pull('savedSearches')
+  assert.equal(records[0].deletedAt, 5)
+})
+
+test('les photos envoyées sont servies telles quelles, les autres sont introuvables', async () => {
+  const bytes = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3])
+  const put = await fetch(`${baseUrl}/photos/01PHOTO/thumb`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'image/jpeg' },
+    body: bytes
+  })
+  assert.equal(put.status, 200)
+
+  const res = await fetch(`${baseUrl}/photos/01PHOTO/thumb`)
+  assert.equal(res.status, 200)
+  assert.equal(res.headers.get('content-type'), 'image/jpeg')
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), bytes)
+
+  assert.equal((await fetch(`${baseUrl}/photos/01PHOTO`)).status, 404)
+  const notImage = await fetch(`${baseUrl}/photos/01AUTRE`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/plain' },
+    body: 'texte'
+  })
+  assert.equal(notImage.status, 415)
+})
+
+test('collection inconnue et corps invalide', async () => {
+  assert.equal((await fetch(`${baseUrl}/sync/inconnue`)).status, 404)
+
+  const res = await fetch(`${baseUrl}/sync/products`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ records: 'p1' })
+  })
+  assert.equal(res.status, 400)
+})
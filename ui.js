@@ -0,0 +1,248 @@
+// Composants d'interface accessibles : annonces empilées et lues par les lecteurs d'écran,
+// onglets de navigation au clavier, focus au changement de vue, erreurs de saisie liées au champ.
+import { t } from './i18n.js'
+
+const TOAST_DURATION = 8000
+const TOAST_MAX = 4
+
+// Annonces : pile visible (chaque annonce se ferme d'un bouton ou d'Échap, son délai est suspendu
+// au survol et au focus) doublée de zones live masquées, seules lues par les lecteurs d'écran.
+// tone 'error' : annonce immédiate (assertive), pas de fermeture automatique.
+export class Toaster {
+  constructor(root = document.body) {
+    this.stack = document.createElement('section')
+    this.stack.className = 'toast-stack'
+    this.stack.setAttribute('aria-label', t('toast.region'))
+    this.stack.dataset.i18nAriaLabel = 'toast.region' // suit les changements de langue (translateDocument)
+    this.polite = this.createLiveRegion('polite')
+    this.assertive = this.createLiveRegion('assertive')
+    root.append(this.stack, this.polite, this.assertive)
+
+    // Élément qui avait le focus avant l'entrée dans la pile, pour l'y ramener
+    this.returnFocus = null
+    this.stack.addEventListener('focusin', (event) => {
+      if (!this.stack.contains(event.relatedTarget)) this.returnFocus = event.relatedTarget
+    })
+  }
+
+  createLiveRegion(politeness) {
+    const region = document.createElement('div')
+    region.className = 'sr-only'
+    region.setAttribute('aria-live', politeness)
+    region.setAttribute('aria-atomic', 'true')
+    return region
+  }
+
+  show(message, { tone = 'info', duration = tone === 'error' ? 0 : TOAST_DURATION } = {}) {
+    const toast = document.createElement('div')
+    toast.className = `toast toast-${tone}`
+
+    const text = document.createElement('p')
+    text.className = 'toast-message'
+    text.textContent = message
+
+    const close = document.createElement('button')
+    close.type = 'button'
+    close.className = 'toast-close'
+    close.setAttribute('aria-label', t('toast.dismiss'))
+    close.textContent = '×'
+    close.addEventListener('click', () => this.dismiss(toast))
+
+    toast.append(text, close)
+    toast.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.dismiss(toast)
+    })
+
+    if (duration > 0) {
+      let timer = setTimeout(() => this.dismiss(toast), duration)
+      const pause = () => clearTimeout(timer)
+      const resume = () => {
+        if (toast.matches(':hover, :focus-within')) return
+        clearTimeout(timer)
+        timer = setTimeout(() => this.dismiss(toast), duration)
+      }
+      toast.addEventListener('mouseenter', pause)
+      toast.addEventListener('focusin', pause)
+      toast.addEventListener('mouseleave', resume)
+      toast.addEventListener('focusout', resume)
+    }
+
+    this.stack.append(toast)
+    while (this.stack.children.length > TOAST_MAX) this.dismiss(this.stack.firstElementChild)
+
+    this.announce(message, tone === 'error' ? this.assertive : this.polite)
+    return toast
+  }
+
+  // Vider puis remplir : un message identique au précédent est de nouveau annoncé
+  announce(message, region) {
+    region.textContent = ''
+    setTimeout(() => { region.textContent = message }, 100)
+  }
+
+  // Focus dans l'annonce fermée : vers l'annonce suivante, sinon là où il était avant la pile
+  dismiss(toast) {
+    if (!toast?.isConnected) return
+    const hadFocus = toast.contains(document.activeElement)
+    toast.remove()
+    if (!hadFocus) return
+
+    const next = this.stack.querySelector('.toast-close')
+    if (next) next.focus()
+    else if (this.returnFocus?.isConnected) this.returnFocus.focus()
+  }
+}
+
+// Onglets : role tablist sur le conteneur, role tab et aria-controls sur chaque bouton.
+// Flèches, Début et Fin déplacent le focus ; Entrée ou Espace activent l'onglet (clic).
+// Seul l'onglet sélectionné est dans l'ordre de tabulation.
+export class Tabs {
+  constructor(tablist) {
+    this.tablist = tablist
+    tablist.addEventListener('keydown', event => this.handleKeydown(event))
+  }
+
+  // Onglets affichés (ceux d'une vue réservée à un autre rôle sont masqués)
+  get tabs() {
+    return [...this.tablist.querySelectorAll('[role="tab"]')].filter(tab => !tab.hidden && !tab.classList.contains('hidden'))
+  }
+
+  // panelId : id du panneau affiché ; aucun onglet ne le contrôle : le premier reste atteignable
+  select(panelId) {
+    const tabs = this.tabs
+    const selected = tabs.find(tab => tab.getAttribute('aria-controls') === panelId)
+    for (const tab of this.tablist.querySelectorAll('[role="tab"]')) {
+      tab.setAttribute('aria-selected', String(tab === selected))
+      tab.tabIndex = tab === (selected || tabs[0]) ? 0 : -1
+    }
+  }
+
+  handleKeydown(event) {
+    const tabs = this.tabs
+    const index = tabs.indexOf(event.target.closest('[role="tab"]'))
+    if (index === -1) return
+
+    const target = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 }[event.key]
+    if (target === undefined) return
+    event.preventDefault()
+    tabs[(target + tabs.length) % tabs.length].focus()
+  }
+}
+
+// Vue affichée : focus sur son titre (ou sur la vue), pour que le lecteur d'écran l'annonce
+// et que la tabulation reparte de son début
+export function focusView(view) {
+  if (!view) return
+  const target = view.querySelector('h2') || view
+  if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1')
+  target.focus()
+}
+
+// Zone d'erreur d'un champ ; les boutons radio partagent celle de leur fieldset
+function errorTarget(field) {
+  if (field.type === 'radio') return field.closest('fieldset') || field
+  return field
+}
+
+function errorId(field) {
+  const key = field.type === 'radio' || !field.id ? `${field.form?.id || 'form'}-${field.name}` : field.id
+  return `${key}-error`
+}
+
+function describedBy(element, id, add) {
+  const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(value => value && value !== id)
+  if (add) ids.push(id)
+  if (ids.length > 0) element.setAttribute('aria-describedby', ids.join(' '))
+  else element.removeAttribute('aria-describedby')
+}
+
+// Erreur affichée sous le champ, reliée par aria-describedby ; message vide : erreur retirée
+export function setFieldError(field, message) {
+  if (!field) return
+  const target = errorTarget(field)
+  const id = errorId(field)
+  const fields = field.type === 'radio' && field.form
+    ? [...field.form.querySelectorAll(`input[type="radio"][name="${CSS.escape(field.name)}"]`)]
+    : [field]
+  let error = document.getElementById(id)
+
+  if (!message) {
+    error?.remove()
+    fields.forEach(input => input.removeAttribute('aria-invalid'))
+    describedBy(target, id, false)
+    return
+  }
+
+  if (!error) {
+    error = document.createElement('p')
+    error.id = id
+    error.className = 'field-error'
+    // Sous le bloc du champ (libellé et aide compris), ou juste après la case à cocher
+    const anchor = target === field ? field.closest('.form-group, .checkbox-label') || field : target
+    if (anchor.classList.contains('form-group') && anchor.tagName !== 'FIELDSET') anchor.append(error)
+    else anchor.after(error)
+  }
+  error.textContent = message
+  fields.forEach(input => input.setAttribute('aria-invalid', 'true'))
+  describedBy(target, id, true)
+}
+
+// Message de la contrainte non respectée, dans la langue de l'application.
+// data-pattern-error : clé du message d'un champ à motif (ex. code PIN).
+export function validationMessage(field) {
+  const { validity } = field
+  if (validity.valueMissing) {
+    return t(field.type === 'radio' || field.tagName === 'SELECT' ? 'validation.choose' : 'validation.required')
+  }
+  if (validity.typeMismatch) return t(field.type === 'url' ? 'validation.url' : 'validation.type')
+  if (validity.patternMismatch) return t(field.dataset.patternError || 'validation.pattern')
+  if (validity.badInput) return t('validation.number')
+  if (validity.rangeUnderflow) return t('validation.min', { min: Number(field.min) })
+  if (validity.rangeOverflow) return t('validation.max', { max: Number(field.max) })
+  if (validity.stepMismatch) return t('validation.step', { step: Number(field.step) })
+  if (validity.tooLong) return t('validation.tooLong', { count: Number(field.maxLength) })
+  return field.validationMessage
+}
+
+// Contrôle de tous les champs (erreurs précédentes effacées) ; le premier champ invalide reçoit le focus
+export function validateForm(form) {
+  let first = null
+  for (const field of form.elements) {
+    if (!field.willValidate) continue
+    const valid = field.checkValidity()
+    if (valid && field.getAttribute('aria-invalid') !== 'true') continue
+    setFieldError(field, valid ? '' : validationMessage(field))
+    if (!valid && !first) first = field
+  }
+  first?.focus()
+  return !first
+}
+
+// Formulaires de root contrôlés à l'envoi, avant leurs propres gestionnaires (phase de capture) :
+// un formulaire invalide n'est pas envoyé. Les bulles du navigateur sont remplacées par les erreurs
+// en ligne, retirées dès que la saisie devient valide.
+export function validateForms(root = document) {
+  root.querySelectorAll('form').forEach(form => { form.noValidate = true })
+
+  root.addEventListener('submit', (event) => {
+    if (!validateForm(event.target)) {
+      event.preventDefault()
+      event.stopImmediatePropagation()
+    }
+  }, true)
+
+  const revalidate = (event) => {
+    const field = event.target
+    if (!field.form || field.getAttribute('aria-invalid') !== 'true') return
+    setFieldError(field, field.checkValidity() ? '' : validationMessage(field))
+  }
+  root.addEventListener('input', revalidate, true)
+  root.addEventListener('change', revalidate, true)
+
+  // Formulaire vidé : plus d'erreurs
+  root.addEventListener('reset', (event) => {
+    for (const field of event.target.elements) {
+      if (field.getAttribute('aria-invalid') === 'true') setFieldError(field, '')
+    }
+  }, true)
+}
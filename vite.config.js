@@ -5,7 +5,13 @@ export default defineConfig({
   plugins: [
     VitePWA({
       registerType: 'autoUpdate',
-      workbox: {
+      // sw.js, écrit à la main, est le service worker livré ;
+      // le build y injecte la liste des fichiers à précacher (self.__WB_MANIFEST)
+      strategies: 'injectManifest',
+      srcDir: '.',
+      filename: 'sw.js',
+      injectRegister: false, // enregistré par main.js (setupPWA)
+      injectManifest: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,webp}']
       },
       manifest: {
@@ -27,6 +33,13 @@ export default defineConfig({
             sizes: '512x512',
             type: 'image/png'
           }
+        ],
+        // Raccourcis vers les routes de l'application (voir Router dans main.js)
+        shortcuts: [
+          { name: 'Produits près de chez moi', short_name: 'Produits', url: '/#/produits' },
+          { name: 'Vendre un lot', short_name: 'Vendre', url: '/#/vendre' },
+          { name: 'Mes alertes', short_name: 'Alertes', url: '/#/alertes' },
+          { name: 'Réglages', short_name: 'Réglages', url: '/#/reglages' }
         ]
       }
     })